@@ -0,0 +1,682 @@
+#!/usr/bin/env node
+/**
+ * 命令行图集构建工具（用于 CI / 构建流水线）
+ * 复用网页端的打包算法脚本：在 vm 沙箱中按 index.html 的顺序加载，
+ * 用 @napi-rs/canvas 提供 document.createElement('canvas')，输出与网页端一致的 png + plist
+ *
+ * 用法: cocos-atlas build <目录> --out <名称> --algorithm maxRectangles --padding 2 --pot
+ *       cocos-atlas build <项目文件.atlasproj>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// 与 index.html 中的加载顺序一致（不包含依赖 DOM 的界面脚本）
+const PACKER_SCRIPTS = [
+    'config.js',
+    'frameNaming.js',
+    'imageHash.js',
+    'imageTrimmer.js',
+    'spriteOverrides.js',
+    'imageResampler.js',
+    'scaleVariants.js',
+    'atlasRenderer.js',
+    'atlasPacker.js',
+    'maxRectanglesPacker.js',
+    'guillotinePacker.js',
+    'skylinePacker.js',
+    'polygonPacker.js',
+    'imageGrouper.js',
+    'duplicateSprites.js',
+    'multiAtlasPacker.js',
+    'stableLayout.js',
+    'pixelFormat.js',
+    'paletteQuantizer.js',
+    'pngEncoder.js',
+    'cocosMeta.js',
+    'atlasExporters.js',
+    'plistParser.js',
+    'atlasProject.js'
+];
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g)$/i;
+
+const USAGE = `用法: cocos-atlas build <目录> [选项]
+      cocos-atlas build <项目文件.atlasproj> [选项]
+
+项目文件记录了图集设置和图片列表（网页端“保存项目”生成），命令行选项会覆盖其中的设置。
+
+选项:
+  --out <名称>          输出文件名（可带路径），默认使用目录名；项目文件默认输出到项目所在目录，使用项目中的图集名称
+  --algorithm <算法>    maxRectangles / guillotine / skyline / shelf / polygon，
+                        可带变体，如 maxRectangles-auto、guillotine-llas、polygon-convex
+  --polygon-vertices <数量> 多边形模式下每张图片的顶点数上限
+  --padding <像素>      图片间距
+  --border-padding <像素> 图集边缘的空白
+  --extrude <像素>      把每张图片的边缘像素向外复制的像素数，避免缩放和线性过滤时出现接缝
+  --pot / --no-pot      是否使用2的幂次方尺寸
+  --max-width <像素>    最大宽度
+  --max-height <像素>   最大高度
+  --trim                裁剪透明像素
+  --dedup / --no-dedup  是否合并重复图片（像素相同的只打包一份，其余名称作为别名）
+  --multi               放不下时拆分为多个图集（<名称>_1、<名称>_2 ...）
+  --multi-mode <模式>   多图集拆分方式: overflow / group
+  --stable              稳定布局：以输出位置已有的 <名称>.plist 为基准，未变化的帧保持原位置
+  --variants <列表>     缩放变体，逗号分隔的 比例[:后缀]，如 "2:@2x, 1:, 0.5:@0.5x"（省略后缀时为 @<比例>x），
+                        每个变体单独打包，输出 <名称><后缀>.png 等，帧名相同
+  --scale-filter <滤波器> 缩放变体的重采样滤波器: bilinear / lanczos
+  --format <格式>       数据文件格式: cocos-plist / json-hash / json-array / phaser3
+  --plist-format <版本> plist 格式版本: 0 / 1 / 2 / 3（0、1 不支持旋转帧）
+  --pixel-format <格式> 纹理像素格式: RGBA8888 / RGBA4444 / RGB565 / RGBA5551，
+                        png 按该精度量化（预览设备上的效果），并写入数据文件的元数据
+  --dither <方式>       降低像素精度时的抖动: none / floyd-steinberg / ordered
+  --png8                png 量化为 256 色以内的索引色 PNG（带透明度），减小文件体积
+  --png8-quality <0~100> PNG8 质量，决定调色板颜色数（0 为 2 色，100 为 256 色）
+  --no-png8-dither      PNG8 不使用误差扩散抖动
+  --meta                同时生成 Cocos Creator 3.x 的 .png.meta / .plist.meta
+  --asset-dir <目录>    图集在 Creator 项目中的目录（如 assets/resources/ui），参与 UUID 计算
+  -h, --help            显示帮助`;
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} - { command, dir, out, algorithm, polygonVertices, padding, borderPadding, extrude, pot, maxWidth, maxHeight, trim, dedup, multi, multiMode, stable, variants, scaleFilter, format, plistFormat, pixelFormat, dither, png8, png8Quality, png8Dither, meta, assetDir, help }
+ */
+function parseArgs(argv) {
+    const options = { command: null, dir: null, help: false };
+    const valueFlags = {
+        '--out': 'out',
+        '--algorithm': 'algorithm',
+        '--polygon-vertices': 'polygonVertices',
+        '--padding': 'padding',
+        '--border-padding': 'borderPadding',
+        '--extrude': 'extrude',
+        '--max-width': 'maxWidth',
+        '--max-height': 'maxHeight',
+        '--multi-mode': 'multiMode',
+        '--variants': 'variants',
+        '--scale-filter': 'scaleFilter',
+        '--asset-dir': 'assetDir',
+        '--format': 'format',
+        '--plist-format': 'plistFormat',
+        '--pixel-format': 'pixelFormat',
+        '--dither': 'dither',
+        '--png8-quality': 'png8Quality'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '--pot') {
+            options.pot = true;
+        } else if (arg === '--no-pot') {
+            options.pot = false;
+        } else if (arg === '--trim') {
+            options.trim = true;
+        } else if (arg === '--dedup') {
+            options.dedup = true;
+        } else if (arg === '--no-dedup') {
+            options.dedup = false;
+        } else if (arg === '--multi') {
+            options.multi = true;
+        } else if (arg === '--png8') {
+            options.png8 = true;
+        } else if (arg === '--no-png8-dither') {
+            options.png8Dither = false;
+        } else if (arg === '--meta') {
+            options.meta = true;
+        } else if (arg === '--stable') {
+            options.stable = true;
+        } else if (valueFlags[arg]) {
+            if (i + 1 >= argv.length) {
+                throw new Error(`参数 ${arg} 缺少值`);
+            }
+            options[valueFlags[arg]] = argv[++i];
+        } else if (arg.startsWith('-')) {
+            throw new Error(`未知参数: ${arg}`);
+        } else if (!options.command) {
+            options.command = arg;
+        } else if (!options.dir) {
+            options.dir = arg;
+        } else {
+            throw new Error(`多余的参数: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * 创建加载了打包脚本的沙箱
+ * @param {Object} canvasModule - @napi-rs/canvas
+ * @returns {Object} - vm 上下文，可通过 get(name) 取得脚本中的全局函数
+ */
+function createPackerContext(canvasModule) {
+    const sandbox = {
+        console: { log() {}, table() {}, warn: console.warn, error: console.error },
+        TextEncoder,
+        // PNG8 编码的 zlib 压缩
+        CompressionStream,
+        document: {
+            createElement: (tag) => {
+                if (tag !== 'canvas') {
+                    throw new Error(`命令行模式不支持创建 <${tag}> 元素`);
+                }
+                return canvasModule.createCanvas(1, 1);
+            }
+        }
+    };
+    sandbox.window = sandbox;
+
+    const context = vm.createContext(sandbox);
+    const scriptDir = path.join(__dirname, '..', 'js');
+    for (const file of PACKER_SCRIPTS) {
+        const filename = path.join(scriptDir, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+
+    // class / const 声明不会挂到沙箱对象上，需要在上下文中求值
+    context.get = (name) => vm.runInContext(name, context);
+    return context;
+}
+
+/**
+ * 递归收集目录下的图片，返回以 / 分隔、带目录名前缀的相对路径（与 webkitRelativePath 一致）
+ */
+function collectImagePaths(dir) {
+    const rootName = path.basename(path.resolve(dir));
+    const result = [];
+
+    const walk = (current, relative) => {
+        const entries = fs.readdirSync(current, { withFileTypes: true })
+            .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+            const entryPath = path.join(current, entry.name);
+            const entryRelative = `${relative}/${entry.name}`;
+            if (entry.isDirectory()) {
+                walk(entryPath, entryRelative);
+            } else if (IMAGE_EXTENSIONS.test(entry.name)) {
+                result.push({ filePath: entryPath, relativePath: entryRelative });
+            }
+        }
+    };
+
+    walk(dir, rootName);
+    return result;
+}
+
+/**
+ * 是否为项目文件
+ */
+function isProjectFile(filePath) {
+    return filePath.toLowerCase().endsWith('.atlasproj') && fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+}
+
+/**
+ * 项目设置转换为命令行选项（与网页端一致，多图集、多边形模式和缩放变体时忽略稳定布局）
+ */
+function projectToOptions(settings) {
+    return {
+        algorithm: settings.algorithm,
+        polygonVertices: settings.polygonVertices,
+        padding: settings.padding,
+        borderPadding: settings.borderPadding,
+        extrude: settings.extrude,
+        maxWidth: settings.maxWidth,
+        maxHeight: settings.maxHeight,
+        pot: settings.powerOfTwo,
+        trim: settings.trim,
+        dedup: settings.mergeDuplicates,
+        multi: settings.multiAtlas,
+        multiMode: settings.multiAtlasMode,
+        stable: settings.stableLayout && !settings.multiAtlas && !String(settings.algorithm).startsWith('polygon') &&
+            settings.scaleVariants.length === 0,
+        variants: settings.scaleVariants.map(({ scale, suffix }) => `${scale}:${suffix}`).join(', '),
+        scaleFilter: settings.scaleFilter,
+        format: settings.export.format,
+        plistFormat: settings.export.plistFormat,
+        pixelFormat: settings.export.pixelFormat,
+        dither: settings.export.dither,
+        png8: settings.export.png8,
+        png8Quality: settings.export.png8Quality,
+        png8Dither: settings.export.png8Dither,
+        meta: settings.export.cocosMeta,
+        assetDir: settings.export.cocosAssetDir
+    };
+}
+
+/**
+ * 读取项目中的图片：path（相对项目文件）存在时使用文件，否则使用内嵌的 data URL
+ */
+async function loadProjectImages(project, projectPath, canvasModule) {
+    const projectDir = path.dirname(projectPath);
+    const images = [];
+
+    for (const sprite of project.sprites) {
+        const filePath = sprite.path ? path.resolve(projectDir, sprite.path) : null;
+        let buffer;
+        if (filePath && fs.existsSync(filePath)) {
+            buffer = fs.readFileSync(filePath);
+        } else if (sprite.data) {
+            buffer = Buffer.from(sprite.data.slice(sprite.data.indexOf(',') + 1), 'base64');
+        } else {
+            throw new Error(`找不到项目中的图片 ${sprite.name}: ${filePath}`);
+        }
+
+        const img = await canvasModule.loadImage(buffer);
+        images.push({
+            img,
+            name: sprite.name,
+            fullPath: sprite.path || `${sprite.name}.png`,
+            width: img.width,
+            height: img.height,
+            ...(sprite.overrides ? { overrides: sprite.overrides } : {})
+        });
+    }
+
+    return images;
+}
+
+/**
+ * 读取目录中的图片，帧名规则与网页端文件夹模式一致
+ */
+async function loadDirectoryImages(dir, context, canvasModule) {
+    const imagePaths = collectImagePaths(dir);
+    if (imagePaths.length === 0) {
+        throw new Error(`目录中没有 png/jpg 图片: ${dir}`);
+    }
+
+    const basePath = context.get('calculateBasePath')(imagePaths.map(p => p.relativePath));
+    const getFrameName = context.get('getFrameName');
+
+    const images = [];
+    for (const { filePath, relativePath } of imagePaths) {
+        const img = await canvasModule.loadImage(fs.readFileSync(filePath));
+        images.push({
+            img,
+            name: getFrameName(relativePath, basePath),
+            fullPath: relativePath,
+            width: img.width,
+            height: img.height
+        });
+    }
+
+    return images;
+}
+
+/**
+ * 解析并校验构建设置，未指定的项使用 AppConfig 默认值
+ * @param {Object} options - 命令行选项
+ * @param {Object} context - createPackerContext 创建的沙箱（提供 AppConfig 和各模块的选项表）
+ */
+function resolveSettings(options, context) {
+    const getConfig = context.get('getConfig');
+    const exporters = context.get('ATLAS_EXPORTERS');
+    const maxSize = getConfig('atlas.maxSize');
+    const parseSize = (value, fallback, label) => {
+        if (value === undefined) return fallback;
+        const size = parseInt(value, 10);
+        if (!(size > 0)) {
+            throw new Error(`${label}无效: ${value}`);
+        }
+        return Math.min(size, maxSize);
+    };
+    const parsePixels = (value, fallback, label) => {
+        if (value === undefined) return fallback;
+        const pixels = parseInt(value, 10);
+        if (!(pixels >= 0)) {
+            throw new Error(`${label}无效: ${value}`);
+        }
+        return pixels;
+    };
+
+    const algorithmOption = options.algorithm || getConfig('algorithm.default');
+    const [algorithm, variant = null] = algorithmOption.split('-');
+    if (!getConfig('algorithm.options').includes(algorithm)) {
+        throw new Error(`未知算法: ${algorithmOption}（可选: ${getConfig('algorithm.options').join(' / ')}）`);
+    }
+
+    const padding = {
+        shape: parsePixels(options.padding, getConfig('atlas.defaultPadding'), '图片间距'),
+        border: parsePixels(options.borderPadding, getConfig('atlas.defaultBorderPadding'), '边框间距')
+    };
+
+    const multiMode = options.multiMode || getConfig('atlas.multiAtlasMode');
+    if (multiMode !== 'overflow' && multiMode !== 'group') {
+        throw new Error(`未知多图集模式: ${multiMode}`);
+    }
+
+    const stable = options.stable !== undefined ? options.stable : getConfig('atlas.stableLayout');
+    if (stable && options.multi) {
+        throw new Error('--stable 只支持单图集，不能与 --multi 一起使用');
+    }
+    if (stable && algorithm === 'polygon') {
+        throw new Error('--stable 不支持多边形模式（帧矩形可能重叠）');
+    }
+
+    const scaleVariants = options.variants !== undefined
+        ? context.get('parseScaleVariants')(options.variants)
+        : getConfig('atlas.scaleVariants').map(variant => ({ ...variant }));
+    if (stable && scaleVariants.length > 0) {
+        throw new Error('--stable 不能与 --variants 一起使用');
+    }
+    const scaleFilter = options.scaleFilter || getConfig('atlas.scaleFilter');
+    const resampleFilters = context.get('RESAMPLE_FILTERS');
+    if (!resampleFilters[scaleFilter]) {
+        throw new Error(`未知缩放滤波器: ${scaleFilter}（可选: ${Object.keys(resampleFilters).join(' / ')}）`);
+    }
+
+    const polygonHull = algorithm === 'polygon' ? (variant || getConfig('algorithm.polygonHull')) : null;
+    if (polygonHull && !['concave', 'convex'].includes(polygonHull)) {
+        throw new Error(`未知多边形类型: ${algorithmOption}（可选: polygon / polygon-convex）`);
+    }
+    const polygonVertices = options.polygonVertices !== undefined ? parseInt(options.polygonVertices, 10) : getConfig('algorithm.polygonMaxVertices');
+    if (!(polygonVertices >= 3)) {
+        throw new Error(`多边形顶点数无效: ${options.polygonVertices}（至少为 3）`);
+    }
+
+    const format = options.format || getConfig('export.defaultFormat');
+    if (!exporters[format]) {
+        throw new Error(`未知导出格式: ${format}（可选: ${Object.keys(exporters).join(' / ')}）`);
+    }
+
+    // 只有格式 3 能写入多边形，多边形模式未指定版本时使用格式 3
+    const defaultPlistFormat = algorithm === 'polygon' ? 3 : getConfig('export.plistFormat');
+    const plistFormat = options.plistFormat !== undefined ? Number(options.plistFormat) : defaultPlistFormat;
+    const plistFormats = context.get('PLIST_FORMATS');
+    if (!plistFormats.includes(plistFormat)) {
+        throw new Error(`未知 plist 格式: ${options.plistFormat}（可选: ${plistFormats.join(' / ')}）`);
+    }
+    if (algorithm === 'polygon' && format === 'cocos-plist' && plistFormat !== 3) {
+        throw new Error(`多边形模式需要 plist 格式 3（当前为 ${plistFormat}）`);
+    }
+
+    const pixelFormat = options.pixelFormat || getConfig('export.pixelFormat');
+    const dither = options.dither || getConfig('export.dither');
+    context.get('validatePixelFormat')(pixelFormat, dither);
+
+    const png8 = options.png8 !== undefined ? options.png8 : getConfig('export.png8');
+    const png8Quality = options.png8Quality !== undefined ? Number(options.png8Quality) : getConfig('export.png8Quality');
+    context.get('validatePng8Quality')(png8Quality);
+    const png8Dither = options.png8Dither !== undefined ? options.png8Dither : getConfig('export.png8Dither');
+
+    const meta = options.meta !== undefined ? options.meta : getConfig('export.cocosMeta');
+    if (meta && format !== 'cocos-plist') {
+        throw new Error('--meta 只能与 cocos-plist 格式一起使用');
+    }
+
+    return {
+        algorithm,
+        heuristic: algorithm === 'maxRectangles' ? (variant || getConfig('algorithm.maxRectsHeuristic')) : null,
+        splitRule: algorithm === 'guillotine' ? (variant || getConfig('algorithm.guillotineSplitRule')) : null,
+        polygonHull,
+        polygonVertices,
+        padding,
+        extrude: parsePixels(options.extrude, getConfig('atlas.defaultExtrude'), '边缘扩展'),
+        usePowerOfTwo: options.pot !== undefined ? options.pot : getConfig('atlas.defaultPowerOfTwo'),
+        maxWidth: parseSize(options.maxWidth, getConfig('atlas.defaultMaxWidth'), '最大宽度'),
+        maxHeight: parseSize(options.maxHeight, getConfig('atlas.defaultMaxHeight'), '最大高度'),
+        trim: options.trim !== undefined ? options.trim : getConfig('atlas.defaultTrim'),
+        dedup: options.dedup !== undefined ? options.dedup : getConfig('atlas.mergeDuplicates'),
+        multi: options.multi || false,
+        multiMode,
+        stable,
+        scaleVariants,
+        scaleFilter,
+        format,
+        plistFormat,
+        // plist 格式 0 / 1 不支持旋转帧，打包时禁止旋转
+        allowRotation: context.get('isRotationSupported')(format, plistFormat),
+        pixelFormat,
+        dither,
+        // PNG8 选项 { quality, dither }，不使用时为 null
+        png8: png8 ? { quality: png8Quality, dither: png8Dither } : null,
+        meta,
+        assetDir: options.assetDir !== undefined ? options.assetDir : getConfig('export.cocosAssetDir')
+    };
+}
+
+/**
+ * 打包单个图集，与网页端 generateAtlas 的算法分派一致
+ */
+function packSingle(context, images, settings) {
+    const { algorithm, padding, maxWidth, maxHeight, usePowerOfTwo } = settings;
+    const getConfig = context.get('getConfig');
+
+    if (algorithm === 'maxRectangles') {
+        return context.get('packImagesWithMaxRectangles')(images, padding, maxWidth, usePowerOfTwo, maxHeight, settings.heuristic);
+    } else if (algorithm === 'guillotine') {
+        return context.get('packImagesWithGuillotine')(images, padding, maxWidth, usePowerOfTwo, maxHeight, settings.splitRule, {
+            freeRectChoice: getConfig('algorithm.guillotineFreeRectChoice'),
+            merge: getConfig('algorithm.guillotineMerge')
+        });
+    } else if (algorithm === 'skyline') {
+        return context.get('packImagesWithSkyline')(images, padding, maxWidth, usePowerOfTwo, maxHeight);
+    } else if (algorithm === 'polygon') {
+        return context.get('packImagesWithPolygons')(images, padding, maxWidth, usePowerOfTwo, maxHeight);
+    }
+    return context.get('packImages')(images, padding, maxWidth, usePowerOfTwo, maxHeight);
+}
+
+/**
+ * 稳定布局：以上次输出的 plist 为基准打包，未启用、没有基准或新图片放不下时返回 null
+ */
+function packStable(context, images, settings, referencePath) {
+    if (!settings.stable) {
+        return null;
+    }
+    if (!fs.existsSync(referencePath)) {
+        console.log(`未找到 ${referencePath}，完整打包`);
+        return null;
+    }
+
+    const reference = context.get('createLayoutReference')(context.get('readPlistAtlas')(fs.readFileSync(referencePath, 'utf8')));
+    const { padding, maxWidth, maxHeight, usePowerOfTwo } = settings;
+    const layout = context.get('layoutImagesStable')(images, reference, padding, maxWidth, usePowerOfTwo, maxHeight, settings.heuristic);
+    if (!layout) {
+        console.log('稳定布局放不下新增的图片，完整重新打包');
+        return null;
+    }
+
+    console.log(`稳定布局: 保留 ${layout.stable.kept} 帧，放入 ${layout.stable.added} 帧`);
+    return context.get('renderLayout')(layout);
+}
+
+/**
+ * 打包一个缩放变体：准备图片（裁剪、覆盖设置、缩放、多边形轮廓、合并重复图片）并打包
+ * @param {Object} variant - { scale, suffix }，未设置缩放变体时为 { scale: 1, suffix: '' }
+ * @param {string} outBase - 该变体的输出路径（不含扩展名），稳定布局以 <outBase>.plist 为基准
+ * @returns {Array} - 图集数组
+ */
+function packVariant(context, images, settings, variant, outBase) {
+    const getConfig = context.get('getConfig');
+    const alphaThreshold = getConfig('atlas.trimAlphaThreshold');
+
+    const spriteImages = context.get('prepareVariantImages')(images, variant, {
+        trim: settings.trim,
+        extrude: settings.extrude,
+        alphaThreshold,
+        filter: settings.scaleFilter,
+        allowRotation: settings.allowRotation
+    });
+    // 多边形模式：描出每张图片不透明区域的轮廓
+    const trimmedImages = settings.algorithm === 'polygon'
+        ? context.get('tracePolygonImages')(spriteImages, {
+            hull: settings.polygonHull,
+            maxVertices: settings.polygonVertices,
+            alphaThreshold
+        })
+        : spriteImages;
+
+    // 像素相同的图片只打包一份，其余作为别名帧加入原图所在的图集
+    const { unique: packingImages, duplicates } = settings.dedup
+        ? context.get('findDuplicateImages')(trimmedImages)
+        : { unique: trimmedImages, duplicates: [] };
+    if (duplicates.length > 0) {
+        console.log(`合并重复图片 ${duplicates.length} 张`);
+    }
+
+    // 间距随缩放比例变化，最大尺寸不变
+    const variantSettings = { ...settings, padding: context.get('scalePadding')(settings.padding, variant.scale) };
+
+    let atlases;
+    if (settings.multi) {
+        const MultiAtlasPacker = context.get('MultiAtlasPacker');
+        const packer = new MultiAtlasPacker({
+            maxWidth: settings.maxWidth,
+            maxHeight: settings.maxHeight,
+            padding: variantSettings.padding,
+            usePowerOfTwo: settings.usePowerOfTwo,
+            packingAlgorithm: settings.algorithm,
+            mode: settings.multiMode,
+            heuristic: settings.heuristic,
+            splitRule: settings.splitRule,
+            freeRectChoice: getConfig('algorithm.guillotineFreeRectChoice'),
+            merge: getConfig('algorithm.guillotineMerge')
+        });
+        atlases = packer.pack(packingImages);
+    } else {
+        const result = packStable(context, packingImages, variantSettings, `${outBase}.plist`) || packSingle(context, packingImages, variantSettings);
+        if (!result) {
+            const variantText = variant.suffix ? `（缩放变体 ${variant.suffix}）` : '';
+            throw new Error(`图集生成失败${variantText}: 图片尺寸超过最大尺寸限制 (${settings.maxWidth}×${settings.maxHeight})，可使用 --multi 拆分`);
+        }
+        atlases = [result];
+    }
+    return atlases.map(atlas => context.get('addDuplicateFrames')(atlas, duplicates));
+}
+
+/**
+ * build 命令：读取目录或项目文件、打包并写出 png 和所选格式的数据文件
+ * 设置了缩放变体时每个变体分别打包，文件名为 <名称><后缀>
+ * 所有文件生成成功后才写入，中途出错时不留下不完整的输出
+ * @returns {Promise<Array<string>>} - 写出的文件路径
+ */
+async function build(options, canvasModule) {
+    if (!options.dir) {
+        throw new Error('缺少图片目录或项目文件');
+    }
+    const isProject = isProjectFile(options.dir);
+    if (!isProject && (!fs.existsSync(options.dir) || !fs.statSync(options.dir).isDirectory())) {
+        throw new Error(`目录或项目文件不存在: ${options.dir}`);
+    }
+
+    const context = createPackerContext(canvasModule);
+    const getConfig = context.get('getConfig');
+    const project = isProject ? context.get('parseAtlasProject')(fs.readFileSync(options.dir, 'utf8')) : null;
+
+    // 命令行选项覆盖项目中的设置
+    const settings = resolveSettings(project ? { ...projectToOptions(project.settings), ...options } : options, context);
+
+    const images = project
+        ? await loadProjectImages(project, options.dir, canvasModule)
+        : await loadDirectoryImages(options.dir, context, canvasModule);
+
+    const outBase = options.out ||
+        (project ? path.join(path.dirname(options.dir), project.settings.atlasName) : path.basename(path.resolve(options.dir)));
+    const outDir = path.dirname(outBase);
+
+    const exportAtlasData = context.get('exportAtlasData');
+    const reduceCanvasPixelFormat = context.get('reduceCanvasPixelFormat');
+    const encodeCanvasPng8 = context.get('encodeCanvasPng8');
+    const formatPsnr = context.get('formatPsnr');
+    const generateCocosMetaFiles = context.get('generateCocosMetaFiles');
+    const outputs = [];
+    const addFile = (name, content) => outputs.push({ name, content });
+
+    const variants = settings.scaleVariants.length > 0 ? settings.scaleVariants : [{ scale: 1, suffix: '' }];
+    for (const variant of variants) {
+        const baseName = `${path.basename(outBase)}${variant.suffix}`;
+        const atlases = packVariant(context, images, settings, variant, path.join(outDir, baseName));
+
+        // 多图集与网页端导出一致，命名为 <名称>_1、<名称>_2 ...
+        const pages = atlases.map((atlas, index) => ({
+            name: settings.multi ? `${baseName}_${index + 1}` : baseName,
+            width: atlas.width,
+            height: atlas.height,
+            frames: atlas.frames
+        }));
+
+        for (let index = 0; index < atlases.length; index++) {
+            const atlas = atlases[index];
+            const page = pages[index];
+            // 按像素格式降低精度后写出，png 即为设备上的效果
+            const canvas = reduceCanvasPixelFormat(atlas.canvas, settings.pixelFormat, settings.dither);
+            let png8Text = '';
+            if (settings.png8) {
+                const png8 = await encodeCanvasPng8(canvas, settings.png8);
+                addFile(`${page.name}.png`, png8.data);
+                png8Text = `, PNG8 ${png8.colors} 色 PSNR ${formatPsnr(png8.psnr)}`;
+            } else {
+                addFile(`${page.name}.png`, canvas.toBuffer('image/png'));
+            }
+
+            const usedArea = atlas.frames.filter(f => !f.aliasOf).reduce((sum, f) => sum + f.width * f.height, 0);
+            console.log(`${page.name}: ${atlas.width}×${atlas.height}, ${atlas.frames.length} 帧, 利用率 ${(usedArea / (atlas.width * atlas.height) * 100).toFixed(2)}%${png8Text}`);
+        }
+
+        for (const file of exportAtlasData(settings.format, pages, baseName, { plistFormat: settings.plistFormat, pixelFormat: settings.pixelFormat })) {
+            addFile(file.name, file.content);
+        }
+
+        if (settings.meta) {
+            for (const page of pages) {
+                for (const meta of generateCocosMetaFiles(page.name, page.frames, settings.assetDir, page)) {
+                    addFile(meta.name, meta.content);
+                }
+            }
+        } else {
+            // 九宫格边距没有写入 meta 时写入附属 JSON
+            const borders = context.get('generateBorderSidecar')(pages, baseName);
+            if (borders) {
+                addFile(borders.name, borders.content);
+            }
+        }
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    return outputs.map(({ name, content }) => {
+        const filePath = path.join(outDir, name);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    });
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+
+    if (options.help || !options.command) {
+        console.log(USAGE);
+        return options.help ? 0 : 1;
+    }
+    if (options.command !== 'build') {
+        throw new Error(`未知命令: ${options.command}`);
+    }
+
+    let canvasModule;
+    try {
+        canvasModule = require('@napi-rs/canvas');
+    } catch (error) {
+        throw new Error('缺少依赖 @napi-rs/canvas，请先执行 npm install');
+    }
+
+    const written = await build(options, canvasModule);
+    console.log(`已生成 ${written.length} 个文件:`);
+    written.forEach(file => console.log(`  ${file}`));
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error(`错误: ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { parseArgs, resolveSettings, projectToOptions, collectImagePaths, createPackerContext, build };
@@ -7,6 +7,7 @@
 const smartSelector = new SmartAlgorithmSelector();
 const uxEnhancer = new UserExperienceEnhancer();
 const analytics = new MonitoringAnalytics();
+const packingTask = new PackingTask();
 
 // 全局状态管理
 class AppState {
@@ -15,9 +16,15 @@ class AppState {
         this.canvas = null;
         this.frames = null;
         this.atlases = [];
+        // 缩放变体的结果 [{ scale, suffix, atlases }]（预览和测试面板使用第一个变体），未设置缩放变体时为 null
+        this.scaleVariants = null;
         this.currentAlgorithm = getConfig('algorithm.default');
         this.useMultiAtlas = false;
         this.isProcessing = false;
+        // 稳定布局的基准（上次生成的单图集或导入的 plist），见 createLayoutReference
+        this.layoutReference = null;
+        // 正在编辑覆盖设置的图片
+        this.editingImage = null;
 
         // 性能优化器
         this.memoryManager = PerformanceOptimizer.memoryManager;
@@ -29,6 +36,7 @@ class AppState {
     addImages(newImages) {
         this.images = [...this.images, ...newImages];
         this.updateUI();
+        scheduleWorkspaceSave();
     }
 
     // 清空状态
@@ -47,7 +55,11 @@ class AppState {
         this.canvas = null;
         this.frames = null;
         this.atlases = [];
+        this.scaleVariants = null;
         this.isProcessing = false;
+        this.layoutReference = null;
+        this.editingImage = null;
+        scheduleWorkspaceSave();
 
         // 重置文件夹路径
         baseFolderPath = '';
@@ -60,6 +72,7 @@ class AppState {
         if (testResult) testResult.style.display = 'none';
         if (testPlaceholder) testPlaceholder.style.display = 'block';
         if (testInfo) testInfo.innerHTML = '';
+        sliceEditor.frame = null;
         if (testCanvas) {
             const ctx = testCanvas.getContext('2d');
             if (ctx && testCanvas.width > 0 && testCanvas.height > 0) {
@@ -70,8 +83,8 @@ class AppState {
         this.updateUI();
     }
 
-    // 设置图集结果
-    setAtlasResult(canvas, frames, atlases) {
+    // 设置图集结果（scaleVariants 见构造函数）
+    setAtlasResult(canvas, frames, atlases, scaleVariants = null) {
         // 释放旧canvas
         if (this.canvas) {
             this.memoryManager.releaseCanvas(this.canvas);
@@ -85,13 +98,20 @@ class AppState {
             width: canvas.width,
             height: canvas.height
         }];
+        this.scaleVariants = scaleVariants;
         
         if (canvas) {
             this.memoryManager.registerCanvas(canvas);
         }
+
+        // 测试面板正在预览的帧切换为新图集中的同名帧
+        if (sliceEditor.frame) {
+            refreshTestFrame();
+        }
         
         this.isProcessing = false;
         this.updateUI();
+        scheduleWorkspaceSave();
     }
 
     // 更新UI状态
@@ -102,6 +122,7 @@ class AppState {
         generateBtn.disabled = !hasImages || this.isProcessing;
         downloadBtn.disabled = !hasAtlas;
         clearBtn.disabled = !hasImages && !hasAtlas;
+        if (saveProjectBtn) saveProjectBtn.disabled = !hasImages;
         imageCount.textContent = `(${this.images.length})`;
 
         // 更新图片列表
@@ -146,21 +167,41 @@ class AppState {
     // 更新图片列表
     updateImageList() {
         imageList.innerHTML = '';
+
+        // 与前面某张图片像素完全相同的图片 → 原图名称
+        const duplicateOf = new Map(findDuplicateImages(this.images).duplicates.map(({ item, original }) => [item, original.name]));
+
         this.images.forEach((item, index) => {
             const div = document.createElement('div');
-            div.className = 'image-item';
+            div.className = ['image-item', duplicateOf.has(item) ? 'duplicate' : '', item === this.editingImage ? 'editing' : '']
+                .filter(Boolean).join(' ');
 
             // 根据路径长度调整显示
             const displayName = item.name;
             const isLongPath = displayName.includes('/');
+            const duplicateBadge = duplicateOf.has(item)
+                ? `<div class="image-duplicate" title="与 ${duplicateOf.get(item)} 像素相同">重复</div>`
+                : '';
+            const overridesBadge = item.overrides
+                ? `<div class="image-overrides" title="${describeSpriteOverrides(item.overrides)}">已单独设置</div>`
+                : '';
 
             div.innerHTML = `
                 <img src="${item.img.src}" alt="${item.name}">
                 <span class="image-name ${isLongPath ? 'long-path' : ''}" title="${displayName}">${displayName}</span>
                 <div class="image-size">${item.width}×${item.height}</div>
+                ${duplicateBadge}
+                ${overridesBadge}
+                <button class="settings-btn" title="单独设置">⚙</button>
                 <button class="delete-btn" data-index="${index}" title="删除">×</button>
             `;
 
+            div.querySelector('.settings-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.editingImage = this.editingImage === item ? null : item;
+                this.updateImageList();
+            });
+
             // 添加删除按钮事件
             const deleteBtn = div.querySelector('.delete-btn');
             deleteBtn.addEventListener('click', (e) => {
@@ -171,6 +212,12 @@ class AppState {
             imageList.appendChild(div);
         });
 
+        if (this.editingImage && this.images.includes(this.editingImage)) {
+            imageList.appendChild(this.createSpriteSettingsPanel(this.editingImage));
+        } else {
+            this.editingImage = null;
+        }
+
         // 添加长路径样式
         if (!document.getElementById('longPathStyle')) {
             const style = document.createElement('style');
@@ -183,16 +230,122 @@ class AppState {
                     text-overflow: ellipsis;
                     white-space: nowrap;
                 }
+                .image-item.duplicate {
+                    opacity: 0.75;
+                }
+                .image-duplicate {
+                    font-size: 11px;
+                    color: #f5576c;
+                }
+                .image-overrides {
+                    font-size: 11px;
+                    color: #667eea;
+                }
             `;
             document.head.appendChild(style);
         }
     }
 
+    /**
+     * 单张图片的设置面板（覆盖全局设置，见 spriteOverrides.js）
+     * 修改后立即保存到 item.overrides，重新生成图集后生效
+     * @param {Object} item - 图片条目
+     * @returns {HTMLElement}
+     */
+    createSpriteSettingsPanel(item) {
+        const overrides = item.overrides || {};
+        const border = overrides.border || {};
+        const pivot = overrides.pivot || {};
+        const trimValue = overrides.trim === undefined ? '' : String(overrides.trim);
+        const numberValue = value => (value === undefined ? '' : value);
+        const sourceWidth = item.sourceWidth || item.width;
+        const sourceHeight = item.sourceHeight || item.height;
+
+        const panel = document.createElement('div');
+        panel.className = 'sprite-settings';
+        panel.innerHTML = `
+            <div class="sprite-settings-header">
+                <strong title="${item.name}">${item.name}</strong>
+                <span>${sourceWidth}×${sourceHeight}，留空时使用全局设置</span>
+            </div>
+            <div class="sprite-settings-grid">
+                <label><input type="checkbox" name="allowRotation" ${overrides.allowRotation === false ? '' : 'checked'}> 允许旋转</label>
+                <label>裁剪透明像素
+                    <select name="trim">
+                        <option value="" ${trimValue === '' ? 'selected' : ''}>跟随全局</option>
+                        <option value="true" ${trimValue === 'true' ? 'selected' : ''}>裁剪</option>
+                        <option value="false" ${trimValue === 'false' ? 'selected' : ''}>不裁剪</option>
+                    </select>
+                </label>
+                <label>边缘扩展 (px) <input type="number" name="extrude" min="0" step="1" value="${numberValue(overrides.extrude)}"></label>
+                <label>固定页码 <input type="number" name="page" min="1" step="1" value="${numberValue(overrides.page)}" title="仅多图集时生效，相同页码的图片打包到同一页"></label>
+                <label>锚点 X <input type="number" name="pivotX" step="0.05" value="${numberValue(pivot.x)}" placeholder="0.5"></label>
+                <label>锚点 Y <input type="number" name="pivotY" step="0.05" value="${numberValue(pivot.y)}" placeholder="0.5" title="y 轴向上，0 为底边"></label>
+                <label>九宫格 左 <input type="number" name="borderLeft" min="0" step="1" value="${numberValue(border.left)}"></label>
+                <label>九宫格 右 <input type="number" name="borderRight" min="0" step="1" value="${numberValue(border.right)}"></label>
+                <label>九宫格 上 <input type="number" name="borderTop" min="0" step="1" value="${numberValue(border.top)}"></label>
+                <label>九宫格 下 <input type="number" name="borderBottom" min="0" step="1" value="${numberValue(border.bottom)}"></label>
+            </div>
+            <div class="sprite-settings-actions">
+                <button type="button" class="btn-clear" data-action="reset">恢复默认</button>
+                <button type="button" class="btn-clear" data-action="close">关闭</button>
+            </div>
+        `;
+
+        const field = name => panel.querySelector(`[name="${name}"]`);
+        const readNumber = name => (field(name).value === '' ? undefined : Number(field(name).value));
+        const anyFilled = names => names.some(name => field(name).value !== '');
+
+        const setOverrides = (next) => {
+            if (Object.keys(next).length > 0) {
+                item.overrides = next;
+            } else {
+                delete item.overrides;
+            }
+            scheduleWorkspaceSave();
+        };
+
+        panel.addEventListener('change', () => {
+            try {
+                setOverrides(normalizeSpriteOverrides({
+                    allowRotation: field('allowRotation').checked,
+                    trim: field('trim').value === '' ? undefined : field('trim').value === 'true',
+                    extrude: readNumber('extrude'),
+                    page: readNumber('page'),
+                    pivot: anyFilled(['pivotX', 'pivotY']) ? { x: readNumber('pivotX'), y: readNumber('pivotY') } : undefined,
+                    border: anyFilled(['borderLeft', 'borderRight', 'borderTop', 'borderBottom']) ? {
+                        left: readNumber('borderLeft'),
+                        right: readNumber('borderRight'),
+                        top: readNumber('borderTop'),
+                        bottom: readNumber('borderBottom')
+                    } : undefined
+                }, item.name));
+            } catch (error) {
+                showStatus(error.message, 'error');
+            }
+            this.updateImageList();
+        });
+
+        panel.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            setOverrides({});
+            this.updateImageList();
+        });
+        panel.querySelector('[data-action="close"]').addEventListener('click', () => {
+            this.editingImage = null;
+            this.updateImageList();
+        });
+
+        return panel;
+    }
+
     // 删除单张图片
     removeImage(index) {
         if (index < 0 || index >= this.images.length) return;
 
         const removedImage = this.images[index];
+        if (removedImage === this.editingImage) {
+            this.editingImage = null;
+        }
 
         // 从数组中移除
         this.images.splice(index, 1);
@@ -209,6 +362,7 @@ class AppState {
 
         // 更新UI
         this.updateUI();
+        scheduleWorkspaceSave();
 
         // 显示提示
         uxEnhancer.showInfo('图片已删除', `已移除: ${removedImage.name}`);
@@ -240,6 +394,7 @@ class AppState {
         if (testResult) testResult.style.display = 'none';
         if (testPlaceholder) testPlaceholder.style.display = 'block';
         if (testInfo) testInfo.innerHTML = '';
+        sliceEditor.frame = null;
         if (testCanvas) {
             const ctx = testCanvas.getContext('2d');
             if (ctx && testCanvas.width > 0 && testCanvas.height > 0) {
@@ -253,7 +408,7 @@ class AppState {
         if (this.atlases.length === 1) {
             atlasPreview.innerHTML = '';
             atlasPreview.appendChild(this.canvas);
-            showStats(this.canvas.width, this.canvas.height, this.images.length, this.images);
+            showStats(this.canvas.width, this.canvas.height, this.frames.length, this.frames);
         } else {
             this.displayMultiAtlasPreview();
         }
@@ -279,10 +434,13 @@ class AppState {
             const contentItem = document.createElement('div');
             contentItem.className = 'atlas-content-item';
             contentItem.style.display = index === 0 ? 'block' : 'none';
+            const usedArea = atlas.frames.filter(f => !f.aliasOf).reduce((sum, f) => sum + f.width * f.height, 0);
+            const occupancy = (usedArea / (atlas.width * atlas.height) * 100).toFixed(2);
             contentItem.innerHTML = `
                 <div class="atlas-info">
                     <div class="atlas-info-item"><strong>尺寸:</strong> ${atlas.width}×${atlas.height}</div>
                     <div class="atlas-info-item"><strong>图片数:</strong> ${atlas.frames.length} 张</div>
+                    <div class="atlas-info-item"><strong>占用率:</strong> ${occupancy}%</div>
                 </div>
             `;
 
@@ -318,6 +476,7 @@ class AppState {
         if (testResult) testResult.style.display = 'none';
         if (testPlaceholder) testPlaceholder.style.display = 'block';
         if (testInfo) testInfo.innerHTML = '';
+        sliceEditor.frame = null;
         if (testCanvas) {
             const ctx = testCanvas.getContext('2d');
             if (ctx && testCanvas.width > 0 && testCanvas.height > 0) {
@@ -333,7 +492,7 @@ class AppState {
         const totalImages = this.atlases.reduce((sum, atlas) => sum + atlas.frames.length, 0);
         const totalArea = this.atlases.reduce((sum, atlas) => sum + atlas.width * atlas.height, 0);
         const usedArea = this.atlases.reduce((sum, atlas) => 
-            sum + atlas.frames.reduce((s, f) => s + f.width * f.height, 0), 0);
+            sum + atlas.frames.filter(f => !f.aliasOf).reduce((s, f) => s + f.width * f.height, 0), 0);
         const efficiency = ((usedArea / totalArea) * 100).toFixed(2);
         
         stats.innerHTML = `
@@ -369,6 +528,11 @@ const atlasPreview = document.getElementById('atlasPreview');
 const generateBtn = document.getElementById('generateBtn');
 const downloadBtn = document.getElementById('downloadBtn');
 const clearBtn = document.getElementById('clearBtn');
+const openProjectBtn = document.getElementById('openProjectBtn');
+const saveProjectBtn = document.getElementById('saveProjectBtn');
+const projectInput = document.getElementById('projectInput');
+const sessionRestore = document.getElementById('sessionRestore');
+const storageInfo = document.getElementById('storageInfo');
 const imageCount = document.getElementById('imageCount');
 const status = document.getElementById('status');
 const stats = document.getElementById('stats');
@@ -426,7 +590,7 @@ function setUploadMode(mode) {
             tabFolder.style.background = 'white';
             tabFolder.style.color = '#667eea';
             uploadText.textContent = '点击或拖拽图片到此处';
-            uploadHint.textContent = '支持 PNG、JPG 格式，可多选';
+            uploadHint.textContent = '支持 PNG、JPG 格式，可多选；同时选择 .plist 和纹理可导入已有图集';
         } else {
             tabFolder.style.background = '#667eea';
             tabFolder.style.color = 'white';
@@ -470,7 +634,7 @@ async function handleFolderFiles(files) {
     }
 
     // 计算共同的基础路径
-    baseFolderPath = calculateBasePath(imageFiles);
+    baseFolderPath = calculateBasePath(imageFiles.map(f => f.webkitRelativePath || f.name));
 
     // 显示文件夹信息
     if (folderInfo && folderPath) {
@@ -529,55 +693,22 @@ async function handleFolderFiles(files) {
     }
 }
 
-// 计算基础路径（找出所有文件的共同父目录）
-function calculateBasePath(files) {
-    if (files.length === 0) return '';
-
-    // 获取所有文件的相对路径
-    const paths = files.map(f => f.webkitRelativePath || f.name);
-
-    // 找到第一个文件的路径作为基础
-    let basePath = paths[0];
-
-    // 遍历所有路径，找出共同前缀
-    for (let i = 1; i < paths.length; i++) {
-        const path = paths[i];
-        let commonLength = 0;
-
-        while (commonLength < basePath.length &&
-               commonLength < path.length &&
-               basePath[commonLength] === path[commonLength]) {
-            commonLength++;
-        }
-
-        basePath = basePath.substring(0, commonLength);
-    }
-
-    // 截取到最后一个 / 的位置
-    const lastSlash = basePath.lastIndexOf('/');
-    if (lastSlash > 0) {
-        basePath = basePath.substring(0, lastSlash);
-    } else {
-        basePath = '';
-    }
-
-    return basePath;
-}
-
 // 增强的文件处理
 async function handleFiles(files, useRelativePath = false) {
-    const imageFiles = Array.from(files).filter(file =>
+    const allFiles = Array.from(files);
+    const plistFiles = allFiles.filter(file => /\.plist$/i.test(file.name));
+    let imageFiles = allFiles.filter(file =>
         file.type === 'image/png' || file.type === 'image/jpeg' || file.type === 'image/jpg'
     );
 
     if (imageFiles.length === 0) {
-        showStatus('请选择有效的图片文件', 'error');
+        showStatus(plistFiles.length > 0 ? '请同时选择 plist 和对应的纹理图片' : '请选择有效的图片文件', 'error');
         return;
     }
 
     // 如果是拖拽文件且有相对路径，尝试计算基础路径
     if (useRelativePath && imageFiles[0]?.webkitRelativePath) {
-        baseFolderPath = calculateBasePath(imageFiles);
+        baseFolderPath = calculateBasePath(imageFiles.map(f => f.webkitRelativePath || f.name));
         if (folderInfo && folderPath && baseFolderPath) {
             folderPath.textContent = `已选择: ${baseFolderPath} (${imageFiles.length} 张图片)`;
             folderInfo.style.display = 'block';
@@ -590,22 +721,35 @@ async function handleFiles(files, useRelativePath = false) {
     try {
         PerformanceMonitor.startMeasure('loadImages');
 
+        // 已有图集：plist 与纹理配对后切回独立图片，纹理本身不再作为图片加载
+        let importedImages = [];
+        if (plistFiles.length > 0) {
+            const imported = await importAtlasFiles(plistFiles, imageFiles);
+            importedImages = imported.images;
+            imageFiles = imageFiles.filter(file => !imported.textures.has(file));
+            // 只导入一个图集时以它作为稳定布局的基准
+            if (imported.atlases.length === 1) {
+                appState.layoutReference = createLayoutReference(imported.atlases[0]);
+            }
+        }
+
         // 使用分批处理加载图片
         appState.batchProcessor.setProgressCallback((progress, current, total) => {
             PerformanceOptimizer.progressManager.update(progress, current, total);
         });
 
-        const newImages = await appState.batchProcessor.processBatch(
-            imageFiles,
-            (file) => loadSingleImage(file, useRelativePath)
-        );
+        const loadedImages = imageFiles.length > 0
+            ? await appState.batchProcessor.processBatch(imageFiles, (file) => loadSingleImage(file, useRelativePath))
+            : [];
+        const newImages = [...importedImages, ...loadedImages];
 
         const duration = PerformanceMonitor.endMeasure('loadImages');
 
         appState.addImages(newImages);
 
         PerformanceOptimizer.progressManager.hide();
-        showStatus(`成功加载 ${newImages.length} 张图片 (耗时 ${duration.toFixed(0)}ms)`, 'success');
+        const importText = importedImages.length > 0 ? `，其中 ${importedImages.length} 张从 ${plistFiles.length} 个图集中导入` : '';
+        showStatus(`成功加载 ${newImages.length} 张图片${importText} (耗时 ${duration.toFixed(0)}ms)`, 'success');
 
         // 显示缓存统计
         const cacheStats = appState.algorithmCache.getStats();
@@ -640,20 +784,27 @@ function updateAlgorithmSuggestion() {
     if (appState.images.length === 0) return;
 
     const suggestionElement = document.getElementById('algorithmSuggestion');
-    const currentAlgorithm = document.getElementById('algorithm').value;
+    const currentAlgorithm = parseAlgorithmOption(document.getElementById('algorithm').value).algorithm;
     const selection = smartSelector.selectBestAlgorithm(appState.images);
 
     if (!suggestionElement) return;
 
+    // 多边形模式用于不规则图片，不与矩形算法比较
+    if (currentAlgorithm === 'polygon') {
+        suggestionElement.style.display = 'none';
+        return;
+    }
+
     if (selection.algorithm !== currentAlgorithm) {
         const algorithmNames = {
             'maxRectangles': 'MaxRectangles',
-            'shelf': 'Shelf'
+            'shelf': 'Shelf',
+            'skyline': 'Skyline',
+            'guillotine': 'Guillotine'
         };
 
         // 计算得分差异
-        const scoreDiff = selection.scores[currentAlgorithm === 'maxRectangles' ? 'maxRectangles' : 'shelf'] -
-                         selection.scores[selection.algorithm];
+        const scoreDiff = (selection.scores[currentAlgorithm] || 0) - selection.scores[selection.algorithm];
 
         suggestionElement.style.display = 'block';
         suggestionElement.innerHTML = `
@@ -677,8 +828,30 @@ function updateAlgorithmSuggestion() {
     }
 }
 
+// 解析算法选项，例如 'maxRectangles-baf' → { algorithm: 'maxRectangles', variant: 'baf' }
+function parseAlgorithmOption(value) {
+    const [algorithm, variant = null] = value.split('-');
+    return { algorithm, variant };
+}
+
+// 多边形模式：显示顶点数设置，plist 需要格式 3 才能写入顶点
+function updatePolygonOptions() {
+    const isPolygon = parseAlgorithmOption(document.getElementById('algorithm').value).algorithm === 'polygon';
+    const options = document.getElementById('polygonOptions');
+    if (options) {
+        options.style.display = isPolygon ? 'block' : 'none';
+    }
+
+    const plistFormat = document.getElementById('plistFormat');
+    if (isPolygon && plistFormat && plistFormat.value !== '3') {
+        plistFormat.value = '3';
+        showStatus('多边形模式需要 plist 格式 3，已自动切换', 'info');
+    }
+}
+
 // 监听算法选择变化
 document.getElementById('algorithm')?.addEventListener('change', updateAlgorithmSuggestion);
+document.getElementById('algorithm')?.addEventListener('change', updatePolygonOptions);
 
 // 单张图片加载函数（支持相对路径）
 function loadSingleImage(file, useRelativePath = false) {
@@ -693,17 +866,11 @@ function loadSingleImage(file, useRelativePath = false) {
                 if (useRelativePath && file.webkitRelativePath) {
                     // 使用完整的相对路径作为名称
                     fullPath = file.webkitRelativePath;
-                    // 移除基础路径前缀，保留相对路径
-                    if (baseFolderPath && fullPath.startsWith(baseFolderPath + '/')) {
-                        displayName = fullPath.substring(baseFolderPath.length + 1);
-                    } else {
-                        displayName = fullPath;
-                    }
-                    // 移除扩展名
-                    displayName = displayName.replace(/\.(png|jpe?g)$/i, '');
+                    // 移除基础路径前缀和扩展名，保留相对路径
+                    displayName = getFrameName(fullPath, baseFolderPath);
                 } else {
                     // 仅使用文件名
-                    displayName = file.name.replace(/\.(png|jpe?g)$/i, '');
+                    displayName = getFrameName(file.name);
                     fullPath = file.name;
                 }
 
@@ -724,6 +891,48 @@ function loadSingleImage(file, useRelativePath = false) {
     });
 }
 
+// 导入已有图集：每个 plist 与一起选择的纹理配对，切出的帧作为图片条目
+async function importAtlasFiles(plistFiles, imageFiles) {
+    const images = [];
+    const textures = new Set();
+    const atlases = [];
+
+    for (const plistFile of plistFiles) {
+        const atlas = readPlistAtlas(await plistFile.text());
+        const textureFile = findAtlasTexture(atlas.textureFileName, plistFile.name, imageFiles);
+        if (!textureFile) {
+            throw new Error(`未找到 ${plistFile.name} 的纹理 ${atlas.textureFileName}，请同时选择 plist 和对应的 png`);
+        }
+        textures.add(textureFile);
+        atlases.push(atlas);
+
+        const texture = (await loadSingleImage(textureFile)).img;
+        for (const sprite of sliceAtlasFrames(texture, atlas.frames)) {
+            images.push(await loadCanvasImage(sprite.canvas, sprite.name));
+        }
+
+        analytics.trackAction('import_atlas', { format: atlas.format, frameCount: atlas.frames.length });
+    }
+
+    return { images, textures, atlases };
+}
+
+// 把画布转换为图片条目（与 loadSingleImage 的结果结构一致）
+function loadCanvasImage(canvas, name) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve({
+            img,
+            name,
+            fullPath: `${name}.png`,
+            width: img.width,
+            height: img.height
+        });
+        img.onerror = () => reject(new Error(`无法生成图片: ${name}`));
+        img.src = canvas.toDataURL('image/png');
+    });
+}
+
 // 图集生成函数
 async function generateAtlas() {
     if (appState.images.length === 0) {
@@ -731,12 +940,41 @@ async function generateAtlas() {
         return;
     }
 
-    const padding = parseInt(document.getElementById('padding').value) || 0;
-    const maxWidth = parseInt(document.getElementById('maxWidth').value) || 2048;
+    const shapePadding = parseInt(document.getElementById('padding').value) || 0;
+    const borderPadding = parseInt(document.getElementById('borderPadding')?.value) || 0;
+    const padding = { shape: shapePadding, border: borderPadding };
+    const extrude = parseInt(document.getElementById('extrude')?.value) || 0;
+    // 最大宽高由 AppConfig 提供默认值，并限制在 atlas.maxSize 以内
+    const maxSize = getConfig('atlas.maxSize');
+    const maxWidth = Math.min(parseInt(document.getElementById('maxWidth').value) || getConfig('atlas.defaultMaxWidth'), maxSize);
+    const maxHeight = Math.min(parseInt(document.getElementById('maxHeight')?.value) || getConfig('atlas.defaultMaxHeight'), maxSize);
     const usePowerOfTwo = document.getElementById('powerOfTwo').checked;
-    const algorithm = document.getElementById('algorithm').value;
+    const algorithmOption = document.getElementById('algorithm').value;
+    const { algorithm, variant } = parseAlgorithmOption(algorithmOption);
+    const heuristic = algorithm === 'maxRectangles' ? (variant || getConfig('algorithm.maxRectsHeuristic')) : null;
+    const splitRule = algorithm === 'guillotine' ? (variant || getConfig('algorithm.guillotineSplitRule')) : null;
+    const polygonHull = algorithm === 'polygon' ? (variant || getConfig('algorithm.polygonHull')) : null;
+    const polygonVertices = Math.max(3, parseInt(document.getElementById('polygonVertices')?.value) || getConfig('algorithm.polygonMaxVertices'));
+    const trim = document.getElementById('trimTransparent')?.checked || false;
+    const mergeDuplicates = document.getElementById('mergeDuplicates')?.checked || false;
+    const useMultiAtlas = document.getElementById('multiAtlas')?.checked || false;
+    const multiAtlasMode = document.getElementById('multiAtlasMode')?.value || getConfig('atlas.multiAtlasMode');
+    const scaleFilter = document.getElementById('scaleFilter')?.value || getConfig('atlas.scaleFilter');
+    let scaleVariants;
+    try {
+        scaleVariants = getScaleVariants();
+    } catch (error) {
+        showStatus(error.message, 'error');
+        return;
+    }
+    // 稳定布局只用于单图集（多边形模式的帧矩形可能重叠，缩放变体没有各自的基准，也不使用），没有基准（首次生成）时正常打包
+    const stableReference = !useMultiAtlas && algorithm !== 'polygon' && scaleVariants.length === 0 &&
+        document.getElementById('stableLayout')?.checked
+        ? appState.layoutReference
+        : null;
 
     appState.currentAlgorithm = algorithm;
+    appState.useMultiAtlas = useMultiAtlas;
     appState.isProcessing = true;
     appState.updateUI();
 
@@ -746,7 +984,7 @@ async function generateAtlas() {
     // 输出详细的算法对比信息
     console.log('[SmartSelector] ============ 算法分析报告 ============');
     console.log('[SmartSelector] 推荐算法:', smartSelection.algorithm);
-    console.log('[SmartSelector] 当前算法:', algorithm);
+    console.log('[SmartSelector] 当前算法:', algorithmOption);
     console.log('[SmartSelector] 原因:', smartSelection.reason);
     console.log('[SmartSelector] 置信度:', (smartSelection.confidence * 100).toFixed(1) + '%');
 
@@ -769,6 +1007,8 @@ async function generateAtlas() {
     console.log('[SmartSelector] 算法评分:');
     console.log('  - MaxRectangles:', smartSelection.scores.maxRectangles);
     console.log('  - Shelf:', smartSelection.scores.shelf);
+    console.log('  - Skyline:', smartSelection.scores.skyline);
+    console.log('  - Guillotine:', smartSelection.scores.guillotine);
 
     // 输出完整的对比报告
     const comparisonReport = smartSelector.generateComparisonReport(appState.images);
@@ -786,82 +1026,181 @@ async function generateAtlas() {
     uxEnhancer.showEnhancedProgress('生成图集中...', 0, {
         algorithm: algorithm,
         imageCount: appState.images.length,
-        padding: padding,
-        maxWidth: maxWidth
+        padding: shapePadding,
+        maxWidth: maxWidth,
+        maxHeight: maxHeight
     });
 
     try {
         const endMeasure = analytics.startMeasure('generateAtlas', {
             algorithm,
             imageCount: appState.images.length,
-            padding,
+            padding: shapePadding,
+            borderPadding,
+            extrude,
             maxWidth,
-            usePowerOfTwo
+            maxHeight,
+            usePowerOfTwo,
+            trim,
+            mergeDuplicates,
+            useMultiAtlas
         });
 
-        // 检查缓存
-        const cacheKey = { padding, maxWidth, usePowerOfTwo };
-        const cachedResult = appState.algorithmCache.get(appState.images, algorithm, cacheKey);
+        // 导出对话框中选择了 plist 格式 0 / 1 时不旋转（这两种格式不支持旋转帧）
+        const allowRotation = isRotationSupported(getExportFormat(), getPlistFormat());
+        // 裁剪透明像素（仅打包不透明区域）并应用单张图片的覆盖设置，边缘扩展的像素由打包算法在间距之外预留
+        const imageOptions = { trim, extrude, alphaThreshold: getConfig('atlas.trimAlphaThreshold'), filter: scaleFilter, allowRotation };
+        const packingOptions = {
+            mergeDuplicates,
+            polygon: algorithm === 'polygon'
+                ? { hull: polygonHull, maxVertices: polygonVertices, alphaThreshold: imageOptions.alphaThreshold }
+                : null
+        };
 
-        let result;
+        let atlases;
+        let packingImages;
+        let duplicates;
+        let variantResults = null;
         let fromCache = false;
 
-        if (cachedResult) {
-            console.log('[Cache] 使用缓存的图集结果');
-            result = restoreFromCache(cachedResult);
-            fromCache = true;
+        const packingRequest = {
+            algorithm,
+            padding,
+            maxWidth,
+            maxHeight,
+            usePowerOfTwo,
+            heuristic,
+            splitRule,
+            freeRectChoice: getConfig('algorithm.guillotineFreeRectChoice'),
+            merge: getConfig('algorithm.guillotineMerge'),
+            multiAtlas: useMultiAtlas,
+            multiAtlasMode,
+            stableReference,
+            useWorker: getConfig('performance.useWorker')
+        };
+
+        if (scaleVariants.length > 0) {
+            // 缩放变体：每个变体分别重采样和打包（间距按比例缩放，不使用缓存），预览第一个变体
+            variantResults = [];
+            for (const variant of scaleVariants) {
+                const variantName = variant.suffix || `${variant.scale}x`;
+                const prepared = preparePackingImages(prepareVariantImages(appState.images, variant, imageOptions), packingOptions);
+                const request = { ...packingRequest, padding: scalePadding(padding, variant.scale) };
+                const layouts = await generateLayouts(prepared.packingImages, request, `打包缩放变体 ${variantName}...`);
+                const variantAtlases = layouts.filter(Boolean).map(layout => renderLayout(addDuplicateFrames(layout, prepared.duplicates)));
+                if (variantAtlases.length === 0) {
+                    throw new Error(`图集生成失败（缩放变体 ${variantName}）: 图片尺寸超过最大尺寸限制 (${maxWidth}×${maxHeight})`);
+                }
+                variantResults.push({ ...variant, ...prepared, atlases: variantAtlases });
+            }
+            ({ atlases, packingImages, duplicates } = variantResults[0]);
+        } else if (useMultiAtlas) {
+            ({ packingImages, duplicates } = preparePackingImages(prepareSpriteImages(appState.images, imageOptions), packingOptions));
+
+            // 多图集：放不下的图片自动拆分到额外的图集
+            const layouts = await generateLayouts(packingImages, packingRequest, '打包多图集...');
+            atlases = layouts.map(layout => renderLayout(addDuplicateFrames(layout, duplicates)));
+
+            if (atlases.length === 0) {
+                throw new Error('图集生成失败: 没有可打包的图片');
+            }
         } else {
-            // 执行算法
-            uxEnhancer.showEnhancedProgress('打包图片...', 20, {
-                algorithm: algorithm,
-                phase: 'packing'
-            });
+            ({ packingImages, duplicates } = preparePackingImages(prepareSpriteImages(appState.images, imageOptions), packingOptions));
+
+            // 检查缓存（稳定布局的结果取决于基准，不使用缓存）
+            const cacheKey = { padding, extrude, maxWidth, maxHeight, usePowerOfTwo, trim, mergeDuplicates, polygonHull, polygonVertices: polygonHull ? polygonVertices : null, allowRotation };
+            const cachedResult = stableReference ? null : appState.algorithmCache.get(appState.images, algorithmOption, cacheKey);
 
-            if (algorithm === 'maxRectangles') {
-                result = await generateWithMaxRectangles(appState.images, padding, maxWidth, usePowerOfTwo);
+            let result;
+
+            if (cachedResult) {
+                console.log('[Cache] 使用缓存的图集结果');
+                result = restoreFromCache(cachedResult, appState.images);
+                fromCache = true;
             } else {
-                result = await generateWithShelf(appState.images, padding, maxWidth, usePowerOfTwo);
+                // 执行算法（布局搜索在 Worker 中进行，最优布局只绘制一次）
+                const layouts = await generateLayouts(packingImages, packingRequest, '搜索最优布局...');
+                result = renderLayout(layouts[0] ? addDuplicateFrames(layouts[0], duplicates) : null);
+
+                // 缓存结果（不缓存 canvas 和图片对象，帧只记录图片的内容键）
+                if (result && !result.stable) {
+                    const contentKeys = new Map(appState.images.map(item => [item.img, getImageContentKey(item)]));
+                    const cacheData = {
+                        frames: result.frames.map(({ img, ...frame }) => ({ ...frame, contentKey: contentKeys.get(img) })),
+                        width: result.width,
+                        height: result.height
+                    };
+                    appState.algorithmCache.set(appState.images, algorithmOption, cacheKey, cacheData);
+                }
             }
 
-            // 缓存结果（不缓存 canvas 对象，只缓存帧信息和尺寸）
-            if (result) {
-                const cacheData = {
-                    frames: result.frames,
-                    width: result.width,
-                    height: result.height
-                };
-                appState.algorithmCache.set(appState.images, algorithm, cacheKey, cacheData);
+            if (!result) {
+                throw new Error(`图集生成失败: 图片尺寸超过最大尺寸限制 (${maxWidth}×${maxHeight})`);
             }
-        }
 
-        if (!result) {
-            throw new Error('图集生成失败: 图片尺寸超过最大宽度限制');
+            atlases = [{
+                canvas: result.canvas,
+                frames: result.frames,
+                width: result.width,
+                height: result.height,
+                heuristic: result.heuristic,
+                splitRule: result.splitRule,
+                stable: result.stable
+            }];
         }
 
         // 验证结果
         uxEnhancer.showEnhancedProgress('验证结果...', 80, {
             phase: 'validation'
         });
-        validateFrames(result.frames, result.canvas.width, result.canvas.height);
+        (variantResults ? variantResults.flatMap(result => result.atlases) : atlases).forEach(atlas => {
+            validateAtlasSize(atlas, maxWidth, maxHeight);
+            validateFrames(atlas.frames, atlas.canvas.width, atlas.canvas.height);
+        });
+
+        const efficiency = calculateAtlasesEfficiency(packingImages, atlases);
 
         const duration = endMeasure({
             success: true,
             fromCache,
-            efficiency: calculateEfficiency(appState.images, result.canvas.width, result.canvas.height)
+            efficiency,
+            atlasCount: atlases.length
         });
 
-        appState.setAtlasResult(result.canvas, result.frames, [{
-            canvas: result.canvas,
-            frames: result.frames,
-            width: result.width,
-            height: result.height
-        }]);
+        appState.setAtlasResult(atlases[0].canvas, atlases[0].frames, atlases,
+            variantResults && variantResults.map(({ scale, suffix, atlases }) => ({ scale, suffix, atlases })));
+        if (atlases.length === 1 && !variantResults) {
+            appState.layoutReference = createLayoutReference(atlases[0]);
+        }
 
         PerformanceOptimizer.progressManager.hide();
         uxEnhancer.hideEnhancedProgress();
 
         const sizeType = usePowerOfTwo ? '2的幂次方' : '原始';
-        const efficiency = calculateEfficiency(appState.images, result.canvas.width, result.canvas.height);
+        let sizeText = atlases.length === 1
+            ? `尺寸: ${atlases[0].width}×${atlases[0].height} (${sizeType})`
+            : `图集数: ${atlases.length} 个 (${sizeType})`;
+        if (variantResults) {
+            sizeText = `缩放变体: ${variantResults.map(result => {
+                const pageText = result.atlases.length === 1
+                    ? `${result.atlases[0].width}×${result.atlases[0].height}`
+                    : `${result.atlases.length} 个图集`;
+                return `${result.suffix || `${result.scale}x`} ${pageText}`;
+            }).join(' / ')} (${sizeType})`;
+        }
+        let heuristicText = '';
+        if (heuristic === 'auto' && atlases[0].heuristic) {
+            heuristicText = `, 最优启发式: ${MAX_RECTS_HEURISTICS[atlases[0].heuristic].name}`;
+        } else if (splitRule === 'auto' && atlases[0].splitRule) {
+            heuristicText = `, 最优分割规则: ${GUILLOTINE_SPLIT_RULES[atlases[0].splitRule].name}`;
+        }
+        const duplicateText = duplicates.length > 0 ? `, 合并重复图片 ${duplicates.length} 张` : '';
+        let stableText = '';
+        if (atlases[0].stable) {
+            stableText = `, 稳定布局: 保留 ${atlases[0].stable.kept} 帧, 放入 ${atlases[0].stable.added} 帧`;
+        } else if (stableReference) {
+            stableText = ', 新图片在原布局中放不下，已完整重新打包';
+        }
 
         // 记录算法使用结果
         smartSelector.recordResult(algorithm, true, parseFloat(efficiency));
@@ -869,25 +1208,37 @@ async function generateAtlas() {
         // 跟踪用户行为
         analytics.trackAction('generate_atlas', {
             algorithm,
-            padding,
+            heuristic,
+            splitRule,
+            padding: shapePadding,
+            borderPadding,
+            extrude,
             maxWidth,
+            maxHeight,
             usePowerOfTwo,
+            trim,
+            useMultiAtlas,
+            multiAtlasMode: useMultiAtlas ? multiAtlasMode : null,
+            scaleVariants: scaleVariants.length,
+            stableLayout: atlases[0].stable ? 'kept' : (stableReference ? 'fallback' : null),
+            duplicateCount: duplicates.length,
             imageCount: appState.images.length,
             duration,
             efficiency: parseFloat(efficiency),
             fromCache,
-            width: result.width,
-            height: result.height
+            atlasCount: atlases.length,
+            width: atlases[0].width,
+            height: atlases[0].height
         });
 
         // 显示成功通知
         const cacheInfo = fromCache ? ' (缓存)' : '';
         uxEnhancer.showSuccess(
             `图集生成成功！`,
-            `尺寸: ${result.width}×${result.height} (${sizeType}), 利用率: ${efficiency}%, 耗时: ${duration.toFixed(0)}ms${cacheInfo}`
+            `${sizeText}${heuristicText}${duplicateText}${stableText}, 利用率: ${efficiency}%, 耗时: ${duration.toFixed(0)}ms${cacheInfo}`
         );
 
-        showStatus(`图集生成成功！尺寸: ${result.width}×${result.height} (${sizeType}), 利用率: ${efficiency}% (耗时 ${duration.toFixed(0)}ms)`, 'success');
+        showStatus(`图集生成成功！${sizeText}${heuristicText}${duplicateText}${stableText}, 利用率: ${efficiency}% (耗时 ${duration.toFixed(0)}ms)`, 'success');
 
         // 显示性能统计
         const perfStats = PerformanceMonitor.getAllStats();
@@ -900,6 +1251,17 @@ async function generateAtlas() {
         appState.isProcessing = false;
         appState.updateUI();
 
+        // 用户取消不算失败
+        if (error.cancelled) {
+            analytics.trackAction('cancel_generate_atlas', {
+                algorithm,
+                imageCount: appState.images.length
+            });
+            uxEnhancer.showInfo('已取消生成图集');
+            showStatus('已取消生成图集', 'info');
+            return;
+        }
+
         // 跟踪错误
         analytics.trackError(error, {
             algorithm,
@@ -923,71 +1285,82 @@ async function generateAtlas() {
     }
 }
 
-// MaxRectangles算法生成
-async function generateWithMaxRectangles(images, padding, maxWidth, usePowerOfTwo) {
-    return new Promise((resolve) => {
-        setTimeout(() => {
-            PerformanceMonitor.startMeasure('maxRectanglesAlgorithm');
-            const result = packImagesWithMaxRectangles(images, padding, maxWidth, usePowerOfTwo);
-            PerformanceMonitor.endMeasure('maxRectanglesAlgorithm');
-            resolve(result);
-        }, 10);
-    });
+// 读取界面中的缩放变体，格式错误时报错
+function getScaleVariants() {
+    return parseScaleVariants(document.getElementById('scaleVariants')?.value);
 }
 
-// Shelf算法生成
-async function generateWithShelf(images, padding, maxWidth, usePowerOfTwo) {
-    return new Promise((resolve) => {
-        setTimeout(() => {
-            PerformanceMonitor.startMeasure('shelfAlgorithm');
-            const result = packImages(images, padding, maxWidth, usePowerOfTwo);
-            PerformanceMonitor.endMeasure('shelfAlgorithm');
-            resolve(result);
-        }, 10);
+// 准备打包的图片：多边形模式描出轮廓，像素相同的图片只打包一份，其余作为别名帧加入原图所在的图集
+function preparePackingImages(spriteImages, { mergeDuplicates, polygon }) {
+    const trimmedImages = polygon ? tracePolygonImages(spriteImages, polygon) : spriteImages;
+    const { unique, duplicates } = mergeDuplicates
+        ? findDuplicateImages(trimmedImages)
+        : { unique: trimmedImages, duplicates: [] };
+    return { packingImages: unique, duplicates };
+}
+
+// 搜索布局：在 Worker 中执行，进度条显示真实进度（候选 N / M、目前最优利用率），可随时取消
+async function generateLayouts(images, request, message) {
+    const measureName = request.multiAtlas ? 'multiAtlasAlgorithm' : `${request.algorithm}Algorithm`;
+
+    // 候选布局很多时进度消息非常密集，限制界面刷新频率
+    let lastUpdate = 0;
+    packingTask.setProgressCallback(({ current, total, efficiency }) => {
+        const now = performance.now();
+        if (now - lastUpdate < 100 && current < total) return;
+        lastUpdate = now;
+
+        const details = { algorithm: request.algorithm, phase: 'packing' };
+        if (efficiency > 0) {
+            details.bestEfficiency = efficiency;
+        }
+        uxEnhancer.updateEnhancedProgress(message, 20 + 60 * current / total, current, total, details);
     });
+    uxEnhancer.setProgressCancelHandler(() => packingTask.cancel());
+    uxEnhancer.showEnhancedProgress(message, 20, {
+        algorithm: request.algorithm,
+        phase: 'packing'
+    });
+
+    PerformanceMonitor.startMeasure(measureName);
+    try {
+        return await packingTask.run(images, request);
+    } finally {
+        PerformanceMonitor.endMeasure(measureName);
+        uxEnhancer.setProgressCancelHandler(null);
+    }
 }
 
 // 从缓存恢复图集结果
-function restoreFromCache(cacheData) {
-    const { frames, width, height } = cacheData;
-
-    // 创建新的 canvas
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
+function restoreFromCache(cacheData, images) {
+    const { width, height } = cacheData;
 
-    // 绘制所有帧（frames 中已包含 img 引用）
-    for (const frame of frames) {
+    // 缓存的是布局，按内容键找回当前的图片对象后只需重新绘制一次
+    const imgByKey = new Map(images.map(item => [getImageContentKey(item), item.img]));
+    const frames = cacheData.frames.map(({ contentKey, ...frame }) => ({ ...frame, img: imgByKey.get(contentKey) }));
+    const drawable = frames.filter(frame => {
         if (!frame.img) {
             console.warn(`[Restore] 帧 ${frame.name} 缺少图片引用`);
-            continue;
+            return false;
         }
-
-        if (frame.rotated) {
-            ctx.save();
-            ctx.translate(frame.x + frame.width / 2, frame.y + frame.height / 2);
-            ctx.rotate(-Math.PI / 2);
-            ctx.drawImage(
-                frame.img,
-                0, 0, frame.originalWidth, frame.originalHeight,
-                -frame.originalWidth / 2, -frame.originalHeight / 2,
-                frame.originalWidth, frame.originalHeight
-            );
-            ctx.restore();
-        } else {
-            ctx.drawImage(frame.img, frame.x, frame.y, frame.width, frame.height);
-        }
-    }
+        return true;
+    });
 
     return {
-        canvas,
+        canvas: renderFrames(drawable, width, height),
         frames,
         width,
         height
     };
 }
 
+// 图集尺寸验证函数
+function validateAtlasSize(atlas, maxWidth, maxHeight) {
+    if (atlas.width > maxWidth || atlas.height > maxHeight) {
+        throw new Error(`图集尺寸 ${atlas.width}×${atlas.height} 超过最大尺寸限制 ${maxWidth}×${maxHeight}`);
+    }
+}
+
 // 帧验证函数
 function validateFrames(frames, atlasWidth, atlasHeight) {
     for (const frame of frames) {
@@ -1016,6 +1389,13 @@ function calculateEfficiency(images, atlasWidth, atlasHeight) {
     return ((usedArea / totalArea) * 100).toFixed(2);
 }
 
+// 计算多个图集的整体空间利用率（多边形模式的帧矩形可能重叠，按多边形面积计算）
+function calculateAtlasesEfficiency(images, atlases) {
+    const totalArea = atlases.reduce((sum, atlas) => sum + atlas.canvas.width * atlas.canvas.height, 0);
+    const usedArea = images.reduce((sum, img) => sum + (img.polygon ? Math.abs(getPolygonArea(img.polygon.vertices)) : img.width * img.height), 0);
+    return ((usedArea / totalArea) * 100).toFixed(2);
+}
+
 // 显示统计信息
 function showStats(width, height, count, images) {
     const totalArea = width * height;
@@ -1061,6 +1441,7 @@ function showDownloadDialog() {
     if (exportFileName) {
         exportFileName.value = defaultName;
         updateFilePreview();
+        updatePng8Stats();
         exportFileName.focus();
     }
 
@@ -1075,27 +1456,233 @@ function hideDownloadDialog() {
     downloadModal.style.display = 'none';
 }
 
-// 获取导出格式
+// 获取导出格式（数据文件格式，见 ATLAS_EXPORTERS）
 function getExportFormat() {
     const radio = document.querySelector('input[name="exportFormat"]:checked');
-    return radio ? radio.value : 'zip';
+    return radio ? radio.value : getConfig('export.defaultFormat');
+}
+
+// 获取打包方式（zip / separate）
+function getExportPackaging() {
+    const radio = document.querySelector('input[name="exportPackaging"]:checked');
+    return radio ? radio.value : getConfig('export.defaultPackaging');
+}
+
+// 获取 plist 格式版本（0 ~ 3）
+function getPlistFormat() {
+    const select = document.getElementById('plistFormat');
+    return select ? Number(select.value) : getConfig('export.plistFormat');
+}
+
+// 获取像素格式（RGBA8888 / RGBA4444 / RGB565 / RGBA5551）
+function getPixelFormat() {
+    return document.getElementById('pixelFormat')?.value || getConfig('export.pixelFormat');
+}
+
+// 获取降低像素精度时的抖动方式
+function getDitherMode() {
+    return document.getElementById('ditherMode')?.value || getConfig('export.dither');
+}
+
+// 获取 PNG8 选项 { quality, dither }，未勾选时返回 null
+function getPng8Options() {
+    if (!document.getElementById('exportPng8')?.checked) {
+        return null;
+    }
+    return {
+        quality: parseInt(document.getElementById('png8Quality')?.value, 10),
+        dither: document.getElementById('png8Dither')?.checked || false
+    };
+}
+
+// 获取 Cocos Creator meta 导出选项，未勾选或不是 Cocos 格式时返回 null
+function getCocosMetaOptions() {
+    if (getExportFormat() !== 'cocos-plist' || !document.getElementById('exportCocosMeta')?.checked) {
+        return null;
+    }
+    return { assetDir: document.getElementById('cocosAssetDir')?.value.trim() || '' };
+}
+
+// 按导出格式表生成格式选项
+function renderExportFormatOptions() {
+    const group = document.getElementById('exportFormatGroup');
+    if (!group) return;
+
+    const defaultFormat = getConfig('export.defaultFormat');
+    group.innerHTML = Object.entries(ATLAS_EXPORTERS).map(([key, exporter]) => `
+        <label class="radio-label">
+            <input type="radio" name="exportFormat" value="${key}"${key === defaultFormat ? ' checked' : ''}>
+            <span>${exporter.name}</span>
+        </label>`).join('');
 }
 
 // 更新文件预览
 function updateFilePreview() {
     const exportFileName = document.getElementById('exportFileName');
-    const filePreview = document.getElementById('filePreview');
     const fileHint = document.getElementById('fileHint');
-    
+    const exportCocosMeta = document.getElementById('exportCocosMeta');
+    const plistFormat = document.getElementById('plistFormat');
+    const ditherMode = document.getElementById('ditherMode');
+
     const fileName = exportFileName.value.trim() || 'sprite_atlas';
     const format = getExportFormat();
-    
-    if (format === 'zip') {
-        filePreview.textContent = `${fileName}.zip`;
-        fileHint.innerHTML = `导出的文件为: <span id="filePreview">${fileName}.zip</span> (包含 .png 和 .plist)`;
+    const exporter = ATLAS_EXPORTERS[format];
+    const pages = getExportPages(appState.atlases, fileName);
+
+    if (exportCocosMeta) {
+        exportCocosMeta.disabled = format !== 'cocos-plist';
+    }
+    if (plistFormat) {
+        plistFormat.disabled = format !== 'cocos-plist';
+    }
+    // 原始颜色不需要抖动
+    const pixelFormat = getPixelFormat();
+    if (ditherMode) {
+        ditherMode.disabled = pixelFormat === DEFAULT_PIXEL_FORMAT;
+    }
+    updatePng8Controls();
+
+    // 多图集按序号命名: name_1.png, name_2.png ...
+    const pngText = pages.length > 1
+        ? `${pages[0].name}.png ~ ${pages[pages.length - 1].name}.png`
+        : `${fileName}.png`;
+    let dataText = `${fileName}.${exporter.extension}`;
+    if (pages.length > 1 && !exporter.singleFile) {
+        dataText = `对应的 .${exporter.extension}`;
+    }
+    // 九宫格边距写入 meta，不导出 meta 时写入附属 JSON
+    const hasBorders = appState.atlases.some(atlas => atlas.frames.some(frame => frame.border));
+    let metaText = '';
+    if (getCocosMetaOptions()) {
+        metaText = ' 及 .meta';
+    } else if (hasBorders) {
+        metaText = ` 及 ${fileName}.borders.json`;
+    }
+    // 图集中已有旋转帧时，plist 格式 0 / 1 需要重新生成（生成时按所选格式禁止旋转）
+    const hasRotated = appState.atlases.some(atlas => atlas.frames.some(frame => frame.rotated));
+    const rotationText = hasRotated && !isRotationSupported(format, getPlistFormat())
+        ? `；当前图集含旋转帧，plist 格式 ${getPlistFormat()} 不支持，请重新生成图集（将不旋转）`
+        : '';
+
+    // 缩放变体的文件名为 名称+后缀，每个变体一组文件
+    const variantText = appState.scaleVariants
+        ? `；每个缩放变体一组，文件名加后缀 ${appState.scaleVariants.map(variant => variant.suffix || '(无)').join(' / ')}`
+        : '';
+    let pixelText = pixelFormat !== DEFAULT_PIXEL_FORMAT ? `；png 按 ${pixelFormat} 精度导出` : '';
+    if (getPng8Options()) {
+        pixelText += '；png 为 PNG8 索引色';
+    }
+
+    if (getExportPackaging() === 'zip') {
+        fileHint.innerHTML = `导出的文件为: <span id="filePreview">${fileName}.zip</span> (包含 ${pngText} 和 ${dataText}${metaText}${variantText}${pixelText}${rotationText})`;
+    } else {
+        fileHint.innerHTML = `导出的文件为: <span id="filePreview">${pngText}</span> 和 ${dataText}${metaText}${variantText}${pixelText}${rotationText}`;
+    }
+}
+
+// PNG8 选项的显示：质量对应的颜色数，未勾选 PNG8 时禁用
+function updatePng8Controls() {
+    const png8 = getPng8Options();
+    const quality = document.getElementById('png8Quality');
+    const dither = document.getElementById('png8Dither');
+    const qualityText = document.getElementById('png8QualityText');
+
+    if (quality) {
+        quality.disabled = !png8;
+    }
+    if (dither) {
+        dither.disabled = !png8;
+    }
+    if (quality && qualityText) {
+        qualityText.textContent = `${quality.value}（最多 ${getPaletteSize(parseInt(quality.value, 10))} 色）`;
+    }
+}
+
+// 导出 png 的内容：按像素格式降低精度，勾选 PNG8 时编码为索引色 PNG
+async function createExportPng(canvas, pixelFormat, dither, png8) {
+    const reduced = reduceCanvasPixelFormat(canvas, pixelFormat, dither);
+    if (png8) {
+        const result = await encodeCanvasPng8(reduced, png8);
+        return { ...result, blob: new Blob([result.data], { type: 'image/png' }) };
+    }
+    const blob = await new Promise(resolve => {
+        reduced.toBlob(resolve, 'image/png');
+    });
+    return { blob };
+}
+
+// PNG8 前后的文件大小和 PSNR（当前预览的图集，所有页合计），计算较慢，只保留最后一次的结果
+let png8StatsToken = 0;
+async function updatePng8Stats() {
+    const stats = document.getElementById('png8Stats');
+    const png8 = getPng8Options();
+    const token = ++png8StatsToken;
+    if (!stats) return;
+    if (!png8 || appState.atlases.length === 0) {
+        stats.style.display = 'none';
+        return;
+    }
+
+    stats.style.display = 'block';
+    stats.textContent = '正在计算 PNG8 大小...';
+    try {
+        const pixelFormat = getPixelFormat();
+        const dither = getDitherMode();
+        let originalSize = 0;
+        let png8Size = 0;
+        let squaredError = 0;
+        let pixelCount = 0;
+        let colors = 0;
+        for (const atlas of appState.atlases) {
+            const original = await createExportPng(atlas.canvas, pixelFormat, dither, null);
+            const result = await createExportPng(atlas.canvas, pixelFormat, dither, png8);
+            if (token !== png8StatsToken) return;
+
+            originalSize += original.blob.size;
+            png8Size += result.blob.size;
+            squaredError += result.mse * atlas.canvas.width * atlas.canvas.height;
+            pixelCount += atlas.canvas.width * atlas.canvas.height;
+            colors = Math.max(colors, result.colors);
+        }
+
+        const saved = originalSize > 0 ? Math.round((1 - png8Size / originalSize) * 100) : 0;
+        const psnr = calculatePsnr(pixelCount > 0 ? squaredError / pixelCount : 0);
+        stats.innerHTML = `PNG8: <span>${uxEnhancer.formatFileSize(originalSize)}</span> → <span>${uxEnhancer.formatFileSize(png8Size)}</span>` +
+            `（${saved >= 0 ? '减小' : '增大'} ${Math.abs(saved)}%），${colors} 色，PSNR <span>${formatPsnr(psnr)}</span>`;
+    } catch (error) {
+        if (token === png8StatsToken) {
+            stats.textContent = `PNG8 计算失败: ${error.message}`;
+        }
+    }
+}
+
+// 收集导出文件：每页的 png、所选格式的数据文件以及可选的 Cocos meta（不导出 meta 时九宫格边距写入附属 JSON）
+// png 按 formatOptions.pixelFormat 降低精度（formatOptions.dither 为抖动方式），formatOptions.png8 不为空时编码为 PNG8
+async function collectExportFiles(atlases, baseName, format, formatOptions, cocosMeta) {
+    const pages = getExportPages(atlases, baseName);
+    const files = [];
+
+    for (let i = 0; i < atlases.length; i++) {
+        const { blob } = await createExportPng(atlases[i].canvas, formatOptions.pixelFormat, formatOptions.dither, formatOptions.png8);
+        files.push({ name: `${pages[i].name}.png`, content: blob, mimeType: 'image/png' });
+    }
+
+    files.push(...exportAtlasData(format, pages, baseName, formatOptions));
+
+    if (cocosMeta) {
+        for (const page of pages) {
+            for (const meta of generateCocosMetaFiles(page.name, page.frames, cocosMeta.assetDir, page)) {
+                files.push({ ...meta, mimeType: 'application/json' });
+            }
+        }
     } else {
-        fileHint.innerHTML = `导出的文件为: <span id="filePreview">${fileName}.png</span> 和 <span>${fileName}.plist</span>`;
+        const borders = generateBorderSidecar(pages, baseName);
+        if (borders) {
+            files.push(borders);
+        }
     }
+
+    return files;
 }
 
 // 确认下载
@@ -1106,113 +1693,439 @@ async function confirmDownload() {
     }
 
     const exportFileName = document.getElementById('exportFileName');
-    const downloadModal = document.getElementById('downloadModal');
     
     const atlasName = exportFileName.value.trim() || 'sprite_atlas';
     const format = getExportFormat();
+    const packaging = getExportPackaging();
+    const formatOptions = { plistFormat: getPlistFormat(), pixelFormat: getPixelFormat(), dither: getDitherMode(), png8: getPng8Options() };
+    const cocosMeta = getCocosMetaOptions();
+    const atlasCount = appState.atlases.length;
+    // 没有缩放变体时只导出当前图集，文件名不加后缀
+    const variants = appState.scaleVariants || [{ suffix: '', atlases: appState.atlases }];
 
     if (!atlasName || atlasName.length === 0) {
         showStatus('请输入文件名称', 'error');
         return;
     }
 
-    const plistContent = generatePlist(atlasName, appState.canvas.width, appState.canvas.height, appState.frames);
+    try {
+        const files = [];
+        for (const variant of variants) {
+            files.push(...await collectExportFiles(variant.atlases, `${atlasName}${variant.suffix}`, format, formatOptions, cocosMeta));
+        }
 
-    if (format === 'zip') {
-        // 生成ZIP压缩包
-        try {
+        if (packaging === 'zip') {
+            // 生成ZIP压缩包
             const zip = new JSZip();
-            
-            // 将canvas转换为blob并添加到zip
-            const pngBlob = await new Promise(resolve => {
-                appState.canvas.toBlob(resolve, 'image/png');
-            });
-            
-            zip.file(`${atlasName}.png`, pngBlob);
-            zip.file(`${atlasName}.plist`, plistContent);
-            
-            // 生成zip文件
+            files.forEach(file => zip.file(file.name, file.content));
             const zipBlob = await zip.generateAsync({ type: 'blob' });
             saveAs(zipBlob, `${atlasName}.zip`);
-            
-            hideDownloadDialog();
-            showStatus(`图集压缩包导出成功！文件名: ${atlasName}.zip`, 'success');
-        } catch (error) {
-            showStatus('压缩包生成失败: ' + error.message, 'error');
+        } else {
+            // 单独下载文件
+            files.forEach(file => {
+                const blob = file.content instanceof Blob ? file.content : new Blob([file.content], { type: file.mimeType });
+                saveAs(blob, file.name);
+            });
         }
-    } else {
-        // 单独下载文件
-        appState.canvas.toBlob(function(blob) {
-            saveAs(blob, `${atlasName}.png`);
-            const plistBlob = new Blob([plistContent], { type: 'application/xml' });
-            saveAs(plistBlob, `${atlasName}.plist`);
-            hideDownloadDialog();
-            showStatus(`图集导出成功！文件名: ${atlasName}`, 'success');
-        }, 'image/png');
-    }
-}
-
-// 生成PLIST内容
-function generatePlist(atlasName, width, height, frames) {
-    const plistHeader = `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
-<plist version="1.0">
-<dict>
-  <key>frames</key>
-  <dict>`;
-
-    const plistFooter = `  </dict>
-  <key>metadata</key>
-  <dict>
-    <key>format</key>
-    <integer>2</integer>
-    <key>size</key>
-    <string>{${width},${height}}</string>
-    <key>textureFileName</key>
-    <string>${atlasName}.png</string>
-  </dict>
-</dict>
-</plist>`;
-
-    let framesContent = '';
-    frames.forEach(frame => {
-        // 使用 frame.name 作为帧名，它已经是相对路径格式
-        const frameName = frame.name + '.png';
-        const frameX = Math.round(frame.x);
-        const frameY = Math.round(frame.y);
-        const frameWidth = Math.round(frame.width);
-        const frameHeight = Math.round(frame.height);
-        const originalWidth = Math.round(frame.originalWidth);
-        const originalHeight = Math.round(frame.originalHeight);
-        const offsetX = Math.round(frame.offsetX || 0);
-        const offsetY = Math.round(frame.offsetY || 0);
-        const rotated = frame.rotated || false;
-
-        // 对 frameName 中的特殊字符进行 XML 转义
-        const escapedFrameName = frameName
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&apos;');
-
-        framesContent += `
-    <key>${escapedFrameName}</key>
-    <dict>
-      <key>frame</key>
-      <string>{{${frameX},${frameY}},{${frameWidth},${frameHeight}}}</string>
-      <key>offset</key>
-      <string>{${offsetX},${offsetY}}</string>
-      <key>rotated</key>
-      <${rotated}/>
-      <key>sourceColorRect</key>
-      <string>{{0,0},{${originalWidth},${originalHeight}}}</string>
-      <key>sourceSize</key>
-      <string>{${originalWidth},${originalHeight}}</string>
-    </dict>`;
+
+        hideDownloadDialog();
+        const fileText = packaging === 'zip' ? `${atlasName}.zip` : atlasName;
+        if (appState.scaleVariants) {
+            showStatus(`图集导出成功！共 ${variants.length} 个缩放变体（${variants.map(variant => variant.suffix || '无后缀').join(' / ')}），文件名: ${fileText}`, 'success');
+        } else if (atlasCount > 1) {
+            showStatus(`多图集导出成功！共 ${atlasCount} 个图集，文件名: ${fileText}`, 'success');
+        } else {
+            showStatus(`图集导出成功！文件名: ${fileText}`, 'success');
+        }
+
+        analytics.trackAction('download_atlas', { format, ...formatOptions, png8: formatOptions.png8 ? formatOptions.png8.quality : null, packaging, atlasCount, variantCount: variants.length, cocosMeta: !!cocosMeta });
+    } catch (error) {
+        showStatus('图集导出失败: ' + error.message, 'error');
+    }
+}
+
+// 读取界面中的设置（项目文件的 settings），缩放变体格式错误时报错，除非传入已解析的变体
+function collectProjectSettings(scaleVariants = getScaleVariants()) {
+    const value = (id) => document.getElementById(id)?.value || '';
+    const checked = (id) => document.getElementById(id)?.checked || false;
+
+    return {
+        atlasName: value('atlasName').trim() || 'sprite_atlas',
+        padding: parseInt(value('padding')) || 0,
+        borderPadding: parseInt(value('borderPadding')) || 0,
+        extrude: parseInt(value('extrude')) || 0,
+        maxWidth: parseInt(value('maxWidth')) || getConfig('atlas.defaultMaxWidth'),
+        maxHeight: parseInt(value('maxHeight')) || getConfig('atlas.defaultMaxHeight'),
+        powerOfTwo: checked('powerOfTwo'),
+        trim: checked('trimTransparent'),
+        mergeDuplicates: checked('mergeDuplicates'),
+        algorithm: value('algorithm'),
+        polygonVertices: parseInt(value('polygonVertices')) || getConfig('algorithm.polygonMaxVertices'),
+        multiAtlas: checked('multiAtlas'),
+        multiAtlasMode: value('multiAtlasMode') || getConfig('atlas.multiAtlasMode'),
+        stableLayout: checked('stableLayout'),
+        scaleVariants,
+        scaleFilter: value('scaleFilter') || getConfig('atlas.scaleFilter'),
+        export: {
+            format: getExportFormat(),
+            plistFormat: getPlistFormat(),
+            pixelFormat: getPixelFormat(),
+            dither: getDitherMode(),
+            png8: checked('exportPng8'),
+            png8Quality: parseInt(value('png8Quality'), 10) || 0,
+            png8Dither: checked('png8Dither'),
+            packaging: getExportPackaging(),
+            cocosMeta: checked('exportCocosMeta'),
+            cocosAssetDir: value('cocosAssetDir').trim()
+        }
+    };
+}
+
+// 把项目设置写回界面
+function applyProjectSettings(settings) {
+    const setValue = (id, value) => {
+        const element = document.getElementById(id);
+        if (element) element.value = value;
+    };
+    const setChecked = (id, checked) => {
+        const element = document.getElementById(id);
+        if (element) element.checked = checked;
+    };
+    const setRadio = (name, value) => {
+        const radio = document.querySelector(`input[name="${name}"][value="${value}"]`);
+        if (radio) radio.checked = true;
+    };
+
+    setValue('atlasName', settings.atlasName);
+    setValue('padding', settings.padding);
+    setValue('borderPadding', settings.borderPadding);
+    setValue('extrude', settings.extrude);
+    setValue('maxWidth', settings.maxWidth);
+    setValue('maxHeight', settings.maxHeight);
+    setChecked('powerOfTwo', settings.powerOfTwo);
+    setChecked('trimTransparent', settings.trim);
+    setChecked('mergeDuplicates', settings.mergeDuplicates);
+    setValue('algorithm', settings.algorithm);
+    setValue('polygonVertices', settings.polygonVertices);
+    setChecked('multiAtlas', settings.multiAtlas);
+    setValue('multiAtlasMode', settings.multiAtlasMode);
+    setChecked('stableLayout', settings.stableLayout);
+    setValue('scaleVariants', formatScaleVariants(settings.scaleVariants));
+    setValue('scaleFilter', settings.scaleFilter);
+
+    setRadio('exportFormat', settings.export.format);
+    setRadio('exportPackaging', settings.export.packaging);
+    setValue('plistFormat', String(settings.export.plistFormat));
+    setValue('pixelFormat', settings.export.pixelFormat);
+    setValue('ditherMode', settings.export.dither);
+    setChecked('exportPng8', settings.export.png8);
+    setValue('png8Quality', settings.export.png8Quality);
+    setChecked('png8Dither', settings.export.png8Dither);
+    setChecked('exportCocosMeta', settings.export.cocosMeta);
+    setValue('cocosAssetDir', settings.export.cocosAssetDir);
+    updatePolygonOptions();
+    updatePng8Controls();
+}
+
+// 保存项目：设置 + 图片列表，图片以 data URL 内嵌，项目文件单独即可重现构建
+function saveProject() {
+    if (appState.images.length === 0) {
+        showStatus('请先选择图片', 'error');
+        return;
+    }
+
+    try {
+        const settings = collectProjectSettings();
+        const project = createAtlasProject(settings, appState.images.map(item => ({
+            name: item.name,
+            path: item.fullPath,
+            data: item.img.src,
+            overrides: item.overrides
+        })));
+
+        saveAs(new Blob([serializeAtlasProject(project)], { type: 'application/json' }), `${settings.atlasName}${ATLAS_PROJECT_EXTENSION}`);
+        showStatus(`项目已保存: ${settings.atlasName}${ATLAS_PROJECT_EXTENSION}（${project.sprites.length} 张图片）`, 'success');
+        analytics.trackAction('save_project', { imageCount: project.sprites.length });
+    } catch (error) {
+        showStatus('项目保存失败: ' + error.message, 'error');
+    }
+}
+
+// 打开项目：恢复设置并加载内嵌的图片（只有路径的图片需要用命令行构建）
+async function openProject(file) {
+    try {
+        const project = parseAtlasProject(await file.text());
+
+        clearWorkspace();
+        applyProjectSettings(project.settings);
+
+        const embedded = project.sprites.filter(sprite => sprite.data);
+        const images = await Promise.all(embedded.map(loadProjectSprite));
+        appState.addImages(images);
+        updateAlgorithmSuggestion();
+
+        const missing = project.sprites.length - embedded.length;
+        if (missing > 0) {
+            showStatus(`已打开项目 ${file.name}，加载 ${images.length} 张图片；${missing} 张只记录了路径，网页端无法读取，请使用命令行构建`, 'info');
+        } else {
+            showStatus(`已打开项目 ${file.name}，加载 ${images.length} 张图片`, 'success');
+        }
+        analytics.trackAction('open_project', { imageCount: images.length, missing });
+    } catch (error) {
+        showStatus('项目打开失败: ' + error.message, 'error');
+    }
+}
+
+// 项目中内嵌的图片转换为图片条目（与 loadSingleImage 的结果结构一致）
+function loadProjectSprite(sprite) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve({
+            img,
+            name: sprite.name,
+            fullPath: sprite.path || `${sprite.name}.png`,
+            width: img.width,
+            height: img.height,
+            ...(sprite.overrides ? { overrides: sprite.overrides } : {})
+        });
+        img.onerror = () => reject(new Error(`无法加载项目中的图片: ${sprite.name}`));
+        img.src = sprite.data;
+    });
+}
+
+// 工作区持久化（IndexedDB），刷新页面后可恢复图片、设置和上次的布局
+const workspaceStore = getConfig('workspace.persist') && WorkspaceStore.isSupported() ? new WorkspaceStore() : null;
+const savedWorkspaceImageIds = new Set();
+let workspaceImageCounter = 0;
+let workspaceSaveTimer = null;
+let workspaceSaving = Promise.resolve();
+// 启动时发现上次的工作区，用户选择恢复或忽略之前不覆盖
+let workspaceRestorePending = false;
+
+// 图片在工作区中的 id（恢复的图片沿用保存时的 id）
+function getWorkspaceImageId(item) {
+    if (!item.workspaceId) {
+        item.workspaceId = `img-${Date.now().toString(36)}-${++workspaceImageCounter}`;
+    }
+    return item.workspaceId;
+}
+
+// 延迟保存工作区，连续的修改只保存一次
+function scheduleWorkspaceSave() {
+    if (!workspaceStore) return;
+
+    // 开始新的操作即放弃恢复上次的工作区
+    if (workspaceRestorePending) {
+        hideSessionRestore();
+    }
+
+    clearTimeout(workspaceSaveTimer);
+    workspaceSaveTimer = setTimeout(() => {
+        workspaceSaving = workspaceSaving
+            .then(saveWorkspace)
+            .catch(error => {
+                console.warn('[Workspace] 保存失败:', error);
+                showStorageError(`工作区保存失败: ${error.message}`);
+            });
+    }, getConfig('workspace.saveDelay'));
+}
+
+// 工作区使用的缩放变体：正在输入的文本格式有误时沿用上次有效的值，不影响其他设置的保存
+let lastValidScaleVariants = null;
+function getWorkspaceScaleVariants() {
+    try {
+        lastValidScaleVariants = getScaleVariants();
+    } catch (error) {
+        console.warn('[Workspace] 缩放变体格式错误，保存上次有效的值:', error.message);
+    }
+    return lastValidScaleVariants || getConfig('atlas.scaleVariants');
+}
+
+// 保存工作区：只写入新增图片的文件，设置、图片列表和布局每次整体覆盖
+async function saveWorkspace() {
+    const images = appState.images.slice();
+
+    if (images.length === 0) {
+        await workspaceStore.clear();
+        savedWorkspaceImageIds.clear();
+        updateStorageInfo();
+        return;
+    }
+
+    const newImages = [];
+    for (const item of images) {
+        const id = getWorkspaceImageId(item);
+        if (!savedWorkspaceImageIds.has(id)) {
+            // 从图集导入或项目中打开的图片没有原始文件，使用 data URL 的内容
+            const blob = item.file || await (await fetch(item.img.src)).blob();
+            newImages.push({ id, blob });
+        }
+    }
+
+    const session = {
+        savedAt: Date.now(),
+        settings: collectProjectSettings(getWorkspaceScaleVariants()),
+        images: images.map(item => ({
+            id: getWorkspaceImageId(item),
+            name: item.name,
+            fullPath: item.fullPath,
+            overrides: item.overrides
+        })),
+        layout: getWorkspaceLayout(images),
+        layoutReference: appState.layoutReference
+    };
+
+    await workspaceStore.save(session, newImages);
+    savedWorkspaceImageIds.clear();
+    session.images.forEach(image => savedWorkspaceImageIds.add(image.id));
+    updateStorageInfo();
+}
+
+// 当前的布局（不含图片对象，帧通过 imageIndex 对应图片列表），生成后删除了图片时返回 null
+function getWorkspaceLayout(images) {
+    if (appState.atlases.length === 0) return null;
+
+    const indexByImg = new Map(images.map((item, index) => [item.img, index]));
+    const atlases = [];
+    for (const atlas of appState.atlases) {
+        const frames = [];
+        for (const { img, ...frame } of atlas.frames) {
+            if (!indexByImg.has(img)) return null;
+            frames.push({ ...frame, imageIndex: indexByImg.get(img) });
+        }
+        atlases.push({ width: atlas.width, height: atlas.height, frames });
+    }
+    return { atlases };
+}
+
+// 启动时检查是否有上次的工作区
+async function initWorkspace() {
+    if (!workspaceStore) return;
+
+    try {
+        const saved = await workspaceStore.load();
+        if (saved && saved.session.images.length > 0 && appState.images.length === 0) {
+            const savedAt = new Date(saved.session.savedAt).toLocaleString();
+            document.getElementById('sessionRestoreText').textContent =
+                `发现上次的工作区（${saved.session.images.length} 张图片${saved.session.layout ? '，已生成图集' : ''}，${savedAt}），是否恢复？忽略或开始新的操作后将被覆盖`;
+            sessionRestore.style.display = 'flex';
+            workspaceRestorePending = true;
+        }
+    } catch (error) {
+        console.warn('[Workspace] 无法读取保存的工作区:', error);
+    }
+
+    updateStorageInfo();
+}
+
+function hideSessionRestore() {
+    workspaceRestorePending = false;
+    if (sessionRestore) {
+        sessionRestore.style.display = 'none';
+    }
+}
+
+// 恢复上次的工作区：设置、图片，以及按保存的布局重新绘制图集（不重新打包）
+async function restoreWorkspace() {
+    hideSessionRestore();
+
+    try {
+        const saved = await workspaceStore.load();
+        if (!saved) return;
+
+        const { session, blobs } = saved;
+        const records = session.images.filter(record => blobs.has(record.id));
+        applyProjectSettings(normalizeProjectSettings(session.settings));
+
+        const images = await Promise.all(records.map(record => loadWorkspaceImage(record, blobs.get(record.id))));
+        images.forEach(item => savedWorkspaceImageIds.add(item.workspaceId));
+        appState.addImages(images);
+        updateAlgorithmSuggestion();
+
+        // 图片文件缺失时帧序号对不上，放弃布局
+        if (session.layout && records.length === session.images.length) {
+            const atlases = session.layout.atlases.map(atlas => renderLayout({
+                width: atlas.width,
+                height: atlas.height,
+                frames: atlas.frames.map(({ imageIndex, ...frame }) => ({ ...frame, img: images[imageIndex].img }))
+            }));
+            appState.setAtlasResult(atlases[0].canvas, atlases[0].frames, atlases);
+        }
+        appState.layoutReference = session.layoutReference || null;
+
+        showStatus(`已恢复上次的工作区：${images.length} 张图片${appState.atlases.length > 0 ? `，${appState.atlases.length} 个图集` : ''}`, 'success');
+        analytics.trackAction('restore_workspace', { imageCount: images.length, atlasCount: appState.atlases.length });
+    } catch (error) {
+        showStatus('恢复工作区失败: ' + error.message, 'error');
+    }
+}
+
+// 保存的图片文件转换为图片条目（与 loadSingleImage 的结果结构一致）
+function loadWorkspaceImage(record, blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const img = new Image();
+            img.onload = () => resolve({
+                img,
+                name: record.name,
+                fullPath: record.fullPath,
+                width: img.width,
+                height: img.height,
+                file: blob,
+                workspaceId: record.id,
+                ...(record.overrides ? { overrides: record.overrides } : {})
+            });
+            img.onerror = () => reject(new Error(`无法加载图片: ${record.name}`));
+            img.src = e.target.result;
+        };
+        reader.onerror = () => reject(new Error(`无法读取保存的图片: ${record.name}`));
+        reader.readAsDataURL(blob);
     });
+}
+
+// 删除保存的工作区
+async function purgeWorkspace() {
+    if (!confirm('确定清除浏览器中保存的图片、设置和布局吗？当前页面中的内容不受影响')) return;
 
-    return plistHeader + framesContent + plistFooter;
+    clearTimeout(workspaceSaveTimer);
+    hideSessionRestore();
+    try {
+        await workspaceSaving;
+        await workspaceStore.clear();
+        savedWorkspaceImageIds.clear();
+        showStatus('已清除保存的数据', 'success');
+    } catch (error) {
+        showStatus('清除失败: ' + error.message, 'error');
+    }
+    updateStorageInfo();
+}
+
+// 显示存储用量和配额
+async function updateStorageInfo() {
+    if (!workspaceStore || !storageInfo) return;
+
+    const estimate = await workspaceStore.estimate().catch(() => null);
+    const formatSize = (bytes) => bytes >= 1024 * 1024 * 1024
+        ? `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`
+        : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+    const usage = document.getElementById('storageUsage');
+    usage.textContent = estimate
+        ? `浏览器本地存储: 已用 ${formatSize(estimate.usage)} / 配额 ${formatSize(estimate.quota)}（${(estimate.quota ? estimate.usage / estimate.quota * 100 : 0).toFixed(1)}%）`
+        : '工作区已保存在浏览器本地存储中';
+    usage.style.color = '';
+    storageInfo.style.display = 'flex';
+}
+
+// 在存储用量的位置显示错误（下次保存成功后恢复为用量）
+function showStorageError(message) {
+    if (!storageInfo) return;
+
+    const usage = document.getElementById('storageUsage');
+    usage.textContent = message;
+    usage.style.color = '#f5576c';
+    storageInfo.style.display = 'flex';
 }
 
 // 状态显示函数
@@ -1279,12 +2192,68 @@ function testTexture() {
     testResult.style.display = 'block';
     if (testPlaceholder) testPlaceholder.style.display = 'none';
 
-    const displayWidth = frame.originalWidth + 40;
-    const displayHeight = frame.originalHeight + 40;
+    // 九宫格保存在对应图片的覆盖设置中（导入的图集也有同名图片）
+    const sourceWidth = frame.sourceWidth || frame.originalWidth;
+    const sourceHeight = frame.sourceHeight || frame.originalHeight;
+    sliceEditor.frame = frame;
+    sliceEditor.item = appState.images.find(item => item.name === frame.name) || null;
+    sliceEditor.scale = Math.max(1, Math.min(8, Math.floor(SLICE_PREVIEW_SIZE / Math.max(sourceWidth, sourceHeight))));
+    sliceEditor.dragging = null;
+
+    drawTestFrame();
+    updateTestInfo();
+
+    showStatus(`成功获取纹理: ${framePath}`, 'success');
+}
+
+// 测试面板的九宫格编辑：拖动预览中的四条边线设置 left / right / top / bottom（相对原图的像素）
+const SLICE_PREVIEW_MARGIN = 20;
+const SLICE_PREVIEW_SIZE = 320;
+const SLICE_HIT_DISTANCE = 6;
+const sliceEditor = {
+    frame: null,
+    item: null,
+    scale: 1,
+    dragging: null
+};
+
+// 当前预览图片的九宫格边距（相对原图的像素，未设置时为 0）
+function getSliceBorder() {
+    const overrides = sliceEditor.item && sliceEditor.item.overrides;
+    return (overrides && overrides.border) || { left: 0, right: 0, top: 0, bottom: 0 };
+}
+
+// 预览的帧来自第一个缩放变体，帧尺寸按该变体的比例缩放
+function getSliceVariantScale() {
+    return appState.scaleVariants ? appState.scaleVariants[0].scale : 1;
+}
+
+// 四条边线在画布中的位置
+function getSliceLines() {
+    const frame = sliceEditor.frame;
+    const scale = sliceEditor.scale;
+    const border = scaleBorder(getSliceBorder(), getSliceVariantScale());
+    const sourceWidth = frame.sourceWidth || frame.originalWidth;
+    const sourceHeight = frame.sourceHeight || frame.originalHeight;
+    return {
+        left: SLICE_PREVIEW_MARGIN + border.left * scale,
+        right: SLICE_PREVIEW_MARGIN + (sourceWidth - border.right) * scale,
+        top: SLICE_PREVIEW_MARGIN + border.top * scale,
+        bottom: SLICE_PREVIEW_MARGIN + (sourceHeight - border.bottom) * scale
+    };
+}
+
+// 绘制预览：透明格背景、按原图尺寸放回裁剪前位置的帧、原图 / 裁剪区域边框和九宫格边线
+function drawTestFrame() {
+    const frame = sliceEditor.frame;
+    const scale = sliceEditor.scale;
+    const margin = SLICE_PREVIEW_MARGIN;
+    const sourceWidth = frame.sourceWidth || frame.originalWidth;
+    const sourceHeight = frame.sourceHeight || frame.originalHeight;
 
     const ctx = testCanvas.getContext('2d');
-    testCanvas.width = displayWidth;
-    testCanvas.height = displayHeight;
+    testCanvas.width = sourceWidth * scale + margin * 2;
+    testCanvas.height = sourceHeight * scale + margin * 2;
     ctx.fillStyle = '#ffffff';
     ctx.fillRect(0, 0, testCanvas.width, testCanvas.height);
 
@@ -1298,56 +2267,222 @@ function testTexture() {
         }
     }
 
-    if (frame.rotated) {
-        // 旋转的图片：创建一个临时canvas来还原旋转
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = frame.originalWidth;
-        tempCanvas.height = frame.originalHeight;
-        const tempCtx = tempCanvas.getContext('2d');
-
-        // 在临时canvas上绘制旋转后的图片，然后旋转回来
-        tempCtx.translate(frame.originalWidth / 2, frame.originalHeight / 2);
-        tempCtx.rotate(Math.PI / 2);
-        tempCtx.drawImage(
-            appState.canvas,
-            frame.x, frame.y, frame.width, frame.height,
-            -frame.width / 2, -frame.height / 2, frame.width, frame.height
-        );
-
-        // 将还原后的图片绘制到测试canvas
-        ctx.drawImage(tempCanvas, 20, 20);
-    } else {
-        ctx.drawImage(
-            appState.canvas,
-            frame.x, frame.y, frame.width, frame.height,
-            20, 20, frame.width, frame.height
-        );
-    }
+    // 还原旋转后放回裁剪前的位置，小图按整数倍放大且不做平滑
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    ctx.translate(margin, margin);
+    ctx.scale(scale, scale);
+    drawUnrotatedFrame(ctx, appState.canvas, frame, frame.trimX || 0, frame.trimY || 0);
+    ctx.restore();
 
     // 绘制边框
     ctx.strokeStyle = '#f5576c';
     ctx.lineWidth = 2;
-    ctx.strokeRect(20, 20, frame.originalWidth, frame.originalHeight);
-
-    // 显示纹理信息
-    if (testInfo) {
-        testInfo.innerHTML = `
-            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(120px, 1fr)); gap: 8px;">
-                <div><strong>名称:</strong> ${frame.name}.png</div>
-                <div><strong>位置:</strong> (${Math.round(frame.x)}, ${Math.round(frame.y)})</div>
-                <div><strong>尺寸:</strong> ${Math.round(frame.width)} × ${Math.round(frame.height)}</div>
-                <div><strong>原始:</strong> ${frame.originalWidth} × ${frame.originalHeight}</div>
-                <div><strong>旋转:</strong> ${frame.rotated ? '是 (90°)' : '否'}</div>
-                <div><strong>偏移:</strong> (${frame.offsetX}, ${frame.offsetY})</div>
-            </div>
-        `;
+    ctx.strokeRect(margin, margin, sourceWidth * scale, sourceHeight * scale);
+
+    // 裁剪区域边框
+    if (sourceWidth !== frame.originalWidth || sourceHeight !== frame.originalHeight) {
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 2]);
+        ctx.strokeRect(margin + (frame.trimX || 0) * scale, margin + (frame.trimY || 0) * scale, frame.originalWidth * scale, frame.originalHeight * scale);
+        ctx.setLineDash([]);
     }
 
-    showStatus(`成功获取纹理: ${framePath}`, 'success');
+    if (!sliceEditor.item) {
+        return;
+    }
+
+    // 九宫格边线（正在拖动的加粗）
+    const lines = getSliceLines();
+    const right = margin + sourceWidth * scale;
+    const bottom = margin + sourceHeight * scale;
+    ctx.strokeStyle = '#00c853';
+    ctx.setLineDash([6, 3]);
+    for (const side of ['left', 'right', 'top', 'bottom']) {
+        const vertical = side === 'left' || side === 'right';
+        ctx.lineWidth = sliceEditor.dragging === side ? 2 : 1;
+        ctx.beginPath();
+        if (vertical) {
+            ctx.moveTo(lines[side] + 0.5, margin);
+            ctx.lineTo(lines[side] + 0.5, bottom);
+        } else {
+            ctx.moveTo(margin, lines[side] + 0.5);
+            ctx.lineTo(right, lines[side] + 0.5);
+        }
+        ctx.stroke();
+    }
+    ctx.setLineDash([]);
+}
+
+// 重新生成图集后按名称找回预览的帧，找不到时关闭预览
+function refreshTestFrame() {
+    const frame = appState.frames && appState.frames.find(f => f.name === sliceEditor.frame.name);
+    if (!frame) {
+        sliceEditor.frame = null;
+        sliceEditor.item = null;
+        testResult.style.display = 'none';
+        return;
+    }
+
+    sliceEditor.frame = frame;
+    sliceEditor.item = appState.images.find(item => item.name === frame.name) || null;
+    drawTestFrame();
+    updateTestInfo();
+}
+
+// 显示纹理信息和九宫格边距
+function updateTestInfo() {
+    const frame = sliceEditor.frame;
+    if (!testInfo || !frame) {
+        return;
+    }
+
+    const sourceWidth = frame.sourceWidth || frame.originalWidth;
+    const sourceHeight = frame.sourceHeight || frame.originalHeight;
+    const border = getSliceBorder();
+    const sliceText = sliceEditor.item
+        ? `左 ${border.left}，右 ${border.right}，上 ${border.top}，下 ${border.bottom}（拖动预览中的绿色虚线调整）`
+        : '没有对应的图片，无法编辑';
+
+    testInfo.innerHTML = `
+        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(120px, 1fr)); gap: 8px;">
+            <div><strong>名称:</strong> ${frame.name}.png</div>
+            <div><strong>位置:</strong> (${Math.round(frame.x)}, ${Math.round(frame.y)})</div>
+            <div><strong>尺寸:</strong> ${Math.round(frame.width)} × ${Math.round(frame.height)}</div>
+            <div><strong>原始:</strong> ${sourceWidth} × ${sourceHeight}</div>
+            <div><strong>裁剪区域:</strong> (${frame.trimX || 0}, ${frame.trimY || 0}) ${frame.originalWidth} × ${frame.originalHeight}</div>
+            <div><strong>旋转:</strong> ${frame.rotated ? '是 (90°)' : '否'}</div>
+            <div><strong>偏移:</strong> (${frame.offsetX}, ${frame.offsetY})</div>
+            <div><strong>缩放:</strong> ${sliceEditor.scale}×</div>
+        </div>
+        <div style="margin-top: 8px;"><strong>九宫格:</strong> ${sliceText}</div>
+    `;
+}
+
+// 画布坐标（考虑 CSS 缩放）
+function getTestCanvasPoint(event) {
+    const rect = testCanvas.getBoundingClientRect();
+    return {
+        x: (event.clientX - rect.left) * (testCanvas.width / rect.width),
+        y: (event.clientY - rect.top) * (testCanvas.height / rect.height)
+    };
+}
+
+// 离指针最近的边线，超出拾取距离时返回 null
+function findSliceLine(point) {
+    const lines = getSliceLines();
+    let nearest = null;
+    let nearestDistance = SLICE_HIT_DISTANCE;
+    for (const side of ['left', 'right', 'top', 'bottom']) {
+        const distance = Math.abs((side === 'left' || side === 'right' ? point.x : point.y) - lines[side]);
+        if (distance <= nearestDistance) {
+            nearest = side;
+            nearestDistance = distance;
+        }
+    }
+    return nearest;
+}
+
+// 拖动边线：换算为相对原图的像素（除以预览倍数和缩放变体的比例），左右 / 上下两条线不能交叉
+function dragSliceLine(point) {
+    const item = sliceEditor.item;
+    const scale = sliceEditor.scale * getSliceVariantScale();
+    const sourceWidth = item.width;
+    const sourceHeight = item.height;
+    const border = { ...getSliceBorder() };
+    const clamp = (value, max) => Math.max(0, Math.min(max, value));
+    const x = Math.round((point.x - SLICE_PREVIEW_MARGIN) / scale);
+    const y = Math.round((point.y - SLICE_PREVIEW_MARGIN) / scale);
+
+    if (sliceEditor.dragging === 'left') border.left = clamp(x, sourceWidth - border.right);
+    if (sliceEditor.dragging === 'right') border.right = clamp(sourceWidth - x, sourceWidth - border.left);
+    if (sliceEditor.dragging === 'top') border.top = clamp(y, sourceHeight - border.bottom);
+    if (sliceEditor.dragging === 'bottom') border.bottom = clamp(sourceHeight - y, sourceHeight - border.top);
+
+    const overrides = normalizeSpriteOverrides({ ...item.overrides, border }, item.name);
+    if (Object.keys(overrides).length > 0) {
+        item.overrides = overrides;
+    } else {
+        delete item.overrides;
+    }
+}
+
+/**
+ * 九宫格修改完成：同步到当前图集中的同名帧（导出立即生效，每个缩放变体按各自的比例换算），保存工作区
+ * 有边距的一侧原来被裁剪过时，需要重新生成图集才会恢复被裁掉的边
+ */
+function commitSliceBorder() {
+    const item = sliceEditor.item;
+    const border = item.overrides && item.overrides.border;
+    const variants = appState.scaleVariants || [{ scale: 1, atlases: appState.atlases }];
+    let needsRegenerate = false;
+
+    for (const variant of variants) {
+        const variantBorder = border && scaleBorder(border, variant.scale);
+        for (const frame of variant.atlases.flatMap(atlas => atlas.frames).filter(f => f.name === item.name)) {
+            const rect = {
+                trimX: frame.trimX,
+                trimY: frame.trimY,
+                width: frame.originalWidth,
+                height: frame.originalHeight,
+                sourceWidth: frame.sourceWidth,
+                sourceHeight: frame.sourceHeight
+            };
+            if (variantBorder) {
+                frame.border = getTrimmedBorder(variantBorder, rect);
+                const limited = limitTrimToBorder(rect, variantBorder);
+                needsRegenerate = needsRegenerate || limited.width !== rect.width || limited.height !== rect.height;
+            } else {
+                delete frame.border;
+            }
+        }
+    }
+
+    appState.updateImageList();
+    scheduleWorkspaceSave();
+    if (needsRegenerate) {
+        showStatus(`${item.name} 的九宫格边已被裁剪，重新生成图集后恢复`, 'info');
+    }
+}
+
+// 测试画布的指针事件
+function setupSliceEditor() {
+    testCanvas.addEventListener('mousedown', (event) => {
+        if (!sliceEditor.frame || !sliceEditor.item) return;
+        sliceEditor.dragging = findSliceLine(getTestCanvasPoint(event));
+        if (sliceEditor.dragging) {
+            event.preventDefault();
+            drawTestFrame();
+        }
+    });
+
+    testCanvas.addEventListener('mousemove', (event) => {
+        if (!sliceEditor.frame || !sliceEditor.item || sliceEditor.dragging) return;
+        const side = findSliceLine(getTestCanvasPoint(event));
+        testCanvas.style.cursor = side ? (side === 'left' || side === 'right' ? 'ew-resize' : 'ns-resize') : '';
+    });
+
+    // 拖出画布后继续跟随
+    window.addEventListener('mousemove', (event) => {
+        if (!sliceEditor.dragging) return;
+        dragSliceLine(getTestCanvasPoint(event));
+        drawTestFrame();
+        updateTestInfo();
+    });
+
+    window.addEventListener('mouseup', () => {
+        if (!sliceEditor.dragging) return;
+        sliceEditor.dragging = null;
+        drawTestFrame();
+        commitSliceBorder();
+    });
 }
 
 // 清除测试函数
 function clearTest() {
+    sliceEditor.frame = null;
+    sliceEditor.item = null;
     testResult.style.display = 'none';
     testFramePath.value = '';
     testPlaceholder.style.display = 'block';
@@ -1359,8 +2494,8 @@ function clearTest() {
     showStatus('测试面板已清除', 'success');
 }
 
-// 按钮事件处理
-clearBtn.addEventListener('click', () => {
+// 清空图片、图集和预览
+function clearWorkspace() {
     appState.clear();
     atlasPreview.innerHTML = '<div class="placeholder">生成图集后在此预览</div>';
     stats.style.display = 'none';
@@ -1377,10 +2512,32 @@ clearBtn.addEventListener('click', () => {
     if (folderInfo) {
         folderInfo.style.display = 'none';
     }
-});
+}
+
+// 按钮事件处理
+clearBtn.addEventListener('click', clearWorkspace);
 
 generateBtn.addEventListener('click', generateAtlas);
 
+// 项目文件
+openProjectBtn?.addEventListener('click', () => projectInput.click());
+saveProjectBtn?.addEventListener('click', saveProject);
+projectInput?.addEventListener('change', (e) => {
+    if (e.target.files[0]) {
+        openProject(e.target.files[0]);
+    }
+    projectInput.value = '';
+});
+
+// 工作区
+document.getElementById('restoreSessionBtn')?.addEventListener('click', restoreWorkspace);
+document.getElementById('discardSessionBtn')?.addEventListener('click', hideSessionRestore);
+document.getElementById('purgeStorageBtn')?.addEventListener('click', purgeWorkspace);
+// 修改设置（包括导出对话框中的选项）后保存
+['.control-panel', '#downloadModal'].forEach(selector => {
+    document.querySelector(selector)?.addEventListener('change', scheduleWorkspaceSave);
+});
+
 // 下载功能（保持原有逻辑，但使用优化后的状态）
 downloadBtn.addEventListener('click', () => {
     if (!appState.canvas || !appState.frames) {
@@ -1416,11 +2573,99 @@ document.addEventListener('DOMContentLoaded', () => {
         exportFileName.addEventListener('input', updateFilePreview);
     }
 
-    // 导出格式单选按钮事件
-    document.querySelectorAll('input[name="exportFormat"]').forEach(radio => {
+    // 导出格式和打包方式单选按钮事件
+    renderExportFormatOptions();
+    document.querySelectorAll('input[name="exportFormat"], input[name="exportPackaging"]').forEach(radio => {
         radio.addEventListener('change', updateFilePreview);
     });
 
+    // Cocos Creator meta 选项（默认值来自 AppConfig）
+    const exportCocosMeta = document.getElementById('exportCocosMeta');
+    const cocosAssetDir = document.getElementById('cocosAssetDir');
+    if (exportCocosMeta) {
+        exportCocosMeta.checked = getConfig('export.cocosMeta');
+        exportCocosMeta.addEventListener('change', updateFilePreview);
+    }
+    if (cocosAssetDir) {
+        cocosAssetDir.value = getConfig('export.cocosAssetDir');
+    }
+
+    const plistFormat = document.getElementById('plistFormat');
+    if (plistFormat) {
+        plistFormat.value = String(getConfig('export.plistFormat'));
+        plistFormat.addEventListener('change', updateFilePreview);
+    }
+
+    const pixelFormat = document.getElementById('pixelFormat');
+    const ditherMode = document.getElementById('ditherMode');
+    if (pixelFormat) {
+        pixelFormat.value = getConfig('export.pixelFormat');
+        pixelFormat.addEventListener('change', () => {
+            updateFilePreview();
+            updatePng8Stats();
+        });
+    }
+    if (ditherMode) {
+        ditherMode.value = getConfig('export.dither');
+        ditherMode.addEventListener('change', updatePng8Stats);
+    }
+
+    // PNG8 选项：拖动滑块时只更新文字，松开后重新计算大小和 PSNR
+    const exportPng8 = document.getElementById('exportPng8');
+    const png8Quality = document.getElementById('png8Quality');
+    const png8Dither = document.getElementById('png8Dither');
+    if (exportPng8) {
+        exportPng8.checked = getConfig('export.png8');
+        exportPng8.addEventListener('change', () => {
+            updateFilePreview();
+            updatePng8Stats();
+        });
+    }
+    if (png8Quality) {
+        png8Quality.value = getConfig('export.png8Quality');
+        png8Quality.addEventListener('input', updatePng8Controls);
+        png8Quality.addEventListener('change', updatePng8Stats);
+    }
+    if (png8Dither) {
+        png8Dither.checked = getConfig('export.png8Dither');
+        png8Dither.addEventListener('change', updatePng8Stats);
+    }
+    updatePng8Controls();
+
+    const stableLayout = document.getElementById('stableLayout');
+    if (stableLayout) {
+        stableLayout.checked = getConfig('atlas.stableLayout');
+    }
+
+    const mergeDuplicates = document.getElementById('mergeDuplicates');
+    if (mergeDuplicates) {
+        mergeDuplicates.checked = getConfig('atlas.mergeDuplicates');
+    }
+
+    const borderPadding = document.getElementById('borderPadding');
+    if (borderPadding) {
+        borderPadding.value = getConfig('atlas.defaultBorderPadding');
+    }
+
+    const extrude = document.getElementById('extrude');
+    if (extrude) {
+        extrude.value = getConfig('atlas.defaultExtrude');
+    }
+
+    const polygonVertices = document.getElementById('polygonVertices');
+    if (polygonVertices) {
+        polygonVertices.value = getConfig('algorithm.polygonMaxVertices');
+    }
+
+    const scaleVariants = document.getElementById('scaleVariants');
+    if (scaleVariants) {
+        scaleVariants.value = formatScaleVariants(getConfig('atlas.scaleVariants'));
+    }
+    const scaleFilter = document.getElementById('scaleFilter');
+    if (scaleFilter) {
+        scaleFilter.value = getConfig('atlas.scaleFilter');
+    }
+
     // 测试面板事件监听器
     if (testBtn) {
         testBtn.addEventListener('click', testTexture);
@@ -1428,6 +2673,9 @@ document.addEventListener('DOMContentLoaded', () => {
     if (clearTestBtn) {
         clearTestBtn.addEventListener('click', clearTest);
     }
+    if (testCanvas) {
+        setupSliceEditor();
+    }
 });
 
 // 窗口关闭时清理资源
@@ -1435,8 +2683,27 @@ window.addEventListener('beforeunload', () => {
     PerformanceOptimizer.destroy();
 });
 
+// 根据 AppConfig 初始化图集尺寸输入框
+function initAtlasSizeInputs() {
+    const maxSize = getConfig('atlas.maxSize');
+    const inputs = [
+        { id: 'maxWidth', defaultValue: getConfig('atlas.defaultMaxWidth') },
+        { id: 'maxHeight', defaultValue: getConfig('atlas.defaultMaxHeight') }
+    ];
+
+    inputs.forEach(({ id, defaultValue }) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.max = maxSize;
+        input.value = Math.min(parseInt(input.value) || defaultValue, maxSize);
+    });
+}
+
+initAtlasSizeInputs();
+
 // 初始化UI
 appState.updateUI();
+initWorkspace();
 
 // 监控面板功能
 const monitoringPanel = document.getElementById('monitoringPanel');
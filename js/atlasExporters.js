@@ -0,0 +1,202 @@
+/**
+ * 图集导出格式模块
+ * 每种格式把打包结果（一页或多页）转换为数据文件，png 由调用方另外写出
+ * 新增格式只需调用 registerAtlasExporter，下载对话框的格式选项由这里的列表生成
+ */
+
+const EXPORT_APP_NAME = 'cocos-sprite-atlas-web-builder';
+
+/**
+ * 导出时的帧名（与 plist 一致，带 .png 扩展名）
+ */
+function getExportFrameName(frame) {
+    return frame.name + '.png';
+}
+
+/**
+ * TexturePacker / Phaser 通用的帧数据
+ * frame 为帧在图集中的未旋转尺寸，spriteSourceSize 为裁剪区域在原图中的位置
+ */
+function createJsonFrameData(frame) {
+    const width = Math.round(frame.originalWidth);
+    const height = Math.round(frame.originalHeight);
+    const sourceWidth = Math.round(frame.sourceWidth || frame.originalWidth);
+    const sourceHeight = Math.round(frame.sourceHeight || frame.originalHeight);
+
+    const data = {
+        frame: { x: Math.round(frame.x), y: Math.round(frame.y), w: width, h: height },
+        rotated: frame.rotated || false,
+        trimmed: width !== sourceWidth || height !== sourceHeight,
+        spriteSourceSize: { x: frame.trimX || 0, y: frame.trimY || 0, w: width, h: height },
+        sourceSize: { w: sourceWidth, h: sourceHeight }
+    };
+    // TexturePacker / Phaser 的 pivot 以左上角为原点，帧的锚点 y 轴向上
+    if (frame.pivot) {
+        data.pivot = { x: frame.pivot.x, y: Math.round((1 - frame.pivot.y) * 1e6) / 1e6 };
+    }
+    // TexturePacker 的多边形数据：vertices 为原图坐标，verticesUV 为图集像素坐标，triangles 为顶点下标
+    if (frame.polygon) {
+        const mesh = getFrameMesh(frame);
+        data.vertices = mesh.vertices.map(point => [point.x, point.y]);
+        data.verticesUV = mesh.uvs.map(point => [point.x, point.y]);
+        data.triangles = [];
+        for (let i = 0; i < mesh.triangles.length; i += 3) {
+            data.triangles.push(mesh.triangles.slice(i, i + 3));
+        }
+    }
+    return data;
+}
+
+/**
+ * TexturePacker JSON 的 meta 段，format 为像素格式（见 pixelFormat.js）
+ */
+function createJsonMeta(page, pixelFormat = 'RGBA8888') {
+    return {
+        app: EXPORT_APP_NAME,
+        version: '1.0',
+        image: `${page.name}.png`,
+        format: pixelFormat,
+        size: { w: page.width, h: page.height },
+        scale: '1'
+    };
+}
+
+/**
+ * 导出格式表
+ * generate(pages, baseName, options) 中 pages 为 [{ name, width, height, frames }]，返回数据文件 [{ name, content, mimeType }]，
+ * options.pixelFormat 为纹理的像素格式（默认 RGBA8888），写入各格式的元数据
+ */
+const ATLAS_EXPORTERS = {
+    'cocos-plist': {
+        name: 'Cocos Creator (.plist)',
+        extension: 'plist',
+        // options.plistFormat 为 plist 格式版本（0 ~ 3），options.pixelFormat 为像素格式
+        generate: (pages, baseName, options = {}) => pages.map(page => ({
+            name: `${page.name}.plist`,
+            content: generatePlist(page.name, page.width, page.height, page.frames, options.plistFormat, options.pixelFormat),
+            mimeType: 'application/xml'
+        }))
+    },
+    'json-hash': {
+        name: 'TexturePacker JSON Hash (PixiJS)',
+        extension: 'json',
+        generate: (pages, baseName, options = {}) => pages.map(page => {
+            const frames = {};
+            for (const frame of page.frames) {
+                frames[getExportFrameName(frame)] = createJsonFrameData(frame);
+            }
+            return {
+                name: `${page.name}.json`,
+                content: JSON.stringify({ frames, meta: createJsonMeta(page, options.pixelFormat) }, null, 2),
+                mimeType: 'application/json'
+            };
+        })
+    },
+    'json-array': {
+        name: 'TexturePacker JSON Array',
+        extension: 'json',
+        generate: (pages, baseName, options = {}) => pages.map(page => ({
+            name: `${page.name}.json`,
+            content: JSON.stringify({
+                frames: page.frames.map(frame => ({ filename: getExportFrameName(frame), ...createJsonFrameData(frame) })),
+                meta: createJsonMeta(page, options.pixelFormat)
+            }, null, 2),
+            mimeType: 'application/json'
+        }))
+    },
+    'phaser3': {
+        name: 'Phaser 3 Multi Atlas',
+        extension: 'json',
+        // 所有页写入同一个 json，文件名不带页码
+        singleFile: true,
+        generate: (pages, baseName, options = {}) => [{
+            name: `${baseName}.json`,
+            content: JSON.stringify({
+                textures: pages.map(page => ({
+                    image: `${page.name}.png`,
+                    format: options.pixelFormat || 'RGBA8888',
+                    size: { w: page.width, h: page.height },
+                    scale: 1,
+                    frames: page.frames.map(frame => ({ filename: getExportFrameName(frame), ...createJsonFrameData(frame) }))
+                })),
+                meta: { app: EXPORT_APP_NAME, version: '3.0' }
+            }, null, 2),
+            mimeType: 'application/json'
+        }]
+    }
+};
+
+/**
+ * 注册导出格式
+ * @param {string} key - 格式标识，用于 exportFormat 选项的 value
+ * @param {Object} exporter - { name, extension, generate(pages, baseName, options), singleFile? }
+ */
+function registerAtlasExporter(key, exporter) {
+    if (typeof exporter.generate !== 'function') {
+        throw new Error(`导出格式 ${key} 缺少 generate 方法`);
+    }
+    ATLAS_EXPORTERS[key] = exporter;
+}
+
+/**
+ * 计算每页的文件名：单页为 baseName，多页为 baseName_1、baseName_2 ...
+ * @param {Array} atlases - 图集数组 { width, height, frames }
+ * @param {string} baseName - 基础名称
+ * @returns {Array} - [{ name, width, height, frames }]
+ */
+function getExportPages(atlases, baseName) {
+    return atlases.map((atlas, index) => ({
+        name: atlases.length > 1 ? `${baseName}_${index + 1}` : baseName,
+        width: atlas.width,
+        height: atlas.height,
+        frames: atlas.frames
+    }));
+}
+
+/**
+ * 按格式生成数据文件
+ * @param {string} format - 格式标识，见 ATLAS_EXPORTERS
+ * @param {Array} pages - 页面数组，见 getExportPages
+ * @param {string} baseName - 基础名称（合并为单个文件的格式使用）
+ * @param {Object} options - 格式相关选项，如 { plistFormat, pixelFormat }
+ * @returns {Array} - [{ name, content, mimeType }]
+ */
+function exportAtlasData(format, pages, baseName, options = {}) {
+    const exporter = ATLAS_EXPORTERS[format];
+    if (!exporter) {
+        throw new Error(`未知导出格式: ${format}（可选: ${Object.keys(ATLAS_EXPORTERS).join(' / ')}）`);
+    }
+    return exporter.generate(pages, baseName, options);
+}
+
+/**
+ * 九宫格边距的附属 JSON（不导出 Creator meta 时使用），按帧名记录所在页和相对帧矩形的边距
+ * @param {Array} pages - 页面数组，见 getExportPages
+ * @param {string} baseName - 基础名称，文件名为 <baseName>.borders.json
+ * @returns {Object|null} - { name, content, mimeType }，没有帧设置九宫格时返回 null
+ */
+function generateBorderSidecar(pages, baseName) {
+    const borders = {};
+    for (const page of pages) {
+        for (const frame of page.frames) {
+            if (frame.border) {
+                const { left, right, top, bottom } = frame.border;
+                borders[getExportFrameName(frame)] = { page: `${page.name}.png`, left, right, top, bottom };
+            }
+        }
+    }
+
+    if (Object.keys(borders).length === 0) {
+        return null;
+    }
+    return {
+        name: `${baseName}.borders.json`,
+        content: JSON.stringify({ app: EXPORT_APP_NAME, borders }, null, 2),
+        mimeType: 'application/json'
+    };
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ATLAS_EXPORTERS, registerAtlasExporter, getExportPages, exportAtlasData, generateBorderSidecar };
+}
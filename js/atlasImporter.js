@@ -0,0 +1,61 @@
+/**
+ * 图集导入模块
+ * 把已有的 plist（格式 0 ~ 3）+ 纹理切回独立图片：还原旋转，裁剪掉的透明边缘按原图尺寸补回，
+ * 切出的图片可以用新的设置重新打包
+ */
+
+/**
+ * 在一起选择的图片中查找 plist 对应的纹理
+ * 优先匹配 metadata 中的 textureFileName，其次匹配与 plist 同名的 png
+ * @param {string} textureFileName - plist 中记录的纹理文件名，可为空
+ * @param {string} plistName - plist 文件名
+ * @param {Array<File>} imageFiles - 图片文件
+ * @returns {File|null}
+ */
+function findAtlasTexture(textureFileName, plistName, imageFiles) {
+    const baseName = (name) => name.split(/[\\/]/).pop().toLowerCase();
+    const candidates = [textureFileName, plistName.replace(/\.plist$/i, '.png')]
+        .filter(Boolean)
+        .map(baseName);
+
+    for (const candidate of candidates) {
+        const file = imageFiles.find(f => baseName(f.name) === candidate);
+        if (file) {
+            return file;
+        }
+    }
+    return null;
+}
+
+/**
+ * 切出图集中的帧
+ * @param {CanvasImageSource} texture - 图集纹理
+ * @param {Array} frames - readPlistAtlas 返回的帧数据
+ * @returns {Array} - [{ name, canvas }]，canvas 为原图尺寸；格式 3 的 aliases 各自生成一项，共用同一画布
+ */
+function sliceAtlasFrames(texture, frames) {
+    const sprites = [];
+
+    for (const frame of frames) {
+        if (frame.x < 0 || frame.y < 0 || frame.x + frame.width > texture.width || frame.y + frame.height > texture.height) {
+            throw new Error(`帧 ${frame.name} 超出纹理范围 (${texture.width}×${texture.height})，plist 与纹理不匹配`);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = frame.sourceWidth;
+        canvas.height = frame.sourceHeight;
+        drawUnrotatedFrame(canvas.getContext('2d'), texture, frame, frame.trimX, frame.trimY);
+
+        sprites.push({ name: frame.name, canvas });
+        for (const alias of frame.aliases || []) {
+            sprites.push({ name: alias, canvas });
+        }
+    }
+
+    return sprites;
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { findAtlasTexture, sliceAtlasFrames };
+}
@@ -1,13 +1,125 @@
 // 图集生成算法模块
 
 /**
- * Shelf算法（货架算法）- 图集生成 - 增强优化版
+ * 解析间距设置（各打包算法的 padding 参数都可以是数字或对象）
+ * @param {number|Object} padding - 数字为图片之间的间距；或 { shape, border }
+ * @returns {Object} - { shape, border }，shape 为图片之间的空白，border 为图集边缘的空白
+ */
+function resolvePadding(padding) {
+    if (typeof padding === 'number') {
+        return { shape: padding, border: 0 };
+    }
+    return { shape: (padding && padding.shape) || 0, border: (padding && padding.border) || 0 };
+}
+
+/**
+ * 图片在布局中占用的尺寸（未旋转）：四周各加 extrude 像素，右侧和下方再加图片间距
+ * @param {Object} item - 图片条目，extrude 为向外复制的边缘像素数
+ * @param {number|Object} padding - 间距设置
+ * @returns {Object} - { width, height }
+ */
+function getPackedSize(item, padding) {
+    const margin = (item.extrude || 0) * 2 + resolvePadding(padding).shape;
+    return { width: item.width + margin, height: item.height + margin };
+}
+
+/**
+ * 帧在布局中占用的矩形（getPackedSize 放置后的位置）
+ * @param {Object} frame - 帧数据
+ * @param {number|Object} padding - 间距设置
+ * @returns {Object} - { x, y, width, height }
+ */
+function getPackedRect(frame, padding) {
+    const extrude = frame.extrude || 0;
+    const margin = extrude * 2 + resolvePadding(padding).shape;
+    return { x: frame.x - extrude, y: frame.y - extrude, width: frame.width + margin, height: frame.height + margin };
+}
+
+/**
+ * 可放置图片的区域：四周去掉边框，最后一列 / 行图片右侧和下方的间距可以伸入边框
+ * @returns {Object} - { x, y, width, height }
+ */
+function getPackingArea(padding, maxWidth, maxHeight) {
+    const { shape, border } = resolvePadding(padding);
+    return { x: border, y: border, width: maxWidth - border * 2 + shape, height: maxHeight - border * 2 + shape };
+}
+
+/**
+ * 图片是否允许旋转 90 度放置（单张图片的覆盖设置可以禁止旋转）
+ * @param {Object} item - 图片条目
+ * @returns {boolean}
+ */
+function canRotate(item) {
+    return item.allowRotation !== false;
+}
+
+/**
+ * 在占用矩形的位置创建帧，帧矩形为去掉 extrude 后的图片区域
+ * @param {Object} item - 图片条目
+ * @param {number} x - 占用矩形的x
+ * @param {number} y - 占用矩形的y
+ * @param {boolean} rotated - 是否旋转90度
+ * @returns {Object} - 帧数据
+ */
+function placeFrame(item, x, y, rotated) {
+    const extrude = item.extrude || 0;
+    return createFrame(item, x + extrude, y + extrude, rotated);
+}
+
+/**
+ * 布局的实际尺寸：帧及其 extrude 区域的右下边界加上边框
+ * @param {Array} frames - 帧数据
+ * @param {number|Object} padding - 间距设置
+ * @returns {Object} - { width, height }
+ */
+function getLayoutBounds(frames, padding) {
+    const { border } = resolvePadding(padding);
+    let width = border * 2;
+    let height = border * 2;
+    for (const frame of frames) {
+        const extrude = frame.extrude || 0;
+        width = Math.max(width, frame.x + frame.width + extrude + border);
+        height = Math.max(height, frame.y + frame.height + extrude + border);
+    }
+    return { width, height };
+}
+
+/**
+ * Shelf算法（货架算法）- 图集布局（只计算布局，不绘制）
+ * 按占用尺寸（含 extrude 和图片间距）在去掉边框的区域中摆放，再换算为帧
+ * @param {Array} sortedImages - 已排序的图片数组
+ * @param {number|Object} padding - 间距设置，见 resolvePadding
+ * @param {number} maxWidth - 最大宽度
+ * @param {number} maxHeight - 最大高度
+ * @returns {Object|null} - 包含frames、width、height的对象，有图片放不下时返回null
+ */
+function layoutImagesInternal(sortedImages, padding, maxWidth, maxHeight = 4096) {
+    const area = getPackingArea(padding, maxWidth, maxHeight);
+    // 占位条目的 img 指向原图片条目，摆放后据此创建真正的帧
+    const boxes = sortedImages.map(item => ({
+        name: item.name,
+        ...getPackedSize(item, padding),
+        allowRotation: canRotate(item),
+        img: item
+    }));
+    const layout = shelfLayout(boxes, 0, area.width, area.height);
+    if (!layout) {
+        return null;
+    }
+
+    const frames = layout.frames.map(box => placeFrame(box.img, area.x + box.x, area.y + box.y, box.rotated));
+    return { frames, ...getLayoutBounds(frames, padding) };
+}
+
+/**
+ * Shelf算法核心 - 增强优化版
  * @param {Array} sortedImages - 已排序的图片数组
  * @param {number} padding - 图片间距
  * @param {number} maxWidth - 最大宽度
- * @returns {Object|null} - 包含canvas、frames、width、height的对象，失败返回null
+ * @param {number} maxHeight - 最大高度
+ * @returns {Object|null} - 包含frames、width、height的对象，有图片放不下时返回null
  */
-function packImagesInternal(sortedImages, padding, maxWidth) {
+function shelfLayout(sortedImages, padding, maxWidth, maxHeight = 4096) {
     // 增强优化的 Shelf 算法
     const frames = [];
     const shelves = []; // 每个 shelf: { y, height, currentX, maxWidth, usedArea }
@@ -26,8 +138,8 @@ function packImagesInternal(sortedImages, padding, maxWidth) {
             const width = item.width;
             const height = item.height;
 
-            // 检查图片是否超过最大尺寸
-            if (width > maxWidth && height > maxWidth) {
+            // 检查图片是否超过最大尺寸（两个方向都放不下，或不允许旋转时原方向放不下）
+            if ((width > maxWidth || height > maxHeight) && (!canRotate(item) || height > maxWidth || width > maxHeight)) {
                 return null;
             }
 
@@ -63,7 +175,7 @@ function packImagesInternal(sortedImages, padding, maxWidth) {
                 }
 
                 // 尝试旋转放入
-                if (height <= remainingWidth && width <= shelf.height) {
+                if (canRotate(item) && height <= remainingWidth && width <= shelf.height) {
                     const waste = shelf.height - width;
                     const widthFit = remainingWidth - height;
                     const shelfUtilization = (shelf.currentX * shelf.height) / (maxWidth * shelf.height);
@@ -85,19 +197,7 @@ function packImagesInternal(sortedImages, padding, maxWidth) {
                 const placeWidth = rotated ? height : width;
                 const placeHeight = rotated ? width : height;
 
-                frames.push({
-                    name: item.name,
-                    x: bestShelf.currentX,
-                    y: bestShelf.y,
-                    width: placeWidth,
-                    height: placeHeight,
-                    originalWidth: width,
-                    originalHeight: height,
-                    offsetX: 0,
-                    offsetY: 0,
-                    rotated: rotated,
-                    img: item.img
-                });
+                frames.push(createFrame(item, bestShelf.currentX, bestShelf.y, rotated));
 
                 bestShelf.currentX += placeWidth + padding;
                 placed = true;
@@ -115,7 +215,7 @@ function packImagesInternal(sortedImages, padding, maxWidth) {
                 }
 
                 // 检查是否超过最大高度
-                if (newY > 4096) {
+                if (newY > maxHeight) {
                     return null;
                 }
 
@@ -128,7 +228,9 @@ function packImagesInternal(sortedImages, padding, maxWidth) {
                 const widthOverLimit = width + padding > maxWidth;
                 const heightOverLimit = height + padding > maxWidth;
 
-                if (widthOverLimit && !heightOverLimit) {
+                if (!canRotate(item)) {
+                    // 不允许旋转，保持原样
+                } else if (widthOverLimit && !heightOverLimit) {
                     // 必须旋转
                     rotated = true;
                     placeWidth = height;
@@ -221,19 +323,7 @@ function packImagesInternal(sortedImages, padding, maxWidth) {
                         const placeH = rotated ? width : height;
                         const placeW = rotated ? height : width;
 
-                        frames.push({
-                            name: item.name,
-                            x: lastShelf.currentX,
-                            y: lastShelf.y + (mergedHeight - placeH) / 2,
-                            width: placeW,
-                            height: placeH,
-                            originalWidth: width,
-                            originalHeight: height,
-                            offsetX: 0,
-                            offsetY: 0,
-                            rotated: rotated,
-                            img: item.img
-                        });
+                        frames.push(createFrame(item, lastShelf.currentX, lastShelf.y + (mergedHeight - placeH) / 2, rotated));
 
                         lastShelf.currentX += placeW + padding;
                         placed = true;
@@ -251,19 +341,7 @@ function packImagesInternal(sortedImages, padding, maxWidth) {
                     };
                     shelves.push(newShelf);
 
-                    frames.push({
-                        name: item.name,
-                        x: padding,
-                        y: newY + (optimalHeight - placeHeight) / 2,
-                        width: placeWidth,
-                        height: placeHeight,
-                        originalWidth: width,
-                        originalHeight: height,
-                        offsetX: 0,
-                        offsetY: 0,
-                        rotated: rotated,
-                        img: item.img
-                    });
+                    frames.push(createFrame(item, padding, newY + (optimalHeight - placeHeight) / 2, rotated));
 
                     placed = true;
                     placedThisRound = true;
@@ -310,6 +388,11 @@ function packImagesInternal(sortedImages, padding, maxWidth) {
             }
         }
     }
+
+    // 多轮尝试后仍有图片未放置
+    if (images.length > 0) {
+        return null;
+    }
     
     // 计算实际使用的边界
     let maxRight = padding;
@@ -322,33 +405,11 @@ function packImagesInternal(sortedImages, padding, maxWidth) {
     const usedWidth = maxRight;
     const usedHeight = maxBottom;
 
-    // 创建canvas
-    const canvas = document.createElement('canvas');
-    canvas.width = usedWidth;
-    canvas.height = usedHeight;
-    const ctx = canvas.getContext('2d');
-
-    // 绘制所有帧
-    for (const frame of frames) {
-        if (frame.rotated) {
-            ctx.save();
-            ctx.translate(frame.x + frame.width / 2, frame.y + frame.height / 2);
-            ctx.rotate(-Math.PI / 2);
-            ctx.drawImage(
-                frame.img,
-                0, 0, frame.originalWidth, frame.originalHeight,
-                -frame.originalWidth / 2, -frame.originalHeight / 2, 
-                frame.originalWidth, frame.originalHeight
-            );
-            ctx.restore();
-        } else {
-            ctx.drawImage(frame.img, frame.x, frame.y, frame.width, frame.height);
-        }
-        // 不删除 frame.img，保留用于缓存和测试面板
-        // delete frame.img;
+    if (usedHeight > maxHeight) {
+        return null;
     }
 
-    return { canvas, frames, width: usedWidth, height: usedHeight };
+    return { frames, width: usedWidth, height: usedHeight };
 }
 
 /**
@@ -361,15 +422,31 @@ function nextPowerOf2(n) {
 }
 
 /**
- * 主打包函数 - 尝试多种排序策略和宽度选项选择最优结果
+ * 主打包函数 - 计算最优布局后只绘制一次
  * @param {Array} images - 图片数组
- * @param {number} padding - 图片间距
+ * @param {number|Object} padding - 间距设置，数字或 { shape, border }，见 resolvePadding
  * @param {number} maxWidth - 最大宽度
  * @param {boolean} usePowerOfTwo - 是否使用2的幂次方尺寸，默认true
- * @returns {Object|null} - 最优打包结果
+ * @param {number} maxHeight - 最大高度，默认2048
+ * @returns {Object|null} - 最优打包结果 { canvas, frames, width, height }
  */
-function packImages(images, padding, maxWidth, usePowerOfTwo = true) {
-    const effectiveMaxWidth = Math.min(maxWidth, 2048);
+function packImages(images, padding, maxWidth, usePowerOfTwo = true, maxHeight = 2048) {
+    return renderLayout(layoutImages(images, padding, maxWidth, usePowerOfTwo, maxHeight));
+}
+
+/**
+ * 布局搜索 - 尝试多种排序策略和宽度选项选择最优布局（不依赖 DOM）
+ * @param {Array} images - 图片数组
+ * @param {number|Object} padding - 间距设置，数字或 { shape, border }，见 resolvePadding
+ * @param {number} maxWidth - 最大宽度
+ * @param {boolean} usePowerOfTwo - 是否使用2的幂次方尺寸，默认true
+ * @param {number} maxHeight - 最大高度，默认2048
+ * @param {Function} onProgress - 可选，每个候选布局前回调 { current, total, efficiency }（efficiency 为目前最优利用率）
+ * @returns {Object|null} - 最优布局 { frames, width, height }
+ */
+function layoutImages(images, padding, maxWidth, usePowerOfTwo = true, maxHeight = 2048, onProgress = null) {
+    const effectiveMaxWidth = maxWidth;
+    const effectiveMaxHeight = maxHeight;
 
     // 更全面的排序策略 - 增强版优化空间利用率
     const sortStrategies = [
@@ -393,7 +470,7 @@ function packImages(images, padding, maxWidth, usePowerOfTwo = true) {
     const widthOptions = [];
     if (usePowerOfTwo) {
         // 2的幂次方宽度选项
-        for (let pow = 11; pow >= 6; pow--) {
+        for (let pow = Math.floor(Math.log2(effectiveMaxWidth)); pow >= 6; pow--) {
             const w = Math.pow(2, pow);
             if (w <= effectiveMaxWidth) {
                 widthOptions.push(w);
@@ -436,39 +513,31 @@ function packImages(images, padding, maxWidth, usePowerOfTwo = true) {
     let bestResult = null;
     let bestArea = Infinity;
     let bestEfficiency = 0;
+    const totalCandidates = widthOptions.length * sortStrategies.length;
+    let candidate = 0;
 
     for (const width of widthOptions) {
         for (const strategy of sortStrategies) {
+            if (onProgress) onProgress({ current: ++candidate, total: totalCandidates, efficiency: bestEfficiency });
+
             const sortedImages = [...images].sort(strategy.fn);
-            const result = packImagesInternal(sortedImages, padding, width);
+            const result = layoutImagesInternal(sortedImages, padding, width, effectiveMaxHeight);
 
             if (!result) continue;
 
-            let finalWidth, finalHeight, finalCanvas;
+            let finalWidth, finalHeight;
 
             if (usePowerOfTwo) {
                 // 将尺寸调整为2的幂次方
                 finalWidth = nextPowerOf2(result.width);
                 finalHeight = nextPowerOf2(result.height);
 
-                // 如果调整后超过2048，跳过
-                if (finalWidth > 2048 || finalHeight > 2048) continue;
-
-                // 仅在尺寸变化时创建新canvas（优化性能）
-                if (finalWidth !== result.width || finalHeight !== result.height) {
-                    finalCanvas = document.createElement('canvas');
-                    finalCanvas.width = finalWidth;
-                    finalCanvas.height = finalHeight;
-                    const ctx = finalCanvas.getContext('2d');
-                    ctx.drawImage(result.canvas, 0, 0);
-                } else {
-                    finalCanvas = result.canvas;
-                }
+                // 如果调整后超过最大尺寸，跳过
+                if (finalWidth > effectiveMaxWidth || finalHeight > effectiveMaxHeight) continue;
             } else {
                 // 使用原始尺寸
                 finalWidth = result.width;
                 finalHeight = result.height;
-                finalCanvas = result.canvas;
             }
 
             const area = finalWidth * finalHeight;
@@ -483,7 +552,6 @@ function packImages(images, padding, maxWidth, usePowerOfTwo = true) {
                 bestArea = area;
                 bestEfficiency = efficiency;
                 bestResult = {
-                    canvas: finalCanvas,
                     frames: result.frames,
                     width: finalWidth,
                     height: finalHeight
@@ -502,33 +570,210 @@ function packImages(images, padding, maxWidth, usePowerOfTwo = true) {
     return bestResult;
 }
 
+// plist 格式版本：0/1 为旧版 cocos2d 格式（不支持旋转），2 为默认格式，3 为 cocos2d-x 3.x / Creator 支持的新格式
+const PLIST_FORMATS = [0, 1, 2, 3];
+const DEFAULT_PLIST_FORMAT = 2;
+
+/**
+ * 导出格式是否支持旋转帧：plist 格式 0 / 1 不支持，打包时需要禁止旋转（图片条目的 allowRotation 设为 false）
+ * @param {string} exportFormat - 数据文件格式，见 ATLAS_EXPORTERS
+ * @param {number} plistFormat - plist 格式版本
+ * @returns {boolean}
+ */
+function isRotationSupported(exportFormat, plistFormat) {
+    return exportFormat !== 'cocos-plist' || plistFormat >= 2;
+}
+
+/**
+ * XML 转义
+ */
+function escapePlistString(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * 帧的网格数据（网格精灵，见 polygonPacker.js），plist 格式 3 和 JSON 格式导出使用
+ * @param {Object} frame - 带 polygon 的帧
+ * @returns {Object} - { vertices, uvs, triangles }：vertices 为原图坐标，uvs 为图集像素坐标（均为 y 轴向下）
+ */
+function getFrameMesh(frame) {
+    const trimX = frame.trimX || 0;
+    const trimY = frame.trimY || 0;
+    const round = value => Math.round(value * 1000) / 1000;
+    return {
+        vertices: frame.polygon.vertices.map(point => ({ x: point.x, y: point.y })),
+        uvs: frame.polygon.vertices.map(point => ({ x: round(frame.x + point.x - trimX), y: round(frame.y + point.y - trimY) })),
+        triangles: [...frame.polygon.triangles]
+    };
+}
+
+/**
+ * 生成单帧的 plist 键值
+ * frame / textureRect 中的宽高是帧的未旋转尺寸，旋转帧在图集中实际占用的是宽高互换后的区域
+ * @param {Object} frame - 帧数据
+ * @param {number} format - plist 格式版本
+ * @returns {Array} - [key, xml 值] 数组
+ */
+function createPlistFrameEntries(frame, format) {
+    const x = Math.round(frame.x);
+    const y = Math.round(frame.y);
+    const width = Math.round(frame.originalWidth);
+    const height = Math.round(frame.originalHeight);
+    const sourceWidth = Math.round(frame.sourceWidth || frame.originalWidth);
+    const sourceHeight = Math.round(frame.sourceHeight || frame.originalHeight);
+    const trimX = frame.trimX || 0;
+    const trimY = frame.trimY || 0;
+    // 裁剪后的偏移可能是半像素，不做取整
+    const offsetX = frame.offsetX || 0;
+    const offsetY = frame.offsetY || 0;
+    const rotated = frame.rotated || false;
+
+    if (rotated && format < 2) {
+        throw new Error(`plist 格式 ${format} 不支持旋转帧（${frame.name}），请使用格式 2 或 3`);
+    }
+    if (frame.polygon && format !== 3) {
+        throw new Error(`plist 格式 ${format} 不支持多边形帧（${frame.name}），请使用格式 3`);
+    }
+
+    switch (format) {
+        case 0:
+            return [
+                ['x', `<real>${x}</real>`],
+                ['y', `<real>${y}</real>`],
+                ['width', `<real>${width}</real>`],
+                ['height', `<real>${height}</real>`],
+                ['offsetX', `<real>${offsetX}</real>`],
+                ['offsetY', `<real>${offsetY}</real>`],
+                ['originalWidth', `<integer>${sourceWidth}</integer>`],
+                ['originalHeight', `<integer>${sourceHeight}</integer>`]
+            ];
+        case 1:
+        case 2: {
+            const entries = [
+                ['frame', `<string>{{${x},${y}},{${width},${height}}}</string>`],
+                ['offset', `<string>{${offsetX},${offsetY}}</string>`]
+            ];
+            if (format === 2) {
+                entries.push(['rotated', `<${rotated}/>`]);
+            }
+            entries.push(
+                ['sourceColorRect', `<string>{{${trimX},${trimY}},{${width},${height}}}</string>`],
+                ['sourceSize', `<string>{${sourceWidth},${sourceHeight}}</string>`]
+            );
+            return entries;
+        }
+        case 3: {
+            const aliases = (frame.aliases || []).map(alias => `<string>${escapePlistString(alias + '.png')}</string>`);
+            const entries = [['aliases', aliases.length ? `<array>${aliases.join('')}</array>` : '<array/>']];
+            // 自定义锚点（相对原图尺寸，y 轴向上），默认中心时不写
+            if (frame.pivot) {
+                entries.push(['anchor', `<string>{${frame.pivot.x},${frame.pivot.y}}</string>`]);
+            }
+            entries.push(
+                ['spriteOffset', `<string>{${offsetX},${offsetY}}</string>`],
+                ['spriteSize', `<string>{${width},${height}}</string>`],
+                ['spriteSourceSize', `<string>{${sourceWidth},${sourceHeight}}</string>`],
+                ['textureRect', `<string>{{${x},${y}},{${width},${height}}}</string>`],
+                ['textureRotated', `<${rotated}/>`]
+            );
+            // 网格精灵：三角形下标、原图坐标的顶点和图集像素坐标的顶点，均以空格分隔
+            if (frame.polygon) {
+                const mesh = getFrameMesh(frame);
+                const joinPoints = points => points.map(point => `${point.x} ${point.y}`).join(' ');
+                entries.push(
+                    ['triangles', `<string>${mesh.triangles.join(' ')}</string>`],
+                    ['vertices', `<string>${joinPoints(mesh.vertices)}</string>`],
+                    ['verticesUV', `<string>${joinPoints(mesh.uvs)}</string>`]
+                );
+            }
+            return entries;
+        }
+        default:
+            throw new Error(`不支持的 plist 格式: ${format}（可选: ${PLIST_FORMATS.join(' / ')}）`);
+    }
+}
+
+/**
+ * 格式 3：裁剪信息和锚点与原图相同的别名帧（见 duplicateSprites.js）并入原图帧的 aliases，
+ * 其他别名帧仍作为独立的帧写出
+ * @param {Array} frames - 帧数据数组
+ * @returns {Array} - 新的帧数组（不修改原帧）
+ */
+function mergeAliasFrames(frames) {
+    const copies = new Map(frames
+        .filter(frame => !frame.aliasOf)
+        .map(frame => [frame, { ...frame, aliases: [...(frame.aliases || [])] }]));
+    const originals = new Map([...copies.values()].map(copy => [copy.name, copy]));
+    const result = [];
+
+    for (const frame of frames) {
+        if (!frame.aliasOf) {
+            result.push(copies.get(frame));
+            continue;
+        }
+
+        const original = originals.get(frame.aliasOf);
+        const sameTrim = original &&
+            (frame.sourceWidth || frame.originalWidth) === (original.sourceWidth || original.originalWidth) &&
+            (frame.sourceHeight || frame.originalHeight) === (original.sourceHeight || original.originalHeight) &&
+            (frame.trimX || 0) === (original.trimX || 0) &&
+            (frame.trimY || 0) === (original.trimY || 0) &&
+            JSON.stringify(frame.pivot || null) === JSON.stringify(original.pivot || null);
+        if (sameTrim) {
+            original.aliases.push(frame.name);
+        } else {
+            result.push(frame);
+        }
+    }
+
+    return result;
+}
+
 /**
  * 生成Cocos Creator格式的plist文件
  * @param {string} atlasName - 图集名称
  * @param {number} width - 图集宽度
  * @param {number} height - 图集高度
  * @param {Array} frames - 帧数据数组
+ * @param {number} format - plist 格式版本（0 / 1 / 2 / 3），默认 2
+ * @param {string} pixelFormat - 纹理的像素格式（见 pixelFormat.js），格式 3 总是写入，其他格式只在不是 RGBA8888 时写入
  * @returns {string} - plist XML字符串
  */
-function generatePlist(atlasName, width, height, frames) {
-    let framesXml = '';
-    for (const frame of frames) {
-        const rotatedValue = frame.rotated ? '<true/>' : '<false/>';
-
-        framesXml += `      <key>${frame.name}.png</key>
-      <dict>
-        <key>frame</key>
-        <string>{{${Math.round(frame.x)},${Math.round(frame.y)}},{${Math.round(frame.width)},${Math.round(frame.height)}}}</string>
-        <key>offset</key>
-        <string>{${frame.offsetX},${frame.offsetY}}</string>
-        <key>rotated</key>
-        ${rotatedValue}
-        <key>sourceColorRect</key>
-        <string>{{0,0},{${Math.round(frame.originalWidth)},${Math.round(frame.originalHeight)}}}</string>
-        <key>sourceSize</key>
-        <string>{${Math.round(frame.originalWidth)},${Math.round(frame.originalHeight)}}</string>
-      </dict>
-`;
+function generatePlist(atlasName, width, height, frames, format = DEFAULT_PLIST_FORMAT, pixelFormat = 'RGBA8888') {
+    const textureFileName = escapePlistString(`${atlasName}.png`);
+    const plistFrames = format === 3 ? mergeAliasFrames(frames) : frames;
+
+    const framesContent = plistFrames.map(frame => {
+        // 使用 frame.name 作为帧名，它已经是相对路径格式
+        const entries = createPlistFrameEntries(frame, format)
+            .map(([key, value]) => `
+      <key>${key}</key>
+      ${value}`)
+            .join('');
+        return `
+    <key>${escapePlistString(frame.name + '.png')}</key>
+    <dict>${entries}
+    </dict>`;
+    }).join('');
+
+    // 格式 3 额外写入像素格式和实际纹理文件名，其他格式只在降低了像素精度时写入像素格式
+    const pixelFormatEntry = `
+    <key>pixelFormat</key>
+    <string>${escapePlistString(pixelFormat)}</string>`;
+    let metadataExtra = '';
+    if (format === 3) {
+        metadataExtra = `${pixelFormatEntry}
+    <key>premultiplyAlpha</key>
+    <false/>
+    <key>realTextureFileName</key>
+    <string>${textureFileName}</string>`;
+    } else if (pixelFormat !== 'RGBA8888') {
+        metadataExtra = pixelFormatEntry;
     }
 
     return `<?xml version="1.0" encoding="UTF-8"?>
@@ -536,18 +781,16 @@ function generatePlist(atlasName, width, height, frames) {
 <plist version="1.0">
 <dict>
   <key>frames</key>
-  <dict>
-${framesXml}  </dict>
+  <dict>${framesContent}
+  </dict>
   <key>metadata</key>
   <dict>
     <key>format</key>
-    <integer>2</integer>
-    <key>realTextureFileName</key>
-    <string>${atlasName}.png</string>
+    <integer>${format}</integer>${metadataExtra}
     <key>size</key>
     <string>{${width},${height}}</string>
     <key>textureFileName</key>
-    <string>${atlasName}.png</string>
+    <string>${textureFileName}</string>
   </dict>
 </dict>
 </plist>`;
@@ -555,5 +798,5 @@ ${framesXml}  </dict>
 
 // 导出模块
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { packImages, generatePlist };
+    module.exports = { resolvePadding, getPackedSize, getPackedRect, getPackingArea, canRotate, placeFrame, getLayoutBounds, packImages, layoutImages, getFrameMesh, generatePlist, PLIST_FORMATS, isRotationSupported };
 }
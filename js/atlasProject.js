@@ -0,0 +1,189 @@
+/**
+ * 项目文件模块（.atlasproj）
+ * 以 JSON 记录图集设置和图片列表（相对路径和/或内嵌的 data URL），网页端保存 / 打开，
+ * 命令行 cocos-atlas build <项目文件> 只凭项目文件即可重现构建
+ * 依赖 config.js、spriteOverrides.js、imageResampler.js、scaleVariants.js、pixelFormat.js 和 paletteQuantizer.js，不依赖 DOM
+ */
+
+const ATLAS_PROJECT_TYPE = 'cocos-atlas-project';
+const ATLAS_PROJECT_VERSION = 1;
+const ATLAS_PROJECT_EXTENSION = '.atlasproj';
+
+/**
+ * 默认项目设置（来自 AppConfig）
+ * @returns {Object}
+ */
+function getDefaultProjectSettings() {
+    return {
+        atlasName: 'sprite_atlas',
+        padding: getConfig('atlas.defaultPadding'),
+        borderPadding: getConfig('atlas.defaultBorderPadding'),
+        extrude: getConfig('atlas.defaultExtrude'),
+        maxWidth: getConfig('atlas.defaultMaxWidth'),
+        maxHeight: getConfig('atlas.defaultMaxHeight'),
+        powerOfTwo: getConfig('atlas.defaultPowerOfTwo'),
+        trim: getConfig('atlas.defaultTrim'),
+        mergeDuplicates: getConfig('atlas.mergeDuplicates'),
+        // 与界面中的算法选项一致，可带变体，如 maxRectangles-auto
+        algorithm: getConfig('algorithm.default'),
+        // 多边形模式（algorithm 为 polygon / polygon-convex）每张图片的顶点数上限
+        polygonVertices: getConfig('algorithm.polygonMaxVertices'),
+        multiAtlas: false,
+        multiAtlasMode: getConfig('atlas.multiAtlasMode'),
+        stableLayout: getConfig('atlas.stableLayout'),
+        // 缩放变体 [{ scale, suffix }]（为空时只生成原尺寸）和重采样滤波器
+        scaleVariants: getConfig('atlas.scaleVariants').map(variant => ({ ...variant })),
+        scaleFilter: getConfig('atlas.scaleFilter'),
+        export: {
+            format: getConfig('export.defaultFormat'),
+            plistFormat: getConfig('export.plistFormat'),
+            pixelFormat: getConfig('export.pixelFormat'),
+            dither: getConfig('export.dither'),
+            png8: getConfig('export.png8'),
+            png8Quality: getConfig('export.png8Quality'),
+            png8Dither: getConfig('export.png8Dither'),
+            packaging: getConfig('export.defaultPackaging'),
+            cocosMeta: getConfig('export.cocosMeta'),
+            cocosAssetDir: getConfig('export.cocosAssetDir')
+        }
+    };
+}
+
+/**
+ * 合并默认值并校验设置
+ * @param {Object} settings - 项目中的设置，缺少的项使用默认值
+ * @returns {Object}
+ */
+function normalizeProjectSettings(settings = {}) {
+    const defaults = getDefaultProjectSettings();
+    const result = {
+        ...defaults,
+        ...settings,
+        export: { ...defaults.export, ...(settings.export || {}) }
+    };
+
+    if (typeof result.atlasName !== 'string' || !result.atlasName.trim()) {
+        throw new Error('项目设置无效: atlasName 不能为空');
+    }
+    for (const key of ['padding', 'borderPadding', 'extrude']) {
+        if (!Number.isInteger(result[key]) || result[key] < 0) {
+            throw new Error(`项目设置无效: ${key} = ${result[key]}`);
+        }
+    }
+    for (const key of ['maxWidth', 'maxHeight']) {
+        if (!Number.isInteger(result[key]) || result[key] <= 0) {
+            throw new Error(`项目设置无效: ${key} = ${result[key]}`);
+        }
+    }
+
+    if (!Number.isInteger(result.polygonVertices) || result.polygonVertices < 3) {
+        throw new Error(`项目设置无效: polygonVertices = ${result.polygonVertices}`);
+    }
+
+    try {
+        result.scaleVariants = normalizeScaleVariants(result.scaleVariants);
+    } catch (error) {
+        throw new Error(`项目设置无效: scaleVariants（${error.message}）`);
+    }
+    if (!RESAMPLE_FILTERS[result.scaleFilter]) {
+        throw new Error(`项目设置无效: 未知缩放滤波器 ${result.scaleFilter}`);
+    }
+
+    try {
+        validatePixelFormat(result.export.pixelFormat, result.export.dither);
+        validatePng8Quality(result.export.png8Quality);
+    } catch (error) {
+        throw new Error(`项目设置无效: ${error.message}`);
+    }
+
+    const algorithm = String(result.algorithm).split('-')[0];
+    if (!getConfig('algorithm.options').includes(algorithm)) {
+        throw new Error(`项目设置无效: 未知算法 ${result.algorithm}`);
+    }
+    if (result.multiAtlasMode !== 'overflow' && result.multiAtlasMode !== 'group') {
+        throw new Error(`项目设置无效: 未知多图集模式 ${result.multiAtlasMode}`);
+    }
+
+    return result;
+}
+
+/**
+ * 校验图片条目，只保留项目格式中的字段
+ * @param {Object} sprite - { name, path, data, overrides }
+ * @param {number} index - 序号，用于错误信息
+ */
+function normalizeProjectSprite(sprite, index) {
+    if (!sprite || typeof sprite.name !== 'string' || !sprite.name) {
+        throw new Error(`项目中的第 ${index + 1} 张图片缺少 name`);
+    }
+    if (!sprite.path && !sprite.data) {
+        throw new Error(`项目中的图片 ${sprite.name} 既没有 path 也没有 data`);
+    }
+
+    const result = { name: sprite.name };
+    if (sprite.path) result.path = sprite.path;
+    if (sprite.data) result.data = sprite.data;
+    const overrides = normalizeSpriteOverrides(sprite.overrides, sprite.name);
+    if (Object.keys(overrides).length > 0) result.overrides = overrides;
+    return result;
+}
+
+/**
+ * 创建项目
+ * @param {Object} settings - 图集设置，见 getDefaultProjectSettings
+ * @param {Array} sprites - [{ name, path, data, overrides }]
+ *   path 为相对项目文件的路径，data 为内嵌的图片 data URL（两者至少一项），overrides 为单张图片的覆盖设置
+ * @returns {Object} - { type, version, settings, sprites }
+ */
+function createAtlasProject(settings, sprites) {
+    return {
+        type: ATLAS_PROJECT_TYPE,
+        version: ATLAS_PROJECT_VERSION,
+        settings: normalizeProjectSettings(settings),
+        sprites: sprites.map(normalizeProjectSprite)
+    };
+}
+
+/**
+ * 序列化项目（缩进的 JSON，便于版本管理中对比）
+ */
+function serializeAtlasProject(project) {
+    return `${JSON.stringify(project, null, 2)}\n`;
+}
+
+/**
+ * 解析项目文件
+ * @param {string} text - 项目文件内容
+ * @returns {Object} - 补全默认值后的项目
+ */
+function parseAtlasProject(text) {
+    let project;
+    try {
+        project = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`项目文件不是有效的 JSON: ${error.message}`);
+    }
+
+    if (!project || project.type !== ATLAS_PROJECT_TYPE) {
+        throw new Error(`不是图集项目文件（type 应为 ${ATLAS_PROJECT_TYPE}）`);
+    }
+    if (!(project.version <= ATLAS_PROJECT_VERSION)) {
+        throw new Error(`项目文件版本 ${project.version} 高于支持的版本 ${ATLAS_PROJECT_VERSION}，请更新工具`);
+    }
+    if (!Array.isArray(project.sprites)) {
+        throw new Error('项目文件缺少 sprites');
+    }
+
+    return createAtlasProject(project.settings || {}, project.sprites);
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ATLAS_PROJECT_EXTENSION,
+        getDefaultProjectSettings,
+        createAtlasProject,
+        serializeAtlasProject,
+        parseAtlasProject
+    };
+}
@@ -0,0 +1,168 @@
+/**
+ * 图集渲染模块
+ * 打包算法只计算布局（帧矩形，不依赖 DOM），选出最优布局后由这里一次性绘制到画布上
+ */
+
+/**
+ * 把画布的绘制区域限制在帧的多边形内（调用方负责 save / restore）
+ * @param {CanvasRenderingContext2D} ctx - 画布上下文
+ * @param {Object} frame - 带 polygon 的帧
+ * @param {number} dx - 帧矩形左上角在画布中的x
+ * @param {number} dy - 帧矩形左上角在画布中的y
+ */
+function clipFramePolygon(ctx, frame, dx, dy) {
+    const trimX = frame.trimX || 0;
+    const trimY = frame.trimY || 0;
+    ctx.beginPath();
+    frame.polygon.vertices.forEach((point, index) => {
+        if (index === 0) ctx.moveTo(dx + point.x - trimX, dy + point.y - trimY);
+        else ctx.lineTo(dx + point.x - trimX, dy + point.y - trimY);
+    });
+    ctx.closePath();
+    ctx.clip();
+}
+
+/**
+ * 将帧绘制到图集画布上（只绘制裁剪区域）
+ * 带多边形的帧（网格精灵）与其他帧的矩形可能重叠，只绘制多边形内部
+ * @param {CanvasRenderingContext2D} ctx - 图集画布上下文
+ * @param {Object} frame - 帧数据
+ */
+function drawFrame(ctx, frame) {
+    const trimX = frame.trimX || 0;
+    const trimY = frame.trimY || 0;
+
+    if (frame.polygon) {
+        ctx.save();
+        clipFramePolygon(ctx, frame, frame.x, frame.y);
+        ctx.drawImage(
+            frame.img,
+            trimX, trimY, frame.width, frame.height,
+            frame.x, frame.y, frame.width, frame.height
+        );
+        ctx.restore();
+    } else if (frame.rotated) {
+        ctx.save();
+        ctx.translate(frame.x + frame.width / 2, frame.y + frame.height / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.drawImage(
+            frame.img,
+            trimX, trimY, frame.originalWidth, frame.originalHeight,
+            -frame.originalWidth / 2, -frame.originalHeight / 2,
+            frame.originalWidth, frame.originalHeight
+        );
+        ctx.restore();
+    } else {
+        ctx.drawImage(
+            frame.img,
+            trimX, trimY, frame.width, frame.height,
+            frame.x, frame.y, frame.width, frame.height
+        );
+    }
+}
+
+/**
+ * 把帧的边缘像素向外复制 frame.extrude 像素（先左右两列，再上下两行，四角取角上的像素），
+ * 避免缩放和线性过滤时从相邻的空白或其他图片取色产生接缝
+ * 复制的区域在帧矩形之外，plist 中的帧矩形不变
+ * @param {CanvasRenderingContext2D} ctx - 已绘制帧的图集画布上下文
+ * @param {Object} frame - 帧数据
+ */
+function extrudeFrame(ctx, frame) {
+    const extrude = frame.extrude || 0;
+    if (extrude <= 0) {
+        return;
+    }
+
+    const { x, y, width, height } = frame;
+    const canvas = ctx.canvas;
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(canvas, x, y, 1, height, x - extrude, y, extrude, height);
+    ctx.drawImage(canvas, x + width - 1, y, 1, height, x + width, y, extrude, height);
+    ctx.drawImage(canvas, x - extrude, y, width + extrude * 2, 1, x - extrude, y - extrude, width + extrude * 2, extrude);
+    ctx.drawImage(canvas, x - extrude, y + height - 1, width + extrude * 2, 1, x - extrude, y + height, width + extrude * 2, extrude);
+    ctx.restore();
+}
+
+/**
+ * 创建图集画布并绘制所有帧
+ * @param {Array} frames - 帧数据
+ * @param {number} width - 画布宽度
+ * @param {number} height - 画布高度
+ * @returns {HTMLCanvasElement} - 图集画布
+ */
+function renderFrames(frames, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    for (const frame of frames) {
+        // 重复图片的别名帧与原图共用同一区域，不需要再绘制
+        if (!frame.aliasOf) {
+            drawFrame(ctx, frame);
+            extrudeFrame(ctx, frame);
+        }
+    }
+
+    return canvas;
+}
+
+/**
+ * 渲染打包布局
+ * @param {Object|null} layout - 布局 { frames, width, height, ... }
+ * @returns {Object|null} - 布局加上 canvas，布局为 null 时返回 null
+ */
+function renderLayout(layout) {
+    if (!layout) {
+        return null;
+    }
+    return {
+        ...layout,
+        canvas: renderFrames(layout.frames, layout.width, layout.height)
+    };
+}
+
+/**
+ * 从图集中取出一帧并还原旋转（drawFrame 的逆过程），绘制未旋转的内容
+ * @param {CanvasRenderingContext2D} ctx - 目标画布上下文
+ * @param {CanvasImageSource} texture - 图集纹理
+ * @param {Object} frame - 帧数据
+ * @param {number} dx - 绘制位置x
+ * @param {number} dy - 绘制位置y
+ */
+function drawUnrotatedFrame(ctx, texture, frame, dx, dy) {
+    if (frame.rotated) {
+        ctx.save();
+        ctx.translate(dx + frame.originalWidth / 2, dy + frame.originalHeight / 2);
+        ctx.rotate(Math.PI / 2);
+        ctx.drawImage(
+            texture,
+            frame.x, frame.y, frame.width, frame.height,
+            -frame.width / 2, -frame.height / 2, frame.width, frame.height
+        );
+        ctx.restore();
+    } else if (frame.polygon) {
+        // 网格精灵的帧矩形中可能有其他帧的像素，只取多边形内部
+        ctx.save();
+        clipFramePolygon(ctx, frame, dx, dy);
+        ctx.drawImage(
+            texture,
+            frame.x, frame.y, frame.width, frame.height,
+            dx, dy, frame.width, frame.height
+        );
+        ctx.restore();
+    } else {
+        ctx.drawImage(
+            texture,
+            frame.x, frame.y, frame.width, frame.height,
+            dx, dy, frame.width, frame.height
+        );
+    }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { clipFramePolygon, drawFrame, extrudeFrame, renderFrames, renderLayout, drawUnrotatedFrame };
+}
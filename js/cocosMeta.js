@@ -0,0 +1,332 @@
+/**
+ * Cocos Creator 3.x meta 文件生成模块
+ * 为导出的 png / plist 生成 .meta，UUID 由资源路径和帧名确定性地计算（UUID v5），
+ * 重复导出时保持不变，预制体中对图集和精灵帧的引用不会失效
+ */
+
+// UUID 命名空间（由 URL 命名空间和项目名计算得到），修改后所有导出的 UUID 都会改变
+const COCOS_META_NAMESPACE = 'cdfd0cdd-d16f-57fc-b084-e26b7e19984e';
+
+// Creator 图片资源中纹理子资源的固定 ID
+const COCOS_TEXTURE_SUB_ID = '6c48a';
+
+// meta 版本号（Creator 3.8）
+const COCOS_META_VERSIONS = {
+    image: '1.0.27',
+    texture: '1.0.22',
+    spriteAtlas: '1.0.8',
+    spriteFrame: '1.0.12'
+};
+
+/**
+ * SHA-1 摘要
+ * @param {Uint8Array} bytes - 输入数据
+ * @returns {Uint8Array} - 20 字节摘要
+ */
+function sha1(bytes) {
+    const length = bytes.length;
+    const words = new Uint32Array((((length + 8) >> 6) + 1) * 16);
+    for (let i = 0; i < length; i++) {
+        words[i >> 2] |= bytes[i] << (24 - (i % 4) * 8);
+    }
+    words[length >> 2] |= 0x80 << (24 - (length % 4) * 8);
+    words[words.length - 1] = length * 8;
+
+    const h = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0];
+    const w = new Uint32Array(80);
+
+    for (let block = 0; block < words.length; block += 16) {
+        for (let t = 0; t < 16; t++) {
+            w[t] = words[block + t];
+        }
+        for (let t = 16; t < 80; t++) {
+            const x = w[t - 3] ^ w[t - 8] ^ w[t - 14] ^ w[t - 16];
+            w[t] = (x << 1) | (x >>> 31);
+        }
+
+        let [a, b, c, d, e] = h;
+        for (let t = 0; t < 80; t++) {
+            let f, k;
+            if (t < 20) {
+                f = (b & c) | (~b & d);
+                k = 0x5A827999;
+            } else if (t < 40) {
+                f = b ^ c ^ d;
+                k = 0x6ED9EBA1;
+            } else if (t < 60) {
+                f = (b & c) | (b & d) | (c & d);
+                k = 0x8F1BBCDC;
+            } else {
+                f = b ^ c ^ d;
+                k = 0xCA62C1D6;
+            }
+            const temp = (((a << 5) | (a >>> 27)) + f + e + k + w[t]) >>> 0;
+            e = d;
+            d = c;
+            c = ((b << 30) | (b >>> 2)) >>> 0;
+            b = a;
+            a = temp;
+        }
+
+        h[0] = (h[0] + a) >>> 0;
+        h[1] = (h[1] + b) >>> 0;
+        h[2] = (h[2] + c) >>> 0;
+        h[3] = (h[3] + d) >>> 0;
+        h[4] = (h[4] + e) >>> 0;
+    }
+
+    const digest = new Uint8Array(20);
+    h.forEach((value, i) => {
+        digest[i * 4] = value >>> 24;
+        digest[i * 4 + 1] = (value >>> 16) & 0xff;
+        digest[i * 4 + 2] = (value >>> 8) & 0xff;
+        digest[i * 4 + 3] = value & 0xff;
+    });
+    return digest;
+}
+
+/**
+ * 根据名称生成确定性 UUID（RFC 4122 v5）
+ * @param {string} name - 名称
+ * @param {string} namespace - 命名空间 UUID
+ * @returns {string} - 形如 xxxxxxxx-xxxx-5xxx-yxxx-xxxxxxxxxxxx
+ */
+function uuidV5(name, namespace = COCOS_META_NAMESPACE) {
+    const nameBytes = new TextEncoder().encode(name);
+    const namespaceHex = namespace.replace(/-/g, '');
+    const bytes = new Uint8Array(16 + nameBytes.length);
+    for (let i = 0; i < 16; i++) {
+        bytes[i] = parseInt(namespaceHex.substr(i * 2, 2), 16);
+    }
+    bytes.set(nameBytes, 16);
+
+    const hash = sha1(bytes);
+    hash[6] = (hash[6] & 0x0f) | 0x50;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+
+    const hex = Array.from(hash.subarray(0, 16), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.substr(0, 8)}-${hex.substr(8, 4)}-${hex.substr(12, 4)}-${hex.substr(16, 4)}-${hex.substr(20, 12)}`;
+}
+
+/**
+ * 计算资源在项目中的路径，作为 UUID 的名称
+ * @param {string} assetDir - 资源目录（如 assets/resources/ui），可为空
+ * @param {string} fileName - 文件名
+ */
+function getCocosAssetPath(assetDir, fileName) {
+    const dir = (assetDir || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+    return dir ? `${dir}/${fileName}` : fileName;
+}
+
+/**
+ * 为图集中的帧分配子资源 ID（5 位十六进制，由帧名计算，冲突时追加序号重新计算）
+ * @param {Array} frames - 帧数据
+ * @returns {Map<string, string>} - 帧名 → 子资源 ID
+ */
+function assignSpriteFrameSubIds(frames) {
+    const subIds = new Map();
+    const used = new Set([COCOS_TEXTURE_SUB_ID]);
+
+    for (const frame of frames) {
+        let subId;
+        for (let attempt = 0; !subId || used.has(subId); attempt++) {
+            subId = uuidV5(attempt === 0 ? frame.name : `${frame.name}#${attempt}`).replace(/-/g, '').substr(0, 5);
+        }
+        used.add(subId);
+        subIds.set(frame.name, subId);
+    }
+
+    return subIds;
+}
+
+/**
+ * 生成 png 的 meta（图片资源 + 纹理子资源）
+ * @param {string} textureUuid - 图片资源 UUID
+ * @param {string} atlasName - 图集名称
+ * @returns {Object}
+ */
+function createTextureMeta(textureUuid, atlasName) {
+    return {
+        ver: COCOS_META_VERSIONS.image,
+        importer: 'image',
+        imported: true,
+        uuid: textureUuid,
+        files: ['.json', '.png'],
+        subMetas: {
+            [COCOS_TEXTURE_SUB_ID]: {
+                importer: 'texture',
+                uuid: `${textureUuid}@${COCOS_TEXTURE_SUB_ID}`,
+                displayName: atlasName,
+                id: COCOS_TEXTURE_SUB_ID,
+                name: 'texture',
+                userData: {
+                    wrapModeS: 'clamp-to-edge',
+                    wrapModeT: 'clamp-to-edge',
+                    imageUuidOrDatabaseUri: textureUuid,
+                    isUuid: true,
+                    visible: false,
+                    minfilter: 'linear',
+                    magfilter: 'linear',
+                    mipfilter: 'none',
+                    anisotropy: 0
+                },
+                ver: COCOS_META_VERSIONS.texture,
+                imported: true,
+                files: ['.json'],
+                subMetas: {}
+            }
+        },
+        userData: {
+            type: 'texture',
+            hasAlpha: true,
+            fixAlphaTransparencyArtifacts: false,
+            redirect: `${textureUuid}@${COCOS_TEXTURE_SUB_ID}`
+        }
+    };
+}
+
+/**
+ * 精灵帧的网格顶点（meshType 1，见 polygonPacker.js）
+ * rawPosition 为相对原图中心的坐标（y 轴向上，每个顶点 x, y, z），uv 为图集像素坐标，nuv 为 uv 除以纹理尺寸
+ * @param {Object} frame - 帧数据，没有 polygon 时返回空的顶点数据
+ * @param {Object} textureSize - 纹理尺寸 { width, height }
+ * @returns {Object} - { rawPosition, indexes, uv, nuv, minPos, maxPos }
+ */
+function createSpriteFrameVertices(frame, textureSize) {
+    if (!frame.polygon) {
+        return { rawPosition: [], indexes: [], uv: [], nuv: [], minPos: [], maxPos: [] };
+    }
+
+    const sourceWidth = frame.sourceWidth || frame.originalWidth;
+    const sourceHeight = frame.sourceHeight || frame.originalHeight;
+    const trimX = frame.trimX || 0;
+    const trimY = frame.trimY || 0;
+    const round = value => Math.round(value * 1e6) / 1e6;
+    const rawPosition = [];
+    const uv = [];
+    const nuv = [];
+
+    for (const point of frame.polygon.vertices) {
+        const u = frame.x + point.x - trimX;
+        const v = frame.y + point.y - trimY;
+        rawPosition.push(round(point.x - sourceWidth / 2), round(sourceHeight / 2 - point.y), 0);
+        uv.push(round(u), round(v));
+        nuv.push(round(u / textureSize.width), round(v / textureSize.height));
+    }
+
+    const xs = rawPosition.filter((_, i) => i % 3 === 0);
+    const ys = rawPosition.filter((_, i) => i % 3 === 1);
+    return {
+        rawPosition,
+        indexes: [...frame.polygon.triangles],
+        uv,
+        nuv,
+        minPos: [Math.min(...xs), Math.min(...ys), 0],
+        maxPos: [Math.max(...xs), Math.max(...ys), 0]
+    };
+}
+
+/**
+ * 生成 plist 的 meta（图集资源 + 每帧的精灵帧子资源，包含裁剪、九宫格边距和网格顶点）
+ * @param {string} atlasUuid - 图集资源 UUID
+ * @param {string} textureUuid - 图片资源 UUID
+ * @param {string} atlasName - 图集名称
+ * @param {Array} frames - 帧数据
+ * @param {Object} textureSize - 纹理尺寸 { width, height }，帧带多边形时用于计算 nuv
+ * @returns {Object}
+ */
+function createAtlasMeta(atlasUuid, textureUuid, atlasName, frames, textureSize) {
+    const textureSubUuid = `${textureUuid}@${COCOS_TEXTURE_SUB_ID}`;
+    const subIds = assignSpriteFrameSubIds(frames);
+    const subMetas = {};
+
+    for (const frame of frames) {
+        const subId = subIds.get(frame.name);
+        const border = frame.border || {};
+        const pivot = frame.pivot || { x: 0.5, y: 0.5 };
+
+        subMetas[subId] = {
+            importer: 'sprite-frame',
+            uuid: `${atlasUuid}@${subId}`,
+            displayName: frame.name,
+            id: subId,
+            name: frame.name,
+            userData: {
+                trimType: 'auto',
+                trimThreshold: 1,
+                rotated: frame.rotated || false,
+                offsetX: frame.offsetX || 0,
+                offsetY: frame.offsetY || 0,
+                // 精灵帧在图集纹理中的位置和未旋转的尺寸
+                trimX: Math.round(frame.x),
+                trimY: Math.round(frame.y),
+                width: Math.round(frame.originalWidth),
+                height: Math.round(frame.originalHeight),
+                rawWidth: Math.round(frame.sourceWidth || frame.originalWidth),
+                rawHeight: Math.round(frame.sourceHeight || frame.originalHeight),
+                borderTop: border.top || 0,
+                borderBottom: border.bottom || 0,
+                borderLeft: border.left || 0,
+                borderRight: border.right || 0,
+                packable: true,
+                pixelsToUnit: 100,
+                pivotX: pivot.x,
+                pivotY: pivot.y,
+                // 0 为矩形，1 为网格（多边形）
+                meshType: frame.polygon ? 1 : 0,
+                vertices: createSpriteFrameVertices(frame, textureSize),
+                isUuid: true,
+                imageUuidOrDatabaseUri: textureSubUuid,
+                atlasUuid
+            },
+            ver: COCOS_META_VERSIONS.spriteFrame,
+            imported: true,
+            files: ['.json'],
+            subMetas: {}
+        };
+    }
+
+    return {
+        ver: COCOS_META_VERSIONS.spriteAtlas,
+        importer: 'sprite-atlas',
+        imported: true,
+        uuid: atlasUuid,
+        files: ['.json'],
+        subMetas,
+        userData: {
+            atlasTextureName: `${atlasName}.png`,
+            format: 2,
+            uuid: atlasUuid,
+            textureUuid: textureSubUuid
+        }
+    };
+}
+
+/**
+ * 生成图集的 .png.meta 和 .plist.meta
+ * @param {string} atlasName - 图集名称（不含扩展名）
+ * @param {Array} frames - 帧数据
+ * @param {string} assetDir - 图集在 Creator 项目中的目录，参与 UUID 计算，可为空
+ * @param {Object} textureSize - 纹理尺寸 { width, height }，帧带多边形时必须提供
+ * @returns {Array} - [{ name, content }]
+ */
+function generateCocosMetaFiles(atlasName, frames, assetDir = '', textureSize = null) {
+    const textureUuid = uuidV5(getCocosAssetPath(assetDir, `${atlasName}.png`));
+    const atlasUuid = uuidV5(getCocosAssetPath(assetDir, `${atlasName}.plist`));
+
+    return [
+        {
+            name: `${atlasName}.png.meta`,
+            content: JSON.stringify(createTextureMeta(textureUuid, atlasName), null, 2)
+        },
+        {
+            name: `${atlasName}.plist.meta`,
+            content: JSON.stringify(createAtlasMeta(atlasUuid, textureUuid, atlasName, frames, textureSize), null, 2)
+        }
+    ];
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { uuidV5, sha1, generateCocosMetaFiles, COCOS_META_NAMESPACE };
+}
@@ -7,7 +7,19 @@ const AppConfig = {
     // 算法配置
     algorithm: {
         default: 'maxRectangles',
-        options: ['maxRectangles', 'shelf'],
+        options: ['maxRectangles', 'shelf', 'skyline', 'guillotine', 'polygon'],
+        // MaxRects 放置启发式: bssf / blsf / baf / bl / cp，auto 表示全部尝试取最优
+        maxRectsHeuristic: 'bssf',
+        maxRectsHeuristics: ['bssf', 'blsf', 'baf', 'bl', 'cp', 'auto'],
+        // Guillotine 分割规则: slas / llas / minas / maxas / sas / las，auto 表示全部尝试取最优
+        guillotineSplitRule: 'slas',
+        guillotineSplitRules: ['slas', 'llas', 'minas', 'maxas', 'sas', 'las', 'auto'],
+        // Guillotine 空闲矩形选择规则（baf / bssf / blsf）及是否合并相邻空闲矩形
+        guillotineFreeRectChoice: 'baf',
+        guillotineMerge: true,
+        // 多边形（网格精灵）模式的轮廓类型（concave / convex，可由 polygon-convex 变体指定）和每张图片的顶点数上限
+        polygonHull: 'concave',
+        polygonMaxVertices: 8,
         cacheEnabled: true,
         maxCacheSize: 50
     },
@@ -15,11 +27,26 @@ const AppConfig = {
     // 图集配置
     atlas: {
         defaultPadding: 2,
+        // 图集边缘的空白和每张图片向外复制的边缘像素（见 atlasRenderer.js 的 extrudeFrame）
+        defaultBorderPadding: 0,
+        defaultExtrude: 0,
         defaultMaxWidth: 2048,
+        defaultMaxHeight: 2048,
         defaultPowerOfTwo: true,
-        maxHeight: 4096,
+        defaultTrim: false,
+        trimAlphaThreshold: 0,
+        // 像素相同（裁剪后）的图片只打包一份，其余名称作为别名
+        mergeDuplicates: true,
+        multiAtlasMode: 'overflow',
+        // 稳定布局：以上次结果或导入的 plist 为基准，未变化的帧保持原位置
+        stableLayout: false,
+        // 缩放变体（如 [{ scale: 2, suffix: '@2x' }, { scale: 1, suffix: '' }]），为空时只生成原尺寸，
+        // 以及重采样滤波器（bilinear / lanczos，见 imageResampler.js）
+        scaleVariants: [],
+        scaleFilter: 'lanczos',
         minSize: 256,
-        maxSize: 2048
+        // 图集宽高上限（需设备支持 4096/8192 纹理）
+        maxSize: 8192
     },
 
     // 性能配置
@@ -28,7 +55,16 @@ const AppConfig = {
         batchDelay: 20,
         maxConcurrentLoads: 10,
         memoryWarningThreshold: 50,
-        cleanupInterval: 30000
+        cleanupInterval: 30000,
+        // 在 Web Worker 中搜索布局（无法使用 Worker 时自动回退到主线程）
+        useWorker: true
+    },
+
+    // 工作区持久化：图片、设置和上次的布局保存在 IndexedDB 中，刷新后可恢复
+    workspace: {
+        persist: true,
+        // 修改后延迟保存（毫秒），连续操作只保存一次
+        saveDelay: 1000
     },
 
     // UI 配置
@@ -49,16 +85,30 @@ const AppConfig = {
 
     // 导出配置
     export: {
-        defaultFormat: 'zip',
-        formats: ['zip', 'separate'],
-        compressionLevel: 6
+        // 数据文件格式，可选值见 atlasExporters.js 中的 ATLAS_EXPORTERS
+        defaultFormat: 'cocos-plist',
+        // plist 格式版本：2 兼容 cocos2d-x 3.x 和 Creator，3 为新格式（带 aliases），0 / 1 不支持旋转帧
+        plistFormat: 2,
+        // 像素格式（RGBA8888 / RGBA4444 / RGB565 / RGBA5551）和抖动方式（none / floyd-steinberg / ordered），见 pixelFormat.js
+        pixelFormat: 'RGBA8888',
+        dither: 'none',
+        // PNG8（256 色索引 PNG）：质量 0 ~ 100 决定调色板颜色数，见 paletteQuantizer.js
+        png8: false,
+        png8Quality: 80,
+        png8Dither: true,
+        defaultPackaging: 'zip',
+        packagings: ['zip', 'separate'],
+        compressionLevel: 6,
+        // 同时导出 Cocos Creator 3.x 的 .meta（UUID 由资源目录 + 文件名计算）
+        cocosMeta: false,
+        cocosAssetDir: ''
     },
 
     // 验证规则
     validation: {
         maxFileSize: 10 * 1024 * 1024, // 10MB
         allowedFormats: ['image/png', 'image/jpeg', 'image/jpg'],
-        maxImageSize: 2048,
+        maxImageSize: 8192,
         minImageSize: 16
     }
 };
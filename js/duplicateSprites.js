@@ -0,0 +1,57 @@
+/**
+ * 重复图片合并模块
+ * 打包的像素（裁剪后为不透明区域）完全相同的图片只打包第一张，其余作为别名：
+ * 别名帧与原图的帧共用图集中的同一区域，offset / sourceSize 使用自己的裁剪信息；
+ * 格式 3 plist 把裁剪信息相同的别名并入 aliases，其他格式写为指向同一区域的帧
+ * 依赖 imageHash.js 和 imageTrimmer.js
+ */
+
+/**
+ * 查找重复图片
+ * 边缘扩展、是否允许旋转或固定页码不同的图片不能共用同一区域，不视为重复
+ * @param {Array} images - 图片数组（可能已裁剪）
+ * @returns {Object} - { unique, duplicates }，unique 为需要打包的图片，duplicates 为 [{ item, original }]
+ */
+function findDuplicateImages(images) {
+    const originals = new Map();
+    const unique = [];
+    const duplicates = [];
+
+    for (const item of images) {
+        const hash = [getPackedPixelHash(item), item.extrude || 0, item.allowRotation !== false, item.page || 0].join('|');
+        const original = originals.get(hash);
+        if (original) {
+            duplicates.push({ item, original });
+        } else {
+            originals.set(hash, item);
+            unique.push(item);
+        }
+    }
+
+    return { unique, duplicates };
+}
+
+/**
+ * 为重复图片补上别名帧
+ * @param {Object} layout - 只包含 unique 图片的布局 { frames, width, height, ... }
+ * @param {Array} duplicates - findDuplicateImages 返回的 duplicates
+ * @returns {Object} - 新的布局，原图在本页的重复图片追加为 aliasOf 为原图帧名的帧
+ */
+function addDuplicateFrames(layout, duplicates) {
+    const frameByImg = new Map(layout.frames.map(frame => [frame.img, frame]));
+    const frames = [...layout.frames];
+
+    for (const { item, original } of duplicates) {
+        const frame = frameByImg.get(original.img);
+        // 多图集时原图在其他页
+        if (!frame) continue;
+        frames.push({ ...createFrame(item, frame.x, frame.y, frame.rotated), aliasOf: frame.name });
+    }
+
+    return { ...layout, frames };
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { findDuplicateImages, addDuplicateFrames };
+}
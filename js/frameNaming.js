@@ -0,0 +1,59 @@
+/**
+ * 帧命名模块
+ * 文件夹模式下帧名为相对于共同父目录的路径（不含扩展名），网页和命令行共用同一套规则
+ */
+
+/**
+ * 计算基础路径（找出所有文件的共同父目录）
+ * @param {Array<string>} paths - 文件相对路径（以 / 分隔，如 webkitRelativePath）
+ * @returns {string} - 共同父目录，没有时返回空字符串
+ */
+function calculateBasePath(paths) {
+    if (paths.length === 0) return '';
+
+    // 找到第一个文件的路径作为基础
+    let basePath = paths[0];
+
+    // 遍历所有路径，找出共同前缀
+    for (let i = 1; i < paths.length; i++) {
+        const path = paths[i];
+        let commonLength = 0;
+
+        while (commonLength < basePath.length &&
+               commonLength < path.length &&
+               basePath[commonLength] === path[commonLength]) {
+            commonLength++;
+        }
+
+        basePath = basePath.substring(0, commonLength);
+    }
+
+    // 截取到最后一个 / 的位置
+    const lastSlash = basePath.lastIndexOf('/');
+    if (lastSlash > 0) {
+        basePath = basePath.substring(0, lastSlash);
+    } else {
+        basePath = '';
+    }
+
+    return basePath;
+}
+
+/**
+ * 计算帧名：移除基础路径前缀和图片扩展名
+ * @param {string} fullPath - 文件相对路径
+ * @param {string} basePath - 基础路径，见 calculateBasePath
+ * @returns {string} - 帧名，如 'buttons/ok'
+ */
+function getFrameName(fullPath, basePath = '') {
+    let name = fullPath;
+    if (basePath && name.startsWith(basePath + '/')) {
+        name = name.substring(basePath.length + 1);
+    }
+    return name.replace(/\.(png|jpe?g)$/i, '');
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { calculateBasePath, getFrameName };
+}
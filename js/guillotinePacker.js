@@ -0,0 +1,306 @@
+/**
+ * Guillotine算法实现
+ * 每放置一张图片，就把所在的空闲矩形沿一条直线切成两块，空闲矩形之间互不重叠
+ * 切分方向由分割规则决定，可选地合并相邻的空闲矩形以减少碎片
+ */
+
+/**
+ * 空闲矩形选择规则（得分越小越好）
+ * - baf: Best Area Fit，剩余面积最小
+ * - bssf: Best Short Side Fit，短边剩余最小
+ * - blsf: Best Long Side Fit，长边剩余最小
+ */
+const GUILLOTINE_FREE_RECT_CHOICES = {
+    baf: { name: 'BAF', score: (rect, width, height) => rect.width * rect.height - width * height },
+    bssf: { name: 'BSSF', score: (rect, width, height) => Math.min(rect.width - width, rect.height - height) },
+    blsf: { name: 'BLSF', score: (rect, width, height) => Math.max(rect.width - width, rect.height - height) }
+};
+
+/**
+ * 分割规则，返回 true 表示沿水平线切分（下方空闲矩形占满整个宽度）
+ * - slas: Shorter Leftover Axis，沿剩余较短的一边切分
+ * - llas: Longer Leftover Axis，沿剩余较长的一边切分
+ * - minas: Min Area，让较小的那块尽量小
+ * - maxas: Max Area，让较大的那块尽量大
+ * - sas: Shorter Axis，沿空闲矩形较短的一边切分
+ * - las: Longer Axis，沿空闲矩形较长的一边切分
+ */
+const GUILLOTINE_SPLIT_RULES = {
+    slas: { name: 'SLAS', horizontal: (free, placed) => free.width - placed.width <= free.height - placed.height },
+    llas: { name: 'LLAS', horizontal: (free, placed) => free.width - placed.width > free.height - placed.height },
+    minas: {
+        name: 'MINAS',
+        horizontal: (free, placed) => placed.width * (free.height - placed.height) > (free.width - placed.width) * placed.height
+    },
+    maxas: {
+        name: 'MAXAS',
+        horizontal: (free, placed) => placed.width * (free.height - placed.height) <= (free.width - placed.width) * placed.height
+    },
+    sas: { name: 'SAS', horizontal: (free) => free.width <= free.height },
+    las: { name: 'LAS', horizontal: (free) => free.width > free.height }
+};
+
+/**
+ * 解析分割规则参数，'auto' 表示尝试全部规则
+ * @param {string} splitRule - 分割规则名称
+ * @returns {Array<string>} - 需要尝试的分割规则列表
+ */
+function resolveGuillotineSplitRules(splitRule) {
+    if (splitRule === 'auto') {
+        return Object.keys(GUILLOTINE_SPLIT_RULES);
+    }
+    return [GUILLOTINE_SPLIT_RULES[splitRule] ? splitRule : 'slas'];
+}
+
+/**
+ * 主打包函数 - Guillotine算法，计算最优布局后只绘制一次
+ * @param {Array} images - 图片数组
+ * @param {number|Object} padding - 间距设置，数字或 { shape, border }，见 resolvePadding
+ * @param {number} maxWidth - 最大宽度
+ * @param {boolean} usePowerOfTwo - 是否使用2的幂次方尺寸
+ * @param {number} maxHeight - 最大高度，默认2048
+ * @param {string} splitRule - 分割规则（slas/llas/minas/maxas/sas/las），'auto' 时尝试全部规则
+ * @param {Object} options - { freeRectChoice, merge }，默认 BAF 并合并空闲矩形
+ * @returns {Object|null} - 最优打包结果 { canvas, frames, width, height, splitRule }
+ */
+function packImagesWithGuillotine(images, padding, maxWidth, usePowerOfTwo = true, maxHeight = 2048, splitRule = 'slas', options = {}) {
+    return renderLayout(layoutImagesWithGuillotine(images, padding, maxWidth, usePowerOfTwo, maxHeight, splitRule, options));
+}
+
+/**
+ * 布局搜索 - 在宽度、排序策略和分割规则中选择最优布局（不依赖 DOM）
+ * 参数同 packImagesWithGuillotine
+ * @param {Function} onProgress - 可选，每个候选布局前回调 { current, total, efficiency }（efficiency 为目前最优利用率）
+ * @returns {Object|null} - 最优布局 { frames, width, height, splitRule }
+ */
+function layoutImagesWithGuillotine(images, padding, maxWidth, usePowerOfTwo = true, maxHeight = 2048, splitRule = 'slas', options = {}, onProgress = null) {
+    const freeRectChoice = GUILLOTINE_FREE_RECT_CHOICES[options.freeRectChoice] ? options.freeRectChoice : 'baf';
+    const merge = options.merge !== false;
+    const splitRules = resolveGuillotineSplitRules(splitRule);
+
+    // 排序策略
+    const sortStrategies = [
+        { name: '面积降序', fn: (a, b) => (b.width * b.height) - (a.width * a.height) },
+        { name: '最大边降序', fn: (a, b) => Math.max(b.width, b.height) - Math.max(a.width, a.height) },
+        { name: '周长降序', fn: (a, b) => (b.width + b.height) - (a.width + a.height) }
+    ];
+
+    // 宽度选项
+    const widthOptions = [];
+    if (usePowerOfTwo) {
+        for (let pow = Math.floor(Math.log2(maxWidth)); pow >= 6; pow--) {
+            widthOptions.push(Math.pow(2, pow));
+        }
+    } else {
+        const totalArea = images.reduce((sum, img) => sum + img.width * img.height, 0);
+        const estimatedWidth = Math.ceil(Math.sqrt(totalArea * 1.3));
+        const alignedWidth = Math.ceil(estimatedWidth / 16) * 16;
+        if (alignedWidth <= maxWidth && alignedWidth >= 256) {
+            widthOptions.push(alignedWidth);
+            for (const adjWidth of [alignedWidth - 48, alignedWidth - 16, alignedWidth + 16, alignedWidth + 48]) {
+                if (adjWidth >= 256 && adjWidth <= maxWidth) {
+                    widthOptions.push(adjWidth);
+                }
+            }
+        }
+        if (widthOptions.length === 0) {
+            widthOptions.push(maxWidth);
+        }
+    }
+
+    const imgUsedArea = images.reduce((sum, img) => sum + img.width * img.height, 0);
+    let best = null;
+    const totalCandidates = widthOptions.length * sortStrategies.length * splitRules.length;
+    let candidate = 0;
+
+    for (const width of widthOptions) {
+        for (const strategy of sortStrategies) {
+            const sortedImages = [...images].sort(strategy.fn);
+            for (const rule of splitRules) {
+                if (onProgress) onProgress({ current: ++candidate, total: totalCandidates, efficiency: best ? best.efficiency : 0 });
+
+                const layout = guillotineLayout(sortedImages, padding, width, maxHeight, freeRectChoice, rule, merge);
+
+                if (!layout) continue;
+
+                const finalWidth = usePowerOfTwo ? nextPowerOf2(layout.width) : layout.width;
+                const finalHeight = usePowerOfTwo ? nextPowerOf2(layout.height) : layout.height;
+
+                if (finalWidth > maxWidth || finalHeight > maxHeight) continue;
+
+                const area = finalWidth * finalHeight;
+                const efficiency = imgUsedArea / area * 100;
+
+                console.log(`[Guillotine-${GUILLOTINE_SPLIT_RULES[rule].name}-${strategy.name}] 宽度${width}: 图集 ${finalWidth}×${finalHeight}, 利用率 ${efficiency.toFixed(2)}%`);
+
+                if (!best || efficiency > best.efficiency || (efficiency === best.efficiency && area < best.area)) {
+                    best = { frames: layout.frames, width: finalWidth, height: finalHeight, area, efficiency, splitRule: rule };
+                }
+            }
+        }
+    }
+
+    if (!best) {
+        return null;
+    }
+
+    const sizeType = usePowerOfTwo ? "2的幂次方" : "原始";
+    console.log(`[Guillotine] 最优图集: ${best.width}×${best.height} (${sizeType}), 利用率 ${best.efficiency.toFixed(2)}%, 分割规则 ${GUILLOTINE_SPLIT_RULES[best.splitRule].name}`);
+
+    return {
+        frames: best.frames,
+        width: best.width,
+        height: best.height,
+        splitRule: best.splitRule
+    };
+}
+
+/**
+ * Guillotine核心算法（只计算布局，不绘制）
+ * @returns {Object|null} - { frames, width, height }，放不下时返回 null
+ */
+function guillotineLayout(images, padding, maxWidth, maxHeight, freeRectChoice = 'baf', splitRule = 'slas', merge = true) {
+    const freeRectangles = [getPackingArea(padding, maxWidth, maxHeight)];
+    const frames = [];
+
+    for (const item of images) {
+        const size = getPackedSize(item, padding);
+        const node = guillotineInsert(freeRectangles, size.width, size.height, freeRectChoice, splitRule, merge, canRotate(item));
+
+        if (!node) {
+            return null; // 放不下
+        }
+
+        frames.push(placeFrame(item, node.x, node.y, node.rotated));
+    }
+
+    // 计算实际使用的边界
+    return { frames, ...getLayoutBounds(frames, padding) };
+}
+
+/**
+ * 在空闲矩形列表中放置一个矩形（允许时可旋转90度），并切分、合并空闲矩形
+ * Skyline 的浪费区域也复用这个函数
+ * @param {Array} freeRectangles - 空闲矩形列表（会被修改）
+ * @param {boolean} allowRotation - 是否允许旋转
+ * @returns {Object|null} - { x, y, width, height, rotated }，放不下时返回 null
+ */
+function guillotineInsert(freeRectangles, width, height, freeRectChoice = 'baf', splitRule = 'slas', merge = true, allowRotation = true) {
+    const score = GUILLOTINE_FREE_RECT_CHOICES[freeRectChoice].score;
+    let bestIndex = -1;
+    let bestScore = Infinity;
+    let bestNode = null;
+
+    for (let i = 0; i < freeRectangles.length; i++) {
+        const rect = freeRectangles[i];
+
+        // 完全匹配时直接使用
+        if (rect.width === width && rect.height === height) {
+            bestIndex = i;
+            bestNode = { x: rect.x, y: rect.y, width, height, rotated: false };
+            break;
+        }
+        if (allowRotation && rect.width === height && rect.height === width) {
+            bestIndex = i;
+            bestNode = { x: rect.x, y: rect.y, width: height, height: width, rotated: true };
+            break;
+        }
+
+        if (rect.width >= width && rect.height >= height) {
+            const s = score(rect, width, height);
+            if (s < bestScore) {
+                bestIndex = i;
+                bestScore = s;
+                bestNode = { x: rect.x, y: rect.y, width, height, rotated: false };
+            }
+        }
+        if (allowRotation && width !== height && rect.width >= height && rect.height >= width) {
+            const s = score(rect, height, width);
+            if (s < bestScore) {
+                bestIndex = i;
+                bestScore = s;
+                bestNode = { x: rect.x, y: rect.y, width: height, height: width, rotated: true };
+            }
+        }
+    }
+
+    if (!bestNode) {
+        return null;
+    }
+
+    const freeRect = freeRectangles[bestIndex];
+    freeRectangles.splice(bestIndex, 1);
+    splitGuillotineFreeRect(freeRectangles, freeRect, bestNode, GUILLOTINE_SPLIT_RULES[splitRule].horizontal(freeRect, bestNode));
+
+    if (merge) {
+        mergeGuillotineFreeRects(freeRectangles);
+    }
+
+    return bestNode;
+}
+
+/**
+ * 沿水平或垂直线切分空闲矩形，得到下方和右侧两块
+ */
+function splitGuillotineFreeRect(freeRectangles, freeRect, placed, splitHorizontal) {
+    const bottom = {
+        x: freeRect.x,
+        y: freeRect.y + placed.height,
+        width: splitHorizontal ? freeRect.width : placed.width,
+        height: freeRect.height - placed.height
+    };
+    const right = {
+        x: freeRect.x + placed.width,
+        y: freeRect.y,
+        width: freeRect.width - placed.width,
+        height: splitHorizontal ? placed.height : freeRect.height
+    };
+
+    if (bottom.width > 0 && bottom.height > 0) {
+        freeRectangles.push(bottom);
+    }
+    if (right.width > 0 && right.height > 0) {
+        freeRectangles.push(right);
+    }
+}
+
+/**
+ * 合并边长相同且相邻的空闲矩形
+ */
+function mergeGuillotineFreeRects(freeRectangles) {
+    for (let i = 0; i < freeRectangles.length; i++) {
+        for (let j = i + 1; j < freeRectangles.length; j++) {
+            const a = freeRectangles[i];
+            const b = freeRectangles[j];
+
+            if (a.width === b.width && a.x === b.x) {
+                if (a.y === b.y + b.height) {
+                    a.y -= b.height;
+                    a.height += b.height;
+                    freeRectangles.splice(j, 1);
+                    j--;
+                } else if (a.y + a.height === b.y) {
+                    a.height += b.height;
+                    freeRectangles.splice(j, 1);
+                    j--;
+                }
+            } else if (a.height === b.height && a.y === b.y) {
+                if (a.x === b.x + b.width) {
+                    a.x -= b.width;
+                    a.width += b.width;
+                    freeRectangles.splice(j, 1);
+                    j--;
+                } else if (a.x + a.width === b.x) {
+                    a.width += b.width;
+                    freeRectangles.splice(j, 1);
+                    j--;
+                }
+            }
+        }
+    }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { packImagesWithGuillotine, layoutImagesWithGuillotine, guillotineInsert, GUILLOTINE_FREE_RECT_CHOICES, GUILLOTINE_SPLIT_RULES };
+}
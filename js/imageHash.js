@@ -0,0 +1,104 @@
+/**
+ * 图片内容哈希模块
+ * 按像素内容（RGBA）计算哈希，与图片对象无关：重新加载同一文件得到相同的哈希，
+ * 尺寸相同但内容不同的图片哈希不同。用于打包缓存键和重复图片检测
+ */
+
+// 像素哈希缓存：图片对象 → (区域 → 哈希)，同一区域只读取一次像素
+const pixelHashCache = new WeakMap();
+
+/**
+ * 64 位非加密哈希（两路 32 位乘法混合），返回 16 位十六进制
+ * @param {Uint32Array} words - 输入数据
+ */
+function hashWords(words) {
+    let h1 = 0xdeadbeef ^ words.length;
+    let h2 = 0x41c6ce57 ^ words.length;
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i];
+        h1 = Math.imul(h1 ^ word, 2654435761);
+        h2 = Math.imul(h2 ^ word, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * 字符串哈希（UTF-16 编码单元）
+ */
+function hashString(text) {
+    const words = new Uint32Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        words[i] = text.charCodeAt(i);
+    }
+    return hashWords(words);
+}
+
+/**
+ * 图片像素哈希
+ * @param {HTMLImageElement|HTMLCanvasElement} img - 图片对象
+ * @param {number} width - 图片宽度
+ * @param {number} height - 图片高度
+ * @param {Object} region - 可选，只计算该区域 { x, y, width, height }，默认整张图片
+ * @returns {string} - "区域宽x高-哈希"
+ */
+function getImagePixelHash(img, width, height, region = null) {
+    const { x = 0, y = 0, width: regionWidth = width, height: regionHeight = height } = region || {};
+    const regionKey = `${x},${y},${regionWidth},${regionHeight}`;
+
+    let hashes = pixelHashCache.get(img);
+    if (!hashes) {
+        hashes = new Map();
+        pixelHashCache.set(img, hashes);
+    }
+
+    let hash = hashes.get(regionKey);
+    if (!hash) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+
+        const data = ctx.getImageData(x, y, regionWidth, regionHeight).data;
+        hash = `${regionWidth}x${regionHeight}-${hashWords(new Uint32Array(data.buffer, data.byteOffset, data.byteLength / 4))}`;
+        hashes.set(regionKey, hash);
+    }
+    return hash;
+}
+
+/**
+ * 图片条目实际打包的像素（裁剪后为不透明区域）的哈希，与名称无关
+ * 哈希相同的条目可以共用图集中的同一区域
+ * @param {Object} item - 图片条目（可能已裁剪）
+ * @returns {string}
+ */
+function getPackedPixelHash(item) {
+    return getImagePixelHash(item.img, item.sourceWidth || item.width, item.sourceHeight || item.height, {
+        x: item.trimX || 0,
+        y: item.trimY || 0,
+        width: item.width,
+        height: item.height
+    });
+}
+
+/**
+ * 图片条目的内容键：名称 + 原图像素哈希（裁剪后的条目与原图相同）
+ * 没有图片对象的条目（如演示数据）只使用名称和尺寸
+ * @param {Object} item - 图片条目 { img, name, width, height }
+ * @returns {string}
+ */
+function getImageContentKey(item) {
+    if (!item.img) {
+        return `${item.name}:${item.width}x${item.height}`;
+    }
+    const width = item.sourceWidth || item.width;
+    const height = item.sourceHeight || item.height;
+    return `${item.name}:${getImagePixelHash(item.img, width, height)}`;
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { hashWords, hashString, getImagePixelHash, getPackedPixelHash, getImageContentKey };
+}
@@ -0,0 +1,190 @@
+/**
+ * 图片重采样模块
+ * 可分离的卷积重采样（先水平后垂直），在预乘 alpha 的空间中计算，透明边缘不会出现黑边；
+ * 缩小时按缩放比例放宽滤波核，覆盖全部源像素
+ */
+
+// 重采样滤波器: support 为滤波核半径（源像素，缩小时再乘以 1 / scale）
+const RESAMPLE_FILTERS = {
+    bilinear: {
+        name: '双线性',
+        support: 1,
+        kernel: x => Math.max(0, 1 - Math.abs(x))
+    },
+    lanczos: {
+        name: 'Lanczos',
+        support: 3,
+        kernel: x => {
+            if (x === 0) return 1;
+            if (Math.abs(x) >= 3) return 0;
+            const px = Math.PI * x;
+            return 3 * Math.sin(px) * Math.sin(px / 3) / (px * px);
+        }
+    }
+};
+
+/**
+ * 取得滤波器，未知名称报错
+ * @param {string} filter - RESAMPLE_FILTERS 中的名称
+ * @returns {Object}
+ */
+function getResampleFilter(filter) {
+    const result = RESAMPLE_FILTERS[filter];
+    if (!result) {
+        throw new Error(`未知缩放滤波器: ${filter}（可选: ${Object.keys(RESAMPLE_FILTERS).join(' / ')}）`);
+    }
+    return result;
+}
+
+/**
+ * 计算一个方向上每个目标像素的源像素范围和归一化权重
+ * @param {number} sourceSize - 源尺寸
+ * @param {number} targetSize - 目标尺寸
+ * @param {Object} filter - RESAMPLE_FILTERS 中的滤波器
+ * @returns {Array} - [{ start, weights: Float32Array }]
+ */
+function getResampleWeights(sourceSize, targetSize, filter) {
+    const scale = targetSize / sourceSize;
+    const filterScale = Math.max(1, 1 / scale);
+    const support = filter.support * filterScale;
+    const contributions = [];
+
+    for (let i = 0; i < targetSize; i++) {
+        const center = (i + 0.5) / scale;
+        const start = Math.max(0, Math.floor(center - support));
+        const end = Math.min(sourceSize, Math.ceil(center + support));
+        const weights = new Float32Array(Math.max(0, end - start));
+        let total = 0;
+
+        for (let j = start; j < end; j++) {
+            const weight = filter.kernel((j + 0.5 - center) / filterScale);
+            weights[j - start] = weight;
+            total += weight;
+        }
+        if (total !== 0) {
+            for (let j = 0; j < weights.length; j++) {
+                weights[j] /= total;
+            }
+        }
+
+        contributions.push({ start, weights });
+    }
+
+    return contributions;
+}
+
+/**
+ * 重采样 RGBA 像素
+ * @param {Uint8ClampedArray} data - 源像素（非预乘 alpha）
+ * @param {number} sourceWidth - 源宽度
+ * @param {number} sourceHeight - 源高度
+ * @param {number} targetWidth - 目标宽度
+ * @param {number} targetHeight - 目标高度
+ * @param {string} filter - 滤波器名称，见 RESAMPLE_FILTERS
+ * @returns {Uint8ClampedArray} - 目标像素
+ */
+function resamplePixels(data, sourceWidth, sourceHeight, targetWidth, targetHeight, filter = 'lanczos') {
+    const resampleFilter = getResampleFilter(filter);
+
+    // 预乘 alpha，透明像素的颜色不参与混合
+    const source = new Float32Array(sourceWidth * sourceHeight * 4);
+    for (let i = 0; i < source.length; i += 4) {
+        const alpha = data[i + 3] / 255;
+        source[i] = data[i] * alpha;
+        source[i + 1] = data[i + 1] * alpha;
+        source[i + 2] = data[i + 2] * alpha;
+        source[i + 3] = data[i + 3];
+    }
+
+    // 水平方向: sourceWidth × sourceHeight → targetWidth × sourceHeight
+    const horizontal = new Float32Array(targetWidth * sourceHeight * 4);
+    const columns = getResampleWeights(sourceWidth, targetWidth, resampleFilter);
+    for (let y = 0; y < sourceHeight; y++) {
+        const rowStart = y * sourceWidth * 4;
+        for (let x = 0; x < targetWidth; x++) {
+            const { start, weights } = columns[x];
+            const out = (y * targetWidth + x) * 4;
+            for (let k = 0; k < weights.length; k++) {
+                const weight = weights[k];
+                const index = rowStart + (start + k) * 4;
+                horizontal[out] += source[index] * weight;
+                horizontal[out + 1] += source[index + 1] * weight;
+                horizontal[out + 2] += source[index + 2] * weight;
+                horizontal[out + 3] += source[index + 3] * weight;
+            }
+        }
+    }
+
+    // 垂直方向: targetWidth × sourceHeight → targetWidth × targetHeight，最后还原为非预乘 alpha
+    const result = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+    const rows = getResampleWeights(sourceHeight, targetHeight, resampleFilter);
+    for (let y = 0; y < targetHeight; y++) {
+        const { start, weights } = rows[y];
+        for (let x = 0; x < targetWidth; x++) {
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            let a = 0;
+            for (let k = 0; k < weights.length; k++) {
+                const weight = weights[k];
+                const index = ((start + k) * targetWidth + x) * 4;
+                r += horizontal[index] * weight;
+                g += horizontal[index + 1] * weight;
+                b += horizontal[index + 2] * weight;
+                a += horizontal[index + 3] * weight;
+            }
+
+            const out = (y * targetWidth + x) * 4;
+            // Lanczos 的负瓣可能使 alpha 小于 0 或颜色超出 alpha，截断到有效范围
+            const alpha = Math.min(255, Math.max(0, a));
+            if (alpha > 0) {
+                const factor = 255 / alpha;
+                result[out] = Math.min(alpha, Math.max(0, r)) * factor;
+                result[out + 1] = Math.min(alpha, Math.max(0, g)) * factor;
+                result[out + 2] = Math.min(alpha, Math.max(0, b)) * factor;
+                result[out + 3] = alpha;
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 把图片重采样到指定尺寸
+ * @param {HTMLImageElement|HTMLCanvasElement} img - 源图片
+ * @param {number} sourceWidth - 源宽度
+ * @param {number} sourceHeight - 源高度
+ * @param {number} targetWidth - 目标宽度
+ * @param {number} targetHeight - 目标高度
+ * @param {string} filter - 滤波器名称，见 RESAMPLE_FILTERS
+ * @returns {HTMLCanvasElement} - 目标尺寸的画布（可直接作为图片条目的 img）
+ */
+function resampleImage(img, sourceWidth, sourceHeight, targetWidth, targetHeight, filter = 'lanczos') {
+    const sourceCanvas = document.createElement('canvas');
+    sourceCanvas.width = sourceWidth;
+    sourceCanvas.height = sourceHeight;
+    const sourceCtx = sourceCanvas.getContext('2d');
+    sourceCtx.drawImage(img, 0, 0);
+    const { data } = sourceCtx.getImageData(0, 0, sourceWidth, sourceHeight);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = targetWidth;
+    canvas.height = targetHeight;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(targetWidth, targetHeight);
+    imageData.data.set(resamplePixels(data, sourceWidth, sourceHeight, targetWidth, targetHeight, filter));
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RESAMPLE_FILTERS,
+        getResampleFilter,
+        getResampleWeights,
+        resamplePixels,
+        resampleImage
+    };
+}
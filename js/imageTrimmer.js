@@ -0,0 +1,143 @@
+/**
+ * 透明像素裁剪模块
+ * 扫描图片的 alpha 通道，只打包不透明区域，并为 plist 计算正确的 offset / sourceColorRect / sourceSize
+ */
+
+// 不透明区域缓存，避免每次生成都重新扫描像素
+const opaqueBoundsCache = new WeakMap();
+
+/**
+ * 计算图片不透明区域的包围盒
+ * @param {HTMLImageElement|HTMLCanvasElement} img - 图片对象
+ * @param {number} width - 图片宽度
+ * @param {number} height - 图片高度
+ * @param {number} alphaThreshold - alpha 阈值，小于等于该值的像素视为透明
+ * @returns {Object|null} - { x, y, width, height }，完全透明时返回 null
+ */
+function getOpaqueBounds(img, width, height, alphaThreshold = 0) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+
+    const data = ctx.getImageData(0, 0, width, height).data;
+
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * width * 4;
+        for (let x = 0; x < width; x++) {
+            if (data[rowStart + x * 4 + 3] > alphaThreshold) {
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+    }
+
+    if (maxX < 0) {
+        return null;
+    }
+
+    return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/**
+ * 裁剪图片透明边缘
+ * 返回新的图片条目：width/height 为裁剪后尺寸，同时记录原始尺寸与裁剪起点
+ * @param {Array} images - 图片数组
+ * @param {Object} options - { alphaThreshold }
+ * @returns {Array} - 裁剪后的图片数组（不修改原数组）
+ */
+function trimImages(images, options = {}) {
+    const alphaThreshold = options.alphaThreshold || 0;
+    let savedArea = 0;
+
+    const trimmed = images.map(item => {
+        const sourceWidth = item.sourceWidth || item.width;
+        const sourceHeight = item.sourceHeight || item.height;
+
+        let cached = opaqueBoundsCache.get(item.img);
+        if (!cached || cached.alphaThreshold !== alphaThreshold) {
+            cached = {
+                alphaThreshold,
+                bounds: getOpaqueBounds(item.img, sourceWidth, sourceHeight, alphaThreshold)
+            };
+            opaqueBoundsCache.set(item.img, cached);
+        }
+
+        // 完全透明的图片保留 1×1 像素，保证帧仍然存在
+        const bounds = cached.bounds || { x: 0, y: 0, width: 1, height: 1 };
+
+        savedArea += sourceWidth * sourceHeight - bounds.width * bounds.height;
+
+        return {
+            ...item,
+            width: bounds.width,
+            height: bounds.height,
+            sourceWidth,
+            sourceHeight,
+            trimX: bounds.x,
+            trimY: bounds.y,
+            trimmed: bounds.width !== sourceWidth || bounds.height !== sourceHeight
+        };
+    });
+
+    console.log(`[Trim] 裁剪透明像素 ${savedArea} 像素`);
+
+    return trimmed;
+}
+
+/**
+ * 根据图片条目和放置位置创建帧数据
+ * originalWidth/originalHeight 为实际绘制内容（未旋转）的尺寸，
+ * sourceWidth/sourceHeight 为裁剪前的原图尺寸，extrude 为帧四周复制的边缘像素数，
+ * 图片条目带有锚点 pivot 或九宫格 border 时一并写入帧（见 spriteOverrides.js），多边形 polygon 见 polygonPacker.js
+ * @param {Object} item - 图片条目（可能已裁剪）
+ * @param {number} x - 放置位置x
+ * @param {number} y - 放置位置y
+ * @param {boolean} rotated - 是否旋转90度
+ * @returns {Object} - 帧数据
+ */
+function createFrame(item, x, y, rotated) {
+    const width = item.width;
+    const height = item.height;
+    const sourceWidth = item.sourceWidth || width;
+    const sourceHeight = item.sourceHeight || height;
+    const trimX = item.trimX || 0;
+    const trimY = item.trimY || 0;
+
+    const frame = {
+        name: item.name,
+        x: x,
+        y: y,
+        width: rotated ? height : width,
+        height: rotated ? width : height,
+        originalWidth: width,
+        originalHeight: height,
+        sourceWidth: sourceWidth,
+        sourceHeight: sourceHeight,
+        trimX: trimX,
+        trimY: trimY,
+        // Cocos 的 offset 为裁剪区域中心相对原图中心的偏移，y 轴向上
+        offsetX: trimX + width / 2 - sourceWidth / 2,
+        offsetY: sourceHeight / 2 - (trimY + height / 2),
+        rotated: rotated,
+        extrude: item.extrude || 0,
+        img: item.img
+    };
+    if (item.pivot) frame.pivot = item.pivot;
+    if (item.border) frame.border = item.border;
+    if (item.polygon) frame.polygon = item.polygon;
+    return frame;
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getOpaqueBounds, trimImages, createFrame };
+}
@@ -5,15 +5,60 @@
  */
 
 /**
- * 主打包函数 - MaxRectangles算法
+ * 放置启发式规则
+ * - bssf: Best Short Side Fit，短边剩余最小
+ * - blsf: Best Long Side Fit，长边剩余最小
+ * - baf: Best Area Fit，剩余面积最小
+ * - bl: Bottom-Left，尽量靠上靠左（Tetris 式）
+ * - cp: Contact Point，与已放置矩形和边界的接触边长最大
+ */
+const MAX_RECTS_HEURISTICS = {
+    bssf: { name: 'BSSF', find: (free, width, height) => findPositionForNewNodeBestShortSideFit(free, width, height) },
+    blsf: { name: 'BLSF', find: (free, width, height) => findPositionForNewNodeBestLongSideFit(free, width, height) },
+    baf: { name: 'BAF', find: (free, width, height) => findPositionForNewNodeBestAreaFit(free, width, height) },
+    bl: { name: 'BL', find: (free, width, height) => findPositionForNewNodeBottomLeft(free, width, height) },
+    cp: {
+        name: 'CP',
+        find: (free, width, height, bin) => findPositionForNewNodeContactPoint(free, width, height, bin)
+    }
+};
+
+/**
+ * 解析启发式参数，'auto' 表示尝试全部规则
+ * @param {string} heuristic - 启发式名称
+ * @returns {Array<string>} - 需要尝试的启发式列表
+ */
+function resolveMaxRectsHeuristics(heuristic) {
+    if (heuristic === 'auto') {
+        return Object.keys(MAX_RECTS_HEURISTICS);
+    }
+    return [MAX_RECTS_HEURISTICS[heuristic] ? heuristic : 'bssf'];
+}
+
+/**
+ * 主打包函数 - MaxRectangles算法，计算最优布局后只绘制一次
  * @param {Array} images - 图片数组
- * @param {number} padding - 图片间距
+ * @param {number|Object} padding - 间距设置，数字或 { shape, border }，见 resolvePadding
  * @param {number} maxWidth - 最大宽度
  * @param {boolean} usePowerOfTwo - 是否使用2的幂次方尺寸
- * @returns {Object|null} - 最优打包结果
+ * @param {number} maxHeight - 最大高度，默认2048
+ * @param {string} heuristic - 放置启发式（bssf/blsf/baf/bl/cp），'auto' 时在排序/宽度搜索中尝试全部规则
+ * @returns {Object|null} - 最优打包结果 { canvas, frames, width, height, heuristic }
+ */
+function packImagesWithMaxRectangles(images, padding, maxWidth, usePowerOfTwo = true, maxHeight = 2048, heuristic = 'bssf') {
+    return renderLayout(layoutImagesWithMaxRectangles(images, padding, maxWidth, usePowerOfTwo, maxHeight, heuristic));
+}
+
+/**
+ * 布局搜索 - 在宽度、排序策略和启发式中选择最优布局（不依赖 DOM）
+ * 参数同 packImagesWithMaxRectangles
+ * @param {Function} onProgress - 可选，每个候选布局前回调 { current, total, efficiency }（efficiency 为目前最优利用率）
+ * @returns {Object|null} - 最优布局 { frames, width, height, heuristic }
  */
-function packImagesWithMaxRectangles(images, padding, maxWidth, usePowerOfTwo = true) {
-    const effectiveMaxWidth = Math.min(maxWidth, 2048);
+function layoutImagesWithMaxRectangles(images, padding, maxWidth, usePowerOfTwo = true, maxHeight = 2048, heuristic = 'bssf', onProgress = null) {
+    const effectiveMaxWidth = maxWidth;
+    const effectiveMaxHeight = maxHeight;
+    const heuristics = resolveMaxRectsHeuristics(heuristic);
 
     // 排序策略
     const sortStrategies = [
@@ -25,7 +70,7 @@ function packImagesWithMaxRectangles(images, padding, maxWidth, usePowerOfTwo =
     // 宽度选项
     const widthOptions = [];
     if (usePowerOfTwo) {
-        for (let pow = 11; pow >= 6; pow--) {
+        for (let pow = Math.floor(Math.log2(effectiveMaxWidth)); pow >= 6; pow--) {
             const w = Math.pow(2, pow);
             if (w <= effectiveMaxWidth) {
                 widthOptions.push(w);
@@ -55,53 +100,49 @@ function packImagesWithMaxRectangles(images, padding, maxWidth, usePowerOfTwo =
     let bestResult = null;
     let bestArea = Infinity;
     let bestEfficiency = 0;
+    const totalCandidates = widthOptions.length * sortStrategies.length * heuristics.length;
+    let candidate = 0;
 
     for (const width of widthOptions) {
         for (const strategy of sortStrategies) {
             const sortedImages = [...images].sort(strategy.fn);
-            const result = maxRectanglesPack(sortedImages, padding, width);
+            for (const heuristicKey of heuristics) {
+                if (onProgress) onProgress({ current: ++candidate, total: totalCandidates, efficiency: bestEfficiency });
 
-            if (!result) continue;
+                const result = maxRectanglesLayout(sortedImages, padding, width, effectiveMaxHeight, heuristicKey);
 
-            let finalWidth, finalHeight, finalCanvas;
+                if (!result) continue;
 
-            if (usePowerOfTwo) {
-                finalWidth = nextPowerOf2(result.width);
-                finalHeight = nextPowerOf2(result.height);
+                let finalWidth, finalHeight;
 
-                if (finalWidth > 2048 || finalHeight > 2048) continue;
+                if (usePowerOfTwo) {
+                    finalWidth = nextPowerOf2(result.width);
+                    finalHeight = nextPowerOf2(result.height);
 
-                if (finalWidth !== result.width || finalHeight !== result.height) {
-                    finalCanvas = document.createElement('canvas');
-                    finalCanvas.width = finalWidth;
-                    finalCanvas.height = finalHeight;
-                    const ctx = finalCanvas.getContext('2d');
-                    ctx.drawImage(result.canvas, 0, 0);
+                    if (finalWidth > effectiveMaxWidth || finalHeight > effectiveMaxHeight) continue;
                 } else {
-                    finalCanvas = result.canvas;
+                    finalWidth = result.width;
+                    finalHeight = result.height;
                 }
-            } else {
-                finalWidth = result.width;
-                finalHeight = result.height;
-                finalCanvas = result.canvas;
-            }
 
-            const area = finalWidth * finalHeight;
-            const imgUsedArea = images.reduce((sum, img) => sum + img.width * img.height, 0);
-            const efficiency = imgUsedArea / area * 100;
-
-            const sizeLabel = `${finalWidth}×${finalHeight}`;
-            console.log(`[MaxRectangles-${strategy.name}] 宽度${width}: 图集 ${sizeLabel}, 利用率 ${efficiency.toFixed(2)}%`);
-
-            if (efficiency > bestEfficiency || (efficiency === bestEfficiency && area < bestArea)) {
-                bestArea = area;
-                bestEfficiency = efficiency;
-                bestResult = {
-                    canvas: finalCanvas,
-                    frames: result.frames,
-                    width: finalWidth,
-                    height: finalHeight
-                };
+                const area = finalWidth * finalHeight;
+                const imgUsedArea = images.reduce((sum, img) => sum + img.width * img.height, 0);
+                const efficiency = imgUsedArea / area * 100;
+
+                const sizeLabel = `${finalWidth}×${finalHeight}`;
+                const heuristicName = MAX_RECTS_HEURISTICS[heuristicKey].name;
+                console.log(`[MaxRectangles-${heuristicName}-${strategy.name}] 宽度${width}: 图集 ${sizeLabel}, 利用率 ${efficiency.toFixed(2)}%`);
+
+                if (efficiency > bestEfficiency || (efficiency === bestEfficiency && area < bestArea)) {
+                    bestArea = area;
+                    bestEfficiency = efficiency;
+                    bestResult = {
+                        frames: result.frames,
+                        width: finalWidth,
+                        height: finalHeight,
+                        heuristic: heuristicKey
+                    };
+                }
             }
         }
     }
@@ -110,75 +151,60 @@ function packImagesWithMaxRectangles(images, padding, maxWidth, usePowerOfTwo =
         const finalUsedArea = images.reduce((sum, img) => sum + img.width * img.height, 0);
         const finalEfficiency = (finalUsedArea / (bestResult.width * bestResult.height) * 100).toFixed(2);
         const sizeType = usePowerOfTwo ? "2的幂次方" : "原始";
-        console.log(`[MaxRectangles] 最优图集: ${bestResult.width}×${bestResult.height} (${sizeType}), 利用率 ${finalEfficiency}%`);
+        console.log(`[MaxRectangles] 最优图集: ${bestResult.width}×${bestResult.height} (${sizeType}), 利用率 ${finalEfficiency}%, 启发式 ${MAX_RECTS_HEURISTICS[bestResult.heuristic].name}`);
     }
 
     return bestResult;
 }
 
 /**
- * MaxRectangles核心算法
+ * MaxRectangles核心算法（只计算布局，不绘制）
+ * @param {string} heuristic - 放置启发式，见 MAX_RECTS_HEURISTICS
+ * @returns {Object|null} - { frames, width, height }，放不下时返回 null
  */
-function maxRectanglesPack(images, padding, maxWidth) {
+function maxRectanglesLayout(images, padding, maxWidth, maxHeight = 4096, heuristic = 'bssf') {
+    const area = getPackingArea(padding, maxWidth, maxHeight);
     const usedRectangles = [];
-    const freeRectangles = [{ x: 0, y: 0, width: maxWidth, height: 4096 }];
+    const freeRectangles = [{ ...area }];
     const frames = [];
+    const findPosition = MAX_RECTS_HEURISTICS[heuristic].find;
+    const bin = { ...area, usedRectangles };
 
     for (const item of images) {
-        let bestNode = findPositionForNewNodeBestShortSideFit(freeRectangles, item.width + padding, item.height + padding);
+        const size = getPackedSize(item, padding);
+        let bestNode = findPosition(freeRectangles, size.width, size.height, bin);
 
         if (bestNode.height === 0) {
             // 尝试旋转
-            bestNode = findPositionForNewNodeBestShortSideFit(freeRectangles, item.height + padding, item.width + padding);
+            if (!canRotate(item)) {
+                return null; // 放不下
+            }
+            bestNode = findPosition(freeRectangles, size.height, size.width, bin);
             if (bestNode.height === 0) {
                 return null; // 放不下
             }
 
             // 旋转放置
-            const frame = {
-                name: item.name,
-                x: bestNode.x,
-                y: bestNode.y,
-                width: item.height,
-                height: item.width,
-                originalWidth: item.width,
-                originalHeight: item.height,
-                offsetX: 0,
-                offsetY: 0,
-                rotated: true,
-                img: item.img
-            };
+            const frame = placeFrame(item, bestNode.x, bestNode.y, true);
 
             usedRectangles.push({
                 x: bestNode.x,
                 y: bestNode.y,
-                width: item.height + padding,
-                height: item.width + padding
+                width: size.height,
+                height: size.width
             });
 
             splitFreeRectangles(freeRectangles, usedRectangles[usedRectangles.length - 1]);
             frames.push(frame);
         } else {
             // 正常放置
-            const frame = {
-                name: item.name,
-                x: bestNode.x,
-                y: bestNode.y,
-                width: item.width,
-                height: item.height,
-                originalWidth: item.width,
-                originalHeight: item.height,
-                offsetX: 0,
-                offsetY: 0,
-                rotated: false,
-                img: item.img
-            };
+            const frame = placeFrame(item, bestNode.x, bestNode.y, false);
 
             usedRectangles.push({
                 x: bestNode.x,
                 y: bestNode.y,
-                width: item.width + padding,
-                height: item.height + padding
+                width: size.width,
+                height: size.height
             });
 
             splitFreeRectangles(freeRectangles, usedRectangles[usedRectangles.length - 1]);
@@ -187,43 +213,57 @@ function maxRectanglesPack(images, padding, maxWidth) {
     }
 
     // 计算实际使用的边界
-    let maxRight = padding;
-    let maxBottom = padding;
-    for (const frame of frames) {
-        maxRight = Math.max(maxRight, frame.x + frame.width + padding);
-        maxBottom = Math.max(maxBottom, frame.y + frame.height + padding);
-    }
+    return { frames, ...getLayoutBounds(frames, padding) };
+}
 
-    const usedWidth = maxRight;
-    const usedHeight = maxBottom;
-
-    // 创建canvas
-    const canvas = document.createElement('canvas');
-    canvas.width = usedWidth;
-    canvas.height = usedHeight;
-    const ctx = canvas.getContext('2d');
-
-    // 绘制所有帧
-    for (const frame of frames) {
-        if (frame.rotated) {
-            ctx.save();
-            ctx.translate(frame.x + frame.width / 2, frame.y + frame.height / 2);
-            ctx.rotate(-Math.PI / 2);
-            ctx.drawImage(
-                frame.img,
-                0, 0, frame.originalWidth, frame.originalHeight,
-                -frame.originalWidth / 2, -frame.originalHeight / 2,
-                frame.originalWidth, frame.originalHeight
-            );
-            ctx.restore();
-        } else {
-            ctx.drawImage(frame.img, frame.x, frame.y, frame.width, frame.height);
+/**
+ * 在固定尺寸的页面上尽可能多地放置图片（多图集溢出模式）
+ * 与 maxRectanglesLayout 不同，放不下的图片不会导致失败，而是作为剩余图片返回
+ * @param {Array} images - 已排序的图片数组
+ * @param {number|Object} padding - 间距设置，见 resolvePadding
+ * @param {number} pageWidth - 页面宽度
+ * @param {number} pageHeight - 页面高度
+ * @param {string} heuristic - 放置启发式，见 MAX_RECTS_HEURISTICS
+ * @returns {Object} - { frames, remaining, width, height, usedArea }
+ */
+function maxRectanglesFillPage(images, padding, pageWidth, pageHeight, heuristic = 'bssf') {
+    const area = getPackingArea(padding, pageWidth, pageHeight);
+    const freeRectangles = [{ ...area }];
+    const usedRectangles = [];
+    const frames = [];
+    const remaining = [];
+    const findPosition = MAX_RECTS_HEURISTICS[heuristic].find;
+    const bin = { ...area, usedRectangles };
+    let usedArea = 0;
+
+    for (const item of images) {
+        const size = getPackedSize(item, padding);
+        let rotated = false;
+        let bestNode = findPosition(freeRectangles, size.width, size.height, bin);
+
+        if (bestNode.height === 0 && canRotate(item)) {
+            rotated = true;
+            bestNode = findPosition(freeRectangles, size.height, size.width, bin);
+        }
+
+        if (bestNode.height === 0) {
+            remaining.push(item);
+            continue;
         }
-        // 不删除 frame.img，保留用于缓存和测试面板
-        // delete frame.img;
+
+        const usedRect = {
+            x: bestNode.x,
+            y: bestNode.y,
+            width: bestNode.width,
+            height: bestNode.height
+        };
+        usedRectangles.push(usedRect);
+        splitFreeRectangles(freeRectangles, usedRect);
+        frames.push(placeFrame(item, bestNode.x, bestNode.y, rotated));
+        usedArea += item.width * item.height;
     }
 
-    return { canvas, frames, width: usedWidth, height: usedHeight };
+    return { frames, remaining, ...getLayoutBounds(frames, padding), usedArea };
 }
 
 /**
@@ -253,6 +293,139 @@ function findPositionForNewNodeBestShortSideFit(freeRectangles, width, height) {
     return bestNode;
 }
 
+/**
+ * 使用Best Long Side Fit启发式算法寻找最佳位置
+ */
+function findPositionForNewNodeBestLongSideFit(freeRectangles, width, height) {
+    let bestNode = { x: 0, y: 0, width: 0, height: 0 };
+    let bestShortSideFit = Infinity;
+    let bestLongSideFit = Infinity;
+
+    for (const rect of freeRectangles) {
+        if (rect.width >= width && rect.height >= height) {
+            const leftoverHoriz = Math.abs(rect.width - width);
+            const leftoverVert = Math.abs(rect.height - height);
+            const shortSideFit = Math.min(leftoverHoriz, leftoverVert);
+            const longSideFit = Math.max(leftoverHoriz, leftoverVert);
+
+            if (longSideFit < bestLongSideFit ||
+                (longSideFit === bestLongSideFit && shortSideFit < bestShortSideFit)) {
+                bestNode = { x: rect.x, y: rect.y, width, height };
+                bestShortSideFit = shortSideFit;
+                bestLongSideFit = longSideFit;
+            }
+        }
+    }
+
+    return bestNode;
+}
+
+/**
+ * 使用Best Area Fit启发式算法寻找最佳位置
+ */
+function findPositionForNewNodeBestAreaFit(freeRectangles, width, height) {
+    let bestNode = { x: 0, y: 0, width: 0, height: 0 };
+    let bestAreaFit = Infinity;
+    let bestShortSideFit = Infinity;
+
+    for (const rect of freeRectangles) {
+        if (rect.width >= width && rect.height >= height) {
+            const areaFit = rect.width * rect.height - width * height;
+            const shortSideFit = Math.min(rect.width - width, rect.height - height);
+
+            if (areaFit < bestAreaFit ||
+                (areaFit === bestAreaFit && shortSideFit < bestShortSideFit)) {
+                bestNode = { x: rect.x, y: rect.y, width, height };
+                bestAreaFit = areaFit;
+                bestShortSideFit = shortSideFit;
+            }
+        }
+    }
+
+    return bestNode;
+}
+
+/**
+ * 使用Bottom-Left启发式算法寻找最佳位置（画布坐标系下即靠上靠左）
+ */
+function findPositionForNewNodeBottomLeft(freeRectangles, width, height) {
+    let bestNode = { x: 0, y: 0, width: 0, height: 0 };
+    let bestY = Infinity;
+    let bestX = Infinity;
+
+    for (const rect of freeRectangles) {
+        if (rect.width >= width && rect.height >= height) {
+            const topSideY = rect.y + height;
+
+            if (topSideY < bestY || (topSideY === bestY && rect.x < bestX)) {
+                bestNode = { x: rect.x, y: rect.y, width, height };
+                bestY = topSideY;
+                bestX = rect.x;
+            }
+        }
+    }
+
+    return bestNode;
+}
+
+/**
+ * 使用Contact Point启发式算法寻找最佳位置
+ * @param {Object} bin - { width, height, usedRectangles }
+ */
+function findPositionForNewNodeContactPoint(freeRectangles, width, height, bin) {
+    let bestNode = { x: 0, y: 0, width: 0, height: 0 };
+    let bestContactScore = -1;
+
+    for (const rect of freeRectangles) {
+        if (rect.width >= width && rect.height >= height) {
+            const score = contactPointScore(rect.x, rect.y, width, height, bin);
+
+            if (score > bestContactScore) {
+                bestNode = { x: rect.x, y: rect.y, width, height };
+                bestContactScore = score;
+            }
+        }
+    }
+
+    return bestNode;
+}
+
+/**
+ * 计算矩形与图集边界及已放置矩形的接触边长之和
+ */
+function contactPointScore(x, y, width, height, bin) {
+    let score = 0;
+
+    if (x === bin.x || x + width === bin.x + bin.width) {
+        score += height;
+    }
+    // 图集高度是上限而非实际高度，不计底边接触，避免图片被吸到底部
+    if (y === bin.y) {
+        score += width;
+    }
+
+    for (const used of bin.usedRectangles) {
+        if (used.x === x + width || used.x + used.width === x) {
+            score += commonIntervalLength(used.y, used.y + used.height, y, y + height);
+        }
+        if (used.y === y + height || used.y + used.height === y) {
+            score += commonIntervalLength(used.x, used.x + used.width, x, x + width);
+        }
+    }
+
+    return score;
+}
+
+/**
+ * 计算两个区间的重叠长度
+ */
+function commonIntervalLength(start1, end1, start2, end2) {
+    if (end1 < start2 || end2 < start1) {
+        return 0;
+    }
+    return Math.min(end1, end2) - Math.max(start1, start2);
+}
+
 /**
  * 分割空闲矩形
  */
@@ -371,5 +544,11 @@ function nextPowerOf2(n) {
 
 // 导出模块
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { packImagesWithMaxRectangles, nextPowerOf2 };
+    module.exports = {
+        packImagesWithMaxRectangles,
+        layoutImagesWithMaxRectangles,
+        maxRectanglesFillPage,
+        MAX_RECTS_HEURISTICS,
+        nextPowerOf2
+    };
 }
@@ -4,6 +4,14 @@
  * 支持将大量图片自动拆分为多个小图集
  */
 
+// 溢出模式每页尝试的排序策略
+const OVERFLOW_SORT_STRATEGIES = [
+    { name: '面积降序', fn: (a, b) => (b.width * b.height) - (a.width * a.height) },
+    { name: '最大边降序', fn: (a, b) => Math.max(b.width, b.height) - Math.max(a.width, a.height) },
+    { name: '周长降序', fn: (a, b) => (b.width + b.height) - (a.width + a.height) },
+    { name: '高度降序', fn: (a, b) => b.height - a.height }
+];
+
 /**
  * 多图集打包器类
  */
@@ -11,13 +19,19 @@ class MultiAtlasPacker {
     constructor(options = {}) {
         this.maxWidth = options.maxWidth || 2048;
         this.maxHeight = options.maxHeight || 2048;
-        this.padding = options.padding || 2;
+        this.padding = options.padding !== undefined ? options.padding : 2;
         this.usePowerOfTwo = options.usePowerOfTwo !== false;
         this.maxImagesPerAtlas = options.maxImagesPerAtlas || 100;
         this.maxAreaPerAtlas = options.maxAreaPerAtlas || (2048 * 1024);
 
         // 可选：指定使用的打包算法
-        this.packingAlgorithm = options.packingAlgorithm || 'maxRectangles'; // 'shelf' or 'maxRectangles'
+        this.packingAlgorithm = options.packingAlgorithm || 'maxRectangles'; // 'maxRectangles' / 'shelf' / 'skyline' / 'guillotine' / 'polygon'
+        this.heuristic = options.heuristic || 'bssf'; // MaxRects 放置启发式，'auto' 尝试全部
+        this.splitRule = options.splitRule || 'slas'; // Guillotine 分割规则，'auto' 尝试全部
+        this.guillotineOptions = { freeRectChoice: options.freeRectChoice, merge: options.merge };
+
+        // 拆分方式：'group' 按尺寸分组后分别打包，'overflow' 用所选算法填满一页再开新页
+        this.mode = options.mode || 'group';
     }
 
     /**
@@ -26,14 +40,82 @@ class MultiAtlasPacker {
      * @returns {Array} - 图集数组
      */
     pack(images) {
+        return this.layout(images).map(layout => renderLayout(layout));
+    }
+
+    /**
+     * 计算多个图集的布局（不依赖 DOM，可在 Worker 中运行）
+     * 固定页码（item.page）的图片按页码分组，每组单独打包为一页；其余图片自动分页，
+     * 依次填入没有固定图片的页码。页码只决定分组和顺序，空缺的页码不会生成空图集
+     * @param {Array} images - 图片数组
+     * @param {Function} onProgress - 可选，每完成一个图集回调 { current, total }（已放置/全部图片数）
+     * @returns {Array} - 布局数组 { frames, width, height, groupName?, occupancy?, pinnedPage? }
+     */
+    layout(images, onProgress = null) {
         if (images.length === 0) {
             return [];
         }
 
-        // 如果图片数量较少，直接打包单个图集
+        let placed = 0;
+        const progress = (count) => {
+            placed += count;
+            if (onProgress) onProgress({ current: placed, total: images.length });
+        };
+
+        const pinned = new Map();
+        const unpinned = [];
+        for (const item of images) {
+            if (item.page) {
+                if (!pinned.has(item.page)) pinned.set(item.page, []);
+                pinned.get(item.page).push(item);
+            } else {
+                unpinned.push(item);
+            }
+        }
+
+        const autoPages = unpinned.length > 0 ? this.layoutAutoPages(unpinned, progress) : [];
+        if (pinned.size === 0) {
+            return autoPages;
+        }
+
+        const pinnedPages = new Map();
+        for (const [page, items] of pinned) {
+            const layout = this.layoutSingleAtlas(items);
+            if (!layout) {
+                throw new Error(`固定在第 ${page} 页的图片在 ${this.maxWidth}×${this.maxHeight} 内放不下: ${items.map(item => item.name).join(', ')}`);
+            }
+            progress(layout.frames.length);
+            pinnedPages.set(page, { ...layout, pinnedPage: page });
+        }
+
+        const result = [];
+        const lastPinned = Math.max(...pinnedPages.keys());
+        for (let page = 1; page <= lastPinned || autoPages.length > 0; page++) {
+            if (pinnedPages.has(page)) {
+                result.push(pinnedPages.get(page));
+            } else if (autoPages.length > 0) {
+                result.push(autoPages.shift());
+            }
+        }
+
+        console.log(`[MultiAtlas] 固定页码 ${[...pinnedPages.keys()].sort((a, b) => a - b).join(', ')}，共 ${result.length} 页`);
+        return result;
+    }
+
+    /**
+     * 自动分页：溢出模式、少量图片时先尝试单个图集、否则按尺寸分组
+     * @param {Array} images - 图片数组
+     * @param {Function} progress - 放置完成后以帧数回调
+     * @returns {Array} - 布局数组
+     */
+    layoutAutoPages(images, progress) {
+        if (this.mode === 'overflow') {
+            return this.layoutByOverflow(images, progress);
+        }
+
+        // 如果图片数量较少，先尝试打包单个图集，放不下时自动拆分
         if (images.length <= this.maxImagesPerAtlas) {
-            const result = this.packSingleAtlas(images);
-            return result ? [result] : [];
+            return this.layoutWithOverflow(images, 'area', progress);
         }
 
         // 使用智能分组
@@ -44,26 +126,236 @@ class MultiAtlasPacker {
         console.table(grouper.getGroupStatistics(groups));
 
         // 为每个组打包图集
-        const atlases = [];
+        const result = [];
         for (const group of groups) {
-            const result = this.packSingleAtlas(group.items, group.strategy);
-            if (result) {
-                result.groupName = group.name;
-                atlases.push(result);
+            const layouts = this.layoutWithOverflow(group.items, group.strategy, progress);
+            layouts.forEach((layout, index) => {
+                layout.groupName = layouts.length > 1 ? `${group.name}_${index + 1}` : group.name;
+                result.push(layout);
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * 布局一组图片，单个图集放不下时对半拆分到额外的图集中
+     * @param {Array} images - 图片数组
+     * @param {string} strategy - 排序策略
+     * @param {Function} progress - 可选，放置完成后以本图集帧数回调
+     * @returns {Array} - 布局数组（尚未绘制）
+     */
+    layoutWithOverflow(images, strategy = 'area', progress = null) {
+        const result = this.layoutSingleAtlas(images, strategy);
+        if (result) {
+            if (progress) progress(result.frames.length);
+            return [result];
+        }
+
+        if (images.length === 1) {
+            const item = images[0];
+            throw new Error(`图片 ${item.name} (${item.width}×${item.height}) 超过图集最大尺寸限制`);
+        }
+
+        // 按面积排序后交替分配，保证两半的尺寸分布相近
+        const sorted = [...images].sort((a, b) => (b.width * b.height) - (a.width * a.height));
+        const first = sorted.filter((_, index) => index % 2 === 0);
+        const second = sorted.filter((_, index) => index % 2 === 1);
+
+        console.log(`[MultiAtlas] ${images.length} 张图片无法放入单个图集，拆分为 ${first.length} + ${second.length}`);
+
+        return [
+            ...this.layoutWithOverflow(first, strategy, progress),
+            ...this.layoutWithOverflow(second, strategy, progress)
+        ];
+    }
+
+    /**
+     * 溢出模式布局：用所选算法把第 N 页填到放不下为止，剩余图片进入第 N+1 页
+     * 每页都会尝试多种排序策略，选择放入面积最大的一种，以尽量减少页数
+     * @param {Array} images - 图片数组
+     * @param {Function} progress - 可选，每完成一页以该页帧数回调
+     * @returns {Array} - 页面布局数组（每页带 occupancy 占用率）
+     */
+    layoutByOverflow(images, progress = null) {
+        const { pageWidth, pageHeight } = this.getPageSize();
+        const totalArea = images.reduce((sum, img) => sum + img.width * img.height, 0);
+        const minPages = Math.ceil(totalArea / (pageWidth * pageHeight));
+
+        const pages = [];
+        let remaining = [...images];
+
+        while (remaining.length > 0) {
+            let layout = this.fillPage(remaining, pageWidth, pageHeight);
+
+            if (layout.frames.length === 0) {
+                const item = remaining[0];
+                throw new Error(`图片 ${item.name} (${item.width}×${item.height}) 超过图集最大尺寸限制 ${pageWidth}×${pageHeight}`);
+            }
+
+            // 最后一页尝试缩小到能容纳全部剩余图片的最小尺寸
+            if (layout.remaining.length === 0 && this.usePowerOfTwo) {
+                layout = this.shrinkLastPage(remaining, layout, pageWidth, pageHeight);
+            }
+
+            pages.push(this.finishPage(layout, pageWidth, pageHeight));
+            remaining = layout.remaining;
+            if (progress) progress(layout.frames.length);
+        }
+
+        console.log(`[MultiAtlas] 溢出模式: ${images.length} 张图片 → ${pages.length} 页 (面积下限 ${minPages} 页)`);
+        console.table(pages.map((page, index) => ({
+            page: index + 1,
+            size: `${page.width}×${page.height}`,
+            frames: page.frames.length,
+            occupancy: `${page.occupancy.toFixed(2)}%`
+        })));
+
+        return pages;
+    }
+
+    /**
+     * 获取溢出模式的页面尺寸（2的幂次方模式下取不超过最大值的2的幂）
+     */
+    getPageSize() {
+        if (!this.usePowerOfTwo) {
+            return { pageWidth: this.maxWidth, pageHeight: this.maxHeight };
+        }
+        return {
+            pageWidth: Math.pow(2, Math.floor(Math.log2(this.maxWidth))),
+            pageHeight: Math.pow(2, Math.floor(Math.log2(this.maxHeight)))
+        };
+    }
+
+    /**
+     * 用多种排序策略填充一页，返回放入面积最大的布局
+     * MaxRects 跳过放不下的图片继续填充；其他算法只能整体布局，放入能放下的最长前缀
+     */
+    fillPage(images, pageWidth, pageHeight) {
+        let best = null;
+        for (const strategy of OVERFLOW_SORT_STRATEGIES) {
+            const sortedImages = [...images].sort(strategy.fn);
+            const layouts = this.packingAlgorithm === 'maxRectangles'
+                ? resolveMaxRectsHeuristics(this.heuristic).map(heuristic =>
+                    maxRectanglesFillPage(sortedImages, this.padding, pageWidth, pageHeight, heuristic))
+                : [this.fillPageWithPrefix(sortedImages, pageWidth, pageHeight)];
+            for (const layout of layouts) {
+                if (!best || layout.usedArea > best.usedArea) {
+                    best = layout;
+                }
             }
         }
+        return best;
+    }
 
-        return atlases;
+    /**
+     * 二分查找所选算法在页面内能放下的最长前缀，其余图片留给下一页
+     * 前缀之后更小的图片即使放得下也不再尝试
+     * @returns {Object} - { frames, remaining, width, height, usedArea }，同 maxRectanglesFillPage
+     */
+    fillPageWithPrefix(sortedImages, pageWidth, pageHeight) {
+        let best = { frames: [], width: 0, height: 0 };
+        let count = 0;
+        let high = sortedImages.length;
+        while (count < high) {
+            const mid = Math.ceil((count + high) / 2);
+            const layout = this.layoutPage(sortedImages.slice(0, mid), pageWidth, pageHeight);
+            if (layout) {
+                best = layout;
+                count = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        const placed = sortedImages.slice(0, count);
+        return {
+            frames: best.frames,
+            remaining: sortedImages.slice(count),
+            width: best.width,
+            height: best.height,
+            usedArea: placed.reduce((sum, item) => sum + item.width * item.height, 0)
+        };
     }
 
     /**
-     * 打包单个图集
+     * 用所选算法在固定尺寸的页面上布局（不搜索宽度和排序），有图片放不下时返回 null
      */
-    packSingleAtlas(images, strategy = 'area') {
+    layoutPage(images, pageWidth, pageHeight) {
+        if (this.packingAlgorithm === 'guillotine') {
+            const freeRectChoice = GUILLOTINE_FREE_RECT_CHOICES[this.guillotineOptions.freeRectChoice] ? this.guillotineOptions.freeRectChoice : 'baf';
+            const merge = this.guillotineOptions.merge !== false;
+            for (const splitRule of resolveGuillotineSplitRules(this.splitRule)) {
+                const layout = guillotineLayout(images, this.padding, pageWidth, pageHeight, freeRectChoice, splitRule, merge);
+                if (layout) return layout;
+            }
+            return null;
+        } else if (this.packingAlgorithm === 'skyline') {
+            return skylineLayout(images, this.padding, pageWidth, pageHeight);
+        } else if (this.packingAlgorithm === 'polygon') {
+            return polygonLayout(images, this.padding, pageWidth, pageHeight);
+        } else {
+            return layoutImagesInternal(images, this.padding, pageWidth, pageHeight);
+        }
+    }
+
+    /**
+     * 最后一页：从小到大尝试2的幂次方尺寸，找到能放下全部图片的最小页面
+     */
+    shrinkLastPage(images, layout, pageWidth, pageHeight) {
+        const candidates = [];
+        for (let w = 64; w <= pageWidth; w *= 2) {
+            for (let h = 64; h <= pageHeight; h *= 2) {
+                candidates.push({ w, h });
+            }
+        }
+        candidates.sort((a, b) => (a.w * a.h) - (b.w * b.h) || Math.abs(a.w - a.h) - Math.abs(b.w - b.h));
+
+        for (const { w, h } of candidates) {
+            if (w * h >= pageWidth * pageHeight) break;
+            if (w * h < layout.usedArea) continue;
+
+            const smaller = this.fillPage(images, w, h);
+            if (smaller.remaining.length === 0) {
+                return smaller;
+            }
+        }
+        return layout;
+    }
+
+    /**
+     * 确定页面的最终尺寸和占用率
+     */
+    finishPage(layout, pageWidth, pageHeight) {
+        let width = layout.width;
+        let height = layout.height;
+        if (this.usePowerOfTwo) {
+            width = Math.min(nextPowerOf2(width), pageWidth);
+            height = Math.min(nextPowerOf2(height), pageHeight);
+        }
+
+        return {
+            frames: layout.frames,
+            width,
+            height,
+            occupancy: layout.usedArea / (width * height) * 100
+        };
+    }
+
+    /**
+     * 计算单个图集的布局（不绘制）
+     */
+    layoutSingleAtlas(images, strategy = 'area') {
         if (this.packingAlgorithm === 'maxRectangles') {
-            return packImagesWithMaxRectangles(images, this.padding, this.maxWidth, this.usePowerOfTwo);
+            return layoutImagesWithMaxRectangles(images, this.padding, this.maxWidth, this.usePowerOfTwo, this.maxHeight, this.heuristic);
+        } else if (this.packingAlgorithm === 'guillotine') {
+            return layoutImagesWithGuillotine(images, this.padding, this.maxWidth, this.usePowerOfTwo, this.maxHeight, this.splitRule, this.guillotineOptions);
+        } else if (this.packingAlgorithm === 'skyline') {
+            return layoutImagesWithSkyline(images, this.padding, this.maxWidth, this.usePowerOfTwo, this.maxHeight);
+        } else if (this.packingAlgorithm === 'polygon') {
+            return layoutImagesWithPolygons(images, this.padding, this.maxWidth, this.usePowerOfTwo, this.maxHeight);
         } else {
-            return packImages(images, this.padding, this.maxWidth, this.usePowerOfTwo);
+            return layoutImages(images, this.padding, this.maxWidth, this.usePowerOfTwo, this.maxHeight);
         }
     }
 
@@ -87,9 +379,10 @@ class MultiAtlasPacker {
      * 生成ZIP文件
      * @param {Array} atlases - 图集数组
      * @param {string} baseName - 基础名称
+     * @param {Object|null} cocosMeta - 不为空时同时写入 Creator 3.x 的 .meta，{ assetDir }
      * @returns {Promise<Blob>} - ZIP文件
      */
-    async generateZip(atlases, baseName) {
+    async generateZip(atlases, baseName, cocosMeta = null) {
         const zip = new JSZip();
         const plists = this.generatePlists(atlases, baseName);
 
@@ -106,6 +399,12 @@ class MultiAtlasPacker {
 
             zip.file(`${atlasName}.png`, pngBlob);
             zip.file(`${atlasName}.plist`, plist.content);
+
+            if (cocosMeta) {
+                for (const meta of generateCocosMetaFiles(atlasName, atlas.frames, cocosMeta.assetDir, atlas)) {
+                    zip.file(meta.name, meta.content);
+                }
+            }
         }
 
         // 生成ZIP文件
@@ -129,6 +428,7 @@ class MultiAtlasPacker {
                 width: atlas.width,
                 height: atlas.height,
                 frameCount: atlas.frames.length,
+                occupancy: atlas.occupancy,
                 groupName: atlas.groupName || 'default'
             }))
         };
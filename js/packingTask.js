@@ -0,0 +1,211 @@
+/**
+ * 打包任务模块
+ * 在 Web Worker 中执行布局搜索并回传真实进度，可随时取消；主线程只负责最后一次绘制
+ * 本文件同时被页面和 packingWorker.js 加载，顶层不能访问 DOM
+ */
+
+/**
+ * 按打包请求执行布局搜索（页面和 Worker 共用）
+ * @param {Object} request - { images, algorithm, padding, maxWidth, maxHeight, usePowerOfTwo, heuristic, splitRule, freeRectChoice, merge, multiAtlas, multiAtlasMode, stableReference }
+ * @param {Function} onProgress - 可选，进度回调 { current, total, efficiency? }
+ * @returns {Array} - 布局数组；单图集放不下时为空数组
+ */
+function runPackingLayout(request, onProgress = null) {
+    const { images, algorithm, padding, maxWidth, maxHeight, usePowerOfTwo } = request;
+
+    if (request.multiAtlas) {
+        const packer = new MultiAtlasPacker({
+            maxWidth,
+            maxHeight,
+            padding,
+            usePowerOfTwo,
+            packingAlgorithm: algorithm,
+            mode: request.multiAtlasMode,
+            heuristic: request.heuristic,
+            splitRule: request.splitRule,
+            freeRectChoice: request.freeRectChoice,
+            merge: request.merge
+        });
+        return packer.layout(images, onProgress);
+    }
+
+    // 稳定布局：保留基准中未变化的帧，新图片放不下时继续完整重新打包
+    if (request.stableReference) {
+        const stable = layoutImagesStable(images, request.stableReference, padding, maxWidth, usePowerOfTwo, maxHeight, request.heuristic, onProgress);
+        if (stable) {
+            return [stable];
+        }
+    }
+
+    let layout;
+    if (algorithm === 'maxRectangles') {
+        layout = layoutImagesWithMaxRectangles(images, padding, maxWidth, usePowerOfTwo, maxHeight, request.heuristic, onProgress);
+    } else if (algorithm === 'guillotine') {
+        layout = layoutImagesWithGuillotine(images, padding, maxWidth, usePowerOfTwo, maxHeight, request.splitRule, {
+            freeRectChoice: request.freeRectChoice,
+            merge: request.merge
+        }, onProgress);
+    } else if (algorithm === 'skyline') {
+        layout = layoutImagesWithSkyline(images, padding, maxWidth, usePowerOfTwo, maxHeight, true, onProgress);
+    } else if (algorithm === 'polygon') {
+        layout = layoutImagesWithPolygons(images, padding, maxWidth, usePowerOfTwo, maxHeight, onProgress);
+    } else {
+        layout = layoutImages(images, padding, maxWidth, usePowerOfTwo, maxHeight, onProgress);
+    }
+
+    return layout ? [layout] : [];
+}
+
+/**
+ * 打包任务 - 一次只运行一个请求
+ * 浏览器不支持 Worker 或脚本无法加载（如直接以 file:// 打开页面）时回退到主线程执行，此时界面在计算期间无法响应
+ */
+class PackingTask {
+    constructor(workerUrl = 'js/packingWorker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.running = null;
+        this.progressCallback = null;
+    }
+
+    // 设置进度回调
+    setProgressCallback(callback) {
+        this.progressCallback = callback;
+    }
+
+    /**
+     * 执行布局搜索
+     * @param {Array} images - 图片数组（img 不会发送到 Worker，返回时重新关联到帧上）
+     * @param {Object} options - 除 images 外的打包请求，见 runPackingLayout
+     * @returns {Promise<Array>} - 布局数组，取消时以 cancelled 为 true 的错误拒绝
+     */
+    async run(images, options) {
+        if (this.running) {
+            throw new Error('打包任务正在进行中');
+        }
+
+        // 只传递布局需要的字段，img 替换为图片下标
+        const request = {
+            ...options,
+            images: images.map((item, index) => ({
+                name: item.name,
+                width: item.width,
+                height: item.height,
+                sourceWidth: item.sourceWidth,
+                sourceHeight: item.sourceHeight,
+                trimX: item.trimX,
+                trimY: item.trimY,
+                extrude: item.extrude,
+                allowRotation: item.allowRotation,
+                pivot: item.pivot,
+                border: item.border,
+                page: item.page,
+                polygon: item.polygon,
+                img: index
+            }))
+        };
+
+        const layouts = await new Promise((resolve, reject) => {
+            this.running = { resolve, reject };
+            if (!options.useWorker || !this.startWorker(request)) {
+                this.runInMainThread(request);
+            }
+        });
+
+        for (const layout of layouts) {
+            for (const frame of layout.frames) {
+                frame.img = images[frame.img].img;
+            }
+        }
+
+        return layouts;
+    }
+
+    /**
+     * 在 Worker 中执行，Worker 无法创建时返回 false
+     */
+    startWorker(request) {
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('[PackingTask] 无法创建 Worker，改为在主线程打包:', error.message);
+            return false;
+        }
+
+        this.worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                this.reportProgress(message.progress);
+            } else if (message.type === 'result') {
+                this.finish(null, message.layouts);
+            } else if (message.type === 'error') {
+                this.finish(new Error(message.message));
+            }
+        };
+
+        // 打包过程中的异常会以 error 消息返回，这里只会是脚本加载失败
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            console.warn('[PackingTask] Worker 加载失败，改为在主线程打包:', event.message);
+            this.stopWorker();
+            this.runInMainThread(request);
+        };
+
+        this.worker.postMessage({ type: 'pack', request });
+        return true;
+    }
+
+    /**
+     * 在主线程中执行（延迟一帧，让进度条先显示出来）
+     */
+    runInMainThread(request) {
+        setTimeout(() => {
+            if (!this.running) return;
+            try {
+                this.finish(null, runPackingLayout(request, progress => this.reportProgress(progress)));
+            } catch (error) {
+                this.finish(error);
+            }
+        }, 10);
+    }
+
+    reportProgress(progress) {
+        if (this.running && this.progressCallback) {
+            this.progressCallback(progress);
+        }
+    }
+
+    finish(error, layouts) {
+        const running = this.running;
+        this.running = null;
+        this.stopWorker();
+        if (!running) return;
+
+        if (error) {
+            running.reject(error);
+        } else {
+            running.resolve(layouts);
+        }
+    }
+
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    // 取消打包：立即终止 Worker
+    cancel() {
+        if (!this.running) return;
+
+        const error = new Error('打包已取消');
+        error.cancelled = true;
+        this.finish(error);
+    }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runPackingLayout, PackingTask };
+}
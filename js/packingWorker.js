@@ -0,0 +1,32 @@
+/**
+ * 打包 Worker
+ * 在后台线程执行布局搜索，避免大量图片时界面卡死
+ * 消息: { type: 'pack', request } → { type: 'progress', progress } ... { type: 'result', layouts } / { type: 'error', message }
+ */
+
+importScripts(
+    'imageTrimmer.js',
+    'atlasPacker.js',
+    'maxRectanglesPacker.js',
+    'guillotinePacker.js',
+    'skylinePacker.js',
+    'polygonPacker.js',
+    'imageGrouper.js',
+    'multiAtlasPacker.js',
+    'stableLayout.js',
+    'packingTask.js'
+);
+
+self.onmessage = (event) => {
+    const { type, request } = event.data;
+    if (type !== 'pack') return;
+
+    try {
+        const layouts = runPackingLayout(request, progress => {
+            self.postMessage({ type: 'progress', progress });
+        });
+        self.postMessage({ type: 'result', layouts });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
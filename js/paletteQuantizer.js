@@ -0,0 +1,343 @@
+/**
+ * 调色板量化模块（PNG8）
+ * 中位切分（median-cut）生成最多 256 色的 RGBA 调色板，再用几轮 k-means 修正，
+ * 颜色在预乘 alpha 后的空间中比较，透明度不同的颜色也能合并；完全透明的像素固定使用一个调色板项
+ * 编码为 PNG 见 pngEncoder.js
+ */
+
+const PNG8_MAX_COLORS = 256;
+
+// k-means 修正的轮数
+const PALETTE_REFINE_ITERATIONS = 3;
+
+/**
+ * 校验 PNG8 质量
+ * @param {number} quality - 0 ~ 100 的整数
+ */
+function validatePng8Quality(quality) {
+    if (!Number.isInteger(quality) || quality < 0 || quality > 100) {
+        throw new Error(`PNG8 质量无效: ${quality}（应为 0 ~ 100 的整数）`);
+    }
+}
+
+/**
+ * 质量转换为调色板颜色数：0 → 2 色，100 → 256 色，按指数增长（颜色数翻倍时误差的变化大致相同）
+ * @param {number} quality - 0 ~ 100
+ * @returns {number}
+ */
+function getPaletteSize(quality) {
+    validatePng8Quality(quality);
+    return Math.min(PNG8_MAX_COLORS, Math.round(2 ** (1 + 7 * quality / 100)));
+}
+
+/**
+ * 统计颜色：按预乘后每通道 6 位分桶，桶内累加精确值，调色板颜色取桶的加权平均
+ * @returns {Object} - { buckets: [{ count, sum: [r, g, b, a] }], hasTransparent }
+ */
+function buildColorHistogram(data) {
+    const bucketMap = new Map();
+    let hasTransparent = false;
+
+    for (let i = 0; i < data.length; i += 4) {
+        const a = data[i + 3];
+        if (a === 0) {
+            hasTransparent = true;
+            continue;
+        }
+        const r = data[i] * a / 255;
+        const g = data[i + 1] * a / 255;
+        const b = data[i + 2] * a / 255;
+        const key = ((r >> 2) << 18) | ((g >> 2) << 12) | ((b >> 2) << 6) | (a >> 2);
+
+        let bucket = bucketMap.get(key);
+        if (!bucket) {
+            bucket = { count: 0, sum: [0, 0, 0, 0] };
+            bucketMap.set(key, bucket);
+        }
+        bucket.count++;
+        bucket.sum[0] += r;
+        bucket.sum[1] += g;
+        bucket.sum[2] += b;
+        bucket.sum[3] += a;
+    }
+
+    const buckets = [];
+    for (const bucket of bucketMap.values()) {
+        bucket.color = bucket.sum.map(value => value / bucket.count);
+        buckets.push(bucket);
+    }
+    return { buckets, hasTransparent };
+}
+
+/**
+ * 颜色盒的统计：像素数、平均颜色、误差平方和以及方差最大的通道
+ */
+function measureColorBox(buckets) {
+    let count = 0;
+    const sum = [0, 0, 0, 0];
+    const sumSquares = [0, 0, 0, 0];
+    for (const bucket of buckets) {
+        count += bucket.count;
+        for (let c = 0; c < 4; c++) {
+            sum[c] += bucket.color[c] * bucket.count;
+            sumSquares[c] += bucket.color[c] * bucket.color[c] * bucket.count;
+        }
+    }
+
+    let error = 0;
+    let channel = 0;
+    let maxVariance = -1;
+    for (let c = 0; c < 4; c++) {
+        const variance = sumSquares[c] - sum[c] * sum[c] / count;
+        error += variance;
+        if (variance > maxVariance) {
+            maxVariance = variance;
+            channel = c;
+        }
+    }
+    return { buckets, count, color: sum.map(value => value / count), error, channel };
+}
+
+/**
+ * 中位切分：每次把误差最大的颜色盒沿方差最大的通道按像素数对半分开
+ * @param {Array} buckets - buildColorHistogram 的颜色桶
+ * @param {number} maxColors - 颜色数上限
+ * @returns {Array} - 预乘后的颜色 [[r, g, b, a]]
+ */
+function medianCut(buckets, maxColors) {
+    if (buckets.length === 0) {
+        return [];
+    }
+
+    const boxes = [measureColorBox(buckets)];
+    while (boxes.length < maxColors) {
+        let target = -1;
+        for (let i = 0; i < boxes.length; i++) {
+            if (boxes[i].buckets.length > 1 && boxes[i].error > 0 && (target < 0 || boxes[i].error > boxes[target].error)) {
+                target = i;
+            }
+        }
+        if (target < 0) {
+            break;
+        }
+
+        const { buckets: boxBuckets, channel, count } = boxes[target];
+        boxBuckets.sort((a, b) => a.color[channel] - b.color[channel]);
+        let split = 1;
+        for (let accumulated = boxBuckets[0].count; split < boxBuckets.length - 1 && accumulated < count / 2; split++) {
+            accumulated += boxBuckets[split].count;
+        }
+        boxes.splice(target, 1, measureColorBox(boxBuckets.slice(0, split)), measureColorBox(boxBuckets.slice(split)));
+    }
+
+    return boxes.map(box => box.color);
+}
+
+/**
+ * 调色板中与颜色最接近的一项（预乘后的 RGBA 距离）
+ * @returns {number} - 下标
+ */
+function findNearestColor(colors, r, g, b, a) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < colors.length; i++) {
+        const color = colors[i];
+        const dr = color[0] - r;
+        const dg = color[1] - g;
+        const db = color[2] - b;
+        const da = color[3] - a;
+        const distance = dr * dr + dg * dg + db * db + da * da;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = i;
+        }
+    }
+    return best;
+}
+
+/**
+ * k-means 修正：颜色桶归到最接近的调色板颜色，调色板颜色移到归属的加权平均
+ */
+function refinePalette(buckets, colors, iterations = PALETTE_REFINE_ITERATIONS) {
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const sums = colors.map(() => [0, 0, 0, 0, 0]);
+        for (const bucket of buckets) {
+            const sum = sums[findNearestColor(colors, ...bucket.color)];
+            for (let c = 0; c < 4; c++) {
+                sum[c] += bucket.color[c] * bucket.count;
+            }
+            sum[4] += bucket.count;
+        }
+        // 没有归属的颜色保持不变
+        colors = colors.map((color, i) => (sums[i][4] > 0 ? sums[i].slice(0, 4).map(value => value / sums[i][4]) : color));
+    }
+    return colors;
+}
+
+/**
+ * 预乘颜色转换为调色板项（非预乘的 8 位 RGBA）
+ */
+function unpremultiplyColor([r, g, b, a]) {
+    const alpha = Math.round(a);
+    if (alpha === 0) {
+        return [0, 0, 0, 0];
+    }
+    const channel = value => Math.min(255, Math.round(value * 255 / a));
+    return [channel(r), channel(g), channel(b), alpha];
+}
+
+/**
+ * 生成调色板
+ * @param {Uint8ClampedArray} data - RGBA 像素
+ * @param {number} maxColors - 颜色数上限（2 ~ 256）
+ * @returns {Array} - [[r, g, b, a]]，半透明的项在前（PNG 的 tRNS 只需写到最后一个半透明项）
+ */
+function buildPalette(data, maxColors) {
+    const { buckets, hasTransparent } = buildColorHistogram(data);
+    const opaqueColors = Math.max(1, maxColors - (hasTransparent ? 1 : 0));
+    const colors = refinePalette(buckets, medianCut(buckets, opaqueColors));
+
+    const palette = colors.map(unpremultiplyColor);
+    if (hasTransparent || palette.length === 0) {
+        palette.unshift([0, 0, 0, 0]);
+    }
+    return palette.sort((a, b) => a[3] - b[3]);
+}
+
+/**
+ * 像素映射到调色板下标
+ * Floyd–Steinberg 抖动在预乘后的空间中扩散误差，不扩散到完全透明的像素，也不改变完全不透明像素的透明度
+ * @param {Uint8ClampedArray} data - RGBA 像素
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {Array} palette - buildPalette 生成的调色板
+ * @param {boolean} dither - 是否抖动
+ * @returns {Uint8Array} - 每个像素的调色板下标
+ */
+function mapToPalette(data, width, height, palette, dither = false) {
+    const colors = palette.map(([r, g, b, a]) => [r * a / 255, g * a / 255, b * a / 255, a]);
+    const transparentIndex = palette.findIndex(color => color[3] === 0);
+    const indices = new Uint8Array(width * height);
+    // 最接近的颜色按每通道 6 位缓存，抖动后的颜色很分散，逐个查找太慢
+    const cache = new Map();
+    const errors = dither ? new Float32Array(width * height * 4) : null;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const pixel = y * width + x;
+            const i = pixel * 4;
+            const alpha = data[i + 3];
+            if (alpha === 0 && transparentIndex >= 0) {
+                indices[pixel] = transparentIndex;
+                continue;
+            }
+
+            const value = [data[i] * alpha / 255, data[i + 1] * alpha / 255, data[i + 2] * alpha / 255, alpha];
+            if (errors) {
+                for (let c = 0; c < 4; c++) {
+                    value[c] = Math.min(255, Math.max(0, value[c] + errors[i + c]));
+                }
+                if (alpha === 255) {
+                    value[3] = 255;
+                }
+            }
+
+            const key = ((value[0] >> 2) << 18) | ((value[1] >> 2) << 12) | ((value[2] >> 2) << 6) | (value[3] >> 2);
+            let index = cache.get(key);
+            if (index === undefined) {
+                index = findNearestColor(colors, value[0], value[1], value[2], value[3]);
+                cache.set(key, index);
+            }
+            indices[pixel] = index;
+
+            if (errors) {
+                const color = colors[index];
+                // 误差按 7/16、3/16、5/16、1/16 分给右、左下、下、右下的像素
+                const spread = (targetX, targetY, weight) => {
+                    if (targetX < 0 || targetX >= width || targetY >= height) return;
+                    const target = (targetY * width + targetX) * 4;
+                    if (data[target + 3] === 0) return;
+                    for (let c = 0; c < 4; c++) {
+                        errors[target + c] += (value[c] - color[c]) * weight;
+                    }
+                };
+                spread(x + 1, y, 7 / 16);
+                spread(x - 1, y + 1, 3 / 16);
+                spread(x, y + 1, 5 / 16);
+                spread(x + 1, y + 1, 1 / 16);
+            }
+        }
+    }
+
+    return indices;
+}
+
+/**
+ * 两组 RGBA 像素的均方误差（预乘 alpha 后比较，完全透明像素的颜色不计）
+ * @returns {number}
+ */
+function calculatePixelMse(original, quantized) {
+    let sum = 0;
+    for (let i = 0; i < original.length; i += 4) {
+        const a1 = original[i + 3];
+        const a2 = quantized[i + 3];
+        for (let c = 0; c < 3; c++) {
+            const diff = (original[i + c] * a1 - quantized[i + c] * a2) / 255;
+            sum += diff * diff;
+        }
+        sum += (a1 - a2) * (a1 - a2);
+    }
+    return original.length > 0 ? sum / original.length : 0;
+}
+
+/**
+ * 均方误差转换为峰值信噪比（dB），没有误差时为 Infinity
+ * @param {number} mse - 均方误差
+ * @returns {number}
+ */
+function calculatePsnr(mse) {
+    return mse > 0 ? 10 * Math.log10(255 * 255 / mse) : Infinity;
+}
+
+/**
+ * 峰值信噪比显示文本，如 "38.21 dB"，没有误差时为 "∞"
+ */
+function formatPsnr(psnr) {
+    return Number.isFinite(psnr) ? `${psnr.toFixed(2)} dB` : '∞';
+}
+
+/**
+ * 量化像素
+ * @param {Uint8ClampedArray} data - RGBA 像素
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {Object} options - { quality: 0 ~ 100, dither: 是否抖动 }
+ * @returns {Object} - { palette, indices, pixels: 量化后的 RGBA 像素, mse, psnr }
+ */
+function quantizePixels(data, width, height, options = {}) {
+    const quality = options.quality !== undefined ? options.quality : 100;
+    const palette = buildPalette(data, getPaletteSize(quality));
+    const indices = mapToPalette(data, width, height, palette, !!options.dither);
+
+    const pixels = new Uint8ClampedArray(data.length);
+    for (let pixel = 0; pixel < indices.length; pixel++) {
+        pixels.set(palette[indices[pixel]], pixel * 4);
+    }
+    const mse = calculatePixelMse(data, pixels);
+    return { palette, indices, pixels, mse, psnr: calculatePsnr(mse) };
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PNG8_MAX_COLORS,
+        validatePng8Quality,
+        getPaletteSize,
+        buildPalette,
+        mapToPalette,
+        calculatePixelMse,
+        calculatePsnr,
+        formatPsnr,
+        quantizePixels
+    };
+}
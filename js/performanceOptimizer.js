@@ -139,20 +139,30 @@ class AlgorithmCache {
 
     // 生成缓存键
     generateKey(images, algorithm, options) {
-        // 基于图片尺寸和算法参数生成键
-        const imageHashes = images
-            .map(img => `${img.width}x${img.height}`)
+        // 基于每张图片的名称和像素内容（见 imageHash.js）以及算法参数生成键，
+        // 尺寸相同的另一组图片不会命中同一条缓存；键与图片对象无关，可以跨会话使用
+        // 单张图片的覆盖设置（见 spriteOverrides.js）也会改变布局，一并计入
+        const imageHashes = hashString(images
+            .map(img => getImageContentKey(img) + (img.overrides ? JSON.stringify(img.overrides) : ''))
             .sort()
-            .join('|');
+            .join('|'));
         
         const optionsHash = JSON.stringify({
             algorithm,
             padding: options.padding,
+            extrude: options.extrude || 0,
             maxWidth: options.maxWidth,
-            usePowerOfTwo: options.usePowerOfTwo
+            maxHeight: options.maxHeight,
+            usePowerOfTwo: options.usePowerOfTwo,
+            trim: options.trim || false,
+            mergeDuplicates: options.mergeDuplicates || false,
+            allowRotation: options.allowRotation !== false,
+            // 多边形模式的轮廓取决于凹凸类型和顶点数上限
+            polygonHull: options.polygonHull || null,
+            polygonVertices: options.polygonVertices || null
         });
 
-        return `${imageHashes}:${optionsHash}`;
+        return `${images.length}:${imageHashes}:${optionsHash}`;
     }
 
     // 获取缓存
@@ -0,0 +1,161 @@
+/**
+ * 像素格式模块（导出时降低颜色精度）
+ * 把图集像素量化为 RGBA4444 / RGB565 / RGBA5551 的精度，再展开回 8 位写入 PNG，
+ * 导出的 PNG 即为设备上的实际效果，引擎按数据文件中的 pixelFormat 转换纹理；
+ * 可选 Floyd–Steinberg 误差扩散或有序（Bayer）抖动，减少色带
+ */
+
+// 像素格式: bits 为 R / G / B / A 的位数，A 为 0 表示没有透明通道（导出为不透明）
+const PIXEL_FORMATS = {
+    RGBA8888: { name: 'RGBA8888 (32 位，原始颜色)', bits: [8, 8, 8, 8] },
+    RGBA4444: { name: 'RGBA4444 (16 位)', bits: [4, 4, 4, 4] },
+    RGB565: { name: 'RGB565 (16 位，无透明通道)', bits: [5, 6, 5, 0] },
+    RGBA5551: { name: 'RGBA5551 (16 位，1 位透明)', bits: [5, 5, 5, 1] }
+};
+
+const DEFAULT_PIXEL_FORMAT = 'RGBA8888';
+
+// 抖动方式
+const DITHER_MODES = {
+    none: '不抖动',
+    'floyd-steinberg': 'Floyd–Steinberg 误差扩散',
+    ordered: '有序抖动 (Bayer 4×4)'
+};
+
+// 4×4 Bayer 矩阵（0 ~ 15）
+const BAYER_MATRIX_4 = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5]
+];
+
+/**
+ * 校验像素格式和抖动方式
+ * @param {string} format - PIXEL_FORMATS 中的名称
+ * @param {string} dither - DITHER_MODES 中的名称
+ */
+function validatePixelFormat(format, dither = 'none') {
+    if (!PIXEL_FORMATS[format]) {
+        throw new Error(`未知像素格式: ${format}（可选: ${Object.keys(PIXEL_FORMATS).join(' / ')}）`);
+    }
+    if (!DITHER_MODES[dither]) {
+        throw new Error(`未知抖动方式: ${dither}（可选: ${Object.keys(DITHER_MODES).join(' / ')}）`);
+    }
+}
+
+/**
+ * 把 8 位通道值量化到指定位数，再展开回 8 位
+ * @param {number} value - 通道值（可超出 0 ~ 255，先截断）
+ * @param {number} bits - 位数（1 ~ 8）
+ * @returns {number}
+ */
+function quantizeChannel(value, bits) {
+    const levels = (1 << bits) - 1;
+    const clamped = Math.min(255, Math.max(0, value));
+    return Math.round(Math.round(clamped * levels / 255) * 255 / levels);
+}
+
+/**
+ * 降低像素精度
+ * @param {Uint8ClampedArray} data - RGBA 像素
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {string} format - 像素格式，见 PIXEL_FORMATS
+ * @param {string} dither - 抖动方式，见 DITHER_MODES
+ * @returns {Uint8ClampedArray} - 新的像素数组（不修改 data）
+ */
+function reducePixels(data, width, height, format, dither = 'none') {
+    validatePixelFormat(format, dither);
+    const bits = PIXEL_FORMATS[format].bits;
+    const result = new Uint8ClampedArray(data);
+    if (bits.every(b => b === 8)) {
+        return result;
+    }
+
+    // 误差扩散需要保留小数和超出范围的值
+    const values = dither === 'floyd-steinberg' ? Float32Array.from(data) : null;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = (y * width + x) * 4;
+
+            for (let channel = 0; channel < 4; channel++) {
+                const channelBits = bits[channel];
+                const i = index + channel;
+
+                if (channelBits === 0) {
+                    // 没有透明通道的格式导出为不透明
+                    result[i] = 255;
+                    continue;
+                }
+                if (channelBits === 8) {
+                    continue;
+                }
+
+                if (dither === 'ordered') {
+                    // 阈值偏移在 ±半个量化步长之间
+                    const step = 255 / ((1 << channelBits) - 1);
+                    const offset = ((BAYER_MATRIX_4[y % 4][x % 4] + 0.5) / 16 - 0.5) * step;
+                    result[i] = quantizeChannel(data[i] + offset, channelBits);
+                } else if (dither === 'floyd-steinberg') {
+                    const quantized = quantizeChannel(values[i], channelBits);
+                    const error = values[i] - quantized;
+                    result[i] = quantized;
+
+                    // 误差按 7/16、3/16、5/16、1/16 分给右、左下、下、右下的像素
+                    if (x + 1 < width) values[i + 4] += error * 7 / 16;
+                    if (y + 1 < height) {
+                        const below = i + width * 4;
+                        if (x > 0) values[below - 4] += error * 3 / 16;
+                        values[below] += error * 5 / 16;
+                        if (x + 1 < width) values[below + 4] += error * 1 / 16;
+                    }
+                } else {
+                    result[i] = quantizeChannel(data[i], channelBits);
+                }
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 按像素格式降低画布的颜色精度
+ * @param {HTMLCanvasElement} canvas - 图集画布（不会被修改）
+ * @param {string} format - 像素格式，见 PIXEL_FORMATS
+ * @param {string} dither - 抖动方式，见 DITHER_MODES
+ * @returns {HTMLCanvasElement} - RGBA8888 时返回原画布，否则返回新的画布
+ */
+function reduceCanvasPixelFormat(canvas, format = DEFAULT_PIXEL_FORMAT, dither = 'none') {
+    validatePixelFormat(format, dither);
+    if (format === DEFAULT_PIXEL_FORMAT) {
+        return canvas;
+    }
+
+    const { width, height } = canvas;
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+
+    const result = document.createElement('canvas');
+    result.width = width;
+    result.height = height;
+    const ctx = result.getContext('2d');
+    const imageData = ctx.createImageData(width, height);
+    imageData.data.set(reducePixels(data, width, height, format, dither));
+    ctx.putImageData(imageData, 0, 0);
+    return result;
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PIXEL_FORMATS,
+        DEFAULT_PIXEL_FORMAT,
+        DITHER_MODES,
+        validatePixelFormat,
+        quantizeChannel,
+        reducePixels,
+        reduceCanvasPixelFormat
+    };
+}
@@ -0,0 +1,233 @@
+/**
+ * plist 解析模块
+ * 不依赖 DOMParser，页面、Worker 和 Node 中都可以使用；
+ * readPlistAtlas 把格式 0 ~ 3 的图集 plist 统一转换为打包结果中的帧数据
+ */
+
+const PLIST_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * XML 反转义
+ */
+function unescapePlistString(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return PLIST_ENTITIES[entity] !== undefined ? PLIST_ENTITIES[entity] : match;
+    });
+}
+
+/**
+ * 解析 XML plist
+ * @param {string} text - plist 文本
+ * @returns {*} - 根节点的值（dict 为对象，array 为数组）
+ */
+function parsePlist(text) {
+    // 标签或文本片段，跳过 XML 声明、DOCTYPE 和注释
+    const tokens = text
+        .replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>/g, '')
+        .match(/<[^>]+>|[^<]+/g) || [];
+    let pos = 0;
+
+    const nextTag = () => {
+        while (pos < tokens.length && tokens[pos][0] !== '<') {
+            if (tokens[pos].trim()) {
+                throw new Error(`plist 解析失败: 意外的文本 "${tokens[pos].trim().slice(0, 20)}"`);
+            }
+            pos++;
+        }
+        if (pos >= tokens.length) {
+            throw new Error('plist 解析失败: 文件不完整');
+        }
+        return tokens[pos++];
+    };
+
+    const readText = (tagName) => {
+        let content = '';
+        while (pos < tokens.length && tokens[pos][0] !== '<') {
+            content += tokens[pos++];
+        }
+        if (nextTag() !== `</${tagName}>`) {
+            throw new Error(`plist 解析失败: <${tagName}> 未闭合`);
+        }
+        return unescapePlistString(content);
+    };
+
+    const readValue = (tag) => {
+        const match = tag.match(/^<(\w+)\s*(\/?)>$/);
+        if (!match) {
+            throw new Error(`plist 解析失败: 无法识别的标签 ${tag}`);
+        }
+        const [, tagName, selfClosing] = match;
+
+        switch (tagName) {
+            case 'true':
+            case 'false':
+                if (!selfClosing && nextTag() !== `</${tagName}>`) {
+                    throw new Error(`plist 解析失败: <${tagName}> 未闭合`);
+                }
+                return tagName === 'true';
+            case 'string':
+            case 'date':
+            case 'data':
+                return selfClosing ? '' : readText(tagName);
+            case 'integer':
+            case 'real':
+                return Number(readText(tagName).trim());
+            case 'array': {
+                const array = [];
+                if (selfClosing) return array;
+                for (let item = nextTag(); item !== '</array>'; item = nextTag()) {
+                    array.push(readValue(item));
+                }
+                return array;
+            }
+            case 'dict': {
+                const dict = {};
+                if (selfClosing) return dict;
+                for (let key = nextTag(); key !== '</dict>'; key = nextTag()) {
+                    if (key !== '<key>') {
+                        throw new Error(`plist 解析失败: dict 中应为 <key>，实际为 ${key}`);
+                    }
+                    const name = readText('key');
+                    dict[name] = readValue(nextTag());
+                }
+                return dict;
+            }
+            default:
+                throw new Error(`plist 解析失败: 不支持的类型 <${tagName}>`);
+        }
+    };
+
+    let root = nextTag();
+    if (root.startsWith('<plist')) {
+        root = nextTag();
+    }
+    return readValue(root);
+}
+
+/**
+ * 解析 "{x,y}" / "{{x,y},{w,h}}" 形式的字符串
+ * @returns {Array<number>}
+ */
+function parsePlistNumbers(value) {
+    return (String(value).match(/-?\d+(?:\.\d+)?(?:e[-+]?\d+)?/gi) || []).map(Number);
+}
+
+/**
+ * 去掉帧名的图片扩展名（打包结果中的帧名不带扩展名，导出时再加上 .png）
+ */
+function stripFrameExtension(name) {
+    return name.replace(/\.(png|jpe?g)$/i, '');
+}
+
+/**
+ * 把 plist 中的一帧转换为帧数据
+ * @param {string} key - plist 中的帧名
+ * @param {Object} dict - 帧的键值
+ * @param {number} format - plist 格式版本
+ */
+function readPlistFrame(key, dict, format) {
+    let x, y, width, height, offsetX, offsetY, sourceWidth, sourceHeight;
+    let rotated = false;
+    let colorRect = null;
+    let aliases = [];
+    let pivot = null;
+    let polygon = null;
+
+    if (format === 0) {
+        x = dict.x; y = dict.y;
+        width = dict.width; height = dict.height;
+        offsetX = dict.offsetX || 0; offsetY = dict.offsetY || 0;
+        sourceWidth = Math.abs(dict.originalWidth); sourceHeight = Math.abs(dict.originalHeight);
+    } else if (format === 1 || format === 2) {
+        [x, y, width, height] = parsePlistNumbers(dict.frame);
+        [offsetX = 0, offsetY = 0] = parsePlistNumbers(dict.offset);
+        [sourceWidth, sourceHeight] = parsePlistNumbers(dict.sourceSize);
+        rotated = format === 2 && dict.rotated === true;
+        if (dict.sourceColorRect) {
+            colorRect = parsePlistNumbers(dict.sourceColorRect);
+        }
+    } else if (format === 3) {
+        [x, y] = parsePlistNumbers(dict.textureRect);
+        [width, height] = parsePlistNumbers(dict.spriteSize);
+        [offsetX = 0, offsetY = 0] = parsePlistNumbers(dict.spriteOffset);
+        [sourceWidth, sourceHeight] = parsePlistNumbers(dict.spriteSourceSize);
+        rotated = dict.textureRotated === true;
+        aliases = (dict.aliases || []).map(stripFrameExtension);
+        if (dict.anchor) {
+            const [pivotX, pivotY] = parsePlistNumbers(dict.anchor);
+            pivot = { x: pivotX, y: pivotY };
+        }
+        // 网格精灵（TexturePacker 多边形）：vertices 为原图坐标，verticesUV 可由帧位置推出，不单独保存
+        if (dict.vertices && dict.triangles) {
+            const coords = parsePlistNumbers(dict.vertices);
+            const vertices = [];
+            for (let i = 0; i + 1 < coords.length; i += 2) {
+                vertices.push({ x: coords[i], y: coords[i + 1] });
+            }
+            polygon = { vertices, triangles: parsePlistNumbers(dict.triangles) };
+        }
+    } else {
+        throw new Error(`不支持的 plist 格式: ${format}`);
+    }
+
+    if (![x, y, width, height, sourceWidth, sourceHeight].every(Number.isFinite)) {
+        throw new Error(`plist 帧 ${key} 数据不完整`);
+    }
+
+    // 裁剪区域在原图中的位置：优先使用 sourceColorRect，否则由 offset 反推（offset 的 y 轴向上）
+    const trimX = colorRect ? colorRect[0] : Math.round(sourceWidth / 2 + offsetX - width / 2);
+    const trimY = colorRect ? colorRect[1] : Math.round(sourceHeight / 2 - offsetY - height / 2);
+
+    return {
+        name: stripFrameExtension(key),
+        x, y,
+        width: rotated ? height : width,
+        height: rotated ? width : height,
+        originalWidth: width,
+        originalHeight: height,
+        sourceWidth,
+        sourceHeight,
+        trimX,
+        trimY,
+        offsetX,
+        offsetY,
+        rotated,
+        aliases,
+        ...(pivot ? { pivot } : {}),
+        ...(polygon ? { polygon } : {})
+    };
+}
+
+/**
+ * 读取图集 plist
+ * @param {string} text - plist 文本
+ * @returns {Object} - { format, width, height, textureFileName, pixelFormat, frames }
+ */
+function readPlistAtlas(text) {
+    const plist = parsePlist(text);
+    if (!plist || typeof plist.frames !== 'object') {
+        throw new Error('不是图集 plist：缺少 frames');
+    }
+
+    const metadata = plist.metadata || {};
+    const format = metadata.format !== undefined ? metadata.format : 0;
+    const [width = 0, height = 0] = parsePlistNumbers(metadata.size || '');
+
+    return {
+        format,
+        width,
+        height,
+        textureFileName: metadata.realTextureFileName || metadata.textureFileName || '',
+        pixelFormat: metadata.pixelFormat || 'RGBA8888',
+        frames: Object.entries(plist.frames).map(([key, dict]) => readPlistFrame(key, dict, format))
+    };
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parsePlist, readPlistAtlas };
+}
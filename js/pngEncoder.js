@@ -0,0 +1,186 @@
+/**
+ * 索引色 PNG（PNG8）编码模块
+ * canvas.toBlob 只能输出 32 位 RGBA 的 PNG，这里按 PNG 规范自行写出 IHDR / PLTE / tRNS / IDAT / IEND，
+ * 调色板不超过 16 色时使用 1 / 2 / 4 位深度；IDAT 的 zlib 压缩使用 CompressionStream('deflate')
+ * 依赖 paletteQuantizer.js
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// PNG 使用的 CRC-32 查找表
+const PNG_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * 计算 CRC-32
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = PNG_CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 生成数据块：长度 + 类型 + 数据 + CRC（类型和数据的 CRC）
+ * @param {string} type - 4 个字符的块类型，如 IHDR
+ * @param {Uint8Array} data - 块数据
+ * @returns {Uint8Array}
+ */
+function createPngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * zlib 压缩（PNG 的 IDAT 为 zlib 格式）
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function deflateBytes(bytes) {
+    if (typeof CompressionStream === 'undefined') {
+        throw new Error('当前环境不支持 CompressionStream，无法导出 PNG8');
+    }
+
+    const stream = new CompressionStream('deflate');
+    const writer = stream.writable.getWriter();
+    // 先开始读取，否则写入会因背压一直等待
+    const writing = writer.write(bytes).then(() => writer.close());
+    const reader = stream.readable.getReader();
+    const chunks = [];
+    let length = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        length += value.length;
+    }
+    await writing;
+
+    const result = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return result;
+}
+
+/**
+ * 调色板大小对应的位深度
+ */
+function getIndexedBitDepth(colorCount) {
+    if (colorCount <= 2) return 1;
+    if (colorCount <= 4) return 2;
+    if (colorCount <= 16) return 4;
+    return 8;
+}
+
+/**
+ * 编码索引色 PNG
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {Uint8Array} indices - 每个像素的调色板下标
+ * @param {Array} palette - [[r, g, b, a]]，最多 256 项；只写出到最后一个半透明项的 tRNS
+ * @param {Function} deflate - zlib 压缩函数，默认 deflateBytes
+ * @returns {Promise<Uint8Array>} - PNG 文件内容
+ */
+async function encodeIndexedPng(width, height, indices, palette, deflate = deflateBytes) {
+    if (palette.length === 0 || palette.length > PNG8_MAX_COLORS) {
+        throw new Error(`调色板颜色数无效: ${palette.length}（应为 1 ~ ${PNG8_MAX_COLORS}）`);
+    }
+
+    const bitDepth = getIndexedBitDepth(palette.length);
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    // 位深度、颜色类型 3（索引色）、压缩、过滤、不隔行
+    header.set([bitDepth, 3, 0, 0, 0], 8);
+
+    const colors = new Uint8Array(palette.length * 3);
+    palette.forEach(([r, g, b], i) => colors.set([r, g, b], i * 3));
+
+    let transparentCount = 0;
+    palette.forEach(([, , , a], i) => {
+        if (a < 255) transparentCount = i + 1;
+    });
+    const alphas = Uint8Array.from(palette.slice(0, transparentCount), color => color[3]);
+
+    // 每行以过滤类型 0 开头（索引色图片不做预测过滤），像素按位深度从高位开始紧密排列
+    const rowBytes = Math.ceil(width * bitDepth / 8);
+    const raw = new Uint8Array((rowBytes + 1) * height);
+    const pixelsPerByte = 8 / bitDepth;
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * (rowBytes + 1) + 1;
+        for (let x = 0; x < width; x++) {
+            const index = indices[y * width + x];
+            if (bitDepth === 8) {
+                raw[rowStart + x] = index;
+            } else {
+                const shift = 8 - bitDepth * (x % pixelsPerByte + 1);
+                raw[rowStart + Math.floor(x / pixelsPerByte)] |= index << shift;
+            }
+        }
+    }
+
+    const chunks = [
+        Uint8Array.from(PNG_SIGNATURE),
+        createPngChunk('IHDR', header),
+        createPngChunk('PLTE', colors)
+    ];
+    if (transparentCount > 0) {
+        chunks.push(createPngChunk('tRNS', alphas));
+    }
+    chunks.push(createPngChunk('IDAT', await deflate(raw)), createPngChunk('IEND', new Uint8Array(0)));
+
+    const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return result;
+}
+
+/**
+ * 把画布量化为 PNG8
+ * @param {HTMLCanvasElement} canvas - 图集画布（不会被修改）
+ * @param {Object} options - { quality: 0 ~ 100, dither: 是否抖动 }，见 quantizePixels
+ * @returns {Promise<Object>} - { data: PNG 文件内容, colors: 调色板颜色数, mse, psnr }
+ */
+async function encodeCanvasPng8(canvas, options = {}) {
+    const { width, height } = canvas;
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+    const { palette, indices, mse, psnr } = quantizePixels(data, width, height, options);
+    return {
+        data: await encodeIndexedPng(width, height, indices, palette),
+        colors: palette.length,
+        mse,
+        psnr
+    };
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { crc32, createPngChunk, deflateBytes, encodeIndexedPng, encodeCanvasPng8 };
+}
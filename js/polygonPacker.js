@@ -0,0 +1,605 @@
+/**
+ * 多边形打包模块（网格精灵）
+ * 沿 alpha 通道描出每张图片不透明区域的轮廓，简化为不超过 N 个顶点的凹包或凸包，
+ * 三角化后按多边形（而不是矩形）紧密排列，导出 Cocos 网格精灵所需的顶点 / UV / 三角形
+ * 多边形总是包含全部不透明像素；帧矩形之间可以重叠，绘制时只绘制多边形内部
+ * 只有 tracePolygonImages 读取像素（依赖 DOM），布局部分可在 Worker 中运行
+ */
+
+// 轮廓类型：concave 凹包（沿轮廓收缩），convex 凸包
+const POLYGON_HULLS = ['concave', 'convex'];
+
+// 布局使用的占用网格单元大小（像素），越小越紧密、越慢
+const POLYGON_CELL_SIZE = 4;
+
+const POLYGON_EPSILON = 1e-9;
+
+// alpha 掩码缓存：图片对象 → { alphaThreshold, mask }
+const alphaMaskCache = new WeakMap();
+
+/**
+ * 读取图片的 alpha 掩码
+ * @param {HTMLImageElement|HTMLCanvasElement} img - 图片对象
+ * @param {number} width - 图片宽度
+ * @param {number} height - 图片高度
+ * @param {number} alphaThreshold - alpha 大于该值的像素视为不透明
+ * @returns {Uint8Array} - 逐像素 1 / 0
+ */
+function getAlphaMask(img, width, height, alphaThreshold = 0) {
+    const cached = alphaMaskCache.get(img);
+    if (cached && cached.alphaThreshold === alphaThreshold) {
+        return cached.mask;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const mask = new Uint8Array(width * height);
+    for (let i = 0; i < mask.length; i++) {
+        mask[i] = data[i * 4 + 3] > alphaThreshold ? 1 : 0;
+    }
+
+    alphaMaskCache.set(img, { alphaThreshold, mask });
+    return mask;
+}
+
+const crossProduct = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+/**
+ * 多边形有向面积（本模块的多边形统一为正方向，即面积为正）
+ * @param {Array} points - [{ x, y }]
+ * @returns {number}
+ */
+function getPolygonArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+}
+
+/**
+ * 去掉重复点和共线点
+ * @param {Array} points - [{ x, y }]
+ * @returns {Array}
+ */
+function removeCollinearPoints(points) {
+    const result = [...points];
+    let changed = true;
+    while (changed && result.length > 3) {
+        changed = false;
+        for (let i = 0; i < result.length && result.length > 3; i++) {
+            const prev = result[(i - 1 + result.length) % result.length];
+            const next = result[(i + 1) % result.length];
+            if (Math.abs(crossProduct(prev, result[i], next)) < POLYGON_EPSILON) {
+                result.splice(i, 1);
+                i--;
+                changed = true;
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * 描出区域内不透明像素的外轮廓
+ * 每行取最左和最右的不透明像素，右侧自上而下、左侧自下而上连接像素角点，
+ * 得到包含全部不透明像素的简单多边形（行内的空洞和凹口会被填平，行与行之间的凹陷保留）
+ * @param {Uint8Array} mask - getAlphaMask 返回的掩码
+ * @param {number} maskWidth - 掩码宽度（原图宽度）
+ * @param {Object} rect - 描轮廓的区域 { x, y, width, height }
+ * @returns {Array} - [{ x, y }]（原图坐标），区域内没有不透明像素时为区域矩形
+ */
+function traceOpaqueOutline(mask, maskWidth, rect) {
+    const spans = [];
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+        let left = -1;
+        let right = -1;
+        for (let x = rect.x; x < rect.x + rect.width; x++) {
+            if (mask[y * maskWidth + x]) {
+                if (left < 0) left = x;
+                right = x;
+            }
+        }
+        if (left >= 0) {
+            spans.push({ y, left, right });
+        }
+    }
+
+    if (spans.length === 0) {
+        return [
+            { x: rect.x, y: rect.y },
+            { x: rect.x + rect.width, y: rect.y },
+            { x: rect.x + rect.width, y: rect.y + rect.height },
+            { x: rect.x, y: rect.y + rect.height }
+        ];
+    }
+
+    const points = [];
+    for (const span of spans) {
+        points.push({ x: span.right + 1, y: span.y }, { x: span.right + 1, y: span.y + 1 });
+    }
+    for (let i = spans.length - 1; i >= 0; i--) {
+        points.push({ x: spans[i].left, y: spans[i].y + 1 }, { x: spans[i].left, y: spans[i].y });
+    }
+    return removeCollinearPoints(points);
+}
+
+/**
+ * 凸包（Andrew 单调链），返回正方向的顶点
+ * @param {Array} points - [{ x, y }]
+ * @returns {Array}
+ */
+function convexHull(points) {
+    const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+    if (sorted.length < 3) {
+        return sorted;
+    }
+
+    const lower = [];
+    for (const point of sorted) {
+        while (lower.length >= 2 && crossProduct(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+            lower.pop();
+        }
+        lower.push(point);
+    }
+    const upper = [];
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        const point = sorted[i];
+        while (upper.length >= 2 && crossProduct(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+            upper.pop();
+        }
+        upper.push(point);
+    }
+
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+/**
+ * 点是否在三角形内（含边界）
+ */
+function isPointInTriangle(point, a, b, c) {
+    const d1 = crossProduct(a, b, point);
+    const d2 = crossProduct(b, c, point);
+    const d3 = crossProduct(c, a, point);
+    const hasNegative = d1 < -POLYGON_EPSILON || d2 < -POLYGON_EPSILON || d3 < -POLYGON_EPSILON;
+    const hasPositive = d1 > POLYGON_EPSILON || d2 > POLYGON_EPSILON || d3 > POLYGON_EPSILON;
+    return !(hasNegative && hasPositive);
+}
+
+/**
+ * 凹多边形减少顶点：每次去掉增加面积最小的凹顶点（去掉凹顶点只会向外扩大，仍包含原多边形），
+ * 没有可去掉的凹顶点时（已是凸多边形）改为 reduceConvexPolygon
+ * @param {Array} points - 正方向的简单多边形
+ * @param {number} maxVertices - 顶点数上限
+ * @param {Object} bounds - 顶点不能超出的矩形 { x, y, width, height }
+ * @returns {Array}
+ */
+function reduceConcavePolygon(points, maxVertices, bounds) {
+    const result = [...points];
+
+    while (result.length > maxVertices) {
+        const candidates = [];
+        for (let i = 0; i < result.length; i++) {
+            const prev = result[(i - 1 + result.length) % result.length];
+            const next = result[(i + 1) % result.length];
+            const turn = crossProduct(prev, result[i], next);
+            if (turn <= POLYGON_EPSILON) {
+                candidates.push({ index: i, area: -turn / 2 });
+            }
+        }
+        if (candidates.length === 0) {
+            break;
+        }
+        candidates.sort((a, b) => a.area - b.area);
+
+        // 新边不能穿过多边形的其他部分：三角形内没有其他顶点
+        const removable = candidates.find(({ index }) => {
+            const prev = result[(index - 1 + result.length) % result.length];
+            const next = result[(index + 1) % result.length];
+            return result.every((point, i) =>
+                i === index || point === prev || point === next || !isPointInTriangle(point, prev, result[index], next));
+        });
+        if (!removable) {
+            break;
+        }
+        result.splice(removable.index, 1);
+    }
+
+    if (result.length > maxVertices) {
+        return reduceConvexPolygon(convexHull(result), maxVertices, bounds);
+    }
+    return result;
+}
+
+/**
+ * 凸多边形减少顶点：每次去掉一条边，把相邻两条边延长到交点，选择增加面积最小且交点不超出 bounds 的边
+ * @param {Array} points - 正方向的凸多边形
+ * @param {number} maxVertices - 顶点数上限
+ * @param {Object} bounds - 顶点不能超出的矩形 { x, y, width, height }
+ * @returns {Array} - 无法继续减少时顶点数可能仍大于 maxVertices
+ */
+function reduceConvexPolygon(points, maxVertices, bounds) {
+    const result = [...points];
+    const inBounds = point =>
+        point.x >= bounds.x - POLYGON_EPSILON && point.x <= bounds.x + bounds.width + POLYGON_EPSILON &&
+        point.y >= bounds.y - POLYGON_EPSILON && point.y <= bounds.y + bounds.height + POLYGON_EPSILON;
+
+    while (result.length > Math.max(maxVertices, 3)) {
+        const n = result.length;
+        let best = null;
+
+        for (let i = 0; i < n; i++) {
+            const a = result[(i - 1 + n) % n];
+            const b = result[i];
+            const c = result[(i + 1) % n];
+            const d = result[(i + 2) % n];
+
+            // 交点 P = b + s(b - a) = c + t(c - d)，s、t 都不小于 0 时两条边延长后相交
+            const u = { x: b.x - a.x, y: b.y - a.y };
+            const v = { x: c.x - d.x, y: c.y - d.y };
+            const denominator = u.x * v.y - u.y * v.x;
+            if (Math.abs(denominator) < POLYGON_EPSILON) continue;
+            const w = { x: c.x - b.x, y: c.y - b.y };
+            const s = (w.x * v.y - w.y * v.x) / denominator;
+            const t = (w.x * u.y - w.y * u.x) / denominator;
+            if (s < -POLYGON_EPSILON || t < -POLYGON_EPSILON) continue;
+
+            const point = { x: b.x + s * u.x, y: b.y + s * u.y };
+            if (!inBounds(point)) continue;
+
+            const area = Math.abs(crossProduct(point, b, c)) / 2;
+            if (!best || area < best.area) {
+                best = { index: i, point, area };
+            }
+        }
+
+        if (!best) {
+            break;
+        }
+        result[best.index] = best.point;
+        result.splice((best.index + 1) % n, 1);
+    }
+
+    return result;
+}
+
+/**
+ * 耳切法三角化
+ * @param {Array} points - 正方向的简单多边形
+ * @returns {Array<number>} - 顶点下标，每 3 个为一个三角形
+ */
+function triangulatePolygon(points) {
+    const remaining = points.map((_, index) => index);
+    const triangles = [];
+
+    while (remaining.length > 3) {
+        let clipped = false;
+        for (let i = 0; i < remaining.length; i++) {
+            const prev = remaining[(i - 1 + remaining.length) % remaining.length];
+            const current = remaining[i];
+            const next = remaining[(i + 1) % remaining.length];
+            const [a, b, c] = [points[prev], points[current], points[next]];
+
+            if (crossProduct(a, b, c) <= POLYGON_EPSILON) continue;
+            const isEar = remaining.every(index =>
+                index === prev || index === current || index === next || !isPointInTriangle(points[index], a, b, c));
+            if (!isEar) continue;
+
+            triangles.push(prev, current, next);
+            remaining.splice(i, 1);
+            clipped = true;
+            break;
+        }
+
+        // 退化的多边形（如存在共线的顶点）没有严格的耳，剩余部分按扇形连接
+        if (!clipped) {
+            for (let i = 1; i < remaining.length - 1; i++) {
+                triangles.push(remaining[0], remaining[i], remaining[i + 1]);
+            }
+            return triangles;
+        }
+    }
+
+    triangles.push(...remaining);
+    return triangles;
+}
+
+/**
+ * 把轮廓简化为网格精灵的多边形
+ * @param {Array} outline - traceOpaqueOutline 返回的轮廓
+ * @param {Object} rect - 顶点不能超出的区域（帧的裁剪区域）{ x, y, width, height }
+ * @param {Object} options - { hull: 'concave' | 'convex', maxVertices }
+ * @returns {Object} - { vertices: [{ x, y }], triangles: [下标] }，顶点为原图坐标（y 轴向下）
+ */
+function createSpritePolygon(outline, rect, options = {}) {
+    const maxVertices = Math.max(3, options.maxVertices || 8);
+    const hull = options.hull || 'concave';
+    if (!POLYGON_HULLS.includes(hull)) {
+        throw new Error(`未知多边形类型: ${hull}（可选: ${POLYGON_HULLS.join(' / ')}）`);
+    }
+
+    const vertices = hull === 'convex'
+        ? reduceConvexPolygon(convexHull(outline), maxVertices, rect)
+        : reduceConcavePolygon(outline, maxVertices, rect);
+
+    return {
+        vertices: vertices.map(point => ({ x: Math.round(point.x * 1000) / 1000, y: Math.round(point.y * 1000) / 1000 })),
+        triangles: triangulatePolygon(vertices)
+    };
+}
+
+/**
+ * 为（可能已裁剪的）图片条目计算多边形，写入 item.polygon
+ * 网格精灵不支持边缘扩展，条目的 extrude 会被去掉
+ * @param {Array} images - 图片数组
+ * @param {Object} options - { hull, maxVertices, alphaThreshold }
+ * @returns {Array} - 新的图片数组（不修改原数组）
+ */
+function tracePolygonImages(images, options = {}) {
+    let vertexCount = 0;
+    let ignoredExtrude = 0;
+
+    const result = images.map(item => {
+        const { extrude, ...rest } = item;
+        if (extrude > 0) ignoredExtrude++;
+
+        const sourceWidth = item.sourceWidth || item.width;
+        const sourceHeight = item.sourceHeight || item.height;
+        const rect = { x: item.trimX || 0, y: item.trimY || 0, width: item.width, height: item.height };
+        const mask = getAlphaMask(item.img, sourceWidth, sourceHeight, options.alphaThreshold || 0);
+        const polygon = createSpritePolygon(traceOpaqueOutline(mask, sourceWidth, rect), rect, options);
+
+        vertexCount += polygon.vertices.length;
+        return { ...rest, polygon };
+    });
+
+    if (ignoredExtrude > 0) {
+        console.warn(`[Polygon] 网格精灵不支持边缘扩展，已忽略 ${ignoredExtrude} 张图片的设置`);
+    }
+    console.log(`[Polygon] ${images.length} 张图片，平均 ${(vertexCount / Math.max(1, images.length)).toFixed(1)} 个顶点`);
+    return result;
+}
+
+/**
+ * 图片条目相对帧左上角的多边形（没有多边形的条目使用帧矩形）
+ */
+function getLocalPolygon(item) {
+    if (!item.polygon) {
+        return [{ x: 0, y: 0 }, { x: item.width, y: 0 }, { x: item.width, y: item.height }, { x: 0, y: item.height }];
+    }
+    const trimX = item.trimX || 0;
+    const trimY = item.trimY || 0;
+    return item.polygon.vertices.map(point => ({ x: point.x - trimX, y: point.y - trimY }));
+}
+
+/**
+ * 多边形在水平带 [top, bottom] 内的横向范围
+ * @returns {Array|null} - [minX, maxX]，不相交时为 null
+ */
+function getPolygonSlabRange(points, top, bottom) {
+    let minX = Infinity;
+    let maxX = -Infinity;
+    const include = (x) => {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+    };
+
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        if (a.y >= top && a.y <= bottom) include(a.x);
+        for (const line of [top, bottom]) {
+            if ((a.y < line && b.y > line) || (a.y > line && b.y < line)) {
+                include(a.x + (b.x - a.x) * (line - a.y) / (b.y - a.y));
+            }
+        }
+    }
+
+    return minX <= maxX ? [minX, maxX] : null;
+}
+
+/**
+ * 把多边形按网格单元栅格化（保守：与多边形相交的单元都算占用），可向外扩大 margin 像素
+ * @param {Array} points - 相对帧左上角的多边形
+ * @param {number} margin - 向外扩大的像素数（图片间距）
+ * @param {number} cellSize - 网格单元大小
+ * @returns {Array} - [{ row, start, end }]，单元坐标相对帧左上角所在的单元，start / end 含两端
+ */
+function rasterizePolygon(points, margin, cellSize) {
+    const minY = Math.min(...points.map(point => point.y));
+    const maxY = Math.max(...points.map(point => point.y));
+    const rows = [];
+
+    for (let row = Math.floor((minY - margin) / cellSize); row * cellSize < maxY + margin; row++) {
+        const top = row * cellSize - margin;
+        const bottom = (row + 1) * cellSize + margin;
+        if (bottom <= minY || top >= maxY) continue;
+
+        const range = getPolygonSlabRange(points, Math.max(top, minY), Math.min(bottom, maxY));
+        if (!range) continue;
+        rows.push({
+            row,
+            start: Math.floor((range[0] - margin) / cellSize),
+            end: Math.ceil((range[1] + margin) / cellSize) - 1
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * 多边形布局核心：按顺序把每个多边形放在占用网格中最上、最左的空位
+ * 新多边形扩大图片间距后不能与已放置的多边形重叠；帧矩形必须在图集内
+ * @param {Array} images - 已排序的图片数组（带 polygon）
+ * @param {number|Object} padding - 间距设置，见 resolvePadding
+ * @param {number} maxWidth - 最大宽度
+ * @param {number} maxHeight - 最大高度
+ * @param {number} cellSize - 网格单元大小
+ * @returns {Object|null} - { frames, width, height }，有图片放不下时返回 null
+ */
+function polygonLayout(images, padding, maxWidth, maxHeight, cellSize = POLYGON_CELL_SIZE) {
+    const { shape, border } = resolvePadding(padding);
+    const areaWidth = maxWidth - border * 2;
+    const areaHeight = maxHeight - border * 2;
+    const columns = Math.ceil(areaWidth / cellSize);
+    const gridRows = Math.ceil(areaHeight / cellSize);
+    const grid = new Uint8Array(columns * gridRows);
+    const frames = [];
+
+    // 返回 -1 表示可以放置，否则返回下一个可能放得下的列
+    const findConflict = (cells, column, row) => {
+        for (const cell of cells) {
+            const y = row + cell.row;
+            if (y < 0 || y >= gridRows) continue;
+            const start = Math.max(0, column + cell.start);
+            const end = Math.min(columns - 1, column + cell.end);
+            for (let x = start; x <= end; x++) {
+                if (grid[y * columns + x]) {
+                    // 跳过这一段连续的占用单元
+                    while (x + 1 < columns && grid[y * columns + x + 1]) x++;
+                    return x + 1 - cell.start;
+                }
+            }
+        }
+        return -1;
+    };
+
+    for (const item of images) {
+        if (item.width > areaWidth || item.height > areaHeight) {
+            return null;
+        }
+
+        const points = getLocalPolygon(item);
+        const cells = rasterizePolygon(points, 0, cellSize);
+        const padded = shape > 0 ? rasterizePolygon(points, shape, cellSize) : cells;
+
+        let position = null;
+        for (let row = 0; !position && row * cellSize + item.height <= areaHeight; row++) {
+            for (let column = 0; column * cellSize + item.width <= areaWidth;) {
+                const next = findConflict(padded, column, row);
+                if (next < 0) {
+                    position = { column, row };
+                    break;
+                }
+                column = next;
+            }
+        }
+        if (!position) {
+            return null;
+        }
+
+        for (const cell of cells) {
+            const y = position.row + cell.row;
+            for (let x = Math.max(0, position.column + cell.start); x <= Math.min(columns - 1, position.column + cell.end); x++) {
+                grid[y * columns + x] = 1;
+            }
+        }
+        frames.push(createFrame(item, border + position.column * cellSize, border + position.row * cellSize, false));
+    }
+
+    return { frames, ...getLayoutBounds(frames, padding) };
+}
+
+/**
+ * 多边形布局：尝试多种排序和宽度，选择面积最小的图集（不旋转图片）
+ * @param {Array} images - 图片数组（带 polygon，见 tracePolygonImages）
+ * @param {number|Object} padding - 间距设置
+ * @param {number} maxWidth - 最大宽度
+ * @param {boolean} usePowerOfTwo - 是否使用2的幂次方尺寸
+ * @param {number} maxHeight - 最大高度
+ * @param {Function} onProgress - 可选，每个候选布局回调 { current, total, efficiency }
+ * @returns {Object|null} - { frames, width, height }
+ */
+function layoutImagesWithPolygons(images, padding, maxWidth, usePowerOfTwo = true, maxHeight = 2048, onProgress = null) {
+    const polygonArea = item => Math.abs(getPolygonArea(getLocalPolygon(item)));
+    const sortStrategies = [
+        { name: '多边形面积降序', fn: (a, b) => polygonArea(b) - polygonArea(a) },
+        { name: '高度降序', fn: (a, b) => (b.height - a.height) || (b.width - a.width) }
+    ];
+
+    const usedArea = images.reduce((sum, item) => sum + polygonArea(item), 0);
+    const widestImage = Math.max(...images.map(item => item.width));
+    const widthOptions = [];
+    if (usePowerOfTwo) {
+        for (let pow = Math.floor(Math.log2(maxWidth)); pow >= 6 && Math.pow(2, pow) >= widestImage; pow--) {
+            widthOptions.push(Math.pow(2, pow));
+        }
+    } else {
+        const estimatedWidth = Math.ceil(Math.sqrt(usedArea * 1.3) / 16) * 16;
+        for (const width of [estimatedWidth - 32, estimatedWidth, estimatedWidth + 32, maxWidth]) {
+            if (width >= widestImage && width <= maxWidth && !widthOptions.includes(width)) {
+                widthOptions.push(width);
+            }
+        }
+    }
+    if (widthOptions.length === 0) {
+        widthOptions.push(maxWidth);
+    }
+
+    let best = null;
+    const totalCandidates = sortStrategies.length * widthOptions.length;
+    let candidate = 0;
+
+    for (const strategy of sortStrategies) {
+        const sortedImages = [...images].sort(strategy.fn);
+        for (const width of widthOptions) {
+            if (onProgress) onProgress({ current: ++candidate, total: totalCandidates, efficiency: best ? best.efficiency : 0 });
+
+            const layout = polygonLayout(sortedImages, padding, width, maxHeight);
+            if (!layout) continue;
+
+            const finalWidth = usePowerOfTwo ? nextPowerOf2(layout.width) : layout.width;
+            const finalHeight = usePowerOfTwo ? nextPowerOf2(layout.height) : layout.height;
+            if (finalWidth > maxWidth || finalHeight > maxHeight) continue;
+
+            const area = finalWidth * finalHeight;
+            const efficiency = usedArea / area * 100;
+            console.log(`[Polygon-${strategy.name}] 宽度${width}: 图集 ${finalWidth}×${finalHeight}, 利用率 ${efficiency.toFixed(2)}%`);
+
+            if (!best || area < best.area) {
+                best = { frames: layout.frames, width: finalWidth, height: finalHeight, area, efficiency };
+            }
+        }
+    }
+
+    if (!best) {
+        return null;
+    }
+
+    console.log(`[Polygon] 最优图集: ${best.width}×${best.height}, 多边形利用率 ${best.efficiency.toFixed(2)}%`);
+    return { frames: best.frames, width: best.width, height: best.height };
+}
+
+/**
+ * 多边形打包（布局并绘制）
+ */
+function packImagesWithPolygons(images, padding, maxWidth, usePowerOfTwo = true, maxHeight = 2048) {
+    return renderLayout(layoutImagesWithPolygons(images, padding, maxWidth, usePowerOfTwo, maxHeight));
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        POLYGON_HULLS,
+        getAlphaMask,
+        getPolygonArea,
+        traceOpaqueOutline,
+        convexHull,
+        reduceConcavePolygon,
+        reduceConvexPolygon,
+        triangulatePolygon,
+        createSpritePolygon,
+        tracePolygonImages,
+        rasterizePolygon,
+        polygonLayout,
+        layoutImagesWithPolygons,
+        packImagesWithPolygons
+    };
+}
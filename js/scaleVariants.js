@@ -0,0 +1,235 @@
+/**
+ * 缩放变体模块（多分辨率图集，如 @2x / @1x / @0.5x）
+ * 同一组原图按每个缩放比例重采样后分别打包，各变体的帧名相同，文件名为 <名称><后缀>
+ * 裁剪在原尺寸上确定，缩放后按比例换算（向外多留 1 像素给滤波器的过渡），各变体的 offset 按比例一致；
+ * 图片间距和九宫格边距按比例缩放，边缘扩展保持像素数不变（每种分辨率都需要同样宽的边缘防止接缝）
+ * 依赖 imageTrimmer.js、spriteOverrides.js 和 imageResampler.js
+ */
+
+// 缩放比例上限（避免误输入生成超大图片）
+const MAX_VARIANT_SCALE = 8;
+
+// 重采样结果缓存：原图 → Map(`<宽>x<高>:<滤波器>` → 画布)，重复生成时不再重采样
+const scaledImageCache = new WeakMap();
+
+/**
+ * 默认后缀: 2 → @2x，0.5 → @0.5x
+ * @param {number} scale - 缩放比例
+ * @returns {string}
+ */
+function getDefaultVariantSuffix(scale) {
+    return `@${scale}x`;
+}
+
+/**
+ * 校验缩放变体列表
+ * @param {Array} variants - [{ scale, suffix }]，suffix 缺省时使用 getDefaultVariantSuffix
+ * @returns {Array} - [{ scale, suffix }]
+ */
+function normalizeScaleVariants(variants) {
+    if (!Array.isArray(variants)) {
+        throw new Error('缩放变体必须是数组');
+    }
+
+    const suffixes = new Set();
+    return variants.map(variant => {
+        const scale = Number(variant && variant.scale);
+        if (!Number.isFinite(scale) || scale <= 0 || scale > MAX_VARIANT_SCALE) {
+            throw new Error(`缩放比例无效: ${variant && variant.scale}（应大于 0 且不超过 ${MAX_VARIANT_SCALE}）`);
+        }
+
+        const suffix = variant.suffix !== undefined && variant.suffix !== null ? variant.suffix : getDefaultVariantSuffix(scale);
+        if (typeof suffix !== 'string' || /[/\\]/.test(suffix)) {
+            throw new Error(`缩放变体后缀无效: ${JSON.stringify(suffix)}`);
+        }
+        // 后缀相同时文件名冲突
+        if (suffixes.has(suffix)) {
+            throw new Error(`缩放变体后缀重复: ${suffix || '(空)'}`);
+        }
+        suffixes.add(suffix);
+
+        return { scale, suffix };
+    });
+}
+
+/**
+ * 解析缩放变体文本: 逗号分隔，每项为 比例[:后缀]，如 "2, 1:, 0.5:_sd"
+ * 省略后缀时使用 @<比例>x，冒号后为空表示不加后缀
+ * @param {string} text
+ * @returns {Array} - [{ scale, suffix }]，空文本返回空数组
+ */
+function parseScaleVariants(text) {
+    const entries = String(text || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    return normalizeScaleVariants(entries.map(entry => {
+        const separator = entry.indexOf(':');
+        const scaleText = separator >= 0 ? entry.slice(0, separator).trim() : entry;
+        if (!/^\d*\.?\d+$/.test(scaleText)) {
+            throw new Error(`缩放比例无效: ${scaleText}`);
+        }
+        return {
+            scale: Number(scaleText),
+            suffix: separator >= 0 ? entry.slice(separator + 1).trim() : undefined
+        };
+    }));
+}
+
+/**
+ * 缩放变体列表转换为文本（parseScaleVariants 的逆操作）
+ * @param {Array} variants - [{ scale, suffix }]
+ * @returns {string}
+ */
+function formatScaleVariants(variants) {
+    return variants
+        .map(({ scale, suffix }) => (suffix === getDefaultVariantSuffix(scale) ? `${scale}` : `${scale}:${suffix}`))
+        .join(', ');
+}
+
+/**
+ * 按比例缩放间距，原本有间距的至少保留 1 像素
+ * @param {Object} padding - { shape, border }
+ * @param {number} scale - 缩放比例
+ * @returns {Object} - { shape, border }
+ */
+function scalePadding(padding, scale) {
+    const scaleValue = value => (value > 0 ? Math.max(1, Math.round(value * scale)) : 0);
+    return { shape: scaleValue(padding.shape), border: scaleValue(padding.border) };
+}
+
+/**
+ * 按比例缩放九宫格边距（相对原图）
+ * @param {Object} border - { left, right, top, bottom }
+ * @param {number} scale - 缩放比例
+ * @returns {Object}
+ */
+function scaleBorder(border, scale) {
+    return {
+        left: Math.round(border.left * scale),
+        right: Math.round(border.right * scale),
+        top: Math.round(border.top * scale),
+        bottom: Math.round(border.bottom * scale)
+    };
+}
+
+/**
+ * 重采样原图（带缓存）
+ */
+function getScaledImage(img, sourceWidth, sourceHeight, width, height, filter) {
+    let cached = scaledImageCache.get(img);
+    if (!cached) {
+        cached = new Map();
+        scaledImageCache.set(img, cached);
+    }
+
+    const key = `${width}x${height}:${filter}`;
+    if (!cached.has(key)) {
+        cached.set(key, resampleImage(img, sourceWidth, sourceHeight, width, height, filter));
+    }
+    return cached.get(key);
+}
+
+/**
+ * 缩放一张已按原尺寸准备好的图片条目（见 prepareSpriteImages）
+ * 裁剪区域按比例换算，未裁剪的边（包括九宫格的边）保持在图片边缘
+ * @param {Object} item - prepareSpriteImages 返回的图片条目
+ * @param {number} scale - 缩放比例
+ * @param {Object} options - { filter, alphaThreshold }
+ * @returns {Object} - 新的图片条目，img 为缩放后的画布
+ */
+function scaleSpriteItem(item, scale, options = {}) {
+    const filter = options.filter || 'lanczos';
+    const sourceWidth = item.sourceWidth || item.width;
+    const sourceHeight = item.sourceHeight || item.height;
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+    const img = getScaledImage(item.img, sourceWidth, sourceHeight, width, height, filter);
+
+    const result = { ...item, img, width, height };
+    if (item.sourceWidth !== undefined) {
+        Object.assign(result, scaleTrimRect(item, scale, img, options.alphaThreshold || 0));
+    }
+
+    const border = item.overrides && item.overrides.border;
+    if (border) {
+        result.border = getTrimmedBorder(scaleBorder(border, scale), result);
+    }
+
+    return result;
+}
+
+/**
+ * 缩放后的裁剪区域：原尺寸上被裁剪的边按比例换算并向外多留 1 像素（滤波器在边缘外产生的半透明过渡），
+ * 但不超出缩放后图片的不透明区域；Lanczos 更远处的微弱振铃不保留，否则各变体的裁剪区域不成比例
+ * @param {Object} item - 原尺寸的图片条目（已裁剪）
+ * @param {number} scale - 缩放比例
+ * @param {HTMLCanvasElement} img - 缩放后的原图
+ * @param {number} alphaThreshold - alpha 阈值
+ * @returns {Object} - { width, height, sourceWidth, sourceHeight, trimX, trimY, trimmed }
+ */
+function scaleTrimRect(item, scale, img, alphaThreshold) {
+    const { sourceWidth, sourceHeight } = item;
+    const width = img.width;
+    const height = img.height;
+    const trimX = item.trimX || 0;
+    const trimY = item.trimY || 0;
+    const trimmedSides = {
+        left: trimX > 0,
+        top: trimY > 0,
+        right: trimX + item.width < sourceWidth,
+        bottom: trimY + item.height < sourceHeight
+    };
+
+    let left = 0;
+    let top = 0;
+    let right = width;
+    let bottom = height;
+    if (Object.values(trimmedSides).some(Boolean)) {
+        // 完全透明的图片与 trimImages 一致保留左上角 1×1 像素
+        const bounds = getOpaqueBounds(img, width, height, alphaThreshold) || { x: 0, y: 0, width: 1, height: 1 };
+        if (trimmedSides.left) left = Math.max(bounds.x, Math.floor(trimX * scale) - 1);
+        if (trimmedSides.top) top = Math.max(bounds.y, Math.floor(trimY * scale) - 1);
+        if (trimmedSides.right) right = Math.min(bounds.x + bounds.width, Math.ceil((trimX + item.width) * scale) + 1);
+        if (trimmedSides.bottom) bottom = Math.min(bounds.y + bounds.height, Math.ceil((trimY + item.height) * scale) + 1);
+        right = Math.max(right, left + 1);
+        bottom = Math.max(bottom, top + 1);
+    }
+
+    return {
+        width: right - left,
+        height: bottom - top,
+        sourceWidth: width,
+        sourceHeight: height,
+        trimX: left,
+        trimY: top,
+        trimmed: right - left !== width || bottom - top !== height
+    };
+}
+
+/**
+ * 准备某个缩放变体的打包图片：先按原尺寸裁剪并应用覆盖设置，再缩放
+ * @param {Array} images - 原图条目（可带 overrides）
+ * @param {Object} variant - { scale, suffix }
+ * @param {Object} options - prepareSpriteImages 的选项 { trim, extrude, alphaThreshold, allowRotation }，以及重采样滤波器 filter
+ * @returns {Array} - 新的图片数组
+ */
+function prepareVariantImages(images, variant, options = {}) {
+    const prepared = prepareSpriteImages(images, options);
+    if (variant.scale === 1) {
+        return prepared;
+    }
+    return prepared.map(item => scaleSpriteItem(item, variant.scale, options));
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_VARIANT_SCALE,
+        getDefaultVariantSuffix,
+        normalizeScaleVariants,
+        parseScaleVariants,
+        formatScaleVariants,
+        scalePadding,
+        scaleBorder,
+        scaleSpriteItem,
+        prepareVariantImages
+    };
+}
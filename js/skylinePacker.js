@@ -0,0 +1,243 @@
+/**
+ * Skyline算法实现 - 速度最快的打包算法，适合大量小图标
+ * 只维护一条由水平线段组成的“天际线”，每张图片放在使天际线最低的位置（Bottom-Left）
+ * 天际线下方被遮住的空隙记录在浪费区域表中，后续的小图片优先填入（复用 Guillotine 的空闲矩形）
+ */
+
+/**
+ * 主打包函数 - Skyline算法，计算最优布局后只绘制一次
+ * @param {Array} images - 图片数组
+ * @param {number|Object} padding - 间距设置，数字或 { shape, border }，见 resolvePadding
+ * @param {number} maxWidth - 最大宽度
+ * @param {boolean} usePowerOfTwo - 是否使用2的幂次方尺寸
+ * @param {number} maxHeight - 最大高度，默认2048
+ * @param {boolean} useWasteMap - 是否使用浪费区域表，默认开启
+ * @returns {Object|null} - 最优打包结果 { canvas, frames, width, height }
+ */
+function packImagesWithSkyline(images, padding, maxWidth, usePowerOfTwo = true, maxHeight = 2048, useWasteMap = true) {
+    return renderLayout(layoutImagesWithSkyline(images, padding, maxWidth, usePowerOfTwo, maxHeight, useWasteMap));
+}
+
+/**
+ * 布局搜索 - 在宽度和排序策略中选择最优布局（不依赖 DOM）
+ * 参数同 packImagesWithSkyline
+ * @param {Function} onProgress - 可选，每个候选布局前回调 { current, total, efficiency }（efficiency 为目前最优利用率）
+ * @returns {Object|null} - 最优布局 { frames, width, height }
+ */
+function layoutImagesWithSkyline(images, padding, maxWidth, usePowerOfTwo = true, maxHeight = 2048, useWasteMap = true, onProgress = null) {
+    // 排序策略（天际线对高度最敏感，只尝试两种以保持速度）
+    const sortStrategies = [
+        { name: '高度降序', fn: (a, b) => (b.height - a.height) || (b.width - a.width) },
+        { name: '面积降序', fn: (a, b) => (b.width * b.height) - (a.width * a.height) }
+    ];
+
+    // 宽度选项
+    const widthOptions = [];
+    if (usePowerOfTwo) {
+        for (let pow = Math.floor(Math.log2(maxWidth)); pow >= 6; pow--) {
+            widthOptions.push(Math.pow(2, pow));
+        }
+    } else {
+        const totalArea = images.reduce((sum, img) => sum + img.width * img.height, 0);
+        const estimatedWidth = Math.ceil(Math.sqrt(totalArea * 1.3));
+        const alignedWidth = Math.ceil(estimatedWidth / 16) * 16;
+        if (alignedWidth <= maxWidth && alignedWidth >= 256) {
+            widthOptions.push(alignedWidth);
+            for (const adjWidth of [alignedWidth - 48, alignedWidth - 16, alignedWidth + 16, alignedWidth + 48]) {
+                if (adjWidth >= 256 && adjWidth <= maxWidth) {
+                    widthOptions.push(adjWidth);
+                }
+            }
+        }
+        if (widthOptions.length === 0) {
+            widthOptions.push(maxWidth);
+        }
+    }
+
+    const imgUsedArea = images.reduce((sum, img) => sum + img.width * img.height, 0);
+    let best = null;
+    const totalCandidates = sortStrategies.length * widthOptions.length;
+    let candidate = 0;
+
+    for (const strategy of sortStrategies) {
+        const sortedImages = [...images].sort(strategy.fn);
+        for (const width of widthOptions) {
+            if (onProgress) onProgress({ current: ++candidate, total: totalCandidates, efficiency: best ? best.efficiency : 0 });
+
+            const layout = skylineLayout(sortedImages, padding, width, maxHeight, useWasteMap);
+
+            if (!layout) continue;
+
+            const finalWidth = usePowerOfTwo ? nextPowerOf2(layout.width) : layout.width;
+            const finalHeight = usePowerOfTwo ? nextPowerOf2(layout.height) : layout.height;
+
+            if (finalWidth > maxWidth || finalHeight > maxHeight) continue;
+
+            const area = finalWidth * finalHeight;
+            const efficiency = imgUsedArea / area * 100;
+
+            console.log(`[Skyline-${strategy.name}] 宽度${width}: 图集 ${finalWidth}×${finalHeight}, 利用率 ${efficiency.toFixed(2)}%`);
+
+            if (!best || efficiency > best.efficiency || (efficiency === best.efficiency && area < best.area)) {
+                best = { frames: layout.frames, width: finalWidth, height: finalHeight, area, efficiency };
+            }
+        }
+    }
+
+    if (!best) {
+        return null;
+    }
+
+    const sizeType = usePowerOfTwo ? "2的幂次方" : "原始";
+    console.log(`[Skyline] 最优图集: ${best.width}×${best.height} (${sizeType}), 利用率 ${best.efficiency.toFixed(2)}%`);
+
+    return {
+        frames: best.frames,
+        width: best.width,
+        height: best.height
+    };
+}
+
+/**
+ * Skyline核心算法（只计算布局，不绘制）
+ * @returns {Object|null} - { frames, width, height }，放不下时返回 null
+ */
+function skylineLayout(images, padding, maxWidth, maxHeight, useWasteMap = true) {
+    const area = getPackingArea(padding, maxWidth, maxHeight);
+    const skyline = [{ x: area.x, y: area.y, width: area.width }];
+    const wasteRectangles = [];
+    const frames = [];
+
+    for (const item of images) {
+        const { width, height } = getPackedSize(item, padding);
+        const allowRotation = canRotate(item);
+
+        // 优先填入天际线下方的空隙
+        let node = useWasteMap ? guillotineInsert(wasteRectangles, width, height, 'bssf', 'maxas', true, allowRotation) : null;
+
+        if (!node) {
+            node = findSkylineBottomLeft(skyline, width, height, area.x + area.width, area.y + area.height, allowRotation);
+
+            if (!node) {
+                return null; // 放不下
+            }
+
+            addSkylineLevel(skyline, node, useWasteMap ? wasteRectangles : null);
+        }
+
+        frames.push(placeFrame(item, node.x, node.y, node.rotated));
+    }
+
+    // 计算实际使用的边界
+    return { frames, ...getLayoutBounds(frames, padding) };
+}
+
+/**
+ * 在天际线上寻找放置后顶边最低的位置（同高时选择线段较窄的），allowRotation 时可旋转90度
+ * @returns {Object|null} - { x, y, width, height, rotated, index }
+ */
+function findSkylineBottomLeft(skyline, width, height, maxWidth, maxHeight, allowRotation = true) {
+    let bestNode = null;
+    let bestBottom = Infinity;
+    let bestSegmentWidth = Infinity;
+
+    for (let i = 0; i < skyline.length; i++) {
+        const orientations = width === height || !allowRotation
+            ? [[width, height, false]]
+            : [[width, height, false], [height, width, true]];
+
+        for (const [w, h, rotated] of orientations) {
+            const y = skylineFitY(skyline, i, w, h, maxWidth, maxHeight);
+            if (y < 0) continue;
+
+            const bottom = y + h;
+            if (bottom < bestBottom || (bottom === bestBottom && skyline[i].width < bestSegmentWidth)) {
+                bestNode = { x: skyline[i].x, y, width: w, height: h, rotated, index: i };
+                bestBottom = bottom;
+                bestSegmentWidth = skyline[i].width;
+            }
+        }
+    }
+
+    return bestNode;
+}
+
+/**
+ * 计算矩形左边对齐第 index 段天际线时能放置的 y 坐标，放不下返回 -1
+ */
+function skylineFitY(skyline, index, width, height, maxWidth, maxHeight) {
+    const x = skyline[index].x;
+    if (x + width > maxWidth) {
+        return -1;
+    }
+
+    let widthLeft = width;
+    let y = 0;
+    for (let i = index; widthLeft > 0; i++) {
+        y = Math.max(y, skyline[i].y);
+        if (y + height > maxHeight) {
+            return -1;
+        }
+        widthLeft -= skyline[i].width;
+    }
+
+    return y;
+}
+
+/**
+ * 放置矩形后更新天际线：插入新线段、截掉被覆盖的部分并合并等高线段
+ * @param {Array|null} wasteRectangles - 浪费区域表，为 null 时不记录空隙
+ */
+function addSkylineLevel(skyline, node, wasteRectangles) {
+    const index = node.index;
+    const right = node.x + node.width;
+
+    // 记录新矩形下方被遮住的空隙
+    if (wasteRectangles) {
+        for (let i = index; i < skyline.length && skyline[i].x < right; i++) {
+            const segmentRight = Math.min(right, skyline[i].x + skyline[i].width);
+            const gapHeight = node.y - skyline[i].y;
+            if (gapHeight > 0) {
+                wasteRectangles.push({
+                    x: skyline[i].x,
+                    y: skyline[i].y,
+                    width: segmentRight - skyline[i].x,
+                    height: gapHeight
+                });
+            }
+        }
+    }
+
+    skyline.splice(index, 0, { x: node.x, y: node.y + node.height, width: node.width });
+
+    for (let i = index + 1; i < skyline.length; i++) {
+        const segment = skyline[i];
+        if (segment.x >= right) {
+            break;
+        }
+
+        const shrink = right - segment.x;
+        segment.x += shrink;
+        segment.width -= shrink;
+
+        if (segment.width <= 0) {
+            skyline.splice(i, 1);
+            i--;
+        } else {
+            break;
+        }
+    }
+
+    for (let i = 0; i < skyline.length - 1; i++) {
+        if (skyline[i].y === skyline[i + 1].y) {
+            skyline[i].width += skyline[i + 1].width;
+            skyline.splice(i + 1, 1);
+            i--;
+        }
+    }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { packImagesWithSkyline, layoutImagesWithSkyline };
+}
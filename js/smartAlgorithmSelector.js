@@ -5,15 +5,39 @@
 
 class SmartAlgorithmSelector {
     constructor() {
-        this.statistics = {
-            maxRectangles: { usage: 0, successRate: 0, efficiencies: [], avgEfficiency: 0 },
-            shelf: { usage: 0, successRate: 0, efficiencies: [], avgEfficiency: 0 }
+        this.algorithmNames = {
+            maxRectangles: 'MaxRectangles',
+            shelf: 'Shelf',
+            skyline: 'Skyline',
+            guillotine: 'Guillotine'
         };
 
+        this.statistics = this.createStatistics();
+
         this.history = [];
         this.maxHistorySize = 50;
     }
 
+    /**
+     * 创建空的统计数据（每个算法一项）
+     */
+    createStatistics() {
+        const statistics = {};
+        Object.keys(this.algorithmNames).forEach(algorithm => {
+            statistics[algorithm] = { usage: 0, successRate: 0, efficiencies: [], avgEfficiency: 0 };
+        });
+        return statistics;
+    }
+
+    /**
+     * 在得分表中找出最高分的算法，同分时按 algorithmNames 的顺序优先
+     */
+    pickHighest(values) {
+        return Object.keys(this.algorithmNames).reduce((best, algorithm) =>
+            values[algorithm] > values[best] ? algorithm : best
+        );
+    }
+
     /**
      * 分析图片特征
      * @param {Array} images - 图片数组
@@ -146,37 +170,52 @@ class SmartAlgorithmSelector {
 
         let scores = {
             maxRectangles: 0,
-            shelf: 0
+            shelf: 0,
+            skyline: 0,
+            guillotine: 0
         };
 
         let reasons = {
             maxRectangles: [],
-            shelf: []
+            shelf: [],
+            skyline: [],
+            guillotine: []
         };
 
         // 评分规则 1: 图片数量
         if (features.count < 10) {
             scores.shelf += 3; // 小量图片，Shelf 足够
             scores.maxRectangles += 1;
+            scores.guillotine += 1;
             reasons.shelf.push(`图片数量较少 (${features.count})`);
         } else if (features.count < 30) {
             scores.maxRectangles += 3; // 中等数量，MaxRectangles 优势
+            scores.guillotine += 2;
             scores.shelf += 1;
+            scores.skyline += 1;
             reasons.maxRectangles.push(`中等数量图片 (${features.count})`);
+            reasons.guillotine.push(`中等数量图片 (${features.count})`);
         } else {
             scores.maxRectangles += 4; // 大量图片，MaxRectangles 明显优势
             scores.shelf += 0;
+            scores.guillotine += 2;
+            scores.skyline += 2;
             reasons.maxRectangles.push(`大量图片 (${features.count})`);
         }
 
         // 评分规则 2: 复杂度
         if (features.complexity === 'simple') {
             scores.shelf += 3; // 规整图片，Shelf 高效
+            scores.skyline += 2; // 规整图片天际线几乎没有空隙
             scores.maxRectangles += 1;
+            scores.guillotine += 1;
             reasons.shelf.push('图片尺寸规整');
+            reasons.skyline.push('图片尺寸规整');
         } else if (features.complexity === 'moderate') {
             scores.maxRectangles += 1;
             scores.shelf += 1;
+            scores.guillotine += 2; // 中等复杂度，Guillotine 兼顾速度与利用率
+            reasons.guillotine.push('图片尺寸差异适中');
         } else {
             scores.maxRectangles += 3; // 复杂图片，MaxRectangles 优势明显
             scores.shelf += 0;
@@ -190,11 +229,14 @@ class SmartAlgorithmSelector {
 
         if (varianceRatio < 0.1) {
             scores.shelf += 3; // 低方差，Shelf 高效
+            scores.skyline += 2;
             scores.maxRectangles += 1;
             reasons.shelf.push('尺寸方差低');
+            reasons.skyline.push('尺寸方差低');
         } else if (varianceRatio < 0.3) {
             scores.maxRectangles += 1;
             scores.shelf += 1;
+            scores.guillotine += 1;
         } else {
             scores.maxRectangles += 3; // 高方差，MaxRectangles 优势
             scores.shelf += 0;
@@ -208,13 +250,18 @@ class SmartAlgorithmSelector {
 
             if (square === dominant) {
                 scores.maxRectangles += 2;
+                scores.skyline += 1;
                 reasons.maxRectangles.push('多为正方形图片');
             } else if (landscape === dominant) {
                 scores.maxRectangles += 1;
                 scores.shelf += 1;
+                scores.guillotine += 2; // 长宽比一致的矩形，整条切分浪费少
+                reasons.guillotine.push('多为横向矩形图片');
             } else {
                 scores.maxRectangles += 1;
                 scores.shelf += 1;
+                scores.guillotine += 2;
+                reasons.guillotine.push('多为竖向矩形图片');
             }
         }
 
@@ -227,16 +274,20 @@ class SmartAlgorithmSelector {
             } else {
                 scores.maxRectangles += 1;
                 scores.shelf += 1;
+                scores.skyline += 1;
+                scores.guillotine += 1;
             }
         }
 
-        // 评分规则 6: 历史成功率
-        if (this.statistics.maxRectangles.successRate > this.statistics.shelf.successRate) {
-            scores.maxRectangles += 2;
-            reasons.maxRectangles.push('历史成功率更高');
-        } else if (this.statistics.shelf.successRate > this.statistics.maxRectangles.successRate) {
-            scores.shelf += 2;
-            reasons.shelf.push('历史成功率更高');
+        // 评分规则 6: 历史成功率（只奖励唯一最高的算法）
+        const successRates = {};
+        Object.keys(scores).forEach(algorithm => {
+            successRates[algorithm] = this.statistics[algorithm].successRate;
+        });
+        const bestSuccess = this.pickHighest(successRates);
+        if (Object.keys(scores).every(algorithm => algorithm === bestSuccess || successRates[algorithm] < successRates[bestSuccess])) {
+            scores[bestSuccess] += 2;
+            reasons[bestSuccess].push('历史成功率更高');
         }
 
         // 评分规则 7: 面积利用率优化
@@ -252,10 +303,13 @@ class SmartAlgorithmSelector {
             reasons.maxRectangles.push('面积差异较大');
         } else if (areaRatio < 2) {
             scores.shelf += 2; // 面积接近，Shelf 高效
+            scores.skyline += 2;
             reasons.shelf.push('面积分布均匀');
+            reasons.skyline.push('面积分布均匀');
         } else {
             scores.shelf += 1;
             scores.maxRectangles += 1;
+            scores.guillotine += 1;
         }
 
         // 评分规则 8: 空间利用率潜力
@@ -269,38 +323,37 @@ class SmartAlgorithmSelector {
         // 评分规则 9: 历史趋势（如果有足够历史数据）
         const trend = this.getPerformanceTrend();
         if (trend && trend.recommendation !== 'auto') {
-            if (trend.recommendation === 'maxRectangles') {
-                scores.maxRectangles += 2;
-                reasons.maxRectangles.push(trend.reason);
-            } else {
-                scores.shelf += 2;
-                reasons.shelf.push(trend.reason);
-            }
+            scores[trend.recommendation] += 2;
+            reasons[trend.recommendation].push(trend.reason);
         }
 
-        // 评分规则 10: 平均效率考虑
-        const maxRectanglesAvgEff = this.statistics.maxRectangles.avgEfficiency;
-        const shelfAvgEff = this.statistics.shelf.avgEfficiency;
+        // 评分规则 10: 平均效率考虑（有记录的算法中最高者领先 3% 以上时加分）
+        const avgEfficiencies = Object.keys(scores)
+            .filter(algorithm => this.statistics[algorithm].avgEfficiency > 0)
+            .map(algorithm => ({ algorithm, avgEfficiency: this.statistics[algorithm].avgEfficiency }))
+            .sort((a, b) => b.avgEfficiency - a.avgEfficiency);
 
-        if (maxRectanglesAvgEff > 0 && shelfAvgEff > 0) {
-            if (maxRectanglesAvgEff > shelfAvgEff + 3) {
-                scores.maxRectangles += 2;
-                reasons.maxRectangles.push('历史平均效率更高');
-            } else if (shelfAvgEff > maxRectanglesAvgEff + 3) {
-                scores.shelf += 2;
-                reasons.shelf.push('历史平均效率更高');
-            }
+        if (avgEfficiencies.length >= 2 && avgEfficiencies[0].avgEfficiency > avgEfficiencies[1].avgEfficiency + 3) {
+            scores[avgEfficiencies[0].algorithm] += 2;
+            reasons[avgEfficiencies[0].algorithm].push('历史平均效率更高');
+        }
+
+        // 评分规则 11: 海量图片（每次保存都要重建的大图标集），Skyline 速度优势明显
+        if (features.count > 200) {
+            scores.skyline += 5;
+            reasons.skyline.unshift(`海量图片 (${features.count})，Skyline 速度最快`);
+        } else if (features.count > 100) {
+            scores.skyline += 3;
+            reasons.skyline.unshift(`大量图片 (${features.count})，Skyline 速度更快`);
         }
 
         // 选择得分最高的算法
-        const bestAlgorithm = scores.maxRectangles >= scores.shelf ? 'maxRectangles' : 'shelf';
-        const maxScore = Math.max(scores.maxRectangles, scores.shelf);
+        const bestAlgorithm = this.pickHighest(scores);
+        const maxScore = scores[bestAlgorithm];
         const confidence = Math.min(maxScore / 15, 1); // 归一化到 0-1
 
         // 生成原因说明
-        const selectedReasons = bestAlgorithm === 'maxRectangles'
-            ? reasons.maxRectangles.slice(0, 3)
-            : reasons.shelf.slice(0, 3);
+        const selectedReasons = reasons[bestAlgorithm].slice(0, 3);
 
         return {
             algorithm: bestAlgorithm,
@@ -379,45 +432,35 @@ class SmartAlgorithmSelector {
         if (this.history.length < 5) return null;
 
         const recent = this.history.slice(-20);
-        const maxRectangles = recent.filter(r => r.algorithm === 'maxRectangles');
-        const shelf = recent.filter(r => r.algorithm === 'shelf');
-
-        const trends = {
-            maxRectangles: {
-                recent: maxRectangles.length,
-                successRate: maxRectangles.length > 0
-                    ? maxRectangles.filter(r => r.success).length / maxRectangles.length
-                    : 0,
-                avgEfficiency: maxRectangles.length > 0
-                    ? maxRectangles.filter(r => r.efficiency > 0).reduce((a, b) => a + b.efficiency, 0) /
-                      maxRectangles.filter(r => r.efficiency > 0).length
-                    : 0
-            },
-            shelf: {
-                recent: shelf.length,
-                successRate: shelf.length > 0
-                    ? shelf.filter(r => r.success).length / shelf.length
+        const trends = {};
+
+        Object.keys(this.algorithmNames).forEach(algorithm => {
+            const records = recent.filter(r => r.algorithm === algorithm);
+            const withEfficiency = records.filter(r => r.efficiency > 0);
+            trends[algorithm] = {
+                recent: records.length,
+                successRate: records.length > 0
+                    ? records.filter(r => r.success).length / records.length
                     : 0,
-                avgEfficiency: shelf.length > 0
-                    ? shelf.filter(r => r.efficiency > 0).reduce((a, b) => a + b.efficiency, 0) /
-                      shelf.filter(r => r.efficiency > 0).length
+                avgEfficiency: withEfficiency.length > 0
+                    ? withEfficiency.reduce((a, b) => a + b.efficiency, 0) / withEfficiency.length
                     : 0
-            }
-        };
+            };
+        });
 
-        // 判断趋势
-        if (trends.maxRectangles.avgEfficiency > trends.shelf.avgEfficiency + 5) {
-            trends.recommendation = 'maxRectangles';
-            trends.reason = '近期MaxRectangles效率更高';
-        } else if (trends.shelf.avgEfficiency > trends.maxRectangles.avgEfficiency + 5) {
-            trends.recommendation = 'shelf';
-            trends.reason = '近期Shelf效率更高';
-        } else if (trends.maxRectangles.successRate > trends.shelf.successRate + 0.1) {
-            trends.recommendation = 'maxRectangles';
-            trends.reason = '近期MaxRectangles成功率更高';
-        } else if (trends.shelf.successRate > trends.maxRectangles.successRate + 0.1) {
-            trends.recommendation = 'shelf';
-            trends.reason = '近期Shelf成功率更高';
+        // 判断趋势：最优算法需要明显领先其余算法
+        const ranked = (key) => Object.keys(this.algorithmNames)
+            .sort((a, b) => trends[b][key] - trends[a][key]);
+        const byEfficiency = ranked('avgEfficiency');
+        const bySuccess = ranked('successRate');
+        const leads = (list, key, margin) => list.length >= 2 && trends[list[0]][key] > trends[list[1]][key] + margin;
+
+        if (leads(byEfficiency, 'avgEfficiency', 5)) {
+            trends.recommendation = byEfficiency[0];
+            trends.reason = `近期${this.algorithmNames[byEfficiency[0]]}效率更高`;
+        } else if (leads(bySuccess, 'successRate', 0.1)) {
+            trends.recommendation = bySuccess[0];
+            trends.reason = `近期${this.algorithmNames[bySuccess[0]]}成功率更高`;
         } else {
             trends.recommendation = 'auto';
             trends.reason = '基于当前特征选择';
@@ -482,24 +525,20 @@ class SmartAlgorithmSelector {
         const comparison = {
             features: features,
             recommendation: selection,
-            algorithms: {
-                maxRectangles: {
-                    name: 'MaxRectangles',
-                    score: selection.scores.maxRectangles,
-                    advantages: this.getAlgorithmAdvantages('maxRectangles', features),
-                    bestFor: this.getBestUseCases('maxRectangles')
-                },
-                shelf: {
-                    name: 'Shelf',
-                    score: selection.scores.shelf,
-                    advantages: this.getAlgorithmAdvantages('shelf', features),
-                    bestFor: this.getBestUseCases('shelf')
-                }
-            },
+            algorithms: {},
             winner: selection.algorithm,
             confidence: selection.confidence
         };
 
+        Object.entries(this.algorithmNames).forEach(([algorithm, name]) => {
+            comparison.algorithms[algorithm] = {
+                name,
+                score: selection.scores[algorithm],
+                advantages: this.getAlgorithmAdvantages(algorithm, features),
+                bestFor: this.getBestUseCases(algorithm)
+            };
+        });
+
         return comparison;
     }
 
@@ -515,6 +554,17 @@ class SmartAlgorithmSelector {
             advantages.push('处理不规则形状效果好');
             if (features.count > 20) advantages.push('适合大量图片');
             if (features.complexity === 'complex') advantages.push('复杂场景表现优异');
+        } else if (algorithm === 'skyline') {
+            advantages.push('处理速度最快');
+            advantages.push('浪费区域表回收天际线下的空隙');
+            advantages.push('内存占用低');
+            if (features.count > 100) advantages.push('适合海量图标');
+            if (features.complexity === 'simple') advantages.push('规整图片几乎无空隙');
+        } else if (algorithm === 'guillotine') {
+            advantages.push('速度与利用率较均衡');
+            advantages.push('空闲矩形互不重叠，开销稳定');
+            advantages.push('支持多种分割与合并规则');
+            if (features.complexity === 'moderate') advantages.push('中等复杂度场景表现好');
         } else {
             advantages.push('处理速度快');
             advantages.push('适合规整尺寸图片');
@@ -537,6 +587,19 @@ class SmartAlgorithmSelector {
                 '不规则形状图片',
                 '追求最高空间利用率'
             ];
+        } else if (algorithm === 'skyline') {
+            return [
+                '海量小图标（>100张）',
+                '每次保存都要重建的图集',
+                '尺寸相近的图片',
+                '快速生成需求'
+            ];
+        } else if (algorithm === 'guillotine') {
+            return [
+                '中等数量图片',
+                '长宽比一致的矩形图片',
+                '兼顾速度与利用率'
+            ];
         } else {
             return [
                 '少量图片（<15张）',
@@ -568,20 +631,17 @@ class SmartAlgorithmSelector {
                 confidence: (comparison.recommendation.confidence * 100).toFixed(1) + '%',
                 score: comparison.recommendation.scores[comparison.recommendation.algorithm]
             },
-            algorithms: {
-                maxRectangles: {
-                    score: comparison.algorithms.maxRectangles.score,
-                    advantages: comparison.algorithms.maxRectangles.advantages,
-                    bestFor: comparison.algorithms.maxRectangles.bestFor
-                },
-                shelf: {
-                    score: comparison.algorithms.shelf.score,
-                    advantages: comparison.algorithms.shelf.advantages,
-                    bestFor: comparison.algorithms.shelf.bestFor
-                }
-            }
+            algorithms: {}
         };
 
+        Object.entries(comparison.algorithms).forEach(([algorithm, info]) => {
+            report.algorithms[algorithm] = {
+                score: info.score,
+                advantages: info.advantages,
+                bestFor: info.bestFor
+            };
+        });
+
         return report;
     }
 
@@ -603,10 +663,7 @@ class SmartAlgorithmSelector {
      * 重置统计
      */
     resetStatistics() {
-        this.statistics = {
-            maxRectangles: { usage: 0, successRate: 0 },
-            shelf: { usage: 0, successRate: 0 }
-        };
+        this.statistics = this.createStatistics();
     }
 }
 
@@ -0,0 +1,195 @@
+/**
+ * 单张图片的覆盖设置模块
+ * 图片条目的 overrides 覆盖全局设置：
+ *   allowRotation - false 时打包算法不旋转该图片
+ *   trim          - true / false 强制裁剪或不裁剪透明边缘，缺省时跟随全局设置
+ *   extrude       - 边缘扩展像素数，缺省时跟随全局设置
+ *   pivot         - 锚点 { x, y }，相对原图尺寸，y 轴向上（与 Cocos 一致），缺省为中心
+ *   border        - 九宫格边距 { left, right, top, bottom }，相对原图的像素；有边距的一侧不裁剪透明像素
+ *   page          - 多图集时固定放入的页码（从 1 开始），单图集时忽略
+ * 依赖 imageTrimmer.js，不依赖 DOM
+ */
+
+const SPRITE_BORDER_SIDES = ['left', 'right', 'top', 'bottom'];
+
+/**
+ * 校验并整理覆盖设置，去掉与默认值相同的项
+ * @param {Object} overrides - 覆盖设置，空值（undefined / null / ''）视为未设置
+ * @param {string} name - 图片名称，用于错误信息
+ * @returns {Object} - 整理后的覆盖设置，没有任何覆盖时为空对象
+ */
+function normalizeSpriteOverrides(overrides, name = '') {
+    const result = {};
+    if (!overrides) {
+        return result;
+    }
+
+    const invalid = (key, value) => new Error(`图片${name ? ` ${name} ` : ''}的覆盖设置无效: ${key} = ${JSON.stringify(value)}`);
+    const isSet = value => value !== undefined && value !== null && value !== '';
+
+    if (isSet(overrides.allowRotation)) {
+        if (typeof overrides.allowRotation !== 'boolean') throw invalid('allowRotation', overrides.allowRotation);
+        if (!overrides.allowRotation) result.allowRotation = false;
+    }
+
+    if (isSet(overrides.trim)) {
+        if (typeof overrides.trim !== 'boolean') throw invalid('trim', overrides.trim);
+        result.trim = overrides.trim;
+    }
+
+    if (isSet(overrides.extrude)) {
+        if (!Number.isInteger(overrides.extrude) || overrides.extrude < 0) throw invalid('extrude', overrides.extrude);
+        result.extrude = overrides.extrude;
+    }
+
+    if (isSet(overrides.pivot)) {
+        const { x = 0.5, y = 0.5 } = overrides.pivot;
+        if (!Number.isFinite(x) || !Number.isFinite(y)) throw invalid('pivot', overrides.pivot);
+        if (x !== 0.5 || y !== 0.5) result.pivot = { x, y };
+    }
+
+    if (isSet(overrides.border)) {
+        const border = {};
+        for (const side of SPRITE_BORDER_SIDES) {
+            const value = overrides.border[side] || 0;
+            if (!Number.isInteger(value) || value < 0) throw invalid(`border.${side}`, overrides.border[side]);
+            border[side] = value;
+        }
+        if (SPRITE_BORDER_SIDES.some(side => border[side] > 0)) result.border = border;
+    }
+
+    if (isSet(overrides.page)) {
+        if (!Number.isInteger(overrides.page) || overrides.page < 1) throw invalid('page', overrides.page);
+        result.page = overrides.page;
+    }
+
+    return result;
+}
+
+/**
+ * 覆盖设置的简短说明（用于界面提示）
+ * @param {Object} overrides - normalizeSpriteOverrides 整理后的覆盖设置
+ * @returns {string}
+ */
+function describeSpriteOverrides(overrides) {
+    const parts = [];
+    if (overrides.allowRotation === false) parts.push('不旋转');
+    if (overrides.trim !== undefined) parts.push(overrides.trim ? '裁剪' : '不裁剪');
+    if (overrides.extrude !== undefined) parts.push(`边缘扩展 ${overrides.extrude}`);
+    if (overrides.pivot) parts.push(`锚点 (${overrides.pivot.x}, ${overrides.pivot.y})`);
+    if (overrides.border) parts.push(`九宫格 ${SPRITE_BORDER_SIDES.map(side => overrides.border[side]).join('/')}`);
+    if (overrides.page) parts.push(`第 ${overrides.page} 页`);
+    return parts.join('，');
+}
+
+/**
+ * 把相对原图的九宫格边距换算为相对裁剪区域（帧中记录的边距），被裁掉的部分不再计入
+ * @param {Object} border - { left, right, top, bottom }
+ * @param {Object} rect - 裁剪信息 { trimX, trimY, width, height, sourceWidth, sourceHeight }，width/height 为裁剪后尺寸
+ * @returns {Object} - { left, right, top, bottom }
+ */
+function getTrimmedBorder(border, rect) {
+    const trimX = rect.trimX || 0;
+    const trimY = rect.trimY || 0;
+    const rightCut = (rect.sourceWidth || rect.width) - trimX - rect.width;
+    const bottomCut = (rect.sourceHeight || rect.height) - trimY - rect.height;
+    return {
+        left: Math.max(0, border.left - trimX),
+        right: Math.max(0, border.right - rightCut),
+        top: Math.max(0, border.top - trimY),
+        bottom: Math.max(0, border.bottom - bottomCut)
+    };
+}
+
+/**
+ * 九宫格的边不能被裁剪：有边距的一侧恢复到原图边缘，拉伸时边角与原图一致
+ * @param {Object} item - trimImages 裁剪后的图片条目
+ * @param {Object} border - 相对原图的九宫格边距
+ * @returns {Object} - 新的图片条目
+ */
+function limitTrimToBorder(item, border) {
+    const sourceWidth = item.sourceWidth || item.width;
+    const sourceHeight = item.sourceHeight || item.height;
+    const left = border.left > 0 ? 0 : item.trimX || 0;
+    const top = border.top > 0 ? 0 : item.trimY || 0;
+    const right = border.right > 0 ? sourceWidth : (item.trimX || 0) + item.width;
+    const bottom = border.bottom > 0 ? sourceHeight : (item.trimY || 0) + item.height;
+
+    return {
+        ...item,
+        width: right - left,
+        height: bottom - top,
+        trimX: left,
+        trimY: top,
+        trimmed: right - left !== sourceWidth || bottom - top !== sourceHeight
+    };
+}
+
+/**
+ * 把覆盖设置应用到（可能已裁剪的）图片条目上，得到打包和导出使用的字段
+ * 九宫格边距换算为相对裁剪区域
+ * @param {Object} item - 图片条目
+ * @param {number} extrude - 全局边缘扩展
+ * @returns {Object} - 新的图片条目
+ */
+function applySpriteOverrides(item, extrude = 0) {
+    const overrides = item.overrides || {};
+    const result = { ...item };
+
+    const itemExtrude = overrides.extrude !== undefined ? overrides.extrude : extrude;
+    if (itemExtrude > 0) {
+        result.extrude = itemExtrude;
+    }
+    if (overrides.allowRotation === false) {
+        result.allowRotation = false;
+    }
+    if (overrides.pivot) {
+        result.pivot = { ...overrides.pivot };
+    }
+    if (overrides.border) {
+        result.border = getTrimmedBorder(overrides.border, item);
+    }
+    if (overrides.page) {
+        result.page = overrides.page;
+    }
+
+    return result;
+}
+
+/**
+ * 按全局设置和每张图片的覆盖设置准备打包的图片：裁剪透明边缘（不裁进九宫格的边），再应用覆盖设置
+ * @param {Array} images - 图片数组（可带 overrides）
+ * @param {Object} options - { trim, extrude, alphaThreshold, allowRotation }，allowRotation 为 false 时所有图片都不旋转
+ * @returns {Array} - 新的图片数组（不修改原数组）
+ */
+function prepareSpriteImages(images, options = {}) {
+    const shouldTrim = item => (item.overrides && typeof item.overrides.trim === 'boolean' ? item.overrides.trim : !!options.trim);
+
+    // 需要裁剪的图片一次处理完，只输出一条裁剪日志
+    const trimTargets = images.filter(shouldTrim);
+    const trimmed = trimTargets.length > 0 ? trimImages(trimTargets, { alphaThreshold: options.alphaThreshold }) : [];
+    const trimmedByItem = new Map(trimTargets.map((item, index) => [
+        item,
+        item.overrides && item.overrides.border ? limitTrimToBorder(trimmed[index], item.overrides.border) : trimmed[index]
+    ]));
+
+    return images.map(item => {
+        const result = applySpriteOverrides(trimmedByItem.get(item) || item, options.extrude || 0);
+        if (options.allowRotation === false) {
+            result.allowRotation = false;
+        }
+        return result;
+    });
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeSpriteOverrides,
+        describeSpriteOverrides,
+        getTrimmedBorder,
+        limitTrimToBorder,
+        applySpriteOverrides,
+        prepareSpriteImages
+    };
+}
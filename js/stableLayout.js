@@ -0,0 +1,189 @@
+/**
+ * 稳定布局模块
+ * 以上一次的布局（上次生成的结果或导入的 plist）为基准，未变化的帧保持原位置，
+ * 只把新增或尺寸变化的图片放入空闲区域，纹理和 plist 的差异只包含真正改动的部分
+ * 依赖 atlasPacker.js、maxRectanglesPacker.js 和 imageTrimmer.js，不依赖 DOM
+ */
+
+/**
+ * 生成布局基准，只保留定位需要的字段（可以发送到 Worker）
+ * @param {Object} layout - 布局或 readPlistAtlas 的结果 { width, height, frames }
+ * @returns {Object} - { width, height, frames }
+ */
+function createLayoutReference(layout) {
+    return {
+        width: layout.width,
+        height: layout.height,
+        frames: layout.frames.map(frame => ({
+            name: frame.name,
+            x: frame.x,
+            y: frame.y,
+            originalWidth: frame.originalWidth,
+            originalHeight: frame.originalHeight,
+            rotated: frame.rotated || false
+        }))
+    };
+}
+
+/**
+ * 稳定布局
+ * 同名且（裁剪后）尺寸不变的图片沿用基准中的位置和旋转，其余图片按面积降序用 MaxRects 放入空闲区域；
+ * 空闲区域不够时逐步扩大图集（不超过最大尺寸），仍放不下时返回 null，由调用方完整重新打包
+ * @param {Array} images - 图片数组
+ * @param {Object} reference - 布局基准，见 createLayoutReference
+ * @param {number|Object} padding - 间距设置，数字或 { shape, border }，见 resolvePadding
+ * @param {number} maxWidth - 最大宽度
+ * @param {boolean} usePowerOfTwo - 是否使用2的幂次方尺寸
+ * @param {number} maxHeight - 最大高度
+ * @param {string} heuristic - 新图片的放置启发式，'auto' 时尝试全部规则
+ * @param {Function} onProgress - 可选，每个候选布局前回调 { current, total, efficiency }
+ * @returns {Object|null} - { frames, width, height, heuristic, stable: { kept, added } }
+ */
+function layoutImagesStable(images, reference, padding, maxWidth, usePowerOfTwo = true, maxHeight = 2048, heuristic = 'bssf', onProgress = null) {
+    const referenceFrames = new Map(reference.frames.map(frame => [frame.name, frame]));
+    const area = getPackingArea(padding, maxWidth, maxHeight);
+    const kept = new Map();
+    const pending = [];
+
+    for (const item of images) {
+        const previous = referenceFrames.get(item.name);
+        // 基准中旋转、但现在不允许旋转的图片也重新放置
+        const frame = previous && previous.originalWidth === item.width && previous.originalHeight === item.height &&
+            (!previous.rotated || canRotate(item))
+            ? createFrame(item, previous.x, previous.y, previous.rotated)
+            : null;
+
+        // 超出新的最大尺寸（或进入边框）、与其他保留帧的间距不足（如间距、extrude 变大）时重新放置
+        const rect = frame && getPackedRect(frame, padding);
+        const fits = frame &&
+            rect.x >= area.x && rect.y >= area.y &&
+            rect.x + rect.width <= area.x + area.width && rect.y + rect.height <= area.y + area.height &&
+            ![...kept.values()].some(other => rectanglesTooClose(frame, other, padding));
+
+        if (fits) {
+            kept.set(item, frame);
+        } else {
+            pending.push(item);
+        }
+    }
+
+    pending.sort((a, b) => (b.width * b.height) - (a.width * a.height) || a.name.localeCompare(b.name));
+
+    const keptFrames = [...kept.values()];
+    const keptBounds = getLayoutBounds(keptFrames, padding);
+    const binSizes = getStableBinSizes(
+        Math.min(Math.max(reference.width, keptBounds.width, 64), maxWidth),
+        Math.min(Math.max(reference.height, keptBounds.height, 64), maxHeight),
+        maxWidth,
+        maxHeight
+    );
+    const heuristics = resolveMaxRectsHeuristics(heuristic);
+    const usedArea = images.reduce((sum, img) => sum + img.width * img.height, 0);
+    const total = binSizes.length * heuristics.length;
+    let candidate = 0;
+
+    // 优先不扩大图集：在能放下的最小尺寸中选择面积最小的启发式
+    for (const [binWidth, binHeight] of binSizes) {
+        let best = null;
+
+        for (const heuristicKey of heuristics) {
+            if (onProgress) onProgress({ current: ++candidate, total, efficiency: 0 });
+
+            const placed = placeStableImages(pending, keptFrames, padding, binWidth, binHeight, heuristicKey);
+            if (!placed) continue;
+
+            const frames = images.map(item => kept.get(item) || placed.get(item));
+            const bounds = getLayoutBounds(frames, padding);
+            const width = usePowerOfTwo ? nextPowerOf2(bounds.width) : bounds.width;
+            const height = usePowerOfTwo ? nextPowerOf2(bounds.height) : bounds.height;
+            if (width > maxWidth || height > maxHeight) continue;
+
+            if (!best || width * height < best.width * best.height) {
+                best = { frames, width, height, heuristic: heuristicKey };
+            }
+        }
+
+        if (best) {
+            if (onProgress) onProgress({ current: total, total, efficiency: usedArea / (best.width * best.height) * 100 });
+            console.log(`[StableLayout] 保留 ${keptFrames.length} 帧，放入 ${pending.length} 帧，图集 ${best.width}×${best.height}`);
+            return { ...best, stable: { kept: keptFrames.length, added: pending.length } };
+        }
+    }
+
+    console.log(`[StableLayout] ${pending.length} 张新图片在 ${maxWidth}×${maxHeight} 内放不下`);
+    return null;
+}
+
+/**
+ * 在已有帧之间放置图片
+ * @returns {Map|null} - 图片 → 帧，有图片放不下时返回 null
+ */
+function placeStableImages(images, fixedFrames, padding, binWidth, binHeight, heuristic) {
+    const area = getPackingArea(padding, binWidth, binHeight);
+    const freeRectangles = [{ ...area }];
+    const usedRectangles = [];
+    const findPosition = MAX_RECTS_HEURISTICS[heuristic].find;
+    const bin = { ...area, usedRectangles };
+    const placed = new Map();
+
+    const occupy = (rect) => {
+        usedRectangles.push(rect);
+        splitFreeRectangles(freeRectangles, rect);
+    };
+
+    for (const frame of fixedFrames) {
+        occupy(getPackedRect(frame, padding));
+    }
+
+    for (const item of images) {
+        const size = getPackedSize(item, padding);
+        let rotated = false;
+        let node = findPosition(freeRectangles, size.width, size.height, bin);
+
+        if (node.height === 0 && canRotate(item)) {
+            rotated = true;
+            node = findPosition(freeRectangles, size.height, size.width, bin);
+        }
+        if (node.height === 0) {
+            return null;
+        }
+
+        occupy({ x: node.x, y: node.y, width: node.width, height: node.height });
+        placed.set(item, placeFrame(item, node.x, node.y, rotated));
+    }
+
+    return placed;
+}
+
+/**
+ * 扩大图集的尺寸序列：从基准尺寸开始，每次把较短的一边加倍，直到最大尺寸
+ */
+function getStableBinSizes(width, height, maxWidth, maxHeight) {
+    const sizes = [[width, height]];
+
+    while (width < maxWidth || height < maxHeight) {
+        if (height >= maxHeight || (width <= height && width < maxWidth)) {
+            width = Math.min(width * 2, maxWidth);
+        } else {
+            height = Math.min(height * 2, maxHeight);
+        }
+        sizes.push([width, height]);
+    }
+
+    return sizes;
+}
+
+/**
+ * 两个帧是否重叠或间距小于图片间距（包含各自的 extrude）
+ */
+function rectanglesTooClose(a, b, padding) {
+    const ra = getPackedRect(a, padding);
+    const rb = getPackedRect(b, padding);
+    return ra.x < rb.x + rb.width && rb.x < ra.x + ra.width &&
+        ra.y < rb.y + rb.height && rb.y < ra.y + ra.height;
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createLayoutReference, layoutImagesStable };
+}
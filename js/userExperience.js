@@ -13,6 +13,7 @@ class UserExperienceEnhancer {
         };
         this.progressQueue = [];
         this.currentProgress = null;
+        this.progressCancelHandler = null;
     }
 
     /**
@@ -65,7 +66,7 @@ class UserExperienceEnhancer {
             const imageFiles = this.filterImageFiles(files);
 
             if (imageFiles.length === 0) {
-                this.showError('请拖放图片文件 (PNG, JPG)');
+                this.showError('请拖放图片文件 (PNG, JPG) 或图集 (.plist + .png)');
             } else if (imageFiles.length < files.length) {
                 this.showWarning(`${imageFiles.length}/${files.length} 个文件是有效的图片`);
                 onFilesDrop(imageFiles);
@@ -164,7 +165,8 @@ class UserExperienceEnhancer {
      */
     filterImageFiles(files) {
         const allowedTypes = ['image/png', 'image/jpeg', 'image/jpg'];
-        return files.filter(file => allowedTypes.includes(file.type));
+        // 图集 plist 的 MIME 类型因系统而异，按扩展名判断
+        return files.filter(file => allowedTypes.includes(file.type) || /\.plist$/i.test(file.name));
     }
 
     /**
@@ -273,6 +275,7 @@ class UserExperienceEnhancer {
                     </div>
                 </div>
                 ${this.renderProgressDetails(details)}
+                ${this.renderProgressCancel()}
             </div>
             <style>
                 @keyframes spin {
@@ -281,6 +284,7 @@ class UserExperienceEnhancer {
                 }
             </style>
         `;
+        this.bindProgressCancel(progressContainer);
 
         return progressContainer;
     }
@@ -322,6 +326,7 @@ class UserExperienceEnhancer {
                     </div>
                 </div>
                 ${this.renderProgressDetails(details)}
+                ${this.renderProgressCancel()}
             </div>
             <style>
                 @keyframes spin {
@@ -330,6 +335,7 @@ class UserExperienceEnhancer {
                 }
             </style>
         `;
+        this.bindProgressCancel(progressContainer);
 
         return progressContainer;
     }
@@ -352,6 +358,49 @@ class UserExperienceEnhancer {
         return `<div style="text-align: left; background: #f8f9fa; padding: 12px; border-radius: 8px; margin-top: 10px;">${detailsHtml}</div>`;
     }
 
+    /**
+     * 设置进度框的取消回调，设置后进度框显示取消按钮（隐藏进度框时清除）
+     * @param {Function|null} handler - 点击取消时调用
+     */
+    setProgressCancelHandler(handler) {
+        this.progressCancelHandler = handler;
+    }
+
+    /**
+     * 渲染取消按钮
+     */
+    renderProgressCancel() {
+        if (!this.progressCancelHandler) return '';
+
+        return `<button class="enhanced-progress-cancel" style="
+            margin-top: 16px;
+            padding: 8px 28px;
+            background: #f1f2f6;
+            border: none;
+            border-radius: 6px;
+            color: #636e72;
+            font-size: 14px;
+            cursor: pointer;
+        " onmouseover="this.style.background='#dfe4ea'" onmouseout="this.style.background='#f1f2f6'">取消</button>`;
+    }
+
+    /**
+     * 绑定取消按钮事件
+     * 进度框每次更新都会重建内容，用 pointerdown 而不是 click，避免按下和松开之间按钮被替换
+     */
+    bindProgressCancel(progressContainer) {
+        const button = progressContainer.querySelector('.enhanced-progress-cancel');
+        if (button) {
+            button.addEventListener('pointerdown', () => {
+                button.disabled = true;
+                button.textContent = '正在取消...';
+                if (this.progressCancelHandler) {
+                    this.progressCancelHandler();
+                }
+            });
+        }
+    }
+
     /**
      * 格式化详情标签
      */
@@ -364,7 +413,8 @@ class UserExperienceEnhancer {
             maxWidth: '最大宽度',
             current: '当前',
             total: '总数',
-            step: '步骤'
+            step: '步骤',
+            bestEfficiency: '最佳利用率'
         };
         return labels[key] || key.charAt(0).toUpperCase() + key.slice(1);
     }
@@ -376,6 +426,9 @@ class UserExperienceEnhancer {
         if (key === 'maxWidth' || key === 'padding') {
             return `${value}px`;
         }
+        if (key === 'bestEfficiency') {
+            return `${value.toFixed(2)}%`;
+        }
         return value;
     }
 
@@ -383,6 +436,7 @@ class UserExperienceEnhancer {
      * 隐藏增强进度
      */
     hideEnhancedProgress() {
+        this.progressCancelHandler = null;
         const progressContainer = document.querySelector('.enhanced-progress-container');
         if (progressContainer) {
             progressContainer.style.opacity = '0';
@@ -0,0 +1,121 @@
+/**
+ * 工作区持久化模块
+ * 把已加载的图片（原始文件 Blob）、名称、设置和上次的布局保存到 IndexedDB，刷新页面后可以恢复
+ * 只负责读写，保存时机和恢复界面由 app_enhanced.js 决定
+ */
+
+// IndexedDB 请求转换为 Promise
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// 事务完成（或失败）时结束
+function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB 事务已中止'));
+    });
+}
+
+class WorkspaceStore {
+    constructor(dbName = 'cocos-atlas-workspace') {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    // 浏览器是否支持 IndexedDB
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    // 打开数据库：session 保存设置、图片列表和布局，images 按 id 保存图片文件
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('session');
+            db.createObjectStore('images', { keyPath: 'id' });
+        };
+        this.db = await promisifyRequest(request);
+        return this.db;
+    }
+
+    /**
+     * 读取保存的工作区
+     * @returns {Promise<Object|null>} - { session, blobs }，blobs 为 id → Blob，没有保存时返回 null
+     */
+    async load() {
+        const db = await this.open();
+        const transaction = db.transaction(['session', 'images'], 'readonly');
+        const [session, records] = await Promise.all([
+            promisifyRequest(transaction.objectStore('session').get('current')),
+            promisifyRequest(transaction.objectStore('images').getAll())
+        ]);
+
+        if (!session) {
+            return null;
+        }
+
+        return { session, blobs: new Map(records.map(record => [record.id, record.blob])) };
+    }
+
+    /**
+     * 保存工作区
+     * @param {Object} session - { images: [{ id, name, fullPath, overrides }], ... }，images 为图片列表及顺序
+     * @param {Array} newImages - 尚未保存的图片文件 [{ id, blob }]
+     *   已保存的文件不需要重复写入，不在 session.images 中的文件会被删除
+     */
+    async save(session, newImages) {
+        const db = await this.open();
+        const transaction = db.transaction(['session', 'images'], 'readwrite');
+        const imageStore = transaction.objectStore('images');
+        const done = promisifyTransaction(transaction);
+
+        transaction.objectStore('session').put(session, 'current');
+        newImages.forEach(image => imageStore.put(image));
+
+        const keep = new Set(session.images.map(image => image.id));
+        const keysRequest = imageStore.getAllKeys();
+        keysRequest.onsuccess = () => {
+            keysRequest.result
+                .filter(id => !keep.has(id))
+                .forEach(id => imageStore.delete(id));
+        };
+
+        await done;
+    }
+
+    // 删除保存的全部数据
+    async clear() {
+        const db = await this.open();
+        const transaction = db.transaction(['session', 'images'], 'readwrite');
+        transaction.objectStore('session').clear();
+        transaction.objectStore('images').clear();
+        await promisifyTransaction(transaction);
+    }
+
+    /**
+     * 存储用量和配额
+     * @returns {Promise<Object|null>} - { usage, quota }（字节），浏览器不支持时返回 null
+     */
+    async estimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WorkspaceStore };
+}
@@ -0,0 +1,58 @@
+// Node.js 测试的公用工具：加载页面脚本、记录检查结果、输出汇总
+// 每个测试文件单独运行（node tests/test_xxx.js 或 npm test），失败计数是该进程内的全局状态
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let failed = 0;
+
+/**
+ * 在 vm 沙箱中按顺序运行 js/ 下的脚本，与页面中的 <script> 共用一个全局作用域
+ * @param {Array<string>} files - 脚本文件名，按依赖顺序排列
+ * @param {Object} sandbox - 沙箱的全局对象（模拟 document、window 等），默认只有 console
+ * @returns {Object} - { context, get }，get(name) 读取沙箱中的全局名称
+ */
+function loadScripts(files, sandbox = { console }) {
+    const context = vm.createContext(sandbox);
+    for (const file of files) {
+        const filename = path.join(__dirname, '..', 'js', file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+    return { context, get: (name) => vm.runInContext(name, context) };
+}
+
+function check(label, ok) {
+    console.log(`${ok ? '✓' : '✗'} ${label}`);
+    if (!ok) failed++;
+}
+
+// fn 应抛出错误，且错误信息包含 keyword
+function expectError(label, fn, keyword) {
+    let error = null;
+    try {
+        fn();
+    } catch (e) {
+        error = e;
+    }
+    check(label, error !== null && error.message.includes(keyword));
+}
+
+// 异步版本的 expectError
+async function expectRejection(label, fn, keyword) {
+    let error = null;
+    try {
+        await fn();
+    } catch (e) {
+        error = e;
+    }
+    check(label, error !== null && error.message.includes(keyword));
+}
+
+// 输出汇总，有失败项时以非零状态码退出
+function finishTests() {
+    console.log(`\n===== 测试完成${failed ? `，${failed} 项失败` : '，全部通过'} =====`);
+    process.exitCode = failed ? 1 : 0;
+}
+
+module.exports = { loadScripts, check, expectError, expectRejection, finishTests };
@@ -0,0 +1,31 @@
+// 依次运行全部 Node.js 测试（npm test），任一测试失败时以非零状态码退出
+// 用法: node tests/run_all.js
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// 与 package.json 中的 test:* 脚本对应
+const TEST_FILES = [
+    'test_layout.js',
+    'test_cocos_meta.js',
+    'test_exporters.js',
+    'test_plist.js',
+    'test_project.js',
+    'test_image_hash.js',
+    'test_polygon.js',
+    'test_scale_variants.js',
+    'test_pixel_format.js',
+    'test_png8.js'
+];
+
+const failedFiles = [];
+for (const file of TEST_FILES) {
+    console.log(`\n########## ${file} ##########\n`);
+    const result = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+    if (result.status !== 0) {
+        failedFiles.push(file);
+    }
+}
+
+console.log(`\n########## ${TEST_FILES.length} 个测试文件${failedFiles.length ? `，${failedFiles.length} 个失败: ${failedFiles.join(', ')}` : '，全部通过'} ##########`);
+process.exitCode = failedFiles.length ? 1 : 0;
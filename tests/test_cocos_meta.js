@@ -0,0 +1,73 @@
+// Cocos Creator meta 生成测试（直接用 node 运行）
+// 用法: node tests/test_cocos_meta.js
+
+const crypto = require('crypto');
+const { uuidV5, sha1, generateCocosMetaFiles } = require('../js/cocosMeta.js');
+const { check, finishTests } = require('./helpers.js');
+
+function createFrame(name, x, y, width, height, rotated = false) {
+    return {
+        name, x, y,
+        width: rotated ? height : width,
+        height: rotated ? width : height,
+        originalWidth: width,
+        originalHeight: height,
+        sourceWidth: width + 4,
+        sourceHeight: height + 4,
+        offsetX: 0.5,
+        offsetY: -1,
+        rotated
+    };
+}
+
+console.log('===== Cocos meta 测试 =====\n');
+
+// SHA-1 与 Node 内置实现一致
+let sha1Ok = true;
+for (let length = 0; length < 200; length++) {
+    const bytes = crypto.randomBytes(length);
+    const expected = crypto.createHash('sha1').update(bytes).digest('hex');
+    if (Buffer.from(sha1(new Uint8Array(bytes))).toString('hex') !== expected) {
+        sha1Ok = false;
+    }
+}
+check('SHA-1 与 crypto 一致', sha1Ok);
+
+// RFC 4122 示例：DNS 命名空间下的 www.example.com
+check('UUID v5 标准向量', uuidV5('www.example.com', '6ba7b810-9dad-11d1-80b4-00c04fd430c8') === '2ed6657d-e927-568b-95e1-2665a8aea6a2');
+
+const frames = [
+    createFrame('ui/button_ok', 2, 2, 100, 40),
+    createFrame('ui/icon', 104, 2, 20, 60, true),
+    createFrame('bg', 2, 70, 200, 100)
+];
+frames[0].border = { top: 10, bottom: 10, left: 12, right: 12 };
+frames[1].pivot = { x: 0.5, y: 0 };
+
+const first = generateCocosMetaFiles('game_ui', frames, 'assets/resources/ui');
+const second = generateCocosMetaFiles('game_ui', [...frames].reverse(), 'assets/resources/ui/');
+check('文件名为 .png.meta 和 .plist.meta', first.map(f => f.name).join(',') === 'game_ui.png.meta,game_ui.plist.meta');
+
+const textureMeta = JSON.parse(first[0].content);
+const atlasMeta = JSON.parse(first[1].content);
+const atlasMetaReordered = JSON.parse(second[1].content);
+
+check('重复导出 UUID 不变（与帧顺序、目录末尾斜杠无关）',
+    textureMeta.uuid === JSON.parse(second[0].content).uuid &&
+    atlasMeta.uuid === atlasMetaReordered.uuid &&
+    Object.keys(atlasMeta.subMetas).sort().join() === Object.keys(atlasMetaReordered.subMetas).sort().join());
+check('不同目录 UUID 不同', generateCocosMetaFiles('game_ui', frames, 'assets/other').every((file, i) => JSON.parse(file.content).uuid !== [textureMeta, atlasMeta][i].uuid));
+check('图集引用纹理子资源', atlasMeta.userData.textureUuid === `${textureMeta.uuid}@6c48a` && textureMeta.userData.redirect === atlasMeta.userData.textureUuid);
+
+const subMetas = Object.values(atlasMeta.subMetas);
+check('每帧一个精灵帧子资源', subMetas.length === frames.length && subMetas.every(sub => sub.uuid === `${atlasMeta.uuid}@${sub.id}` && /^[0-9a-f]{5}$/.test(sub.id)));
+
+const icon = subMetas.find(sub => sub.name === 'ui/icon').userData;
+check('旋转帧写入未旋转尺寸和图集位置', icon.rotated === true && icon.width === 20 && icon.height === 60 && icon.trimX === 104 && icon.trimY === 2);
+check('写入原始尺寸和偏移', icon.rawWidth === 24 && icon.rawHeight === 64 && icon.offsetX === 0.5 && icon.offsetY === -1);
+
+const button = subMetas.find(sub => sub.name === 'ui/button_ok').userData;
+check('写入九宫格边距', button.borderTop === 10 && button.borderBottom === 10 && button.borderLeft === 12 && button.borderRight === 12);
+check('写入自定义锚点，未设置时为中心', icon.pivotX === 0.5 && icon.pivotY === 0 && button.pivotX === 0.5 && button.pivotY === 0.5);
+
+finishTests();
@@ -0,0 +1,75 @@
+// 导出格式测试（直接用 node 运行）
+// 用法: node tests/test_exporters.js
+
+const { loadScripts, check, finishTests } = require('./helpers.js');
+
+// cocos-plist 依赖 atlasPacker.js 中的 generatePlist，按页面中的顺序加载
+const { get } = loadScripts(['atlasPacker.js', 'atlasExporters.js']);
+const exportAtlasData = get('exportAtlasData');
+const getExportPages = get('getExportPages');
+const registerAtlasExporter = get('registerAtlasExporter');
+const generateBorderSidecar = get('generateBorderSidecar');
+
+// 一张裁剪过的普通帧 + 一张旋转帧
+const atlases = [
+    {
+        width: 256, height: 128,
+        frames: [
+            { name: 'ui/ok', x: 2, y: 2, width: 40, height: 20, originalWidth: 40, originalHeight: 20, sourceWidth: 48, sourceHeight: 24, trimX: 3, trimY: 1, rotated: false, pivot: { x: 0.25, y: 0.1 } },
+            { name: 'ui/bar', x: 50, y: 2, width: 10, height: 80, originalWidth: 80, originalHeight: 10, rotated: true }
+        ]
+    },
+    {
+        width: 64, height: 64,
+        frames: [{ name: 'bg', x: 0, y: 0, width: 64, height: 64, originalWidth: 64, originalHeight: 64 }]
+    }
+];
+
+console.log('===== 导出格式测试 =====\n');
+
+const pages = getExportPages(atlases, 'game');
+check('多页命名为 game_1、game_2', pages.map(p => p.name).join(',') === 'game_1,game_2');
+check('单页不带序号', getExportPages([atlases[0]], 'game')[0].name === 'game');
+
+const plists = exportAtlasData('cocos-plist', pages, 'game');
+check('cocos-plist 每页一个 plist', plists.map(f => f.name).join(',') === 'game_1.plist,game_2.plist' && plists[0].content.includes('<key>ui/ok.png</key>'));
+
+const hashFiles = exportAtlasData('json-hash', pages, 'game');
+const hash = JSON.parse(hashFiles[0].content);
+check('json-hash 每页一个 json', hashFiles.map(f => f.name).join(',') === 'game_1.json,game_2.json');
+check('json-hash meta', hash.meta.image === 'game_1.png' && hash.meta.size.w === 256 && hash.meta.size.h === 128);
+const ok = hash.frames['ui/ok.png'];
+check('裁剪帧: trimmed、spriteSourceSize、sourceSize',
+    ok.trimmed === true && ok.frame.w === 40 && ok.spriteSourceSize.x === 3 && ok.spriteSourceSize.y === 1 && ok.sourceSize.w === 48 && ok.sourceSize.h === 24);
+const bar = hash.frames['ui/bar.png'];
+check('旋转帧: frame 为未旋转尺寸', bar.rotated === true && bar.frame.w === 80 && bar.frame.h === 10 && bar.trimmed === false);
+check('锚点写为左上角原点的 pivot，未设置时不写', ok.pivot.x === 0.25 && ok.pivot.y === 0.9 && bar.pivot === undefined);
+
+const array = JSON.parse(exportAtlasData('json-array', pages, 'game')[0].content);
+check('json-array 帧为数组并带 filename', Array.isArray(array.frames) && array.frames[0].filename === 'ui/ok.png' && array.frames[0].frame.x === 2);
+
+const phaserFiles = exportAtlasData('phaser3', pages, 'game');
+const phaser = JSON.parse(phaserFiles[0].content);
+check('phaser3 合并为单个 json', phaserFiles.length === 1 && phaserFiles[0].name === 'game.json');
+check('phaser3 textures 对应每页', phaser.textures.length === 2 && phaser.textures[1].image === 'game_2.png' && phaser.textures[1].frames[0].filename === 'bg.png');
+
+check('没有九宫格时不生成附属 JSON', generateBorderSidecar(pages, 'game') === null);
+const bordered = getExportPages([{ ...atlases[1], frames: [{ ...atlases[1].frames[0], border: { left: 4, right: 4, top: 2, bottom: 6 } }] }, atlases[0]], 'game');
+const sidecar = generateBorderSidecar(bordered, 'game');
+const sidecarBorders = JSON.parse(sidecar.content).borders;
+check('九宫格附属 JSON 记录页面和边距',
+    sidecar.name === 'game.borders.json' && Object.keys(sidecarBorders).join() === 'bg.png' &&
+    JSON.stringify(sidecarBorders['bg.png']) === '{"page":"game_1.png","left":4,"right":4,"top":2,"bottom":6}');
+
+registerAtlasExporter('names', { name: '帧名列表', extension: 'txt', generate: (list) => list.map(p => ({ name: `${p.name}.txt`, content: p.frames.map(f => f.name).join('\n') })) });
+check('注册自定义格式', exportAtlasData('names', pages, 'game')[0].content === 'ui/ok\nui/bar');
+
+let unknownError = null;
+try {
+    exportAtlasData('unknown', pages, 'game');
+} catch (e) {
+    unknownError = e;
+}
+check('未知格式报错', unknownError !== null);
+
+finishTests();
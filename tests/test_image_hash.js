@@ -0,0 +1,116 @@
+// 图片内容哈希与打包缓存键测试（直接用 node 运行）
+// 用法: node tests/test_image_hash.js
+
+const { loadScripts, check, finishTests } = require('./helpers.js');
+
+// 测试用的图片对象直接携带 RGBA 数据，画布只负责按区域把它交给 getImageData
+function createImage(width, height, fill) {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    pixels.forEach((_, i) => { pixels[i] = fill(i); });
+    return { width, height, pixels };
+}
+
+const sandbox = {
+    console: { log() {}, warn() {} },
+    // MemoryManager 的定期清理不需要在测试中运行
+    setInterval: () => 0,
+    clearInterval: () => {},
+    document: {
+        createElement: () => {
+            let source = null;
+            return {
+                getContext: () => ({
+                    drawImage: (img) => { source = img; },
+                    getImageData: (x, y, width, height) => {
+                        const data = new Uint8ClampedArray(width * height * 4);
+                        for (let row = 0; row < height; row++) {
+                            const start = ((y + row) * source.width + x) * 4;
+                            data.set(source.pixels.subarray(start, start + width * 4), row * width * 4);
+                        }
+                        return { data };
+                    }
+                })
+            };
+        }
+    }
+};
+sandbox.window = sandbox;
+
+const { get } = loadScripts(['imageHash.js', 'imageTrimmer.js', 'duplicateSprites.js', 'performanceOptimizer.js'], sandbox);
+const getImageContentKey = get('getImageContentKey');
+const AlgorithmCache = get('AlgorithmCache');
+const findDuplicateImages = get('findDuplicateImages');
+const addDuplicateFrames = get('addDuplicateFrames');
+
+const item = (name, img) => ({ name, img, width: img.width, height: img.height });
+
+const red = createImage(4, 4, i => (i % 4 === 0 || i % 4 === 3 ? 255 : 0));
+const blue = createImage(4, 4, i => (i % 4 === 2 || i % 4 === 3 ? 255 : 0));
+const redReloaded = createImage(4, 4, i => (i % 4 === 0 || i % 4 === 3 ? 255 : 0));
+
+console.log('===== 图片内容哈希测试 =====\n');
+
+check('尺寸相同、内容不同的图片内容键不同', getImageContentKey(item('a', red)) !== getImageContentKey(item('a', blue)));
+check('重新加载的相同内容内容键相同', getImageContentKey(item('a', red)) === getImageContentKey(item('a', redReloaded)));
+check('名称参与内容键', getImageContentKey(item('a', red)) !== getImageContentKey(item('b', red)));
+check('裁剪后的条目使用原图哈希',
+    getImageContentKey({ ...item('a', red), width: 2, height: 3, sourceWidth: 4, sourceHeight: 4, trimX: 1 }) === getImageContentKey(item('a', red)));
+
+const cache = new AlgorithmCache(10);
+const options = { padding: 2, maxWidth: 1024, maxHeight: 1024, usePowerOfTwo: true };
+cache.set([item('a', red), item('b', blue)], 'maxRectangles', options, { id: 1 });
+
+check('尺寸相同的另一组图片不命中缓存', cache.get([item('a', blue), item('b', red)], 'maxRectangles', options) === null);
+check('内容和名称相同（顺序不同、对象不同）命中缓存', cache.get([item('b', blue), item('a', redReloaded)], 'maxRectangles', options)?.id === 1);
+check('算法参数不同不命中缓存', cache.get([item('a', red), item('b', blue)], 'maxRectangles', { ...options, padding: 0 }) === null);
+const polygonImages = [item('a', red), item('b', blue)];
+const polygonOptions = { ...options, polygonHull: 'concave', polygonVertices: 8 };
+check('多边形顶点数上限不同时缓存键不同',
+    cache.generateKey(polygonImages, 'polygon', polygonOptions) !== cache.generateKey(polygonImages, 'polygon', { ...polygonOptions, polygonVertices: 32 }));
+check('多边形凹凸类型不同时缓存键不同',
+    cache.generateKey(polygonImages, 'polygon', polygonOptions) !== cache.generateKey(polygonImages, 'polygon', { ...polygonOptions, polygonHull: 'convex' }));
+check('没有图片对象的演示数据使用名称和尺寸', getImageContentKey({ name: 'test1', width: 64, height: 64 }) === 'test1:64x64');
+
+console.log('\n===== 重复图片测试 =====\n');
+
+// 4x4 图片，中间 2x2 为不透明的红色；padded 为同样的红块但四周透明边距不同
+const block = (width, height, left, top) => createImage(width, height, i => {
+    const pixel = i >> 2;
+    const x = pixel % width;
+    const y = Math.floor(pixel / width);
+    const inside = x >= left && x < left + 2 && y >= top && y < top + 2;
+    return inside && (i % 4 === 0 || i % 4 === 3) ? 255 : 0;
+});
+const trimmed = (name, img, left, top) => ({
+    name, img, width: 2, height: 2, originalWidth: img.width, originalHeight: img.height,
+    sourceWidth: img.width, sourceHeight: img.height, trimX: left, trimY: top,
+    offsetX: left + 1 - img.width / 2, offsetY: img.height / 2 - top - 1
+});
+
+const redCopy = item('red_copy', redReloaded);
+const { unique, duplicates } = findDuplicateImages([item('red', red), item('blue', blue), redCopy]);
+check('像素相同的图片只保留第一张', unique.map(i => i.name).join() === 'red,blue');
+check('重复图片记录原图', duplicates.length === 1 && duplicates[0].item === redCopy && duplicates[0].original.name === 'red');
+
+const centered = trimmed('centered', block(4, 4, 1, 1), 1, 1);
+const shifted = trimmed('shifted', block(6, 4, 3, 0), 3, 0);
+const untrimmed = item('untrimmed', block(4, 4, 1, 1));
+const result = findDuplicateImages([centered, shifted, untrimmed]);
+check('裁剪后不透明区域相同即为重复（原图尺寸和位置可不同）',
+    result.unique.length === 2 && result.duplicates.length === 1 && result.duplicates[0].item === shifted);
+
+const layout = {
+    width: 8, height: 8,
+    frames: [{ name: 'centered', img: centered.img, x: 4, y: 2, width: 2, height: 2, rotated: true }]
+};
+const withAliases = addDuplicateFrames(layout, result.duplicates);
+const alias = withAliases.frames[1];
+check('别名帧使用原图帧的位置和旋转', withAliases.frames.length === 2 && alias.x === 4 && alias.y === 2 && alias.rotated === true);
+check('别名帧保留自己的名称和裁剪信息',
+    alias.name === 'shifted' && alias.aliasOf === 'centered' && alias.sourceWidth === 6 && alias.offsetX === shifted.offsetX);
+check('原图不在本页时不添加别名帧', addDuplicateFrames({ ...layout, frames: [] }, result.duplicates).frames.length === 0);
+check('不修改原布局', layout.frames.length === 1);
+check('边缘扩展、旋转或页码设置不同时不视为重复',
+    findDuplicateImages([item('red', red), { ...redCopy, extrude: 2 }, { ...redCopy, allowRotation: false }, { ...redCopy, page: 2 }]).duplicates.length === 0);
+
+finishTests();
@@ -0,0 +1,391 @@
+// 布局算法测试脚本（不依赖 DOM，直接用 node 运行）
+// 用法: node tests/test_layout.js
+
+const { loadScripts, check, finishTests } = require('./helpers.js');
+
+// 只加载布局相关脚本，沙箱中没有 document，任何绘制调用都会直接报错
+const LAYOUT_SCRIPTS = [
+    'imageTrimmer.js',
+    'spriteOverrides.js',
+    'atlasPacker.js',
+    'maxRectanglesPacker.js',
+    'guillotinePacker.js',
+    'skylinePacker.js',
+    'imageGrouper.js',
+    'multiAtlasPacker.js',
+    'stableLayout.js'
+];
+
+// 模拟图片创建（img 只是占位对象，布局阶段不会读取像素）
+function createMockImage(name, width, height) {
+    return { name, width, height, img: { width, height } };
+}
+
+// 测试用例
+const testCases = [
+    {
+        name: "少量图片",
+        images: [
+            createMockImage('a', 100, 100),
+            createMockImage('b', 150, 80),
+            createMockImage('c', 120, 120)
+        ]
+    },
+    {
+        name: "多种尺寸（含细长图片）",
+        images: [
+            createMockImage('a', 200, 150), createMockImage('b', 180, 180),
+            createMockImage('c', 250, 100), createMockImage('d', 120, 200),
+            createMockImage('e', 160, 160), createMockImage('f', 300, 80),
+            createMockImage('g', 20, 400), createMockImage('h', 400, 24)
+        ]
+    },
+    {
+        name: "大量小图标",
+        images: Array.from({ length: 120 }, (_, i) => createMockImage(`icon_${i}`, 16 + (i % 5) * 8, 16 + (i % 3) * 8))
+    }
+];
+
+// 检查布局：每张图片都已放置、不越界、加上间距后互不重叠、尺寸符合要求
+function checkLayout(layout, images, padding, maxWidth, maxHeight, usePowerOfTwo) {
+    const errors = [];
+
+    if (!layout) {
+        return ['布局失败（返回 null）'];
+    }
+    if (layout.canvas) {
+        errors.push('布局结果不应包含 canvas');
+    }
+    if (layout.width > maxWidth || layout.height > maxHeight) {
+        errors.push(`尺寸 ${layout.width}×${layout.height} 超过限制 ${maxWidth}×${maxHeight}`);
+    }
+    if (usePowerOfTwo && ((layout.width & (layout.width - 1)) || (layout.height & (layout.height - 1)))) {
+        errors.push(`尺寸 ${layout.width}×${layout.height} 不是2的幂次方`);
+    }
+
+    const names = layout.frames.map(frame => frame.name).sort();
+    const expected = images.map(img => img.name).sort();
+    if (names.join(',') !== expected.join(',')) {
+        errors.push(`帧数量 ${layout.frames.length}，应为 ${images.length}`);
+    }
+
+    for (const frame of layout.frames) {
+        const footprint = frame.rotated ? [frame.originalHeight, frame.originalWidth] : [frame.originalWidth, frame.originalHeight];
+        if (frame.width !== footprint[0] || frame.height !== footprint[1]) {
+            errors.push(`帧 ${frame.name} 尺寸与原图不符`);
+        }
+        if (frame.x < 0 || frame.y < 0 || frame.x + frame.width > layout.width || frame.y + frame.height > layout.height) {
+            errors.push(`帧 ${frame.name} 超出图集边界`);
+        }
+    }
+
+    for (let i = 0; i < layout.frames.length; i++) {
+        for (let j = i + 1; j < layout.frames.length; j++) {
+            const a = layout.frames[i];
+            const b = layout.frames[j];
+            if (a.x < b.x + b.width + padding && b.x < a.x + a.width + padding &&
+                a.y < b.y + b.height + padding && b.y < a.y + a.height + padding) {
+                errors.push(`帧 ${a.name} 与 ${b.name} 重叠（间距 ${padding}）`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+// 去掉 img 引用后序列化，用于比较两次布局是否一致
+function serializeLayout(layout) {
+    return JSON.stringify(layout, (key, value) => (key === 'img' ? undefined : value));
+}
+
+// 运行测试
+function runTests() {
+    console.log('===== 布局算法测试 =====\n');
+
+    const { context, get } = loadScripts(LAYOUT_SCRIPTS, { console: { log() {}, table() {}, warn() {}, error: console.error } });
+    const layouts = [
+        { name: 'Shelf', run: (images, p, w, pot, h, onProgress) => get('layoutImages')(images, p, w, pot, h, onProgress) },
+        { name: 'MaxRects-BSSF', run: (images, p, w, pot, h, onProgress) => get('layoutImagesWithMaxRectangles')(images, p, w, pot, h, 'bssf', onProgress) },
+        { name: 'MaxRects-Auto', run: (images, p, w, pot, h, onProgress) => get('layoutImagesWithMaxRectangles')(images, p, w, pot, h, 'auto', onProgress) },
+        { name: 'Guillotine', run: (images, p, w, pot, h, onProgress) => get('layoutImagesWithGuillotine')(images, p, w, pot, h, 'slas', {}, onProgress) },
+        { name: 'Skyline', run: (images, p, w, pot, h, onProgress) => get('layoutImagesWithSkyline')(images, p, w, pot, h, true, onProgress) }
+    ];
+    const maxWidth = 2048;
+    const maxHeight = 2048;
+
+    // 检查项后列出前几条错误
+    const report = (label, errors) => {
+        check(label, errors.length === 0);
+        errors.slice(0, 5).forEach(error => console.log(`    ${error}`));
+    };
+
+    testCases.forEach((testCase, index) => {
+        console.log(`【测试 ${index + 1}】${testCase.name}（${testCase.images.length} 张）`);
+
+        for (const layout of layouts) {
+            for (const usePowerOfTwo of [true, false]) {
+                const padding = 2;
+                const label = `${layout.name} ${usePowerOfTwo ? '2的幂次方' : '原始尺寸'}`;
+                try {
+                    const first = layout.run(testCase.images, padding, maxWidth, usePowerOfTwo, maxHeight);
+                    const errors = checkLayout(first, testCase.images, padding, maxWidth, maxHeight, usePowerOfTwo);
+                    const second = layout.run(testCase.images, padding, maxWidth, usePowerOfTwo, maxHeight);
+                    if (first && serializeLayout(first) !== serializeLayout(second)) {
+                        errors.push('相同输入两次布局结果不一致');
+                    }
+                    report(label, errors);
+                } catch (e) {
+                    report(label, [`错误: ${e.message}`]);
+                }
+            }
+        }
+
+        console.log('');
+    });
+
+    // 固定页面填充：放不下的图片作为剩余图片返回
+    console.log('【测试】MaxRects 固定页面填充');
+    try {
+        const images = testCases[2].images;
+        const page = get('maxRectanglesFillPage')(images, 2, 128, 128, 'bssf');
+        const errors = checkLayout({ frames: page.frames, width: 128, height: 128 }, page.frames.map(f => ({ name: f.name })), 2, 128, 128, true);
+        if (page.frames.length === 0 || page.remaining.length === 0) {
+            errors.push(`应部分放置，实际放置 ${page.frames.length} 张，剩余 ${page.remaining.length} 张`);
+        }
+        if (page.frames.length + page.remaining.length !== images.length) {
+            errors.push('放置数量与剩余数量之和不等于图片总数');
+        }
+        report(`放置 ${page.frames.length} 张，剩余 ${page.remaining.length} 张`, errors);
+    } catch (e) {
+        report('固定页面填充', [`错误: ${e.message}`]);
+    }
+
+    // 进度回调：逐个候选递增，最后一次为 total / total
+    console.log('\n【测试】进度回调');
+    for (const layout of layouts) {
+        try {
+            const calls = [];
+            layout.run(testCases[1].images, 2, maxWidth, true, maxHeight, progress => calls.push(progress));
+            const last = calls[calls.length - 1];
+            const ordered = calls.every((progress, i) => progress.current === i + 1 && progress.total === last.total);
+            report(`${layout.name} ${calls.length} 次`, calls.length > 0 && ordered && last.current === last.total ? [] : ['进度序列不正确']);
+        } catch (e) {
+            report(`${layout.name} 进度回调`, [`错误: ${e.message}`]);
+        }
+    }
+
+    // 稳定布局：未变化的帧保持原位置，新增/变化的图片放入空位
+    console.log('\n【测试】稳定布局');
+    try {
+        const layoutStable = get('layoutImagesStable');
+        const createLayoutReference = get('createLayoutReference');
+        const base = testCases[2].images.slice(0, 60);
+        const first = get('layoutImagesWithMaxRectangles')(base, 2, 512, true, 512, 'bssf');
+        const reference = createLayoutReference(first);
+        const positions = (layout) => new Map(layout.frames.map(f => [f.name, `${f.x},${f.y},${f.rotated}`]));
+        const before = positions(first);
+        const unchanged = (layout, names) => names.every(name => positions(layout).get(name) === before.get(name));
+
+        // 新增图片
+        const added = [...base, createMockImage('new_a', 30, 20), createMockImage('new_b', 24, 40)];
+        const addedLayout = layoutStable(added, reference, 2, 512, true, 512, 'bssf');
+        const addedErrors = checkLayout(addedLayout, added, 2, 512, 512, true);
+        if (addedLayout && !unchanged(addedLayout, base.map(img => img.name))) addedErrors.push('原有帧位置发生变化');
+        report(`新增 2 张，原有 ${base.length} 帧不动`, addedErrors);
+
+        // 删除一张、修改一张尺寸
+        const changed = base.filter(img => img.name !== 'icon_0').map(img => img.name === 'icon_1' ? createMockImage('icon_1', 50, 50) : img);
+        const changedLayout = layoutStable(changed, reference, 2, 512, true, 512, 'auto');
+        const changedErrors = checkLayout(changedLayout, changed, 2, 512, 512, true);
+        if (changedLayout && !unchanged(changedLayout, changed.filter(img => img.name !== 'icon_1').map(img => img.name))) changedErrors.push('未变化的帧位置发生变化');
+        if (changedLayout && changedLayout.stable.added !== 1) changedErrors.push(`应只重新放置 1 帧，实际 ${changedLayout.stable.added}`);
+        report('删除 1 张、修改 1 张尺寸', changedErrors);
+
+        // 需要扩大图集时保持原有位置
+        const grown = [...base, createMockImage('big', 300, 300)];
+        const grownLayout = layoutStable(grown, reference, 2, 1024, true, 1024, 'bssf');
+        const grownErrors = checkLayout(grownLayout, grown, 2, 1024, 1024, true);
+        if (grownLayout && !unchanged(grownLayout, base.map(img => img.name))) grownErrors.push('原有帧位置发生变化');
+        report(`图集从 ${first.width}×${first.height} 扩大到 ${grownLayout ? `${grownLayout.width}×${grownLayout.height}` : '-'}`, grownErrors);
+
+        // 放不下时返回 null，由调用方完整重新打包
+        const overflow = [...base, createMockImage('huge', 500, 500)];
+        report('放不下时返回 null', layoutStable(overflow, reference, 2, 512, true, 512, 'bssf') === null ? [] : ['应返回 null']);
+
+        // 基准中旋转、现在不允许旋转（plist 格式 0 / 1）的帧重新放置
+        const rotatedReference = { width: 256, height: 256, frames: [{ name: 'bar', x: 0, y: 0, originalWidth: 100, originalHeight: 20, rotated: true }] };
+        const unrotated = layoutStable([{ ...createMockImage('bar', 100, 20), allowRotation: false }], rotatedReference, 2, 256, true, 256, 'bssf');
+        const unrotatedErrors = checkLayout(unrotated, [{ name: 'bar' }], 2, 256, 256, true);
+        if (unrotated && (unrotated.frames[0].rotated || unrotated.stable.kept !== 0)) unrotatedErrors.push('基准中旋转的帧应重新放置为不旋转');
+        report('不保留不允许旋转的帧', unrotatedErrors);
+    } catch (e) {
+        report('稳定布局', [`错误: ${e.message}`]);
+    }
+
+    // 边框间距、图片间距和边缘扩展：扩展区域之间至少隔开图片间距，帧与图集边缘至少隔开边框 + 扩展
+    console.log('\n【测试】边框间距与边缘扩展');
+    const spacing = { shape: 1, border: 4 };
+    const extruded = testCases[1].images.map(img => ({ ...img, extrude: 2 }));
+    const checkSpacing = (result, images, margin) => {
+        const errors = checkLayout(result, images, spacing.shape + 4, maxWidth, maxHeight, false);
+        for (const frame of result ? result.frames : []) {
+            if (frame.extrude !== 2) {
+                errors.push(`帧 ${frame.name} 的 extrude 为 ${frame.extrude}`);
+            }
+            if (frame.x < margin || frame.y < margin || frame.x + frame.width + margin > result.width || frame.y + frame.height + margin > result.height) {
+                errors.push(`帧 ${frame.name} 与图集边缘的距离小于 ${margin}`);
+            }
+        }
+        return errors;
+    };
+    for (const layout of layouts) {
+        try {
+            report(layout.name, checkSpacing(layout.run(extruded, spacing, maxWidth, false, maxHeight), extruded, 6));
+        } catch (e) {
+            report(layout.name, [`错误: ${e.message}`]);
+        }
+    }
+    try {
+        const first = get('layoutImagesWithMaxRectangles')(extruded, spacing, 1024, true, 1024, 'bssf');
+        const grown = [...extruded, { ...createMockImage('new', 40, 40), extrude: 2 }];
+        const stable = get('layoutImagesStable')(grown, get('createLayoutReference')(first), spacing, 1024, true, 1024, 'bssf');
+        const errors = checkSpacing(stable, grown, 6);
+        if (stable && stable.stable.kept !== extruded.length) errors.push(`应保留 ${extruded.length} 帧，实际 ${stable.stable.kept}`);
+        report('稳定布局', errors);
+    } catch (e) {
+        report('稳定布局', [`错误: ${e.message}`]);
+    }
+
+    // 单张图片的覆盖设置：禁止旋转、固定页码、锚点和九宫格
+    console.log('\n【测试】单张图片覆盖设置');
+    const noRotation = testCases[1].images.map(img => ({ ...img, allowRotation: false }));
+    const wide = [{ ...createMockImage('wide', 400, 24), allowRotation: false }];
+    for (const layout of layouts) {
+        try {
+            const result = layout.run(noRotation, 2, maxWidth, false, maxHeight);
+            const errors = checkLayout(result, noRotation, 2, maxWidth, maxHeight, false);
+            if (result && result.frames.some(frame => frame.rotated)) errors.push('存在旋转的帧');
+            if (layout.run(wide, 0, 256, false, 2048) !== null) errors.push('不允许旋转时放不下应返回 null');
+            report(`${layout.name} 不旋转`, errors);
+        } catch (e) {
+            report(`${layout.name} 不旋转`, [`错误: ${e.message}`]);
+        }
+    }
+    try {
+        const MultiAtlasPacker = get('MultiAtlasPacker');
+        const packer = new MultiAtlasPacker({ maxWidth: 512, maxHeight: 512, padding: 2, usePowerOfTwo: true });
+        const pinned = testCases[2].images.slice(0, 20).map((img, i) => (i < 3 ? { ...img, page: 3 } : i === 3 ? { ...img, page: 1 } : img));
+        const pages = packer.layout(pinned);
+        const names = (page) => page.frames.map(frame => frame.name).sort().join();
+        const errors = [];
+        if (pages.length !== 3) errors.push(`应为 3 页，实际 ${pages.length}`);
+        if (pages[0] && names(pages[0]) !== 'icon_3') errors.push('第 1 页应只有固定在第 1 页的图片');
+        if (pages[2] && names(pages[2]) !== 'icon_0,icon_1,icon_2') errors.push('第 3 页应只有固定在第 3 页的图片');
+        if (pages[1] && pages[1].frames.length !== 16) errors.push('未固定的图片应放在第 2 页');
+        report('多图集固定页码', errors);
+
+        let error = null;
+        try {
+            packer.layout([{ ...createMockImage('huge', 600, 600), page: 2 }]);
+        } catch (e) {
+            error = e;
+        }
+        report('固定页放不下时报错', error && error.message.includes('第 2 页') && error.message.includes('huge') ? [] : ['应报错并指出页码和图片']);
+    } catch (e) {
+        report('多图集固定页码', [`错误: ${e.message}`]);
+    }
+    try {
+        const prepared = get('prepareSpriteImages')([
+            createMockImage('plain', 40, 40),
+            { ...createMockImage('custom', 40, 40), overrides: { extrude: 0, allowRotation: false, pivot: { x: 0, y: 1 }, page: 2 } }
+        ], { trim: false, extrude: 2 });
+        const trimmedPanel = { ...createMockImage('panel', 30, 20), sourceWidth: 40, sourceHeight: 30, trimX: 4, trimY: 6, overrides: { border: { left: 10, right: 10, top: 3, bottom: 8 } } };
+        const border = get('applySpriteOverrides')(trimmedPanel).border;
+        const frame = get('createFrame')({ ...prepared[1], border }, 0, 0, false);
+        const errors = [];
+        if (prepared[0].extrude !== 2 || prepared[0].allowRotation !== undefined) errors.push('未设置的图片应使用全局设置');
+        if (prepared[1].extrude !== undefined || prepared[1].allowRotation !== false || prepared[1].page !== 2) errors.push('覆盖设置未生效');
+        // 原图 40×30，裁剪区域 (4, 6, 30, 20)：右侧裁掉 6，下方裁掉 4
+        if (JSON.stringify(border) !== '{"left":6,"right":4,"top":0,"bottom":4}') errors.push(`九宫格换算错误: ${JSON.stringify(border)}`);
+        if (frame.pivot.y !== 1 || frame.border.left !== 6) errors.push('帧应带上锚点和九宫格');
+        report('覆盖设置应用到图片条目和帧', errors);
+    } catch (e) {
+        report('覆盖设置应用到图片条目和帧', [`错误: ${e.message}`]);
+    }
+    try {
+        // 原图 40×30 裁剪为 (4, 6, 30, 20)，左边和下边有九宫格边距：这两侧恢复到原图边缘，另外两侧保持裁剪
+        const trimmed = { ...createMockImage('panel', 30, 20), sourceWidth: 40, sourceHeight: 30, trimX: 4, trimY: 6, trimmed: true };
+        const limited = get('limitTrimToBorder')(trimmed, { left: 8, right: 0, top: 0, bottom: 5 });
+        const errors = [];
+        if (limited.trimX !== 0 || limited.trimY !== 6 || limited.width !== 34 || limited.height !== 24) {
+            errors.push(`裁剪区域应为 (0, 6, 34, 24)，实际 (${limited.trimX}, ${limited.trimY}, ${limited.width}, ${limited.height})`);
+        }
+        const border = get('getTrimmedBorder')({ left: 8, right: 0, top: 0, bottom: 5 }, limited);
+        if (border.left !== 8 || border.bottom !== 5) errors.push('不裁剪的一侧九宫格边距应保持不变');
+        const untouched = get('limitTrimToBorder')(trimmed, { left: 0, right: 0, top: 0, bottom: 0 });
+        if (untouched.width !== 30 || untouched.trimX !== 4) errors.push('没有边距时不应改变裁剪');
+        report('裁剪不进入九宫格的边', errors);
+    } catch (e) {
+        report('裁剪不进入九宫格的边', [`错误: ${e.message}`]);
+    }
+
+    // 溢出模式按所选算法填充每页，不能悄悄换成 MaxRects
+    console.log('\n【测试】溢出模式使用所选算法');
+    const maxRectanglesFillPage = context.maxRectanglesFillPage;
+    context.maxRectanglesFillPage = () => {
+        throw new Error('不应使用 MaxRects 填充');
+    };
+    for (const algorithm of ['skyline', 'guillotine', 'shelf']) {
+        try {
+            const MultiAtlasPacker = get('MultiAtlasPacker');
+            const packer = new MultiAtlasPacker({ maxWidth: 256, maxHeight: 256, padding: 2, packingAlgorithm: algorithm, mode: 'overflow' });
+            const images = testCases[2].images;
+            const page = packer.fillPage(images, 256, 256);
+            const errors = checkLayout({ frames: page.frames, width: 256, height: 256 }, page.frames.map(f => ({ name: f.name })), 2, 256, 256, true);
+            if (page.frames.length === 0 || page.remaining.length === 0) {
+                errors.push(`应部分放置，实际放置 ${page.frames.length} 张，剩余 ${page.remaining.length} 张`);
+            }
+            if (page.frames.length + page.remaining.length !== images.length) {
+                errors.push('放置数量与剩余数量之和不等于图片总数');
+            }
+            report(`${algorithm} 放置 ${page.frames.length} 张，剩余 ${page.remaining.length} 张`, errors);
+        } catch (e) {
+            report(`${algorithm} 溢出模式`, [`错误: ${e.message}`]);
+        }
+    }
+    context.maxRectanglesFillPage = maxRectanglesFillPage;
+
+    // plist 格式 0 / 1 不支持旋转帧：打包时按所选格式禁止旋转，导出不会因旋转帧失败
+    console.log('\n【测试】plist 格式 0 不旋转');
+    const bars = get('prepareSpriteImages')(
+        Array.from({ length: 6 }, (_, i) => createMockImage(`bar_${i}`, 16, 120)),
+        { trim: false, allowRotation: get('isRotationSupported')('cocos-plist', 0) }
+    );
+    for (const layout of layouts) {
+        try {
+            const result = layout.run(bars, 2, 128, false, 256);
+            const errors = checkLayout(result, bars, 2, 128, 256, false);
+            if (result && result.frames.some(frame => frame.rotated)) errors.push('存在旋转的帧');
+            if (result) get('generatePlist')('bars', result.width, result.height, result.frames, 0);
+            report(`${layout.name} plist 格式 0 不旋转`, errors);
+        } catch (e) {
+            report(`${layout.name} plist 格式 0 不旋转`, [`错误: ${e.message}`]);
+        }
+    }
+
+    // 超过最大尺寸时返回 null 而不是抛出异常
+    console.log('\n【测试】超出最大尺寸');
+    const oversized = [createMockImage('huge', 3000, 3000)];
+    for (const layout of layouts) {
+        try {
+            const result = layout.run(oversized, 2, maxWidth, true, maxHeight);
+            report(`${layout.name} 返回 null`, result === null ? [] : ['应返回 null']);
+        } catch (e) {
+            report(`${layout.name} 返回 null`, [`错误: ${e.message}`]);
+        }
+    }
+
+    finishTests();
+}
+
+runTests();
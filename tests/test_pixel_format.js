@@ -0,0 +1,93 @@
+// 像素格式（RGBA4444 / RGB565 / RGBA5551）与抖动测试（直接用 node 运行）
+// 用法: node tests/test_pixel_format.js
+
+const { loadScripts, check, expectError, finishTests } = require('./helpers.js');
+
+const { get } = loadScripts(['pixelFormat.js', 'atlasPacker.js', 'atlasExporters.js', 'plistParser.js']);
+const quantizeChannel = get('quantizeChannel');
+const reducePixels = get('reducePixels');
+const reduceCanvasPixelFormat = get('reduceCanvasPixelFormat');
+const generatePlist = get('generatePlist');
+const readPlistAtlas = get('readPlistAtlas');
+const exportAtlasData = get('exportAtlasData');
+const getExportPages = get('getExportPages');
+
+// 每个像素的颜色由 color(x, y) 给出
+function createPixels(width, height, color) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set(color(x, y), (y * width + x) * 4);
+        }
+    }
+    return data;
+}
+
+const channelValues = (data, channel) => data.filter((value, i) => i % 4 === channel);
+const distinct = values => new Set(values).size;
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+console.log('===== 量化 =====\n');
+
+check('4 位通道展开回 8 位为 17 的倍数', [0, 8, 9, 100, 200, 255].every(v => quantizeChannel(v, 4) % 17 === 0));
+check('量化保留 0 和 255', quantizeChannel(0, 5) === 0 && quantizeChannel(255, 5) === 255 && quantizeChannel(255, 1) === 255);
+check('超出范围的值先截断', quantizeChannel(-20, 4) === 0 && quantizeChannel(300, 4) === 255);
+
+// 横向灰度渐变，alpha 从左到右 0 ~ 255
+const width = 64;
+const height = 16;
+const gradient = createPixels(width, height, (x) => {
+    const value = Math.round(x * 255 / (width - 1));
+    return [value, value, value, value];
+});
+
+const levels = { RGBA4444: [16, 16], RGB565: [32, 1], RGBA5551: [32, 2] };
+for (const [format, [colorLevels, alphaLevels]] of Object.entries(levels)) {
+    const reduced = reducePixels(gradient, width, height, format);
+    check(`${format}: 红色通道最多 ${colorLevels} 级，透明通道最多 ${alphaLevels} 级`,
+        distinct(channelValues(reduced, 0)) <= colorLevels && distinct(channelValues(reduced, 3)) === alphaLevels);
+}
+check('RGB565: 绿色通道 6 位', distinct(channelValues(reducePixels(gradient, width, height, 'RGB565'), 1)) === 64);
+check('RGB565: 导出为不透明', channelValues(reducePixels(gradient, width, height, 'RGB565'), 3).every(a => a === 255));
+check('RGBA5551: 透明度只有 0 和 255', channelValues(reducePixels(gradient, width, height, 'RGBA5551'), 3).every(a => a === 0 || a === 255));
+check('RGBA8888: 不改变像素', reducePixels(gradient, width, height, 'RGBA8888').every((value, i) => value === gradient[i]));
+check('不修改原数组', gradient[4] === 4);
+
+console.log('\n===== 抖动 =====\n');
+
+// 介于两个 4 位量化级之间的纯色：不抖动时整块变为同一个量化级，抖动后平均值接近原色
+const flat = createPixels(16, 16, () => [93, 93, 93, 255]);
+const plain = reducePixels(flat, 16, 16, 'RGBA4444', 'none');
+check('不抖动: 纯色变为单一量化级', distinct(channelValues(plain, 0)) === 1 && Math.abs(mean(channelValues(plain, 0)) - 93) > 4);
+for (const dither of ['floyd-steinberg', 'ordered']) {
+    const dithered = reducePixels(flat, 16, 16, 'RGBA4444', dither);
+    const reds = channelValues(dithered, 0);
+    check(`${dither}: 混合相邻的两个量化级，平均值接近原色`,
+        distinct(reds) === 2 && reds.every(v => v % 17 === 0) && Math.abs(mean(reds) - 93) < 2);
+}
+check('有序抖动按 4×4 像素周期重复',
+    reducePixels(flat, 16, 16, 'RGB565', 'ordered').every((value, i, data) => value === data[(i + 16 * 4 * 4) % data.length]));
+expectError('未知像素格式报错', () => reducePixels(flat, 16, 16, 'RGB888'), 'RGB888');
+expectError('未知抖动方式报错', () => reducePixels(flat, 16, 16, 'RGB565', 'random'), 'random');
+
+const canvas = { width: 1, height: 1 };
+check('RGBA8888 时直接返回原画布', reduceCanvasPixelFormat(canvas, 'RGBA8888', 'ordered') === canvas);
+
+console.log('\n===== 元数据 =====\n');
+
+const frames = [{ name: 'icon', x: 0, y: 0, width: 8, height: 8, originalWidth: 8, originalHeight: 8 }];
+for (const format of [2, 3]) {
+    const atlas = readPlistAtlas(generatePlist('ui', 64, 64, frames, format, 'RGBA4444'));
+    check(`plist 格式 ${format}: 写入 pixelFormat 并可读回`, atlas.pixelFormat === 'RGBA4444');
+}
+check('plist 格式 2: RGBA8888 时不写 pixelFormat', !generatePlist('ui', 64, 64, frames, 2).includes('pixelFormat'));
+check('plist 格式 3: 总是写 pixelFormat', generatePlist('ui', 64, 64, frames, 3).includes('<string>RGBA8888</string>'));
+
+const pages = getExportPages([{ width: 64, height: 64, frames }], 'ui');
+const hash = JSON.parse(exportAtlasData('json-hash', pages, 'ui', { pixelFormat: 'RGB565' })[0].content);
+const phaser = JSON.parse(exportAtlasData('phaser3', pages, 'ui', { pixelFormat: 'RGBA5551' })[0].content);
+check('JSON meta.format 为像素格式', hash.meta.format === 'RGB565');
+check('Phaser 3 textures[].format 为像素格式', phaser.textures[0].format === 'RGBA5551');
+check('未指定时为 RGBA8888', JSON.parse(exportAtlasData('json-array', pages, 'ui')[0].content).meta.format === 'RGBA8888');
+
+finishTests();
@@ -0,0 +1,156 @@
+// plist 格式 0 ~ 3 生成与解析往返测试（直接用 node 运行）
+// 用法: node tests/test_plist.js
+
+const { loadScripts, check, finishTests } = require('./helpers.js');
+
+const { get } = loadScripts(['atlasPacker.js', 'plistParser.js']);
+const generatePlist = get('generatePlist');
+const readPlistAtlas = get('readPlistAtlas');
+const parsePlist = get('parsePlist');
+
+// 与 createFrame 相同的帧数据（offset 由裁剪区域计算）
+function createFrame(name, x, y, width, height, trim = null, rotated = false) {
+    const { trimX = 0, trimY = 0, sourceWidth = width, sourceHeight = height } = trim || {};
+    return {
+        name, x, y,
+        width: rotated ? height : width,
+        height: rotated ? width : height,
+        originalWidth: width,
+        originalHeight: height,
+        sourceWidth, sourceHeight, trimX, trimY,
+        offsetX: trimX + width / 2 - sourceWidth / 2,
+        offsetY: sourceHeight / 2 - (trimY + height / 2),
+        rotated
+    };
+}
+
+const FIELDS = ['name', 'x', 'y', 'width', 'height', 'originalWidth', 'originalHeight', 'sourceWidth', 'sourceHeight', 'trimX', 'trimY', 'offsetX', 'offsetY', 'rotated'];
+
+function sameFrames(expected, actual) {
+    return expected.length === actual.length &&
+        expected.every((frame, i) => FIELDS.every(key => frame[key] === actual[i][key]));
+}
+
+const plainFrames = [
+    createFrame('ui/button_ok', 2, 2, 100, 40),
+    createFrame('ui/icon', 104, 2, 20, 30, { trimX: 3, trimY: 5, sourceWidth: 32, sourceHeight: 40 }),
+    // 奇数尺寸裁剪，offset 为半像素
+    createFrame('fx/spark <1> & "2"', 2, 50, 11, 7, { trimX: 4, trimY: 2, sourceWidth: 20, sourceHeight: 16 })
+];
+const rotatedFrames = [
+    ...plainFrames,
+    createFrame('ui/bar', 130, 2, 80, 10, { trimX: 1, trimY: 0, sourceWidth: 82, sourceHeight: 12 }, true)
+];
+
+console.log('===== plist 格式测试 =====\n');
+
+for (const format of [0, 1, 2, 3]) {
+    const frames = format >= 2 ? rotatedFrames : plainFrames;
+    try {
+        const atlas = readPlistAtlas(generatePlist('game_ui', 256, 128, frames, format));
+        check(`格式 ${format} 往返一致（${frames.length} 帧）`,
+            atlas.format === format && atlas.width === 256 && atlas.height === 128 &&
+            atlas.textureFileName === 'game_ui.png' && sameFrames(frames, atlas.frames));
+    } catch (e) {
+        check(`格式 ${format} 往返: ${e.message}`, false);
+    }
+}
+
+check('默认为格式 2', readPlistAtlas(generatePlist('a', 64, 64, plainFrames)).format === 2);
+
+// 旋转帧的 frame / textureRect 写入未旋转尺寸
+const barKeys = (format) => parsePlist(generatePlist('a', 256, 128, rotatedFrames, format)).frames['ui/bar.png'];
+check('格式 2 旋转帧 frame 为未旋转尺寸', barKeys(2).frame === '{{130,2},{80,10}}' && barKeys(2).rotated === true);
+check('格式 3 旋转帧 textureRect 为未旋转尺寸', barKeys(3).textureRect === '{{130,2},{80,10}}' && barKeys(3).textureRotated === true);
+
+const format3 = parsePlist(generatePlist('a', 256, 128, [{ ...plainFrames[0], aliases: ['ui/button_ok_copy'] }], 3));
+check('格式 3 写入 aliases 和 metadata',
+    format3.frames['ui/button_ok.png'].aliases.join() === 'ui/button_ok_copy.png' &&
+    format3.metadata.realTextureFileName === 'a.png' && format3.metadata.pixelFormat === 'RGBA8888');
+check('格式 3 读取 aliases', readPlistAtlas(generatePlist('a', 256, 128, [{ ...plainFrames[0], aliases: ['dup'] }], 3)).frames[0].aliases.join() === 'dup');
+
+// 重复图片的别名帧：格式 3 中裁剪信息相同的并入 aliases，不同的写为指向同一区域的帧
+const aliasFrames = [
+    plainFrames[0],
+    { ...plainFrames[0], name: 'ui/button_ok_copy', aliasOf: 'ui/button_ok' },
+    { ...createFrame('ui/button_ok_wide', 2, 2, 100, 40, { trimX: 6, trimY: 0, sourceWidth: 110, sourceHeight: 40 }), aliasOf: 'ui/button_ok' }
+];
+const merged = parsePlist(generatePlist('a', 256, 128, aliasFrames, 3)).frames;
+check('格式 3 别名帧并入原图 aliases',
+    merged['ui/button_ok.png'].aliases.join() === 'ui/button_ok_copy.png' && !merged['ui/button_ok_copy.png']);
+check('格式 3 裁剪信息不同的别名帧单独写出',
+    merged['ui/button_ok_wide.png'].textureRect === '{{2,2},{100,40}}' && merged['ui/button_ok_wide.png'].spriteSourceSize === '{110,40}');
+const format2Frames = parsePlist(generatePlist('a', 256, 128, aliasFrames, 2)).frames;
+check('格式 2 别名帧写为指向同一区域的帧',
+    format2Frames['ui/button_ok_copy.png'].frame === '{{2,2},{100,40}}' && Object.keys(format2Frames).length === 3);
+check('合并别名不修改输入帧', plainFrames[0].aliases === undefined);
+const pivotFrames = [{ ...aliasFrames[0], pivot: { x: 0.5, y: 0 } }, aliasFrames[1]];
+const anchored = parsePlist(generatePlist('a', 256, 128, pivotFrames, 3)).frames;
+check('格式 3 写入锚点，锚点不同的别名帧单独写出',
+    anchored['ui/button_ok.png'].anchor === '{0.5,0}' && anchored['ui/button_ok_copy.png'].anchor === undefined &&
+    anchored['ui/button_ok.png'].aliases.length === 0);
+const anchorRead = readPlistAtlas(generatePlist('a', 256, 128, pivotFrames, 3)).frames;
+check('格式 3 读取锚点', anchorRead[0].pivot.x === 0.5 && anchorRead[0].pivot.y === 0 && anchorRead[1].pivot === undefined);
+
+for (const format of [0, 1]) {
+    let error = null;
+    try {
+        generatePlist('a', 256, 128, rotatedFrames, format);
+    } catch (e) {
+        error = e;
+    }
+    check(`格式 ${format} 遇到旋转帧时报错`, error !== null && error.message.includes('ui/bar'));
+}
+
+// TexturePacker 导出的格式 3（不同的缩进、空 aliases、额外的 metadata 字段）
+const texturePackerSample = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple Computer//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+    <dict>
+        <key>frames</key>
+        <dict>
+            <key>hero.png</key>
+            <dict>
+                <key>aliases</key>
+                <array/>
+                <key>spriteOffset</key>
+                <string>{1,-2}</string>
+                <key>spriteSize</key>
+                <string>{30,40}</string>
+                <key>spriteSourceSize</key>
+                <string>{36,48}</string>
+                <key>textureRect</key>
+                <string>{{10,20},{30,40}}</string>
+                <key>textureRotated</key>
+                <true/>
+            </dict>
+        </dict>
+        <key>metadata</key>
+        <dict>
+            <key>format</key>
+            <integer>3</integer>
+            <key>realTextureFileName</key>
+            <string>heroes.png</string>
+            <key>size</key>
+            <string>{128,64}</string>
+            <key>smartupdate</key>
+            <string>$TexturePacker:SmartUpdate:abc$</string>
+            <key>textureFileName</key>
+            <string>heroes.png</string>
+        </dict>
+    </dict>
+</plist>`;
+const hero = readPlistAtlas(texturePackerSample).frames[0];
+check('读取 TexturePacker 格式 3',
+    hero.name === 'hero' && hero.rotated && hero.width === 40 && hero.height === 30 &&
+    hero.originalWidth === 30 && hero.trimX === 4 && hero.trimY === 6);
+
+let parseError = null;
+try {
+    readPlistAtlas('<plist><dict><key>frames</key><dict>');
+} catch (e) {
+    parseError = e;
+}
+check('不完整的 plist 报错', parseError !== null);
+
+finishTests();
@@ -0,0 +1,164 @@
+// PNG8 调色板量化与索引色 PNG 编码测试（直接用 node 运行）
+// 用法: node tests/test_png8.js
+
+const zlib = require('zlib');
+const { loadScripts, check, expectRejection, finishTests } = require('./helpers.js');
+
+const { get } = loadScripts(['paletteQuantizer.js', 'pngEncoder.js'], { console, CompressionStream });
+const getPaletteSize = get('getPaletteSize');
+const buildPalette = get('buildPalette');
+const quantizePixels = get('quantizePixels');
+const crc32 = get('crc32');
+const encodeIndexedPng = get('encodeIndexedPng');
+const encodeCanvasPng8 = get('encodeCanvasPng8');
+
+// 每个像素的颜色由 color(x, y) 给出
+function createPixels(width, height, color) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set(color(x, y), (y * width + x) * 4);
+        }
+    }
+    return data;
+}
+
+// 解析 PNG：校验每个块的 CRC，解压 IDAT 并按位深度还原调色板下标（只支持编码器使用的过滤类型 0）
+function decodeIndexedPng(bytes) {
+    const buffer = Buffer.from(bytes);
+    const chunks = {};
+    let crcValid = true;
+    const idat = [];
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        crcValid = crcValid && crc32(buffer.subarray(offset + 4, offset + 8 + length)) === buffer.readUInt32BE(offset + 8 + length);
+        if (type === 'IDAT') idat.push(data);
+        chunks[type] = data;
+        offset += 12 + length;
+    }
+
+    const width = chunks.IHDR.readUInt32BE(0);
+    const height = chunks.IHDR.readUInt32BE(4);
+    const bitDepth = chunks.IHDR[8];
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const rowBytes = Math.ceil(width * bitDepth / 8);
+    const indices = new Uint8Array(width * height);
+    let filtersValid = true;
+    for (let y = 0; y < height; y++) {
+        const row = y * (rowBytes + 1);
+        filtersValid = filtersValid && raw[row] === 0;
+        for (let x = 0; x < width; x++) {
+            const bit = x * bitDepth;
+            const byte = raw[row + 1 + (bit >> 3)];
+            indices[y * width + x] = (byte >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+        }
+    }
+
+    return {
+        signatureValid: buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+        crcValid,
+        filtersValid,
+        chunkTypes: Object.keys(chunks),
+        width,
+        height,
+        bitDepth,
+        colorType: chunks.IHDR[9],
+        paletteSize: chunks.PLTE.length / 3,
+        alphas: chunks.tRNS ? Array.from(chunks.tRNS) : [],
+        indices
+    };
+}
+
+// 灰度横向渐变
+const gradient = createPixels(128, 8, (x) => [x * 2, x * 2, x * 2, 255]);
+
+// 8×8 区域平均颜色的误差（抖动在局部平均上更接近原图）
+function blockMeanError(original, quantized, width, height) {
+    let error = 0;
+    for (let by = 0; by < height; by += 8) {
+        for (let bx = 0; bx < width; bx += 8) {
+            let diff = 0;
+            for (let y = by; y < by + 8; y++) {
+                for (let x = bx; x < bx + 8; x++) {
+                    const i = (y * width + x) * 4;
+                    diff += quantized[i] - original[i];
+                }
+            }
+            error += Math.abs(diff / 64);
+        }
+    }
+    return error;
+}
+
+async function run() {
+    console.log('===== 调色板量化 =====\n');
+
+    check('质量 0 为 2 色，100 为 256 色，随质量单调增加',
+        getPaletteSize(0) === 2 && getPaletteSize(100) === 256 &&
+        [10, 30, 50, 70, 90].every(q => getPaletteSize(q) <= getPaletteSize(q + 10)));
+
+    // 5 种颜色（含半透明和完全透明）时调色板完全还原
+    const fewColors = [[255, 0, 0, 255], [0, 255, 0, 255], [0, 0, 255, 128], [255, 255, 255, 64], [10, 20, 30, 0]];
+    const few = createPixels(20, 10, (x, y) => fewColors[(x + y * 3) % fewColors.length]);
+    const exact = quantizePixels(few, 20, 10, { quality: 100 });
+    check('颜色数不超过上限时完全还原（PSNR 为 Infinity）', exact.psnr === Infinity && exact.palette.length === 5);
+    check('完全透明的像素使用 [0, 0, 0, 0]，半透明的项排在不透明的项之前',
+        JSON.stringify(exact.palette[0]) === '[0,0,0,0]' &&
+        exact.palette.every((color, i) => i === 0 || exact.palette[i - 1][3] <= color[3]));
+
+    for (const quality of [20, 50, 80]) {
+        check(`质量 ${quality}: 调色板不超过 ${getPaletteSize(quality)} 色`, buildPalette(gradient, getPaletteSize(quality)).length <= getPaletteSize(quality));
+    }
+    const psnrs = [0, 30, 60, 90].map(quality => quantizePixels(gradient, 128, 8, { quality }).psnr);
+    check('质量越高 PSNR 越高', psnrs.every((psnr, i) => i === 0 || psnr > psnrs[i - 1]));
+
+    const plain = quantizePixels(gradient, 128, 8, { quality: 15, dither: false });
+    const dithered = quantizePixels(gradient, 128, 8, { quality: 15, dither: true });
+    check('抖动后局部平均颜色更接近原图',
+        blockMeanError(gradient, dithered.pixels, 128, 8) < blockMeanError(gradient, plain.pixels, 128, 8) / 2);
+    check('抖动不改变完全不透明像素的透明度', dithered.pixels.every((value, i) => i % 4 !== 3 || value === 255));
+
+    console.log('\n===== PNG 编码 =====\n');
+
+    check('CRC-32 与 PNG 规范一致（IEND 块为 AE426082）', crc32(new TextEncoder().encode('IEND')) === 0xae426082);
+
+    for (const colorCount of [2, 3, 16, 200]) {
+        const width = 13;
+        const height = 5;
+        const palette = Array.from({ length: colorCount }, (_, i) => [i, 255 - i, i % 7, 255]);
+        const indices = Uint8Array.from({ length: width * height }, (_, i) => (i * 7) % colorCount);
+        const png = decodeIndexedPng(await encodeIndexedPng(width, height, indices, palette));
+        check(`${colorCount} 色: 签名、块 CRC 和尺寸正确，位深度 ${png.bitDepth}，解码后的下标一致`,
+            png.signatureValid && png.crcValid && png.filtersValid && png.colorType === 3 &&
+            png.width === width && png.height === height && png.paletteSize === colorCount &&
+            png.bitDepth === (colorCount <= 2 ? 1 : colorCount <= 4 ? 2 : colorCount <= 16 ? 4 : 8) &&
+            png.indices.every((index, i) => index === indices[i]));
+    }
+
+    const opaque = decodeIndexedPng(await encodeIndexedPng(2, 1, Uint8Array.from([0, 1]), [[0, 0, 0, 255], [255, 255, 255, 255]]));
+    check('不透明的调色板不写 tRNS', !opaque.chunkTypes.includes('tRNS'));
+    const translucent = decodeIndexedPng(await encodeIndexedPng(exact.palette.length, 1,
+        Uint8Array.from(exact.palette, (_, i) => i), exact.palette));
+    check('tRNS 只写到最后一个半透明项', JSON.stringify(translucent.alphas) === '[0,64,128]' &&
+        translucent.chunkTypes.join(',') === 'IHDR,PLTE,tRNS,IDAT,IEND');
+
+    await expectRejection('调色板为空报错', () => encodeIndexedPng(1, 1, new Uint8Array(1), []), '0');
+    await expectRejection('调色板超过 256 色报错', () => encodeIndexedPng(1, 1, new Uint8Array(1), new Array(257).fill([0, 0, 0, 255])), '257');
+
+    const canvas = {
+        width: 20,
+        height: 10,
+        getContext: () => ({ getImageData: () => ({ data: few }) })
+    };
+    const result = await encodeCanvasPng8(canvas, { quality: 100 });
+    const decoded = decodeIndexedPng(result.data);
+    check('画布编码为 PNG8，像素按调色板还原', result.colors === 5 && result.psnr === Infinity &&
+        decoded.crcValid && decoded.width === 20 && decoded.height === 10 &&
+        Array.from(decoded.indices).every((index, i) => JSON.stringify(exact.palette[index]) === JSON.stringify(Array.from(exact.pixels.slice(i * 4, i * 4 + 4)))));
+
+    finishTests();
+}
+
+run();
@@ -0,0 +1,274 @@
+// 多边形（网格精灵）模式测试（直接用 node 运行）
+// 用法: node tests/test_polygon.js
+// 用合成的 alpha 掩码（圆、圆环、L 形、三角形）验证描边、简化、三角化、布局和导出
+
+const { generateCocosMetaFiles } = require('../js/cocosMeta.js');
+const { loadScripts, check, finishTests } = require('./helpers.js');
+
+// 测试用的图片对象直接携带 alpha 掩码，画布只负责把它交给 getImageData
+const sandbox = {
+    console: { log() {}, warn() {} },
+    document: {
+        createElement: () => {
+            let source = null;
+            return {
+                getContext: () => ({
+                    drawImage: (img) => { source = img; },
+                    getImageData: () => {
+                        const data = new Uint8ClampedArray(source.mask.length * 4);
+                        source.mask.forEach((value, i) => { data[i * 4 + 3] = value ? 255 : 0; });
+                        return { data };
+                    }
+                })
+            };
+        }
+    }
+};
+sandbox.window = sandbox;
+
+const { get } = loadScripts(['imageTrimmer.js', 'atlasPacker.js', 'maxRectanglesPacker.js', 'polygonPacker.js', 'plistParser.js', 'atlasExporters.js', 'multiAtlasPacker.js'], sandbox);
+const getPolygonArea = get('getPolygonArea');
+const traceOpaqueOutline = get('traceOpaqueOutline');
+const convexHull = get('convexHull');
+const createSpritePolygon = get('createSpritePolygon');
+const triangulatePolygon = get('triangulatePolygon');
+const tracePolygonImages = get('tracePolygonImages');
+const polygonLayout = get('polygonLayout');
+const layoutImagesWithPolygons = get('layoutImagesWithPolygons');
+const generatePlist = get('generatePlist');
+const readPlistAtlas = get('readPlistAtlas');
+const exportAtlasData = get('exportAtlasData');
+const getExportPages = get('getExportPages');
+
+// 合成图片：inside(x, y) 判断像素中心是否不透明
+function createShape(width, height, inside) {
+    const mask = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            mask[y * width + x] = inside(x + 0.5, y + 0.5) ? 1 : 0;
+        }
+    }
+    return { width, height, mask };
+}
+
+const shapes = {
+    circle: createShape(40, 40, (x, y) => (x - 20) ** 2 + (y - 20) ** 2 <= 18 ** 2),
+    ring: createShape(40, 40, (x, y) => {
+        const d = (x - 20) ** 2 + (y - 20) ** 2;
+        return d <= 18 ** 2 && d >= 10 ** 2;
+    }),
+    lShape: createShape(32, 32, (x, y) => x < 10 || y > 22),
+    triangle: createShape(32, 32, (x, y) => x <= y),
+    triangleFlipped: createShape(32, 32, (x, y) => x >= y)
+};
+
+const fullRect = shape => ({ x: 0, y: 0, width: shape.width, height: shape.height });
+
+// 点在多边形内（含边界）
+function containsPoint(points, px, py) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        const cross = (b.x - a.x) * (py - a.y) - (b.y - a.y) * (px - a.x);
+        if (Math.abs(cross) < 1e-6 && px >= Math.min(a.x, b.x) - 1e-6 && px <= Math.max(a.x, b.x) + 1e-6 &&
+            py >= Math.min(a.y, b.y) - 1e-6 && py <= Math.max(a.y, b.y) + 1e-6) {
+            return true;
+        }
+        if ((a.y > py) !== (b.y > py) && px < (b.x - a.x) * (py - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// 每个不透明像素的四个角都在多边形内
+function containsAllPixels(points, shape) {
+    for (let y = 0; y < shape.height; y++) {
+        for (let x = 0; x < shape.width; x++) {
+            if (!shape.mask[y * shape.width + x]) continue;
+            for (const [cx, cy] of [[x, y], [x + 1, y], [x, y + 1], [x + 1, y + 1]]) {
+                if (!containsPoint(points, cx, cy)) return false;
+            }
+        }
+    }
+    return true;
+}
+
+const triangleArea = (a, b, c) => Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) / 2;
+
+console.log('===== 轮廓与简化 =====\n');
+
+for (const [name, shape] of Object.entries(shapes)) {
+    const outline = traceOpaqueOutline(shape.mask, shape.width, fullRect(shape));
+    check(`${name}: 轮廓包含全部不透明像素且为正方向`, containsAllPixels(outline, shape) && getPolygonArea(outline) > 0);
+
+    for (const hull of ['concave', 'convex']) {
+        const polygon = createSpritePolygon(outline, fullRect(shape), { hull, maxVertices: 8 });
+        const inBounds = polygon.vertices.every(point => point.x >= 0 && point.y >= 0 && point.x <= shape.width && point.y <= shape.height);
+        check(`${name} (${hull}): 不超过 8 个顶点、不超出图片、包含全部不透明像素`,
+            polygon.vertices.length <= 8 && inBounds && containsAllPixels(polygon.vertices, shape));
+    }
+}
+
+const lOutline = traceOpaqueOutline(shapes.lShape.mask, 32, fullRect(shapes.lShape));
+const lConcave = createSpritePolygon(lOutline, fullRect(shapes.lShape), { hull: 'concave', maxVertices: 8 });
+const lConvex = createSpritePolygon(lOutline, fullRect(shapes.lShape), { hull: 'convex', maxVertices: 8 });
+check('L 形的凹包就是 6 个顶点的轮廓', lConcave.vertices.length === 6 && getPolygonArea(lConcave.vertices) === 10 * 22 + 32 * 10);
+check('L 形的凹包面积小于凸包', getPolygonArea(lConcave.vertices) < getPolygonArea(lConvex.vertices));
+
+const circleOutline = traceOpaqueOutline(shapes.circle.mask, 40, fullRect(shapes.circle));
+const circle4 = createSpritePolygon(circleOutline, fullRect(shapes.circle), { hull: 'convex', maxVertices: 4 });
+const circle12 = createSpritePolygon(circleOutline, fullRect(shapes.circle), { hull: 'convex', maxVertices: 12 });
+check('顶点越多越贴合轮廓', getPolygonArea(circle12.vertices) < getPolygonArea(circle4.vertices) &&
+    getPolygonArea(circle12.vertices) < Math.PI * 19 * 19);
+
+const trimmedTriangle = traceOpaqueOutline(shapes.triangle.mask, 32, { x: 0, y: 8, width: 24, height: 24 });
+check('只描裁剪区域内的像素', trimmedTriangle.every(point => point.x <= 24 && point.y >= 8));
+
+const empty = createShape(8, 8, () => false);
+check('没有不透明像素时为区域矩形', traceOpaqueOutline(empty.mask, 8, fullRect(empty)).length === 4);
+
+const unknownHull = (() => {
+    try {
+        createSpritePolygon(lOutline, fullRect(shapes.lShape), { hull: 'round' });
+        return null;
+    } catch (error) {
+        return error;
+    }
+})();
+check('未知轮廓类型报错', unknownHull !== null && unknownHull.message.includes('round'));
+
+console.log('\n===== 三角化 =====\n');
+
+for (const [name, points] of [['L 形', lConcave.vertices], ['圆（凸包）', circle12.vertices], ['凸包', convexHull(lOutline)]]) {
+    const indexes = triangulatePolygon(points);
+    let area = 0;
+    for (let i = 0; i < indexes.length; i += 3) {
+        area += triangleArea(points[indexes[i]], points[indexes[i + 1]], points[indexes[i + 2]]);
+    }
+    check(`${name}: n - 2 个三角形，面积之和等于多边形面积`,
+        indexes.length === (points.length - 2) * 3 && Math.abs(area - getPolygonArea(points)) < 1e-6);
+}
+
+console.log('\n===== 描边图片条目 =====\n');
+
+const item = (name, shape, extra = {}) => ({ name, img: shape, width: shape.width, height: shape.height, ...extra });
+const traced = tracePolygonImages([item('l', shapes.lShape, { extrude: 2 }), item('t', shapes.triangle)], { hull: 'concave', maxVertices: 8 });
+check('条目带有多边形，边缘扩展被去掉', traced.every(entry => entry.polygon && entry.polygon.triangles.length > 0) && traced[0].extrude === undefined);
+// 阶梯边两端的像素各多出一个顶点
+check('三角形的阶梯轮廓简化为 5 个顶点', traced[1].polygon.vertices.length === 5);
+
+console.log('\n===== 多边形布局 =====\n');
+
+// 把每帧多边形内的不透明像素画到图集上，检查没有重叠且间距内没有其他帧的像素
+function checkPlacement(layout, images, padding) {
+    const owner = new Int32Array(layout.width * layout.height).fill(-1);
+    const byName = new Map(images.map(entry => [entry.name, entry]));
+    for (let index = 0; index < layout.frames.length; index++) {
+        const frame = layout.frames[index];
+        const shape = byName.get(frame.name).img;
+        for (let y = frame.trimY; y < frame.trimY + frame.originalHeight; y++) {
+            for (let x = frame.trimX; x < frame.trimX + frame.originalWidth; x++) {
+                if (!shape.mask[y * shape.width + x]) continue;
+                const ax = frame.x + x - frame.trimX;
+                const ay = frame.y + y - frame.trimY;
+                if (ax < 0 || ay < 0 || ax >= layout.width || ay >= layout.height) return false;
+                for (let dy = -padding; dy <= padding; dy++) {
+                    for (let dx = -padding; dx <= padding; dx++) {
+                        const nx = ax + dx;
+                        const ny = ay + dy;
+                        if (nx < 0 || ny < 0 || nx >= layout.width || ny >= layout.height) continue;
+                        const other = owner[ny * layout.width + nx];
+                        if (other >= 0 && other !== index) return false;
+                    }
+                }
+                owner[ay * layout.width + ax] = index;
+            }
+        }
+    }
+    return true;
+}
+
+const triangles = [];
+for (let i = 0; i < 4; i++) {
+    triangles.push(item(`lower_${i}`, shapes.triangle), item(`upper_${i}`, shapes.triangleFlipped));
+}
+const tracedTriangles = tracePolygonImages(triangles, { hull: 'concave', maxVertices: 8 });
+
+for (const padding of [0, 2]) {
+    const layout = polygonLayout(tracedTriangles, padding, 256, 256);
+    check(`间距 ${padding}: 全部放置、不重叠、不越界`,
+        layout !== null && layout.frames.length === 8 && checkPlacement(layout, tracedTriangles, padding));
+}
+
+const tight = polygonLayout(tracedTriangles, 0, 128, 256);
+const rectangleArea = tracedTriangles.reduce((sum, entry) => sum + entry.width * entry.height, 0);
+check('互补的三角形嵌套排列，占用面积小于矩形之和', tight !== null && tight.width * tight.height < rectangleArea);
+check('帧矩形允许重叠（多边形不重叠）', tight.frames.some((a, i) => tight.frames.some((b, j) => i < j &&
+    a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height)));
+
+const bordered = polygonLayout(tracedTriangles, { shape: 1, border: 3 }, 256, 256);
+check('边框间距内不放置帧', bordered.frames.every(frame => frame.x >= 3 && frame.y >= 3 &&
+    frame.x + frame.width <= bordered.width - 3 && frame.y + frame.height <= bordered.height - 3));
+
+check('放不下时返回 null', polygonLayout(tracedTriangles, 0, 64, 64) === null);
+
+const best = layoutImagesWithPolygons(tracedTriangles, 2, 512, true, 512);
+check('多种宽度中选择面积最小的 2 的幂次方图集', best !== null && best.frames.length === 8 &&
+    [best.width, best.height].every(size => (size & (size - 1)) === 0) && checkPlacement(best, tracedTriangles, 2));
+check('结果可复现', JSON.stringify(layoutImagesWithPolygons(tracedTriangles, 2, 512, true, 512).frames.map(f => [f.x, f.y])) ===
+    JSON.stringify(best.frames.map(f => [f.x, f.y])));
+
+// 多图集溢出模式同样按轮廓填充每页：48×48 的页面放不下两个并排的 32×32，只能嵌套放入一对三角形
+const MultiAtlasPacker = get('MultiAtlasPacker');
+const overflowPacker = new MultiAtlasPacker({ maxWidth: 48, maxHeight: 48, padding: 0, packingAlgorithm: 'polygon', mode: 'overflow' });
+const page = overflowPacker.fillPage(tracedTriangles, 48, 48);
+check('溢出模式按轮廓填充每页', page.frames.length === 2 && page.remaining.length === 6 &&
+    checkPlacement({ ...page, width: 48, height: 48 }, tracedTriangles, 0));
+
+console.log('\n===== 导出 =====\n');
+
+// 裁剪过的帧：图片 32×32，裁剪区域从 (4, 2) 开始
+const meshFrame = {
+    name: 'ui/leaf', x: 100, y: 50, width: 20, height: 10, originalWidth: 20, originalHeight: 10,
+    sourceWidth: 32, sourceHeight: 32, trimX: 4, trimY: 2, offsetX: -2, offsetY: 9, rotated: false,
+    polygon: { vertices: [{ x: 4, y: 2 }, { x: 24, y: 2 }, { x: 24, y: 12 }, { x: 4, y: 12 }], triangles: [0, 1, 2, 0, 2, 3] }
+};
+
+const plist = generatePlist('leaf', 256, 128, [meshFrame], 3);
+check('plist 格式 3 写入 triangles / vertices / verticesUV',
+    plist.includes('<key>triangles</key>\n      <string>0 1 2 0 2 3</string>') &&
+    plist.includes('<string>4 2 24 2 24 12 4 12</string>') &&
+    plist.includes('<string>100 50 120 50 120 60 100 60</string>'));
+const parsed = readPlistAtlas(plist).frames[0];
+check('plist 读取多边形', JSON.stringify(parsed.polygon) === JSON.stringify(meshFrame.polygon));
+
+const plistError = (() => {
+    try {
+        generatePlist('leaf', 256, 128, [meshFrame], 2);
+        return null;
+    } catch (error) {
+        return error;
+    }
+})();
+check('plist 格式 2 遇到多边形帧报错', plistError !== null && plistError.message.includes('格式 3'));
+
+const pages = getExportPages([{ width: 256, height: 128, frames: [meshFrame] }], 'leaf');
+const json = JSON.parse(exportAtlasData('json-hash', pages, 'leaf')[0].content).frames['ui/leaf.png'];
+check('JSON 写入 TexturePacker 的多边形数据',
+    JSON.stringify(json.vertices) === '[[4,2],[24,2],[24,12],[4,12]]' &&
+    JSON.stringify(json.verticesUV) === '[[100,50],[120,50],[120,60],[100,60]]' &&
+    JSON.stringify(json.triangles) === '[[0,1,2],[0,2,3]]');
+
+const atlasMeta = JSON.parse(generateCocosMetaFiles('leaf', [meshFrame], '', { width: 256, height: 128 })[1].content);
+const userData = Object.values(atlasMeta.subMetas)[0].userData;
+check('Creator meta 为网格类型并写入顶点',
+    userData.meshType === 1 &&
+    JSON.stringify(userData.vertices.rawPosition) === '[-12,14,0,8,14,0,8,4,0,-12,4,0]' &&
+    JSON.stringify(userData.vertices.indexes) === '[0,1,2,0,2,3]' &&
+    JSON.stringify(userData.vertices.uv) === '[100,50,120,50,120,60,100,60]' &&
+    userData.vertices.nuv[2] === 120 / 256 && userData.vertices.nuv[5] === 60 / 128 &&
+    JSON.stringify(userData.vertices.minPos) === '[-12,4,0]' && JSON.stringify(userData.vertices.maxPos) === '[8,14,0]');
+
+finishTests();
@@ -0,0 +1,106 @@
+// 项目文件（.atlasproj）测试（直接用 node 运行）
+// 用法: node tests/test_project.js
+
+const { loadScripts, check, expectError, finishTests } = require('./helpers.js');
+
+// config.js 在非 CommonJS 环境中挂到 window 上
+const sandbox = { console };
+sandbox.window = sandbox;
+const { get } = loadScripts(['config.js', 'imageTrimmer.js', 'spriteOverrides.js', 'imageResampler.js', 'scaleVariants.js', 'pixelFormat.js', 'paletteQuantizer.js', 'atlasProject.js'], sandbox);
+const createAtlasProject = get('createAtlasProject');
+const serializeAtlasProject = get('serializeAtlasProject');
+const parseAtlasProject = get('parseAtlasProject');
+const normalizeSpriteOverrides = get('normalizeSpriteOverrides');
+const { projectToOptions } = require('../bin/cocos-atlas.js');
+
+const settings = {
+    atlasName: 'game_ui',
+    padding: 4,
+    borderPadding: 2,
+    extrude: 1,
+    maxWidth: 1024,
+    maxHeight: 512,
+    powerOfTwo: false,
+    trim: true,
+    mergeDuplicates: false,
+    algorithm: 'guillotine-llas',
+    polygonVertices: 6,
+    multiAtlas: true,
+    multiAtlasMode: 'group',
+    stableLayout: true,
+    scaleVariants: [{ scale: 2, suffix: '@2x' }, { scale: 1, suffix: '' }],
+    scaleFilter: 'bilinear',
+    export: {
+        format: 'json-hash',
+        plistFormat: 3,
+        pixelFormat: 'RGBA4444',
+        dither: 'ordered',
+        png8: true,
+        png8Quality: 60,
+        png8Dither: false,
+        packaging: 'separate',
+        cocosMeta: false,
+        cocosAssetDir: 'assets/ui'
+    }
+};
+const sprites = [
+    { name: 'ui/ok', path: 'art/ui/ok.png' },
+    { name: 'ui/icon', data: 'data:image/png;base64,AAAA', overrides: { allowRotation: false, extrude: 2, pivot: { x: 0.5, y: 0 }, page: 2 } },
+    { name: 'bg', path: 'art/bg.png', data: 'data:image/png;base64,BBBB', overrides: {} }
+];
+
+console.log('===== 项目文件测试 =====\n');
+
+const project = parseAtlasProject(serializeAtlasProject(createAtlasProject(settings, sprites)));
+check('设置往返一致', JSON.stringify(project.settings) === JSON.stringify(settings));
+check('图片往返一致（path / data / overrides）',
+    project.sprites.length === 3 &&
+    project.sprites[0].path === 'art/ui/ok.png' && project.sprites[0].data === undefined &&
+    project.sprites[1].data === 'data:image/png;base64,AAAA' &&
+    JSON.stringify(project.sprites[1].overrides) === JSON.stringify(sprites[1].overrides) &&
+    project.sprites[2].overrides === undefined);
+
+const minimal = parseAtlasProject(JSON.stringify({ type: 'cocos-atlas-project', version: 1, settings: { padding: 0, export: { plistFormat: 3 } }, sprites: [] }));
+check('缺少的设置使用 AppConfig 默认值',
+    minimal.settings.padding === 0 && minimal.settings.maxWidth === 2048 && minimal.settings.algorithm === 'maxRectangles' &&
+    minimal.settings.export.plistFormat === 3 && minimal.settings.export.format === 'cocos-plist');
+
+const options = projectToOptions(project.settings);
+check('转换为命令行选项',
+    options.algorithm === 'guillotine-llas' && options.pot === false && options.multi === true &&
+    options.multiMode === 'group' && options.format === 'json-hash' && options.assetDir === 'assets/ui' && options.dedup === false &&
+    options.borderPadding === 2 && options.extrude === 1 && options.pixelFormat === 'RGBA4444' && options.dither === 'ordered' &&
+    options.png8 === true && options.png8Quality === 60 && options.png8Dither === false);
+check('多图集时忽略稳定布局（与网页端一致）', options.stable === false);
+check('多边形模式忽略稳定布局并传递顶点数',
+    projectToOptions({ ...project.settings, multiAtlas: false, algorithm: 'polygon-convex' }).stable === false &&
+    options.polygonVertices === 6);
+check('缩放变体转换为命令行文本，并忽略稳定布局',
+    options.variants === '2:@2x, 1:' && options.scaleFilter === 'bilinear' &&
+    projectToOptions({ ...project.settings, multiAtlas: false }).stable === false &&
+    projectToOptions({ ...project.settings, multiAtlas: false, scaleVariants: [] }).stable === true);
+
+expectError('不是 JSON 报错', () => parseAtlasProject('<plist/>'), 'JSON');
+expectError('type 不对报错', () => parseAtlasProject('{"type":"other","version":1,"sprites":[]}'), 'cocos-atlas-project');
+expectError('更高版本报错', () => parseAtlasProject('{"type":"cocos-atlas-project","version":2,"sprites":[]}'), '版本 2');
+expectError('图片缺少 path 和 data 报错', () => createAtlasProject({}, [{ name: 'a' }]), 'a');
+expectError('未知算法报错', () => createAtlasProject({ algorithm: 'binpack' }, []), 'binpack');
+expectError('间距为负数报错', () => createAtlasProject({ padding: -1 }, []), 'padding');
+expectError('边缘扩展不是整数报错', () => createAtlasProject({ extrude: 1.5 }, []), 'extrude');
+expectError('缩放变体后缀重复报错', () => createAtlasProject({ scaleVariants: [{ scale: 2 }, { scale: 3, suffix: '@2x' }] }, []), 'scaleVariants');
+expectError('未知缩放滤波器报错', () => createAtlasProject({ scaleFilter: 'nearest' }, []), 'nearest');
+expectError('未知像素格式报错', () => createAtlasProject({ export: { pixelFormat: 'RGB888' } }, []), 'RGB888');
+expectError('PNG8 质量超出范围报错', () => createAtlasProject({ export: { png8Quality: 101 } }, []), '101');
+expectError('多边形顶点数少于 3 报错', () => createAtlasProject({ algorithm: 'polygon', polygonVertices: 2 }, []), 'polygonVertices');
+
+console.log('\n===== 单张图片覆盖设置 =====\n');
+
+check('去掉与默认值相同的覆盖项',
+    JSON.stringify(normalizeSpriteOverrides({ allowRotation: true, trim: '', extrude: null, pivot: { x: 0.5, y: 0.5 }, border: { left: 0 } })) === '{}');
+check('九宫格缺少的边补 0',
+    JSON.stringify(normalizeSpriteOverrides({ border: { left: 4, top: 2 } }).border) === '{"left":4,"right":0,"top":2,"bottom":0}');
+expectError('页码为 0 报错（带图片名）', () => createAtlasProject({}, [{ name: 'ui/x', path: 'x.png', overrides: { page: 0 } }]), 'ui/x');
+expectError('trim 不是布尔值报错', () => normalizeSpriteOverrides({ trim: 'yes' }), 'trim');
+expectError('九宫格为负数报错', () => normalizeSpriteOverrides({ border: { right: -1 } }), 'border.right');
+
+finishTests();
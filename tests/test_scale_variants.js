@@ -0,0 +1,146 @@
+// 缩放变体与重采样测试（直接用 node 运行）
+// 用法: node tests/test_scale_variants.js
+
+const { loadScripts, check, expectError, finishTests } = require('./helpers.js');
+
+// 测试用的画布直接保存 RGBA 数据，图片对象为 { width, height, pixels }
+function createCanvas() {
+    const canvas = {
+        width: 0,
+        height: 0,
+        pixels: null,
+        getContext: () => ({
+            drawImage: (img) => {
+                canvas.pixels = new Uint8ClampedArray(img.pixels);
+            },
+            getImageData: (x, y, width, height) => {
+                const data = new Uint8ClampedArray(width * height * 4);
+                for (let row = 0; row < height; row++) {
+                    const start = ((y + row) * canvas.width + x) * 4;
+                    data.set(canvas.pixels.subarray(start, start + width * 4), row * width * 4);
+                }
+                return { data };
+            },
+            createImageData: (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+            putImageData: (imageData) => {
+                canvas.pixels = new Uint8ClampedArray(imageData.data);
+            }
+        })
+    };
+    return canvas;
+}
+
+const sandbox = {
+    console: { log() {}, warn() {} },
+    document: { createElement: createCanvas }
+};
+sandbox.window = sandbox;
+
+const { get } = loadScripts(['imageTrimmer.js', 'spriteOverrides.js', 'imageResampler.js', 'scaleVariants.js'], sandbox);
+const resamplePixels = get('resamplePixels');
+const getResampleWeights = get('getResampleWeights');
+const RESAMPLE_FILTERS = get('RESAMPLE_FILTERS');
+const parseScaleVariants = get('parseScaleVariants');
+const formatScaleVariants = get('formatScaleVariants');
+const scalePadding = get('scalePadding');
+const prepareVariantImages = get('prepareVariantImages');
+
+// width × height 的图片，rect 内为不透明红色，其余透明
+function createBlockImage(width, height, rect) {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+        for (let x = rect.x; x < rect.x + rect.width; x++) {
+            pixels.set([255, 0, 0, 255], (y * width + x) * 4);
+        }
+    }
+    return { width, height, pixels };
+}
+
+const filters = Object.keys(RESAMPLE_FILTERS);
+
+console.log('===== 重采样测试 =====\n');
+
+const solid = new Uint8ClampedArray(6 * 6 * 4);
+for (let i = 0; i < solid.length; i += 4) solid.set([40, 120, 200, 255], i);
+for (const filter of filters) {
+    const sameColor = (data) => data.every((value, i) => Math.abs(value - solid[i % 4]) <= 1);
+    check(`${filter}: 纯色图片放大和缩小后颜色不变`,
+        sameColor(resamplePixels(solid, 6, 6, 12, 12, filter)) && sameColor(resamplePixels(solid, 6, 6, 3, 3, filter)));
+
+    const weights = getResampleWeights(10, 4, RESAMPLE_FILTERS[filter]);
+    check(`${filter}: 每个目标像素的权重之和为 1`,
+        weights.every(({ weights: w }) => Math.abs(w.reduce((sum, value) => sum + value, 0) - 1) < 1e-5));
+
+    // 透明像素的颜色为黑色，预乘 alpha 后不会混入边缘
+    const edge = createBlockImage(8, 8, { x: 0, y: 0, width: 4, height: 8 }).pixels;
+    const scaled = resamplePixels(edge, 8, 8, 16, 16, filter);
+    let fringe = false;
+    for (let i = 0; i < scaled.length; i += 4) {
+        if (scaled[i + 3] > 8 && (scaled[i] < 250 || scaled[i + 1] > 5)) fringe = true;
+    }
+    check(`${filter}: 透明边缘没有黑边`, !fringe);
+}
+
+const checker = new Uint8ClampedArray(8 * 8 * 4);
+for (let i = 0; i < 64; i++) {
+    const value = ((i % 8) + Math.floor(i / 8)) % 2 ? 255 : 0;
+    checker.set([value, value, value, 255], i * 4);
+}
+const halved = resamplePixels(checker, 8, 8, 4, 4, 'bilinear');
+check('缩小时放宽滤波核：棋盘格缩小一半为均匀的灰色', [5, 6, 9, 10].every(p => Math.abs(halved[p * 4] - 128) <= 2));
+expectError('未知滤波器报错', () => resamplePixels(solid, 6, 6, 3, 3, 'nearest'), 'nearest');
+
+console.log('\n===== 缩放变体设置 =====\n');
+
+const variants = parseScaleVariants('2, 1:, 0.5:_sd');
+check('解析缩放变体（省略后缀为 @比例x，冒号后为空表示无后缀）',
+    JSON.stringify(variants) === '[{"scale":2,"suffix":"@2x"},{"scale":1,"suffix":""},{"scale":0.5,"suffix":"_sd"}]');
+check('格式化后再解析一致', JSON.stringify(parseScaleVariants(formatScaleVariants(variants))) === JSON.stringify(variants));
+check('空文本为空列表', parseScaleVariants('  ').length === 0);
+expectError('后缀重复报错', () => parseScaleVariants('2:@2x, 1.5:@2x'), '@2x');
+expectError('比例不是数字报错', () => parseScaleVariants('2x'), '2x');
+expectError('比例为 0 报错', () => parseScaleVariants('0'), '0');
+expectError('后缀含路径分隔符报错', () => parseScaleVariants('2:/hd'), '/hd');
+check('间距按比例缩放，原本有间距的至少 1 像素',
+    JSON.stringify(scalePadding({ shape: 2, border: 0 }, 2)) === '{"shape":4,"border":0}' &&
+    JSON.stringify(scalePadding({ shape: 2, border: 3 }, 0.25)) === '{"shape":1,"border":1}');
+
+console.log('\n===== 缩放与裁剪 =====\n');
+
+// 20×12 的图片，不透明区域偏右下
+const source = { name: 'ui/icon', img: createBlockImage(20, 12, { x: 6, y: 4, width: 10, height: 6 }), width: 20, height: 12 };
+const options = { trim: true, alphaThreshold: 0, filter: 'bilinear' };
+const [base] = prepareVariantImages([source], { scale: 1, suffix: '' }, options);
+const offsetX = item => item.trimX + item.width / 2 - item.sourceWidth / 2;
+const offsetY = item => item.sourceHeight / 2 - item.trimY - item.height / 2;
+
+check('比例为 1 时与普通裁剪一致（使用原图）', base.img === source.img && base.trimX === 6 && base.width === 10);
+
+for (const scale of [2, 0.5]) {
+    for (const filter of filters) {
+        const [item] = prepareVariantImages([source], { scale, suffix: '' }, { ...options, filter });
+        check(`${filter} ×${scale}: 原图尺寸按比例缩放，帧名不变`,
+            item.name === 'ui/icon' && item.sourceWidth === 20 * scale && item.sourceHeight === 12 * scale && item.img.width === 20 * scale);
+        check(`${filter} ×${scale}: offset 按比例换算（误差不超过 1 像素）`,
+            Math.abs(offsetX(item) - offsetX(base) * scale) <= 1 && Math.abs(offsetY(item) - offsetY(base) * scale) <= 1);
+        check(`${filter} ×${scale}: 裁剪区域包住按比例换算的不透明区域，最多多留 1 像素`,
+            item.trimX <= 6 * scale && item.trimX + item.width >= 16 * scale && item.width <= 10 * scale + 2 &&
+            item.trimY <= 4 * scale && item.trimY + item.height >= 10 * scale && item.height <= 6 * scale + 2);
+    }
+}
+
+const [doubled] = prepareVariantImages([source], { scale: 2, suffix: '@2x' }, options);
+const [again] = prepareVariantImages([source], { scale: 2, suffix: '@2x' }, options);
+check('重复生成时复用重采样结果', doubled.img === again.img);
+
+// 九宫格的边不裁剪，边距按比例缩放
+const sliced = { ...source, overrides: { border: { left: 8, right: 0, top: 0, bottom: 0 } } };
+const [slicedBase] = prepareVariantImages([sliced], { scale: 1, suffix: '' }, options);
+const [slicedDoubled] = prepareVariantImages([sliced], { scale: 2, suffix: '' }, options);
+check('九宫格的边保持在原图边缘', slicedBase.trimX === 0 && slicedDoubled.trimX === 0);
+check('九宫格边距按比例缩放', slicedBase.border.left === 8 && slicedDoubled.border.left === 16);
+
+const [untrimmed] = prepareVariantImages([source], { scale: 0.5, suffix: '' }, { filter: 'lanczos' });
+check('不裁剪时缩放整张图片', untrimmed.width === 10 && untrimmed.height === 6 && untrimmed.trimX === undefined);
+
+finishTests();